@@ -3,11 +3,7 @@ dotenv.config();
 
 const { ChatPromptTemplate } = require("@langchain/core/prompts");
 const { AgentExecutor, createToolCallingAgent } = require("langchain/agents");
-const {
-  Client,
-  PrivateKey,
-  TopicMessageSubmitTransaction,
-} = require("@hashgraph/sdk");
+const { Client, PrivateKey } = require("@hashgraph/sdk");
 const {
   HederaLangchainToolkit,
   coreAccountPlugin,
@@ -19,219 +15,29 @@ const {
   AgentMode,
 } = require("hedera-agent-kit");
 const readline = require("readline");
-const { HumanMessage, AIMessage } = require("@langchain/core/messages");
-const crypto = require("crypto");
-
-// A2A Message Schema (based on A2A Protocol specification)
-class A2AMessage {
-  constructor(type, content, metadata = {}) {
-    this.id = crypto.randomUUID();
-    this.timestamp = new Date().toISOString();
-    this.protocol_version = "1.0";
-    this.message_type = type; // 'request', 'response', 'negotiation', 'payment'
-    this.sender = {
-      agent_id: process.env.AGENT_ID || "hedera-travel-agent",
-      account_id: process.env.HEDERA_ACCOUNT_ID,
-    };
-    this.content = content;
-    this.metadata = {
-      ...metadata,
-      hedera_network: "testnet",
-    };
-  }
-
-  toJSON() {
-    return {
-      id: this.id,
-      timestamp: this.timestamp,
-      protocol_version: this.protocol_version,
-      message_type: this.message_type,
-      sender: this.sender,
-      content: this.content,
-      metadata: this.metadata,
-    };
-  }
-
-  toString() {
-    return JSON.stringify(this.toJSON(), null, 2);
-  }
-
-  static fromJSON(json) {
-    const data = typeof json === "string" ? JSON.parse(json) : json;
-    const msg = new A2AMessage(data.message_type, data.content, data.metadata);
-    msg.id = data.id;
-    msg.timestamp = data.timestamp;
-    msg.sender = data.sender;
-    return msg;
-  }
-}
-
-// A2A Payment Request (AP2 Integration)
-class A2APaymentRequest extends A2AMessage {
-  constructor(amount, currency, recipient, description) {
-    super("payment", {
-      amount,
-      currency, // e.g., "HBAR" or token ID "0.0.xxxxx"
-      recipient,
-      description,
-      payment_method: "hedera_token_transfer",
-    });
-  }
-}
-
-// Choose your AI provider
-function createLLM() {
-  if (process.env.GROQ_API_KEY) {
-    const { ChatGroq } = require("@langchain/groq");
-    return new ChatGroq({
-      model: "meta-llama/llama-4-scout-17b-16e-instruct",
-      temperature: 0.7,
-    });
-  }
-
-  try {
-    const { ChatOllama } = require("@langchain/ollama");
-    return new ChatOllama({
-      model: "llama3.2",
-      baseUrl: "http://localhost:11434",
-    });
-  } catch (e) {
-    console.error("No AI provider configured.");
-    process.exit(1);
-  }
-}
-
-// A2A Message Handler
-class A2AMessageHandler {
-  constructor(client, agentExecutor, topicId) {
-    this.client = client;
-    this.agentExecutor = agentExecutor;
-    this.topicId = topicId;
-    this.messageHistory = [];
-  }
-
-  // Send A2A message via HCS (Hedera Consensus Service)
-  async sendMessage(message) {
-    try {
-      // Convert message to JSON string for HCS
-      const messageJson = JSON.stringify(message.toJSON());
-
-      console.log(`\n📤 Sending A2A Message to Topic ${this.topicId}`);
-      console.log(`   Type: ${message.message_type}`);
-      console.log(`   ID: ${message.id}`);
-
-      const submitTx = await new TopicMessageSubmitTransaction()
-        .setTopicId(this.topicId)
-        .setMessage(messageJson)
-        .execute(this.client);
-
-      const receipt = await submitTx.getReceipt(this.client);
-
-      console.log(
-        `   ✅ Message sent! Sequence: ${receipt.topicSequenceNumber}`
-      );
-      console.log(`   Transaction: ${submitTx.transactionId.toString()}\n`);
-
-      this.messageHistory.push({
-        direction: "outbound",
-        message,
-        timestamp: new Date(),
-      });
-
-      return receipt;
-    } catch (error) {
-      console.error(`❌ Failed to send A2A message:`, error.message);
-      throw error;
-    }
-  }
-
-  // Process incoming A2A messages
-  async handleIncomingMessage(messageData) {
-    try {
-      const a2aMessage = A2AMessage.fromJSON(messageData);
-
-      console.log(`\n📥 Received A2A Message`);
-      console.log(`   From: ${a2aMessage.sender.agent_id}`);
-      console.log(`   Type: ${a2aMessage.message_type}`);
-      console.log(`   ID: ${a2aMessage.id}\n`);
-
-      this.messageHistory.push({
-        direction: "inbound",
-        message: a2aMessage,
-        timestamp: new Date(),
-      });
-
-      // Route message based on type
-      switch (a2aMessage.message_type) {
-        case "request":
-          return await this.handleRequest(a2aMessage);
-        case "negotiation":
-          return await this.handleNegotiation(a2aMessage);
-        case "payment":
-          return await this.handlePayment(a2aMessage);
-        default:
-          console.log(
-            `   ⚠️  Unknown message type: ${a2aMessage.message_type}`
-          );
-      }
-    } catch (error) {
-      console.error(`❌ Error handling incoming message:`, error.message);
-    }
-  }
-
-  async handleRequest(message) {
-    console.log(`   🤖 Processing request with AI agent...`);
-
-    // Use the Hedera agent to process the request
-    const response = await this.agentExecutor.invoke({
-      input: `A2A Request from ${message.sender.agent_id}: ${JSON.stringify(
-        message.content
-      )}`,
-    });
-
-    // Send response
-    const responseMessage = new A2AMessage("response", {
-      request_id: message.id,
-      response: response.output,
-    });
-
-    await this.sendMessage(responseMessage);
-    return responseMessage;
-  }
-
-  async handleNegotiation(message) {
-    console.log(`   💬 Negotiation message received`);
-    // Process negotiation logic here
-    return message;
-  }
-
-  async handlePayment(message) {
-    console.log(`   💰 Payment request received`);
-    console.log(
-      `   Amount: ${message.content.amount} ${message.content.currency}`
-    );
-    console.log(`   Recipient: ${message.content.recipient}`);
-
-    // Auto-execute payment if amount is under threshold
-    const threshold = parseFloat(process.env.AUTO_PAYMENT_THRESHOLD || "10");
-    const amount = parseFloat(message.content.amount);
-
-    if (amount <= threshold) {
-      console.log(`   ✅ Auto-approving payment (under threshold)`);
-      // Execute payment via Hedera agent
-      const paymentResult = await this.agentExecutor.invoke({
-        input: `Transfer ${message.content.amount} ${message.content.currency} to ${message.content.recipient} for: ${message.content.description}`,
-      });
-
-      return paymentResult;
-    } else {
-      console.log(
-        `   ⚠️  Payment exceeds threshold - requires manual approval`
-      );
-      return null;
-    }
-  }
-}
+const { A2AMessage } = require("./lib/a2a-protocol");
+const {
+  localKeyRegistryFromEnv,
+  MirrorNodeKeyResolver,
+  ChainedKeyResolver,
+  MessageVerifier,
+  logSecurityEvent,
+} = require("./lib/a2a-security");
+const { A2AMessageHandler } = require("./lib/a2a-message-handler");
+const { createTransport } = require("./lib/transport");
+const { createLedger } = require("./lib/ledger");
+const { PaymentService } = require("./lib/payments");
+const { NegotiationBook } = require("./lib/negotiation");
+const { ApprovalQueue, gateWriteTools } = require("./lib/approvals");
+const {
+  SpendingPolicy,
+  enforceSpendingPolicy,
+  toolCallDenial,
+} = require("./lib/spending-policy");
+const { createStorage } = require("./lib/storage");
+const { A2AMessageLog } = require("./lib/a2a-log");
+const { ChatSessions } = require("./lib/chat-sessions");
+const { createLLM } = require("./lib/llm");
 
 async function main() {
   try {
@@ -306,6 +112,7 @@ TRANSACTION GUIDELINES:
           process.env.AUTO_PAYMENT_THRESHOLD || 10
         } HBAR: auto-execute
 - For larger payments: request human approval
+- If a spending policy blocks an action, explain the limit to the user instead of retrying
 - Handle errors gracefully and provide clear explanations
 
 Be professional, efficient, and always prioritize security.`,
@@ -315,7 +122,48 @@ Be professional, efficient, and always prioritize security.`,
       ["placeholder", "{agent_scratchpad}"],
     ]);
 
-    const tools = hederaAgentToolkit.getTools();
+    // Conversation and A2A log survive restarts (STORAGE_BACKEND)
+    const storage = createStorage({
+      owner: process.env.AGENT_ID || "hedera-travel-agent",
+    });
+    const sessions = new ChatSessions(storage);
+    const cliSession = `cli-${process.env.AGENT_ID || "hedera-travel-agent"}`;
+    if (!sessions.resume(cliSession)) {
+      sessions.start({ interface: "cli" }, cliSession);
+    }
+
+    // Network writes and large payments wait for "approve <id>"
+    const approvals = new ApprovalQueue(storage.collection("approvals"));
+    // Per-transaction, daily and per-user limits from the SPEND_* settings.
+    // The allow-list also names the counterparties whose payment requests
+    // are honoured: the provider agents configured here, unless
+    // SPEND_ALLOWED_RECIPIENTS adds others
+    const spending = new SpendingPolicy(
+      storage.collection("spending")
+    ).allowRecipients(
+      process.env.HOTEL_ACCOUNT_ID,
+      process.env.INSURANCE_ACCOUNT_ID,
+      process.env.FLIGHT_ACCOUNT_ID,
+      process.env.CAR_RENTAL_ACCOUNT_ID
+    );
+    const tools = gateWriteTools(
+      enforceSpendingPolicy(
+        hederaAgentToolkit.getTools(),
+        spending,
+        process.env.HEDERA_ACCOUNT_ID
+      ),
+      approvals,
+      process.env.HEDERA_ACCOUNT_ID,
+      {
+        precheck: (toolName, args) =>
+          toolCallDenial(
+            spending,
+            process.env.HEDERA_ACCOUNT_ID,
+            toolName,
+            args
+          ),
+      }
+    );
     const agent = await createToolCallingAgent({ llm, tools, prompt });
     const agentExecutor = new AgentExecutor({
       agent,
@@ -337,7 +185,44 @@ Be professional, efficient, and always prioritize security.`,
     let a2aHandler = null;
 
     if (topicId) {
-      a2aHandler = new A2AMessageHandler(client, agentExecutor, topicId);
+      const verifier = new MessageVerifier(
+        new ChainedKeyResolver([
+          localKeyRegistryFromEnv().register(
+            process.env.HEDERA_ACCOUNT_ID,
+            privateKey.publicKey
+          ),
+          new MirrorNodeKeyResolver(),
+        ])
+      );
+      verifier.on("security_event", logSecurityEvent);
+      const transport = createTransport({ client, topicId });
+      const payments = new PaymentService({
+        ledger: createLedger({ client }),
+        transport,
+        sender: {
+          agent_id: process.env.AGENT_ID || "hedera-travel-agent",
+          account_id: process.env.HEDERA_ACCOUNT_ID,
+        },
+        privateKey,
+        policy: spending,
+      });
+      a2aHandler = new A2AMessageHandler(
+        transport,
+        agentExecutor,
+        privateKey,
+        verifier,
+        payments,
+        new NegotiationBook({ role: "buyer" }),
+        approvals,
+        new A2AMessageLog(
+          storage.collection("a2a_messages"),
+          [process.env.HEDERA_ACCOUNT_ID],
+          {
+            bookings: storage.collection("bookings"),
+            policies: storage.collection("policies"),
+          }
+        )
+      ).listen();
       console.log(`📡 A2A Topic: ${topicId}`);
       console.log(
         `💰 Auto-payment threshold: ${
@@ -348,8 +233,13 @@ Be professional, efficient, and always prioritize security.`,
       console.log(`⚠️  No A2A_TOPIC_ID configured - A2A features disabled\n`);
     }
 
-    // Chat history
-    const chatHistory = [];
+    // Chat history, picked up from the last run
+    const previousTurns = sessions.transcript(cliSession).length / 2;
+    if (previousTurns > 0) {
+      console.log(
+        `📜 Resuming conversation (${previousTurns} earlier turn(s) remembered)\n`
+      );
+    }
 
     // Interactive mode
     const rl = readline.createInterface({
@@ -362,6 +252,8 @@ Be professional, efficient, and always prioritize security.`,
     console.log("   - Chat normally for regular operations");
     console.log('   - "a2a send <message>" - Send A2A message to topic');
     console.log('   - "a2a history" - View message history');
+    console.log('   - "a2a approvals" - List actions waiting for approval');
+    console.log('   - "approve <id>" / "reject <id> [reason]" - Decide one');
     console.log('   - "exit" - Quit\n');
 
     const getUserInput = () => {
@@ -379,6 +271,7 @@ Be professional, efficient, and always prioritize security.`,
 
         if (userInput.toLowerCase().trim() === "exit") {
           console.log("\n👋 Shutting down A2A agent. Goodbye!");
+          a2aHandler?.stop();
           rl.close();
           process.exit(0);
         }
@@ -387,6 +280,47 @@ Be professional, efficient, and always prioritize security.`,
           continue;
         }
 
+        // Approval queue commands work with or without A2A
+        const [command, approvalId, ...reasonWords] = userInput.trim().split(/\s+/);
+        if (userInput.trim() === "a2a approvals") {
+          const pending = approvals.pending();
+          console.log(`\n⏸️  Pending approvals (${pending.length}):`);
+          pending.forEach((entry) => {
+            console.log(`   ${entry.id} [${entry.kind}] ${entry.summary}`);
+            console.log(
+              `      requested ${entry.requested_at}, expires ${entry.expires_at}`
+            );
+          });
+          console.log();
+          continue;
+        }
+        if ((command === "approve" || command === "reject") && approvalId) {
+          const decided =
+            command === "approve"
+              ? await approvals.approve(approvalId, "cli")
+              : approvals.reject(
+                  approvalId,
+                  "cli",
+                  reasonWords.join(" ") || undefined
+                );
+          if (!decided.id) {
+            console.log(`Agent: ❌ ${decided.error}\n`);
+          } else {
+            console.log(
+              `Agent: ${decided.id} ${decided.status}${
+                decided.result !== undefined
+                  ? ` - ${
+                      typeof decided.result === "string"
+                        ? decided.result
+                        : JSON.stringify(decided.result)
+                    }`
+                  : ""
+              }${decided.error ? ` - ${decided.error}` : ""}\n`
+            );
+          }
+          continue;
+        }
+
         // Handle A2A commands
         if (userInput.startsWith("a2a ")) {
           if (!a2aHandler) {
@@ -407,11 +341,11 @@ Be professional, efficient, and always prioritize security.`,
             await a2aHandler.sendMessage(message);
           } else if (a2aCommand === "history") {
             console.log("\n📋 A2A Message History:");
-            a2aHandler.messageHistory.forEach((entry, idx) => {
+            a2aHandler.messageLog.entries().forEach((entry, idx) => {
               console.log(
                 `   ${idx + 1}. [${entry.direction}] ${
-                  entry.message.message_type
-                } - ${entry.timestamp.toLocaleTimeString()}`
+                  entry.message_type
+                } - ${new Date(entry.logged_at).toLocaleString()}`
               );
             });
             console.log();
@@ -427,17 +361,13 @@ Be professional, efficient, and always prioritize security.`,
         try {
           const response = await agentExecutor.invoke({
             input: userInput,
-            chat_history: chatHistory,
+            chat_history: sessions.chatHistory(cliSession, 5),
           });
 
           console.log(`Agent: ${response.output}\n`);
 
-          chatHistory.push(new HumanMessage(userInput));
-          chatHistory.push(new AIMessage(response.output));
-
-          if (chatHistory.length > 10) {
-            chatHistory.splice(0, 2);
-          }
+          sessions.append(cliSession, "user", userInput);
+          sessions.append(cliSession, "agent", response.output);
         } catch (invokeError) {
           console.error(`Agent: ❌ Error - ${invokeError.message}\n`);
         }
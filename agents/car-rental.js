@@ -0,0 +1,14 @@
+// car-rental.js - Car rental provider agent as a standalone process
+//   node agents/car-rental.js   (or: node supervisor.js start car-rental)
+require("dotenv").config();
+
+const { CarRentalAgent } = require("../lib/agents/car-rental-agent");
+const { runProviderAgent } = require("../lib/provider-runtime");
+
+runProviderAgent({
+  name: "car-rental",
+  accountEnv: "CAR_RENTAL_ACCOUNT_ID",
+  keyEnv: "CAR_RENTAL_PRIVATE_KEY",
+  createAgent: ({ key, transport, ledger }) =>
+    new CarRentalAgent(process.env.CAR_RENTAL_ACCOUNT_ID, key, transport, { ledger }),
+});
@@ -0,0 +1,14 @@
+// flight.js - Flight provider agent as a standalone process
+//   node agents/flight.js   (or: node supervisor.js start flight)
+require("dotenv").config();
+
+const { FlightAgent } = require("../lib/agents/flight-agent");
+const { runProviderAgent } = require("../lib/provider-runtime");
+
+runProviderAgent({
+  name: "flight",
+  accountEnv: "FLIGHT_ACCOUNT_ID",
+  keyEnv: "FLIGHT_PRIVATE_KEY",
+  createAgent: ({ key, transport, ledger }) =>
+    new FlightAgent(process.env.FLIGHT_ACCOUNT_ID, key, transport, { ledger }),
+});
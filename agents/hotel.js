@@ -0,0 +1,14 @@
+// hotel.js - Hotel provider agent as a standalone process
+//   node agents/hotel.js   (or: node supervisor.js start hotel)
+require("dotenv").config();
+
+const { HotelAgent } = require("../lib/agents/hotel-agent");
+const { runProviderAgent } = require("../lib/provider-runtime");
+
+runProviderAgent({
+  name: "hotel",
+  accountEnv: "HOTEL_ACCOUNT_ID",
+  keyEnv: "HOTEL_PRIVATE_KEY",
+  createAgent: ({ key, transport, ledger }) =>
+    new HotelAgent(process.env.HOTEL_ACCOUNT_ID, key, transport, { ledger }),
+});
@@ -0,0 +1,45 @@
+// insurance.js - Insurance provider agent as a standalone process
+//   node agents/insurance.js   (or: node supervisor.js start insurance)
+// Run in a terminal, it also takes the claims adjuster's decisions on
+// referred claims: "claims", "approve <claim id> [note]", "deny <claim id> <reason>"
+require("dotenv").config();
+
+const readline = require("readline");
+const { InsuranceAgent } = require("../lib/agents/insurance-agent");
+const { createLLM } = require("../lib/llm");
+const { runProviderAgent } = require("../lib/provider-runtime");
+
+function adjustClaims(agent) {
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on("line", async (line) => {
+    const [command, claimId, ...noteWords] = line.trim().split(/\s+/);
+    if (command === "claims") {
+      const waiting = agent.claimsToDecide();
+      console.log(`⚖️  Claims to decide (${waiting.length}):`);
+      waiting.forEach((claim) =>
+        console.log(
+          `   ${claim.claim_id} ${claim.claim_type} ${claim.adjudication.payable_amount} ${claim.currency} on ${claim.policy_reference}${claim.payout_status === "failed" ? ` (payout failed: ${claim.payout_error})` : ""} - ${claim.adjudication.reasons.join("; ")}`,
+        ),
+      );
+    } else if ((command === "approve" || command === "deny") && claimId) {
+      const decision = command === "approve" ? "approved" : "denied";
+      const result = await agent.decideClaim(claimId, decision, "adjuster", noteWords.join(" ") || undefined);
+      console.log(`⚖️  ${claimId}: ${result.status}${result.reason ? ` - ${result.reason}` : ""}`);
+    } else if (command) {
+      console.log('Try "claims", "approve <claim id> [note]" or "deny <claim id> <reason>"');
+    }
+  });
+}
+
+runProviderAgent({
+  name: "insurance",
+  accountEnv: "INSURANCE_ACCOUNT_ID",
+  keyEnv: "INSURANCE_PRIVATE_KEY",
+  createAgent: ({ key, transport, ledger }) =>
+    new InsuranceAgent(process.env.INSURANCE_ACCOUNT_ID, key, transport, {
+      llm: createLLM(),
+      ledger,
+    }),
+}).then(({ agent }) => {
+  if (process.stdin.isTTY) adjustClaims(agent);
+});
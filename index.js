@@ -6,12 +6,7 @@ const express = require("express");
 const { WebSocketServer, WebSocket } = require("ws");
 const path = require("path");
 
-const {
-  Client,
-  PrivateKey,
-  TopicMessageSubmitTransaction,
-  TopicMessageQuery,
-} = require("@hashgraph/sdk");
+const { AccountId, Client, PrivateKey } = require("@hashgraph/sdk");
 
 const {
   HederaLangchainToolkit,
@@ -26,192 +21,64 @@ const {
 
 const { ChatPromptTemplate } = require("@langchain/core/prompts");
 const { AgentExecutor, createToolCallingAgent } = require("langchain/agents");
-const { HumanMessage, AIMessage } = require("@langchain/core/messages");
-const { DynamicStructuredTool } = require("@langchain/core/tools");
-const { z } = require("zod");
-const crypto = require("crypto");
-
-// ------------------- Helper Classes -------------------
-class A2AMessage {
-  constructor(type, content, agentId, accountId) {
-    this.id = crypto.randomUUID();
-    this.timestamp = new Date().toISOString();
-    this.protocol_version = "1.0";
-    this.message_type = type;
-    this.sender = { agent_id: agentId, account_id: accountId };
-    this.content = content;
-  }
-  toJSON() {
-    return {
-      id: this.id,
-      timestamp: this.timestamp,
-      protocol_version: this.protocol_version,
-      message_type: this.message_type,
-      sender: this.sender,
-      content: this.content,
-    };
-  }
-}
-
-class SubscriptionManager {
-    constructor() {
-        this.subscription = null;
-    }
-
-    subscribe(client, topicId, onMessage) {
-        if (this.subscription) {
-            console.log("Already subscribed to the topic.");
-            return;
-        }
-
-        console.log("Subscribing to the topic...");
-        const now = Math.floor(Date.now() / 1000);
-        this.subscription = new TopicMessageQuery()
-            .setTopicId(topicId)
-            .setStartTime(now)
-            .subscribe(client, null, onMessage);
-        console.log("Subscribed to the topic.");
-    }
-
-    unsubscribe() {
-        if (this.subscription) {
-            this.subscription.unsubscribe();
-            this.subscription = null;
-            console.log("Unsubscribed from the topic.");
-        }
-    }
-}
+const {
+  localKeyRegistryFromEnv,
+  MirrorNodeKeyResolver,
+  ChainedKeyResolver,
+  MessageVerifier,
+  logSecurityEvent,
+} = require("./lib/a2a-security");
+const { parsePrivateKey } = require("./lib/keys");
+const { ResponseCollector } = require("./lib/response-collector");
+const { createTransport } = require("./lib/transport");
+const { createLedger } = require("./lib/ledger");
+const { EscrowService } = require("./lib/escrow");
+const { createStorage } = require("./lib/storage");
+const { A2AMessageLog } = require("./lib/a2a-log");
+const { ChatSessions } = require("./lib/chat-sessions");
+const { AgentActivity } = require("./lib/agent-activity");
+const { ApprovalQueue, gateWriteTools, runApprovedToolCalls } = require("./lib/approvals");
+const {
+  SpendingPolicy,
+  enforceSpendingPolicy,
+  toolCallDenial,
+} = require("./lib/spending-policy");
+const { SigningBridge, signInBrowser, browserPayer } = require("./lib/browser-signing");
+const { FeeMeter } = require("./lib/fees");
+const { providerConnection, readHealthReports } = require("./lib/provider-runtime");
+const { createLLM } = require("./lib/llm");
+const { SubscriptionManager } = require("./lib/subscription-manager");
+const { createInboundHandler } = require("./lib/a2a-inbound");
+const { createTravelTools, TRAVEL_TOOL_SERVICES, CARD_COMMANDS } = require("./lib/travel-tools");
+const { AgentRegistry, advertise, registryTopicId } = require("./lib/agent-registry");
+const { createDiscoveryTools } = require("./lib/discovery-tools");
+const { topicHistory, MirrorNodeTopicHistory } = require("./lib/topic-history");
+const { auditTopic } = require("./lib/a2a-audit");
+const { HotelAgent } = require("./lib/agents/hotel-agent");
+const { InsuranceAgent } = require("./lib/agents/insurance-agent");
+const { FlightAgent } = require("./lib/agents/flight-agent");
+const { CarRentalAgent } = require("./lib/agents/car-rental-agent");
 
 const subscriptionManager = new SubscriptionManager();
 
-// ------------------- Hotel Agent -------------------
-class HotelAgent {
-  constructor(accountId, privateKey, topicId, client) {
-    this.name = "Hotel Agent";
-    this.agentId = "hotel-agent-001";
-    this.accountId = accountId;
-    this.topicId = topicId;
-    this.client = client;
-  }
-
-  async handleMessage(message) {
-    if (
-      message.message_type === "request" &&
-      message.content.service === "hotel_booking"
-    ) {
-      console.log("📥 Hotel Agent: booking request received");
-      setTimeout(async () => {
-        const pricePerNight = 3;
-        const nights = 2;
-        const totalPrice = pricePerNight * nights;
-        const responseMsg = {
-          id: message.id, // Use original request ID
-          timestamp: new Date().toISOString(),
-          protocol_version: "1.0",
-          message_type: "response",
-          sender: { agent_id: this.agentId, account_id: this.accountId },
-          content: {
-            status: "available",
-            options: [
-              {
-                room_type: "Standard Room",
-                price_per_night: pricePerNight,
-                total_nights: nights,
-                total_price: totalPrice,
-                currency: "HBAR",
-              },
-            ],
-            booking_reference: crypto.randomUUID().substring(0, 8),
-          },
-        };
-        await new TopicMessageSubmitTransaction()
-          .setTopicId(this.topicId)
-          .setMessage(JSON.stringify(responseMsg))
-          .execute(this.client);
-        console.log(`✅ Hotel Agent: offer sent (${totalPrice} HBAR)`);
-      }, 1500);
-    }
-  }
-}
-
-// ------------------- Insurance Agent -------------------
-class InsuranceAgent {
-  constructor(accountId, privateKey, topicId, client) {
-    this.name = "Insurance Agent";
-    this.agentId = "insurance-agent-001";
-    this.accountId = accountId;
-    this.topicId = topicId;
-    this.client = client;
-  }
-
-  async handleMessage(message) {
-    if (
-      message.message_type === "request" &&
-      message.content.service === "travel_insurance"
-    ) {
-      console.log("📥 Insurance Agent: insurance request received");
-      setTimeout(async () => {
-        const tripCost = message.content.trip_cost || 10;
-        const premium = parseFloat((tripCost * 0.15).toFixed(2));
-        const responseMsg = {
-          id: message.id, // Use original request ID
-          timestamp: new Date().toISOString(),
-          protocol_version: "1.0",
-          message_type: "response",
-          sender: { agent_id: this.agentId, account_id: this.accountId },
-          content: {
-            status: "available",
-            coverage_options: [
-              {
-                tier: "Standard Coverage",
-                premium: premium,
-                currency: "HBAR",
-                benefits: [
-                  "Trip cancellation",
-                  "Medical emergency",
-                  "Lost luggage",
-                ],
-              },
-            ],
-            policy_reference: crypto.randomUUID().substring(0, 8),
-          },
-        };
-        await new TopicMessageSubmitTransaction()
-          .setTopicId(this.topicId)
-          .setMessage(JSON.stringify(responseMsg))
-          .execute(this.client);
-        console.log(`✅ Insurance Agent: quote sent (${premium} HBAR)`);
-      }, 1500);
-    }
-  }
-}
-
-// ------------------- LLM Provider -------------------
-function createLLM() {
-  if (process.env.GROQ_API_KEY) {
-    const { ChatGroq } = require("@langchain/groq");
-    return new ChatGroq({
-      model: "meta-llama/llama-4-scout-17b-16e-instruct",
-      temperature: 0.7,
-    });
-  }
-  const { ChatOllama } = require("@langchain/ollama");
-  return new ChatOllama({
-    model: "llama3.2",
-    baseUrl: "http://localhost:11434",
-  });
-}
-
 // ------------------- Setup Web Server -------------------
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
 app.use(express.static(path.join(__dirname, "public")));
+// The page decodes and signs transactions with the SDK we have installed
+// (pinned by package-lock.json), served from here rather than a CDN
+app.get("/vendor/hashgraph-sdk.js", (req, res) =>
+  res.sendFile(
+    path.join(path.dirname(require.resolve("@hashgraph/sdk/package.json")), "dist", "umd.min.js"),
+  ),
+);
 
 // ------------------- Main -------------------
 (async () => {
   console.log("\n🤖 Initializing Smart AI Agent System...\n");
-  const llm = createLLM();
+  // Streaming so the page can show the answer as it is written
+  const llm = createLLM({ streaming: true });
 
   // Hedera setup
   let privKeyStr = process.env.HEDERA_PRIVATE_KEY.trim().replace(
@@ -230,184 +97,482 @@ app.use(express.static(path.join(__dirname, "public")));
     privateKey,
   );
   const topicId = process.env.A2A_TOPIC_ID;
-
-  // Initialize sub-agents
-  const hotelAgent = new HotelAgent(
-    process.env.HOTEL_ACCOUNT_ID,
-    privateKey,
-    topicId,
+  const fees = new FeeMeter(process.env.HEDERA_ACCOUNT_ID);
+  const transport = createTransport({ client, topicId, feeMeter: fees });
+  const registryTransport = createTransport({
     client,
+    topicId: registryTopicId() || topicId,
+    feeMeter: fees,
+  });
+  const ledger = createLedger({ client, feeMeter: fees });
+
+  // Sessions, transcripts, the A2A log, bookings, policies, payments and
+  // trips; STORAGE_BACKEND picks JSON files, SQLite or memory
+  const storage = createStorage({ owner: "main-agent" });
+  const sessions = new ChatSessions(storage);
+
+  // Escrow mode: traveller payments wait in ESCROW_ACCOUNT_ID until providers confirm
+  const escrow =
+    process.env.PAYMENT_MODE === "escrow"
+      ? new EscrowService({
+          ledger,
+          store: storage.collection("escrow"),
+          escrowAccount: process.env.ESCROW_ACCOUNT_ID,
+          escrowKey: parsePrivateKey(process.env.ESCROW_PRIVATE_KEY),
+          timeoutMs:
+            parseInt(process.env.ESCROW_TIMEOUT_MINUTES || "30", 10) * 60 * 1000,
+          // Late answers to our payment messages, from the A2A log below
+          confirmationOf: (held) => a2aLog.replyFrom(held.payee, held.correlation_id)?.content,
+        })
+      : null;
+
+  // Provider agents run as their own processes (node supervisor.js start) and
+  // this server is only the traveller. PROVIDER_AGENTS=embedded hosts them
+  // here instead, which the single-process memory transport and ledger need;
+  // a hosted agent without its own key signs and pays with the main account.
+  const embedded = [];
+  function hostProvider(label, accountId, rawKey, createAgent) {
+    const key = parsePrivateKey(rawKey);
+    if (!key) {
+      console.warn(
+        `⚠️  No ${label.toUpperCase()}_PRIVATE_KEY - the ${label} agent signs and pays with ${process.env.HEDERA_ACCOUNT_ID}`,
+      );
+    }
+    const connection = key
+      ? providerConnection({ accountId, privateKey: key, topicId })
+      : { key: privateKey, transport, registry: registryTransport, ledger, fees };
+    const agent = createAgent(connection);
+    const card = advertise(agent, connection.registry, { endpointTopics: [topicId] });
+    embedded.push({ agent, connection, card });
+  }
+  if (process.env.PROVIDER_AGENTS === "embedded") {
+    hostProvider(
+      "hotel",
+      process.env.HOTEL_ACCOUNT_ID,
+      process.env.HOTEL_PRIVATE_KEY,
+      (connection) =>
+        new HotelAgent(process.env.HOTEL_ACCOUNT_ID, connection.key, connection.transport, {
+          ledger: connection.ledger,
+        }),
+    );
+    hostProvider(
+      "insurance",
+      process.env.INSURANCE_ACCOUNT_ID,
+      process.env.INSURANCE_PRIVATE_KEY,
+      (connection) =>
+        new InsuranceAgent(
+          process.env.INSURANCE_ACCOUNT_ID,
+          connection.key,
+          connection.transport,
+          { llm, ledger: connection.ledger },
+        ),
+    );
+    // Flights and car rentals only when they have an account of their own
+    if (process.env.FLIGHT_ACCOUNT_ID) {
+      hostProvider(
+        "flight",
+        process.env.FLIGHT_ACCOUNT_ID,
+        process.env.FLIGHT_PRIVATE_KEY,
+        (connection) =>
+          new FlightAgent(process.env.FLIGHT_ACCOUNT_ID, connection.key, connection.transport, {
+            ledger: connection.ledger,
+          }),
+      );
+    }
+    if (process.env.CAR_RENTAL_ACCOUNT_ID) {
+      hostProvider(
+        "car_rental",
+        process.env.CAR_RENTAL_ACCOUNT_ID,
+        process.env.CAR_RENTAL_PRIVATE_KEY,
+        (connection) =>
+          new CarRentalAgent(process.env.CAR_RENTAL_ACCOUNT_ID, connection.key, connection.transport, {
+            ledger: connection.ledger,
+          }),
+      );
+    }
+  }
+
+  // What each participant has paid in network fees for its own transactions;
+  // separate provider processes report theirs in their health files
+  app.get("/api/fees", async (req, res) => {
+    const report = { "main-agent": await fees.report() };
+    readHealthReports()
+      .filter((health) => health.fees)
+      .forEach((health) => (report[health.agent_id] = health.fees));
+    for (const { agent, connection } of embedded) {
+      report[agent.agentId] = await connection.fees.report();
+    }
+    res.json(report);
+  });
+
+  // Sender verification: keys of the agents configured here, then the mirror node
+  const keyRegistry = localKeyRegistryFromEnv().register(
+    process.env.HEDERA_ACCOUNT_ID,
+    privateKey.publicKey,
   );
-  const insuranceAgent = new InsuranceAgent(
-    process.env.INSURANCE_ACCOUNT_ID,
-    privateKey,
-    topicId,
-    client,
+  // Hosted agents without a key of their own sign with the main one
+  embedded.forEach(({ agent, connection }) =>
+    keyRegistry.register(agent.accountId, connection.key.publicKey),
+  );
+  const verifier = new MessageVerifier(
+    new ChainedKeyResolver([keyRegistry, new MirrorNodeKeyResolver()]),
   );
+  verifier.on("security_event", logSecurityEvent);
+
+  // Capability cards of the provider agents, from the registry topic
+  const registry = new AgentRegistry().watch(registryTransport, verifier);
+
+  // Decision trail of a topic for the explorer page (public/explorer.html):
+  // every message decoded, its signature checked, grouped by correlation id.
+  // Our own topics are read through their transport (the mirror node for
+  // HCS); any other HCS topic straight from the mirror node.
+  const auditedTopics = new Map([
+    [String(transport.topicId), { label: "A2A messages", transport }],
+  ]);
+  // Adverts share the A2A topic unless the registry has its own
+  if (!auditedTopics.has(String(registryTransport.topicId))) {
+    auditedTopics.set(String(registryTransport.topicId), {
+      label: "Agent registry",
+      transport: registryTransport,
+    });
+  }
+  app.get("/api/topics", (req, res) => {
+    res.json(
+      [...auditedTopics].map(([id, { label }]) => ({ topic_id: id, label })),
+    );
+  });
+  app.get("/api/topics/:topicId/audit", async (req, res) => {
+    const { topicId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+    let history;
+    if (auditedTopics.has(topicId)) {
+      history = topicHistory(auditedTopics.get(topicId).transport);
+    } else if (transport.kind === "hcs" && /^\d+\.\d+\.\d+$/.test(topicId)) {
+      history = new MirrorNodeTopicHistory(topicId);
+    } else {
+      return res.status(404).json({ error: `Unknown topic ${topicId}` });
+    }
+    try {
+      res.json(await auditTopic(topicId, await history.read({ limit }), verifier));
+    } catch (err) {
+      res.status(502).json({ error: err.message });
+    }
+  });
 
   // Hedera Toolkit + tools
+  const kitPlugins = [
+    coreAccountPlugin,
+    coreAccountQueryPlugin,
+    coreConsensusPlugin,
+    coreConsensusQueryPlugin,
+    coreTokenPlugin,
+    coreTokenQueryPlugin,
+  ];
   const toolkit = new HederaLangchainToolkit({
     client,
     configuration: {
       mode: AgentMode.AUTONOMOUS,
-      plugins: [
-        coreAccountPlugin,
-        coreAccountQueryPlugin,
-        coreConsensusPlugin,
-        coreConsensusQueryPlugin,
-        coreTokenPlugin,
-        coreTokenQueryPlugin,
-      ],
+      plugins: kitPlugins,
     },
   });
 
-  // Response storage and promise management - keyed by original request ID
-  const pendingRequests = new Map();
-  
-  // Listen for responses from specialized agents
-  subscriptionManager.subscribe(client, topicId, (message) => {
-    try {
-      const msg = JSON.parse(Buffer.from(message.contents).toString());
+  // Responses from specialized agents, grouped by correlation id
+  const responseCollector = new ResponseCollector();
 
-      // Route to sub-agents
-      if (msg.sender.account_id !== hotelAgent.accountId) {
-        hotelAgent.handleMessage(msg);
-      }
-      if (msg.sender.account_id !== insuranceAgent.accountId) {
-        insuranceAgent.handleMessage(msg);
-      }
+  // Tool calls and A2A traffic of each chat message, streamed to the page
+  const activity = new AgentActivity();
 
-      // Handle responses for the main agent
-      if (
-        msg.message_type === "response" &&
-        msg.sender.account_id !== process.env.HEDERA_ACCOUNT_ID &&
-        pendingRequests.has(msg.id)
-      ) {
-        const resolver = pendingRequests.get(msg.id);
-        resolver(msg);
-        pendingRequests.delete(msg.id);
-      }
-    } catch (err) {
-      // Ignore parse errors
-    }
-  });
+  // Every message on the topic, ours included. After a restart the topic is
+  // replayed from the last logged message, so requests that were in flight
+  // get their answers recorded and hosted agents answer what they missed.
+  const a2aLog = new A2AMessageLog(
+    storage.collection("a2a_messages"),
+    [process.env.HEDERA_ACCOUNT_ID, ...embedded.map(({ agent }) => agent.accountId)],
+    { bookings: storage.collection("bookings"), policies: storage.collection("policies") },
+  );
+  const replayFrom = a2aLog.resumeTime();
+  const inFlight = a2aLog.awaitingResponse();
+  if (inFlight.length > 0) {
+    console.log(
+      `♻️  ${inFlight.length} request(s) sent before the restart are unanswered - replaying the topic from ${replayFrom.toISOString()}`,
+    );
+  }
 
-  const tools = [
-    ...toolkit.getTools(),
-    new DynamicStructuredTool({
-      name: "book_hotel",
-      description: "Book hotel via A2A and wait for response",
-      schema: z.object({
-        destination: z.string(),
-        checkIn: z.string(),
-        checkOut: z.string(),
-      }),
-      func: async ({ destination, checkIn, checkOut }) => {
-        const msg = new A2AMessage(
-          "request",
-          {
-            service: "hotel_booking",
-            details: { destination, check_in: checkIn, check_out: checkOut },
-          },
-          "main-agent",
-          process.env.HEDERA_ACCOUNT_ID,
-        );
-        await new TopicMessageSubmitTransaction()
-          .setTopicId(topicId)
-          .setMessage(JSON.stringify(msg.toJSON()))
-          .execute(client);
-        
-        // Wait for response (max 10 seconds)
-        const response = await new Promise((resolve) => {
-          pendingRequests.set(msg.id, resolve);
-          setTimeout(() => {
-            pendingRequests.delete(msg.id);
-            resolve({ content: { status: "timeout" } });
-          }, 10000);
-        });
-        
-        if (response.content.status === "timeout") {
-          return "Hotel booking request sent, but no response received yet.";
+  // Listen for responses from specialized agents
+  subscriptionManager.subscribe(
+    transport,
+    createInboundHandler({
+      verifier,
+      onMessage: (msg, topicMessage) => {
+        // Already seen before a restart and answered: nothing left to do
+        if (!a2aLog.record(msg, topicMessage) && a2aLog.answered(msg)) {
+          return;
         }
-        
-        const hotelResponse = response.content;
-        if (hotelResponse.status === "available" && hotelResponse.options) {
-          const option = hotelResponse.options[0];
-          return `Hotel availability confirmed! ${option.room_type} for ${option.total_nights} nights at ${option.total_price} ${option.currency} total (${option.price_per_night} ${option.currency}/night). Booking reference: ${hotelResponse.booking_reference || 'N/A'}`;
+
+        if (msg.sender.account_id !== process.env.HEDERA_ACCOUNT_ID) {
+          activity.received(msg, topicMessage);
         }
-        return "Hotel booking request processed.";
-      },
-    }),
-    new DynamicStructuredTool({
-      name: "get_travel_insurance",
-      description: "Request travel insurance via A2A and wait for response",
-      schema: z.object({
-        tripCost: z.number(),
-        destination: z.string(),
-      }),
-      func: async ({ tripCost, destination }) => {
-        const msg = new A2AMessage(
-          "request",
-          {
-            service: "travel_insurance",
-            trip_cost: tripCost,
-            destination,
-          },
-          "main-agent",
-          process.env.HEDERA_ACCOUNT_ID,
-        );
-        await new TopicMessageSubmitTransaction()
-          .setTopicId(topicId)
-          .setMessage(JSON.stringify(msg.toJSON()))
-          .execute(client);
-        
-        // Wait for response (max 10 seconds)
-        const response = await new Promise((resolve) => {
-          pendingRequests.set(msg.id, resolve);
-          setTimeout(() => {
-            pendingRequests.delete(msg.id);
-            resolve({ content: { status: "timeout" } });
-          }, 10000);
+
+        // Route to provider agents hosted in this process
+        embedded.forEach(({ agent }) => {
+          if (msg.sender.account_id !== agent.accountId) {
+            agent.handleMessage(msg);
+          }
         });
-        
-        if (response.content.status === "timeout") {
-          return "Insurance request sent, but no response received yet.";
-        }
-        
-        const insuranceResponse = response.content;
+
+        // Handle responses (and negotiation replies) for the main agent
         if (
-          insuranceResponse.status === "available" &&
-          insuranceResponse.coverage_options
+          ["response", "negotiation"].includes(msg.message_type) &&
+          msg.sender.account_id !== process.env.HEDERA_ACCOUNT_ID
         ) {
-          const option = insuranceResponse.coverage_options[0];
-          return `Travel insurance quote received! ${option.tier}: ${option.premium} ${option.currency} for coverage including ${option.benefits.join(", ")}. Policy reference: ${insuranceResponse.policy_reference || 'N/A'}`;
+          responseCollector.offer(msg);
         }
-        return "Insurance request processed.";
       },
     }),
-  ];
+    { startTime: replayFrom },
+  );
+
+  // Network writes and payments over AUTO_PAYMENT_THRESHOLD wait for a human
+  const approvals = new ApprovalQueue(storage.collection("approvals"));
+
+  // Limits on everything that moves value; unless SPEND_ALLOWED_RECIPIENTS
+  // says otherwise, value only goes to the provider agents
+  const spending = new SpendingPolicy(storage.collection("spending")).allowRecipients(
+    process.env.HOTEL_ACCOUNT_ID,
+    process.env.INSURANCE_ACCOUNT_ID,
+    process.env.FLIGHT_ACCOUNT_ID,
+    process.env.CAR_RENTAL_ACCOUNT_ID,
+  );
+
+  const sender = { agent_id: "main-agent", account_id: process.env.HEDERA_ACCOUNT_ID };
+  // Sessions signing in the browser pay for travel from their own account
+  const browserPayers = new Map(); // sessionId -> browserPayer
+  // travelTools(conversationId, sessionId): quotes, offers, negotiations and
+  // trips belong to the conversation (the session's own, or its trip room)
+  const travelTools = createTravelTools({
+    transport: activity.observe(transport),
+    responseCollector,
+    sender,
+    privateKey,
+    ledger,
+    escrow,
+    approvals,
+    spendingPolicy: spending,
+    storage,
+    present: (card) => activity.present(card),
+    payerFor: (sessionId) => browserPayers.get(sessionId) || null,
+  });
+  // Kit tools spend from the budget of the session that calls them (every
+  // session pays from our one account, so SPEND_USER_BUDGETS is per session);
+  // write tools are parked on its behalf
+  const budgetedKitTools = (sessionId) =>
+    enforceSpendingPolicy(toolkit.getTools(), spending, sessionId);
+  runApprovedToolCalls(approvals, budgetedKitTools);
+  const kitTools = (sessionId) =>
+    gateWriteTools(budgetedKitTools(sessionId), approvals, process.env.HEDERA_ACCOUNT_ID, {
+      precheck: (toolName, args) => toolCallDenial(spending, sessionId, toolName, args),
+      owner: sessionId,
+      registerExecutor: false,
+    });
+
+  // discover_agents and a tool for every service discovered agents offer
+  // beyond hotels, flights and insurance; rebuilt as cards come and go
+  const discoveryTools = () =>
+    createDiscoveryTools({
+      registry,
+      transport: activity.observe(transport),
+      responseCollector,
+      sender,
+      privateKey,
+      handledServices: TRAVEL_TOOL_SERVICES,
+    });
 
   const prompt = ChatPromptTemplate.fromMessages([
     [
       "system",
-      "You are a Hedera-enabled AI travel agent with hotel and insurance assistants.",
+      "You are a Hedera-enabled AI travel agent with hotel, flight and insurance assistants. For a whole trip, use plan_trip to assemble flight, hotel and insurance together, let the user swap parts with swap_trip_component, and book it all at once with book_trip once they accept. Single flights are booked with book_flight (search first, then book a quote); insurance quotes after a flight booking use its fare as the trip cost. Other provider agents can join at any time: call discover_agents to see who offers what, then use the tool it names for each service.",
     ],
     ["placeholder", "{chat_history}"],
     ["human", "{input}"],
     ["placeholder", "{agent_scratchpad}"],
   ]);
 
-  const agent = await createToolCallingAgent({ llm, tools, prompt });
-  const agentExecutor = new AgentExecutor({ agent, tools });
+  const createExecutor = async (tools) =>
+    new AgentExecutor({
+      agent: await createToolCallingAgent({ llm, tools, prompt }),
+      tools,
+    });
+  const createAgentExecutor = (sessionId, conversationId) =>
+    createExecutor([
+      ...kitTools(sessionId),
+      ...travelTools(conversationId, sessionId),
+      ...discoveryTools(),
+    ]);
+
+  // RETURN_BYTES sessions: the kit prepares transactions for the user's own
+  // account and the page signs them, so no approval queue or spending policy
+  // applies. Travel payments are signed by the user too (browserPayers).
+  function createBrowserSigningExecutor(sessionId, conversationId, accountId, bridge) {
+    const userToolkit = new HederaLangchainToolkit({
+      client,
+      configuration: {
+        plugins: kitPlugins,
+        context: { mode: AgentMode.RETURN_BYTES, accountId },
+      },
+    });
+    return createExecutor([
+      ...signInBrowser(userToolkit.getTools(), bridge),
+      ...travelTools(conversationId, sessionId),
+      ...discoveryTools(),
+    ]);
+  }
   console.log(
     "✅ Smart AI Agent initialized and ready for WebSocket connections\n",
   );
 
   // --- WebSocket Chat Interface ---
-  wss.on("connection", (ws) => {
+  // Chat messages only go to the sockets of the conversation they belong to:
+  // a session's own, or the trip room it has joined
+  const conversations = new Map(); // session or room id -> open sockets
+  const sendToConversation = (conversationId, payload, except = null) =>
+    (conversations.get(conversationId) || []).forEach((client) => {
+      if (client !== except && client.readyState === WebSocket.OPEN) {
+        client.send(JSON.stringify(payload));
+      }
+    });
+
+  // Approval cards go to the conversation of the session that parked the
+  // action (its room, while it is in one); only that session may decide them
+  const approvalConversation = (approval) =>
+    approval.owner ? sessions.conversationOf(approval.owner) : null;
+  const showApproval = (approval) =>
+    sendToConversation(approvalConversation(approval), { type: "approval", approval });
+  approvals.on("parked", showApproval);
+  approvals.on("decided", showApproval);
+  const describeRoom = (room) =>
+    room && {
+      room_id: room.room_id,
+      name: room.name,
+      invite_code: room.invite_code,
+      members: room.members.map((id) => sessions.get(id)?.display_name || "guest"),
+    };
+
+  wss.on("connection", (ws, req) => {
     console.log("Client connected via WebSocket");
-    const chatHistory = [];
+    // Clients connect with ?session=<token> from an earlier session_started
+    // to pick their conversation up again after a reconnect or restart;
+    // without a token we know, a new session is issued
+    const token = new URL(req.url, "http://localhost").searchParams.get("session");
+    let session = sessions.authenticate(token);
+    if (session) {
+      const room = sessions.roomOf(session.session_id);
+      ws.send(
+        JSON.stringify({
+          type: "session_resumed",
+          session_id: session.session_id,
+          room: describeRoom(room),
+          messages: sessions.transcript(room ? room.room_id : session.session_id),
+        }),
+      );
+    } else {
+      const issued = sessions.issue({ interface: "web" });
+      session = issued.session;
+      ws.send(
+        JSON.stringify({
+          type: "session_started",
+          session_id: session.session_id,
+          token: issued.token,
+          replaced: Boolean(token),
+        }),
+      );
+    }
+    const sessionId = session.session_id;
+
+    let conversation = null;
+    const enter = (conversationId) => {
+      conversations.get(conversation)?.delete(ws);
+      if (conversations.get(conversation)?.size === 0) conversations.delete(conversation);
+      conversation = conversationId;
+      if (!conversation) return;
+      if (!conversations.has(conversation)) conversations.set(conversation, new Set());
+      conversations.get(conversation).add(ws);
+    };
+    enter(sessions.conversationOf(sessionId));
+
+    // Joins and leaves show up in the room's transcript for everyone
+    const announce = (roomId, content) => {
+      sessions.append(roomId, "system", content);
+      sendToConversation(roomId, { sender: "system", content }, ws);
+    };
+    const displayName = () => sessions.get(sessionId).display_name || "guest";
+
+    // A user message goes into the conversation's transcript and to its
+    // other sockets (the other members of a room, or the same session open
+    // in another tab) straight away
+    const post = (content, except) => {
+      const target = conversation;
+      const inRoom = target !== sessionId;
+      const author = inRoom ? { author: displayName(), session_id: sessionId } : {};
+      const chatHistory = sessions.chatHistory(target);
+      sessions.append(target, "user", content, author);
+      sendToConversation(target, { sender: "user", content, ...author }, except);
+      return { target, inRoom, author, chatHistory };
+    };
 
+    // Tokens, tool calls, A2A messages and cards stream to the conversation
+    // as they happen (see lib/agent-activity.js), ending with final or error;
+    // the reply and its cards go into the transcript
+    const respond = async (target, work) => {
+      const { output, cards } = await activity.run(
+        (event) => sendToConversation(target, event),
+        work,
+      );
+      if (output !== undefined) {
+        sessions.append(target, "agent", output, cards.length > 0 ? { cards } : {});
+      }
+    };
+
+    // Every session gets its own executor (browser signing sessions one that
+    // prepares transactions for the user's account), rebuilt when the
+    // registry has changed since it was made or the session has moved to
+    // another conversation (possibly from another tab)
+    let signingAccount = null;
+    let sessionExecutor = null;
+    const currentExecutor = async () => {
+      const conversationId = sessions.conversationOf(sessionId);
+      if (
+        sessionExecutor?.version !== registry.version ||
+        sessionExecutor.conversation !== conversationId
+      ) {
+        sessionExecutor = {
+          version: registry.version,
+          conversation: conversationId,
+          executor: signingAccount
+            ? await createBrowserSigningExecutor(sessionId, conversationId, signingAccount, bridge)
+            : await createAgentExecutor(sessionId, conversationId),
+        };
+      }
+      return sessionExecutor.executor;
+    };
+    const bridge = new SigningBridge(
+      (payload) => ws.send(JSON.stringify(payload)),
+      client,
+    );
+    // Another tab of the same session may have switched to signing since
+    let payer = null;
+    const dropPayer = () => {
+      if (browserPayers.get(sessionId) === payer) browserPayers.delete(sessionId);
+      payer = null;
+    };
+    const showPending = () =>
+      approvals
+        .pending()
+        .filter((approval) => approvalConversation(approval) === conversation)
+        .forEach((approval) => ws.send(JSON.stringify({ type: "approval", approval })));
+    showPending();
+
+    // A message that fails (a bad invite code, an executor that cannot be
+    // built, a store write) is answered with an error instead of being lost
     ws.on("message", async (raw) => {
       let msg;
       try {
@@ -415,28 +580,155 @@ app.use(express.static(path.join(__dirname, "public")));
       } catch {
         msg = { type: "input", content: raw.toString() };
       }
+      try {
+        await handleClientMessage(msg);
+      } catch (err) {
+        console.error(`❌ ${msg?.type || "message"} from session ${sessionId} failed:`, err.message);
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ sender: "error", content: `Something went wrong: ${err.message}` }));
+        }
+      }
+    });
 
-      if (msg.type === "input" && msg.content) {
-        const response = await agentExecutor.invoke({
-          input: msg.content,
-          chat_history: chatHistory,
-        });
+    async function handleClientMessage(msg) {
+      // { type: "approval_decision", id, decision: "approve" | "reject", reason? }
+      if (msg.type === "approval_decision") {
+        if (approvals.get(msg.id) && approvals.get(msg.id).owner !== sessionId) {
+          ws.send(JSON.stringify({ sender: "error", content: `Approval ${msg.id} was not requested by this session` }));
+          return;
+        }
+        const decided =
+          msg.decision === "approve"
+            ? await approvals.approve(msg.id, "web")
+            : approvals.reject(msg.id, "web", msg.reason);
+        if (!decided.id) {
+          ws.send(JSON.stringify({ sender: "error", content: decided.error }));
+        }
+        return;
+      }
 
-        chatHistory.push(new HumanMessage(msg.content));
-        chatHistory.push(new AIMessage(response.output));
+      // Trip rooms, answered with { type: "room", room, messages }:
+      // { type: "create_room", name?, display_name? }
+      // { type: "join_room", invite_code, display_name? }
+      // { type: "leave_room" }
+      if (["create_room", "join_room", "leave_room"].includes(msg.type)) {
+        if (msg.display_name) {
+          sessions.update(sessionId, { display_name: String(msg.display_name).slice(0, 40) });
+        }
+        const previous = sessions.roomOf(sessionId);
+        let room = null;
+        if (msg.type === "create_room") {
+          room = sessions.createRoom(sessionId, msg.name);
+        } else if (msg.type === "join_room") {
+          room = sessions.joinRoom(sessionId, msg.invite_code);
+          if (room.error) {
+            ws.send(JSON.stringify({ sender: "error", content: room.error }));
+            return;
+          }
+        } else {
+          sessions.leaveRoom(sessionId);
+        }
 
-        ws.send(JSON.stringify({ sender: "agent", content: response.output }));
+        if (previous && previous.room_id !== room?.room_id) {
+          announce(previous.room_id, `${displayName()} left the room`);
+        }
+        enter(sessions.conversationOf(sessionId));
+        if (room && msg.type === "join_room" && previous?.room_id !== room.room_id) {
+          announce(room.room_id, `${displayName()} joined the room`);
+        }
+        ws.send(
+          JSON.stringify({
+            type: "room",
+            room: describeRoom(room),
+            messages: sessions.transcript(conversation),
+          }),
+        );
+        showPending();
+        return;
       }
 
-      // broadcast to other clients (no echo)
-      wss.clients.forEach((client) => {
-        if (client !== ws && client.readyState === WebSocket.OPEN) {
-          client.send(JSON.stringify({ sender: "user", content: msg.content }));
+      // { type: "session", mode: "return_bytes", accountId } to sign in the
+      // browser, { type: "session", mode: "autonomous" } to go back
+      if (msg.type === "session") {
+        if (msg.mode === "return_bytes") {
+          let accountId;
+          try {
+            accountId = AccountId.fromString(msg.accountId).toString();
+          } catch {
+            ws.send(JSON.stringify({ sender: "error", content: `Invalid account id ${msg.accountId}` }));
+            return;
+          }
+          signingAccount = accountId;
+          sessionExecutor = null;
+          browserPayers.set(sessionId, payer = browserPayer(client, accountId, bridge));
+          ws.send(JSON.stringify({ type: "session", mode: "return_bytes", accountId }));
+          ws.send(
+            JSON.stringify({
+              sender: "system",
+              content: `Transactions are now prepared for ${accountId} and signed in this browser.`,
+            }),
+          );
+        } else {
+          signingAccount = null;
+          sessionExecutor = null;
+          dropPayer();
+          bridge.cancelAll();
+          ws.send(JSON.stringify({ type: "session", mode: "autonomous" }));
+          ws.send(
+            JSON.stringify({
+              sender: "system",
+              content: "Transactions are executed by the agent account again.",
+            }),
+          );
         }
-      });
-    });
+        return;
+      }
+
+      // { type: "signed", id, signedBytes | transactionId | declined }
+      if (msg.type === "signed") {
+        await bridge.handle(msg);
+        return;
+      }
+
+      // { type: "command", command, ...arguments } from a button on a card:
+      // runs the tool it stands for without the model (CARD_COMMANDS in
+      // lib/travel-tools.js), under the same approvals and spending policy
+      if (msg.type === "command") {
+        const command = CARD_COMMANDS[msg.command];
+        const tool = command && travelTools(sessions.conversationOf(sessionId), sessionId).find((t) => t.name === command.tool);
+        if (!tool) {
+          ws.send(JSON.stringify({ sender: "error", content: `Unknown command ${msg.command}` }));
+          return;
+        }
+        const { target } = post(command.describe(msg), null);
+        await respond(target, (run) =>
+          tool.invoke(command.args(msg), { callbacks: [activity.callbacks(run)] }),
+        );
+        return;
+      }
 
-    ws.on("close", () => console.log("Client disconnected"));
+      if (msg.type === "input" && msg.content) {
+        const { target, inRoom, author, chatHistory } = post(msg.content, ws);
+        const executor = await currentExecutor();
+        await respond(target, async (run) => {
+          const response = await executor.invoke(
+            {
+              input: inRoom ? `${author.author}: ${msg.content}` : msg.content,
+              chat_history: chatHistory,
+            },
+            { callbacks: [activity.callbacks(run)] },
+          );
+          return response.output;
+        });
+      }
+    }
+
+    ws.on("close", () => {
+      enter(null);
+      dropPayer();
+      bridge.cancelAll();
+      console.log("Client disconnected");
+    });
   });
 
   const PORT = process.env.PORT || 3000;
@@ -448,7 +740,22 @@ app.use(express.static(path.join(__dirname, "public")));
   process.on('SIGINT', () => {
     console.log('\nGracefully shutting down...');
     subscriptionManager.unsubscribe();
+    responseCollector.cancelAll();
+    approvals.stop();
+    registry.stop();
+    transport.close();
+    registryTransport.close();
+    embedded.forEach(({ agent, connection, card }) => {
+      card.stop();
+      agent.stop?.();
+      if (connection.client) {
+        connection.transport.close();
+        connection.registry.close();
+        connection.client.close();
+      }
+    });
     server.close(() => {
+      storage.close();
       console.log('Server closed.');
       process.exit(0);
     });
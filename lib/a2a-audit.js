@@ -0,0 +1,84 @@
+// a2a-audit.js - Decision trail of an A2A topic: every message decoded,
+// checked and grouped into the conversation it belongs to
+const { A2AValidationError, decodeMessage, correlationIdOf } = require("./a2a-protocol");
+
+// Raw contents of a malformed message are cut to this many characters
+const RAW_PREVIEW = 500;
+
+// status: "verified", "malformed" (not a valid A2A message), or why the
+// signature check failed: "unsigned", "unknown_sender" or "forged"
+async function auditMessage(topicMessage, verifier) {
+  const entry = {
+    sequence_number: topicMessage.sequenceNumber,
+    consensus_timestamp: new Date(topicMessage.consensusTimestamp).toISOString(),
+    payer: topicMessage.payer || null,
+  };
+
+  let msg;
+  try {
+    msg = decodeMessage(topicMessage.contents);
+  } catch (err) {
+    if (!(err instanceof A2AValidationError)) throw err;
+    const raw = Buffer.from(topicMessage.contents).toString();
+    return {
+      ...entry,
+      status: "malformed",
+      problem: err.message,
+      raw: raw.length > RAW_PREVIEW ? `${raw.slice(0, RAW_PREVIEW)}…` : raw,
+    };
+  }
+
+  const check = await verifier.check(msg);
+  return {
+    ...entry,
+    status: check.valid ? "verified" : check.type,
+    problem: check.valid ? null : check.reason,
+    id: msg.id,
+    correlation_id: correlationIdOf(msg),
+    in_reply_to: msg.in_reply_to || null,
+    message_type: msg.message_type,
+    protocol_version: msg.protocol_version,
+    sender: msg.sender,
+    content: msg.content,
+  };
+}
+
+// { topic_id, total, flagged, conversations: [{ correlation_id, started_at,
+// last_at, participants, message_types, flagged, messages }], malformed }
+// Conversations are listed newest first, their messages in topic order.
+async function auditTopic(topicId, topicMessages, verifier) {
+  const entries = [];
+  for (const topicMessage of topicMessages) {
+    entries.push(await auditMessage(topicMessage, verifier));
+  }
+
+  const byCorrelation = new Map();
+  entries
+    .filter((entry) => entry.status !== "malformed")
+    .forEach((entry) => {
+      if (!byCorrelation.has(entry.correlation_id)) {
+        byCorrelation.set(entry.correlation_id, []);
+      }
+      byCorrelation.get(entry.correlation_id).push(entry);
+    });
+
+  const conversations = [...byCorrelation].map(([correlationId, messages]) => ({
+    correlation_id: correlationId,
+    started_at: messages[0].consensus_timestamp,
+    last_at: messages[messages.length - 1].consensus_timestamp,
+    participants: [...new Set(messages.map((m) => m.sender.agent_id))],
+    message_types: [...new Set(messages.map((m) => m.message_type))],
+    flagged: messages.filter((m) => m.status !== "verified").length,
+    messages,
+  }));
+
+  return {
+    topic_id: topicId,
+    total: entries.length,
+    flagged: entries.filter((entry) => entry.status !== "verified").length,
+    conversations: conversations.reverse(),
+    malformed: entries.filter((entry) => entry.status === "malformed"),
+  };
+}
+
+module.exports = { auditTopic, auditMessage };
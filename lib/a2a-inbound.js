@@ -0,0 +1,36 @@
+// a2a-inbound.js - Decode and verify raw topic messages before routing them
+const { A2AValidationError, decodeMessage } = require("./a2a-protocol");
+const { ReplayGuard } = require("./a2a-security");
+
+// Returns a transport subscriber that hands onMessage(msg, topicMessage) only
+// well-formed messages whose signature matches the claimed sender, each once.
+// Every subscriber remembers what it accepted on its own: two subscriptions
+// to one topic both see each message.
+function createInboundHandler({ verifier, onMessage, replayGuard = new ReplayGuard() }) {
+  return async (topicMessage) => {
+    let msg;
+    try {
+      msg = decodeMessage(topicMessage.contents);
+    } catch (err) {
+      if (!(err instanceof A2AValidationError)) throw err;
+      console.warn(
+        `⚠️  Dropped malformed A2A message (seq ${topicMessage.sequenceNumber}): ${err.message}`
+      );
+      return;
+    }
+
+    // Unsigned or forged messages never reach the agents or the resolver
+    if (!(await verifier.verify(msg))) {
+      return;
+    }
+    const fresh = replayGuard.admit(msg, topicMessage);
+    if (!fresh.valid) {
+      verifier.reject(fresh.type, msg, fresh.reason);
+      return;
+    }
+
+    await onMessage(msg, topicMessage);
+  };
+}
+
+module.exports = { createInboundHandler };
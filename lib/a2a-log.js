@@ -0,0 +1,221 @@
+// a2a-log.js - Persistent log of the A2A traffic an agent has seen, for audits and restart recovery
+const { correlationIdOf } = require("./a2a-protocol");
+
+// How far back a restarted agent replays the topic at most, and how long
+// entries are kept
+const REPLAY_LIMIT_MS = parseInt(process.env.A2A_REPLAY_MINUTES || "60", 10) * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+// Messages of other conversations kept in memory in case we answer them
+const UNRELATED_LIMIT = 200;
+
+// Messages we send that a provider is expected to answer
+const AWAITED_TYPES = ["request", "booking", "policy", "claim", "payment"];
+
+// store: collection of log entries keyed by topic position, ownAccounts:
+// accounts whose messages count as sent by us (the agent and any agents it
+// hosts), records: optional { bookings, policies } collections that keep the
+// latest copy of every booking and policy providers send us.
+//
+// Only conversations one of our accounts takes part in are logged: what we
+// send, and everything in a conversation we started or answered (a request
+// is logged once we reply to it). Other agents' traffic on the shared topic
+// is not kept, and entries older than A2A_REPLAY_MINUTES are dropped.
+class A2AMessageLog {
+  constructor(store, ownAccounts, records = {}) {
+    this.store = store;
+    this.ownAccounts = new Set(ownAccounts.filter(Boolean));
+    this.bookings = records.bookings || null;
+    this.policies = records.policies || null;
+
+    this.unrelated = new Map(); // message id -> { message, topicMessage }
+    this.prunedAt = 0;
+    this.reindex();
+  }
+
+  // Ids of messages we have replied to, conversations we started or sent
+  // to, and our requests still waiting
+  reindex() {
+    this.repliedTo = new Set();
+    this.started = new Set(); // correlation ids
+    this.conversations = new Set(); // correlation ids
+    this.awaiting = new Map(); // correlation id -> log key
+    this.store.values().forEach((entry) => this.index(entry));
+  }
+
+  index(entry) {
+    if (entry.direction !== "sent") return;
+    this.conversations.add(entry.correlation_id);
+    if (entry.in_reply_to) this.repliedTo.add(entry.in_reply_to);
+    else this.started.add(entry.correlation_id);
+    if (entry.status === "awaiting_response") this.awaiting.set(entry.correlation_id, entry.key);
+  }
+
+  // True when one of our accounts sent the message
+  isOwn(message) {
+    return this.ownAccounts.has(message.sender.account_id);
+  }
+
+  // True when the message is ours or belongs to a conversation we sent to
+  concerns(message) {
+    return this.isOwn(message) || this.conversations.has(correlationIdOf(message));
+  }
+
+  // Topic position when the message has been read back from the topic, the
+  // message id when it is only known from our own submit
+  static keyOf(message, topicMessage) {
+    return topicMessage?.sequenceNumber
+      ? `${topicMessage.topicId}:${topicMessage.sequenceNumber}`
+      : `${message.id}:${message.sender.account_id}`;
+  }
+
+  // Log a message read from (or submitted to) the topic. Returns false when
+  // it was logged or answered before, i.e. it is being replayed after a restart.
+  record(message, topicMessage) {
+    const key = A2AMessageLog.keyOf(message, topicMessage);
+    if (this.store.has(key)) return false;
+
+    if (!this.concerns(message)) {
+      this.unrelated.set(message.id, { message, topicMessage });
+      if (this.unrelated.size > UNRELATED_LIMIT) {
+        this.unrelated.delete(this.unrelated.keys().next().value);
+      }
+      return !this.answered(message);
+    }
+    // Our reply makes the request it answers part of our log
+    const original = this.unrelated.get(message.in_reply_to);
+    if (original && this.isOwn(message)) {
+      this.unrelated.delete(message.in_reply_to);
+      this.log(original.message, original.topicMessage);
+    }
+    this.log(message, topicMessage);
+    this.prune();
+    return true;
+  }
+
+  log(message, topicMessage) {
+    const key = A2AMessageLog.keyOf(message, topicMessage);
+    const direction = this.isOwn(message) ? "sent" : "received";
+    const entry = {
+      key,
+      id: message.id,
+      correlation_id: correlationIdOf(message),
+      in_reply_to: message.in_reply_to,
+      message_type: message.message_type,
+      direction,
+      sender: message.sender,
+      content: message.content,
+      topic_id: topicMessage?.topicId || null,
+      sequence_number: topicMessage?.sequenceNumber || null,
+      consensus_timestamp: topicMessage?.consensusTimestamp
+        ? new Date(topicMessage.consensusTimestamp).toISOString()
+        : null,
+      logged_at: new Date().toISOString(),
+      ...(direction === "sent" &&
+        AWAITED_TYPES.includes(message.message_type) &&
+        !message.in_reply_to && { status: "awaiting_response" }),
+    };
+    this.store.set(key, entry);
+    this.index(entry);
+
+    if (direction === "received") {
+      this.answer(entry);
+    }
+  }
+
+  // Drop entries logged more than A2A_REPLAY_MINUTES ago; they are no longer
+  // replayed, so nothing needs them to recognise a message. Runs at most once
+  // a minute.
+  prune(now = Date.now()) {
+    if (now - this.prunedAt < PRUNE_INTERVAL_MS) return;
+    this.prunedAt = now;
+    const stale = this.store.filter((entry) => Date.parse(entry.logged_at) < now - REPLAY_LIMIT_MS);
+    if (stale.length === 0) return;
+    stale.forEach((entry) => this.store.delete(entry.key));
+    this.reindex();
+  }
+
+  // A provider's reply closes our request and carries its latest records
+  answer(entry) {
+    const requestKey = this.awaiting.get(entry.correlation_id);
+    if (!requestKey) return;
+    const request = this.store.get(requestKey);
+    this.store.set(requestKey, {
+      ...request,
+      status: "answered",
+      answered_by: entry.sender,
+      answered_at: entry.logged_at,
+    });
+    this.awaiting.delete(entry.correlation_id);
+
+    const { booking, policy } = entry.content;
+    if (booking?.booking_reference) {
+      this.bookings?.set(booking.booking_reference, { ...booking, provider: entry.sender });
+    }
+    if (policy?.policy_reference) {
+      this.policies?.set(policy.policy_reference, { ...policy, provider: entry.sender });
+    }
+  }
+
+  // True when one of our accounts has already replied to the message
+  answered(message) {
+    return this.repliedTo.has(message.id);
+  }
+
+  // True when the message belongs to a conversation one of our accounts started
+  involves(message) {
+    return this.started.has(correlationIdOf(message));
+  }
+
+  // The option `accountId` quoted us as quoteId in a conversation we started, or null
+  quoteFrom(accountId, quoteId, correlationId) {
+    if (!quoteId || !this.started.has(correlationId)) return null;
+    const find = (value) => {
+      if (!value || typeof value !== "object") return null;
+      if (value.quote_id === quoteId) return value;
+      for (const nested of Object.values(value)) {
+        const found = find(nested);
+        if (found) return found;
+      }
+      return null;
+    };
+    for (const entry of this.store.filter(
+      (e) =>
+        e.direction === "received" &&
+        e.correlation_id === correlationId &&
+        e.sender.account_id === accountId,
+    )) {
+      const quote = find(entry.content);
+      if (quote) return quote;
+    }
+    return null;
+  }
+
+  // The latest reply accountId sent in a conversation, or null
+  replyFrom(accountId, correlationId) {
+    const replies = this.store.filter(
+      (e) => e.in_reply_to && e.correlation_id === correlationId && e.sender.account_id === accountId,
+    );
+    return replies[replies.length - 1] || null;
+  }
+
+  awaitingResponse() {
+    return [...this.awaiting.values()].map((key) => this.store.get(key));
+  }
+
+  entries() {
+    return this.store.values();
+  }
+
+  // Where a subscription should start after a restart: at the last message
+  // logged (which record() then skips), but no further back than A2A_REPLAY_MINUTES
+  resumeTime(now = Date.now()) {
+    const last = this.store.values().reduce((latest, entry) => {
+      const at = entry.consensus_timestamp ? Date.parse(entry.consensus_timestamp) : 0;
+      return Math.max(latest, at);
+    }, 0);
+    if (!last) return new Date(now);
+    return new Date(Math.max(last, now - REPLAY_LIMIT_MS));
+  }
+}
+
+module.exports = { A2AMessageLog, AWAITED_TYPES };
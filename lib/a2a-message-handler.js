@@ -0,0 +1,358 @@
+// a2a-message-handler.js - Sends and processes A2A messages for the CLI agent
+const { A2AMessage, correlationIdOf } = require("./a2a-protocol");
+const { createInboundHandler } = require("./a2a-inbound");
+const { settlementSummary } = require("./payments");
+const { A2AMessageLog } = require("./a2a-log");
+const { createStorage } = require("./storage");
+
+// A2A Message Handler
+class A2AMessageHandler {
+  constructor(
+    transport,
+    agentExecutor,
+    privateKey,
+    verifier,
+    payments = null,
+    negotiations = null,
+    approvals = null,
+    messageLog = null
+  ) {
+    this.transport = transport;
+    this.agentExecutor = agentExecutor;
+    this.privateKey = privateKey;
+    this.verifier = verifier;
+    this.payments = payments; // PaymentService settling payment requests
+    this.negotiations = negotiations; // NegotiationBook for our open negotiations
+    this.approvals = approvals; // ApprovalQueue for payments over the threshold
+    this.paymentRequests = new Set(); // quote references paid or parked in this run
+    // Every message sent and received, kept across restarts when persisted
+    this.messageLog =
+      messageLog ||
+      new A2AMessageLog(createStorage({ kind: "memory" }).collection("a2a_messages"), []);
+
+    if (approvals && payments) {
+      approvals.registerExecutor("payment", async (payment) =>
+        settlementSummary(await payments.pay(payment))
+      );
+      // A parked payment turned down (or never decided) can be asked for again
+      approvals.on("decided", (entry) => {
+        if (entry.kind === "payment" && entry.status !== "executed") {
+          this.paymentRequests.delete(entry.details.reference);
+        }
+      });
+    }
+  }
+
+  // Send A2A message via the configured transport (HCS in production)
+  async sendMessage(message) {
+    try {
+      // Sign, validate and convert message to JSON string for HCS
+      if (!message.signature) {
+        message.sign(this.privateKey);
+      }
+      const messageJson = message.serialize();
+
+      console.log(
+        `\n📤 Sending A2A Message to Topic ${this.transport.topicId}`
+      );
+      console.log(`   Type: ${message.message_type}`);
+      console.log(`   ID: ${message.id}`);
+
+      const receipt = await this.transport.submit(messageJson);
+
+      console.log(`   ✅ Message sent! Sequence: ${receipt.sequenceNumber}`);
+      console.log(`   Transaction: ${receipt.transactionId}\n`);
+
+      this.messageLog.record(message, receipt);
+
+      return receipt;
+    } catch (error) {
+      console.error(`❌ Failed to send A2A message:`, error.message);
+      throw error;
+    }
+  }
+
+  // Subscribe to the topic. Only well-formed messages with a valid signature,
+  // each seen once, reach handleIncomingMessage. After a restart the topic is
+  // replayed from the last message logged.
+  listen(options = {}) {
+    this.subscription = this.transport.subscribe(
+      createInboundHandler({
+        verifier: this.verifier,
+        onMessage: (msg, topicMessage) =>
+          this.handleIncomingMessage(msg, topicMessage),
+      }),
+      { startTime: options.startTime || this.messageLog.resumeTime() }
+    );
+    return this;
+  }
+
+  stop() {
+    this.subscription?.unsubscribe();
+  }
+
+  // Process a decoded and verified A2A message from the topic
+  async handleIncomingMessage(a2aMessage, topicMessage) {
+    try {
+      const isNew = this.messageLog.record(a2aMessage, topicMessage);
+
+      // Our own messages come back from the topic as well
+      if (this.messageLog.isOwn(a2aMessage)) {
+        return null;
+      }
+      // Replayed after a restart: only requests we never answered are left
+      if (
+        !isNew &&
+        (a2aMessage.message_type !== "request" ||
+          this.messageLog.answered(a2aMessage))
+      ) {
+        return null;
+      }
+
+      console.log(`\n📥 Received A2A Message`);
+      console.log(`   From: ${a2aMessage.sender.agent_id}`);
+      console.log(`   Type: ${a2aMessage.message_type}`);
+      console.log(`   ID: ${a2aMessage.id}\n`);
+
+      // Route message based on type
+      switch (a2aMessage.message_type) {
+        case "request":
+          return await this.handleRequest(a2aMessage);
+        case "response":
+          return this.handleResponse(a2aMessage);
+        case "negotiation":
+          return await this.handleNegotiation(a2aMessage);
+        case "payment":
+          return await this.handlePayment(a2aMessage);
+        case "capability":
+          console.log(
+            `   📇 ${a2aMessage.sender.agent_id} offers ${a2aMessage.content.services.map((s) => s.service).join(", ")}`
+          );
+          return null;
+        case "error":
+          console.log(
+            `   ⚠️  Agent reported error ${a2aMessage.content.code}: ${a2aMessage.content.message}`
+          );
+          return null;
+        default:
+          console.log(
+            `   ⚠️  Unknown message type: ${a2aMessage.message_type}`
+          );
+          return null;
+      }
+    } catch (error) {
+      console.error(`❌ Error handling incoming message:`, error.message);
+      return null;
+    }
+  }
+
+  async handleRequest(message) {
+    // Requests naming a service are for the provider agents offering it
+    if (message.content.service) {
+      console.log(`   ↪️  ${message.content.service} request - left to its providers`);
+      return null;
+    }
+    console.log(`   🤖 Processing request with AI agent...`);
+
+    // Use the Hedera agent to process the request
+    const response = await this.agentExecutor.invoke({
+      input: `A2A Request from ${message.sender.agent_id}: ${JSON.stringify(
+        message.content
+      )}`,
+    });
+
+    // Send response
+    const responseMessage = new A2AMessage("response", {
+      request_id: message.id, // kept for 1.0 agents
+      response: response.output,
+    }).replyTo(message);
+
+    await this.sendMessage(responseMessage);
+    return responseMessage;
+  }
+
+  // Answers to what we sent ("a2a send"); other agents' conversations are not ours to show
+  handleResponse(message) {
+    if (!this.messageLog.involves(message)) {
+      return null;
+    }
+    const { response, status } = message.content;
+    console.log(
+      `   💬 Reply to ${message.in_reply_to || message.correlation_id}${
+        status ? ` (${status})` : ""
+      }: ${typeof response === "string" ? response : JSON.stringify(message.content)}\n`
+    );
+    return message;
+  }
+
+  async handleNegotiation(message) {
+    const { negotiation_id, action, round, price, currency } = message.content;
+    console.log(
+      `   💬 Negotiation ${negotiation_id || "(free-form)"}: ${action || "offer"}${
+        price !== undefined ? ` ${price} ${currency}` : ""
+      }${round ? ` (round ${round})` : ""}`
+    );
+
+    // Only structured negotiations we opened get an answer, and only from
+    // the provider we opened them with
+    const opened = negotiation_id && this.negotiations?.get(negotiation_id);
+    if (opened && opened.provider && opened.provider !== message.sender.account_id) {
+      console.log(
+        `   🚫 ${message.sender.account_id} is not part of negotiation ${negotiation_id}`
+      );
+      return null;
+    }
+    const reply = opened && this.negotiations.respond(message.content);
+    if (!reply) {
+      const session = negotiation_id && this.negotiations?.get(negotiation_id);
+      if (session && session.status !== "open") {
+        console.log(`   🤝 Negotiation ${negotiation_id} ${session.status}`);
+      }
+      return null;
+    }
+
+    const replyMessage = new A2AMessage("negotiation", reply).replyTo(message);
+    await this.sendMessage(replyMessage);
+    return replyMessage;
+  }
+
+  // Why a payment request must not be paid, or null. Only counterparties on
+  // the spending allow-list may ask, only for their own account, and only for
+  // an option they quoted us in a conversation we started, at most at its price.
+  paymentRefusal(message) {
+    const { sender, content } = message;
+    if (!this.payments.policy?.listed(sender.account_id)) {
+      return `${sender.account_id} is not a known counterparty (SPEND_ALLOWED_RECIPIENTS)`;
+    }
+    if (content.recipient !== sender.account_id) {
+      return `${sender.agent_id} asks for payment to another account (${content.recipient})`;
+    }
+    const quote = this.messageLog.quoteFrom(
+      sender.account_id,
+      content.reference,
+      correlationIdOf(message)
+    );
+    if (!quote) {
+      return `no quote ${content.reference || "(none given)"} from ${sender.agent_id} in a conversation we started`;
+    }
+    const quoted = parseFloat(quote.total_price ?? quote.premium);
+    if (!(parseFloat(content.amount) <= quoted)) {
+      return `${content.amount} ${content.currency} is more than the ${quoted} quoted for ${content.reference}`;
+    }
+    if (
+      this.paymentRequests.has(content.reference) ||
+      this.paidFor(content.reference) ||
+      this.parkedFor(content.reference)
+    ) {
+      return `${content.reference} has already been paid or is waiting for approval`;
+    }
+    return null;
+  }
+
+  // True when a payment for the reference is still waiting for approval,
+  // possibly parked before a restart
+  parkedFor(reference) {
+    return Boolean(
+      this.approvals
+        ?.pending()
+        .some(
+          (entry) =>
+            entry.kind === "payment" && entry.details.reference === reference
+        )
+    );
+  }
+
+  // True when a payment message of ours already settled the reference
+  paidFor(reference) {
+    return this.messageLog
+      .entries()
+      .some(
+        (entry) =>
+          entry.direction === "sent" &&
+          entry.message_type === "payment" &&
+          entry.content.reference === reference
+      );
+  }
+
+  async handlePayment(message) {
+    // A transaction id means the transfer already happened - nothing to pay
+    if (message.content.transaction_id) {
+      console.log(
+        `   💸 Payment settled: ${message.content.amount} ${message.content.currency} to ${message.content.recipient} (${message.content.transaction_id})`
+      );
+      return message;
+    }
+
+    console.log(`   💰 Payment request received`);
+    console.log(
+      `   Amount: ${message.content.amount} ${message.content.currency}`
+    );
+    console.log(`   Recipient: ${message.content.recipient}`);
+
+    // Auto-execute payment if amount is under threshold
+    const threshold = parseFloat(process.env.AUTO_PAYMENT_THRESHOLD || "10");
+    const amount = parseFloat(message.content.amount);
+
+    if (!this.payments) {
+      console.log(`   ⚠️  No payment service configured - ignoring request`);
+      return null;
+    }
+    const refusal = this.paymentRefusal(message);
+    if (refusal) {
+      console.log(`   🚫 Payment request refused: ${refusal}`);
+      return null;
+    }
+    const denial = this.payments.denial({
+      recipient: message.content.recipient,
+      amount,
+      user: message.sender.account_id,
+    });
+    if (denial) {
+      console.log(`   🚫 Payment blocked by spending policy: ${denial}`);
+      return null;
+    }
+    this.paymentRequests.add(message.content.reference);
+    if (amount <= threshold) {
+      console.log(`   ✅ Auto-approving payment (under threshold)`);
+      try {
+        return await this.payments.pay({
+          recipient: message.content.recipient,
+          amount,
+          currency: message.content.currency,
+          reference: message.content.reference,
+          description: message.content.description,
+          user: message.sender.account_id,
+        });
+      } catch (error) {
+        console.error(`   ❌ Payment failed:`, error.message);
+        this.paymentRequests.delete(message.content.reference);
+        return null;
+      }
+    } else if (this.approvals) {
+      console.log(
+        `   ⏸️  Payment exceeds threshold - parked for manual approval`
+      );
+      return this.approvals.park(
+        "payment",
+        `Pay ${amount} ${message.content.currency} to ${message.content.recipient} requested by ${message.sender.agent_id}`,
+        {
+          recipient: message.content.recipient,
+          amount,
+          currency: message.content.currency,
+          reference: message.content.reference,
+          description: message.content.description,
+          user: message.sender.account_id,
+        },
+        message.sender.account_id
+      );
+    } else {
+      console.log(
+        `   ⚠️  Payment exceeds threshold - requires manual approval`
+      );
+      this.paymentRequests.delete(message.content.reference);
+      return null;
+    }
+  }
+}
+
+module.exports = { A2AMessageHandler };
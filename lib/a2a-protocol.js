@@ -0,0 +1,497 @@
+// a2a-protocol.js - Shared A2A message envelope and schema validation
+const crypto = require("crypto");
+const { z } = require("zod");
+
+// Version stamped on every outgoing message. Agents still speaking 1.0 can
+// share the topic: their messages are validated against the legacy envelope.
+const PROTOCOL_VERSION = "1.1";
+const SUPPORTED_VERSIONS = ["1.0", "1.1"];
+
+const MESSAGE_TYPES = [
+  "request",
+  "response",
+  "negotiation",
+  "payment",
+  "booking",
+  "policy",
+  "claim",
+  "capability",
+  "error",
+];
+
+class A2AValidationError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = "A2AValidationError";
+    this.issues = issues;
+  }
+}
+
+// ------------------- Schemas -------------------
+const senderSchema = z.object({
+  agent_id: z.string().min(1),
+  account_id: z.string().min(1),
+});
+
+const requestContentSchema = z
+  .object({
+    service: z.string().min(1).optional(),
+    query: z.string().min(1).optional(),
+    details: z.record(z.any()).optional(),
+  })
+  .passthrough()
+  .refine((content) => content.service || content.query, {
+    message: "request must name a service or carry a query",
+  });
+
+const responseContentSchema = z
+  .object({
+    status: z.string().min(1).optional(),
+    request_id: z.string().optional(),
+  })
+  .passthrough();
+
+// Counter-offer rounds over a quote (see lib/negotiation.js); free-form
+// { request_id, offer } negotiation messages from 1.0 agents still validate
+const negotiationContentSchema = z.union([
+  z
+    .object({
+      negotiation_id: z.string().min(1),
+      quote_id: z.string().min(1),
+      action: z.enum(["propose", "counter", "accept", "reject"]),
+      round: z.number().int().positive(),
+      max_rounds: z.number().int().positive().optional(),
+      price: z.coerce.number().positive().optional(),
+      currency: z.string().default("HBAR"),
+      terms: z.record(z.any()).optional(),
+      reason: z.string().optional(),
+      transcript: z.array(z.record(z.any())).optional(),
+      provider: z.string().optional(),
+    })
+    .passthrough()
+    .refine((content) => content.action === "reject" || content.price !== undefined, {
+      message: "price is required unless rejecting",
+      path: ["price"],
+    }),
+  z
+    .object({
+      request_id: z.string().optional(),
+      offer: z.record(z.any()).optional(),
+    })
+    .passthrough()
+    .refine((content) => content.negotiation_id === undefined, {
+      message: "structured negotiation content is malformed",
+    }),
+]);
+
+const paymentContentSchema = z
+  .object({
+    amount: z.coerce.number().positive(),
+    currency: z.string().min(1),
+    recipient: z.string().min(1),
+    description: z.string().optional(),
+    payment_method: z.string().optional(),
+    transaction_id: z.string().optional(), // set once the transfer has executed
+    reference: z.string().optional(), // booking / policy / claim it settles
+    payer_account: z.string().optional(), // who paid, when not the sender
+  })
+  .passthrough();
+
+// Reservation lifecycle: hold a quoted option, then confirm, cancel or query it.
+// provider names the account that issued the quote / owns the booking.
+const bookingContentSchema = z.discriminatedUnion("action", [
+  z
+    .object({
+      action: z.literal("hold"),
+      provider: z.string().optional(),
+      quote_id: z.string().min(1),
+    })
+    .passthrough(),
+  z
+    .object({
+      action: z.literal("confirm"),
+      provider: z.string().optional(),
+      booking_reference: z.string().min(1),
+      payment_transaction_id: z.string().min(1),
+      payer_account: z.string().optional(),
+    })
+    .passthrough(),
+  z
+    .object({
+      action: z.literal("cancel"),
+      provider: z.string().optional(),
+      booking_reference: z.string().min(1),
+      reason: z.string().optional(),
+    })
+    .passthrough(),
+  z
+    .object({
+      action: z.literal("status"),
+      provider: z.string().optional(),
+      booking_reference: z.string().min(1),
+    })
+    .passthrough(),
+]);
+
+// Insurance: bind a quote into a policy once paid, or look one up
+const policyContentSchema = z.discriminatedUnion("action", [
+  z
+    .object({
+      action: z.literal("bind"),
+      provider: z.string().optional(),
+      quote_id: z.string().min(1),
+      payment_transaction_id: z.string().min(1),
+      payer_account: z.string().optional(),
+    })
+    .passthrough(),
+  z
+    .object({
+      action: z.literal("status"),
+      provider: z.string().optional(),
+      policy_reference: z.string().min(1),
+    })
+    .passthrough(),
+  // Close a quote the requester will not buy after all, e.g. on a trip
+  // rollback; premiums paid for it later are refunded
+  z
+    .object({
+      action: z.literal("withdraw"),
+      provider: z.string().optional(),
+      quote_id: z.string().min(1),
+      reason: z.string().optional(),
+    })
+    .passthrough(),
+]);
+
+const evidenceSchema = z.object({
+  type: z.string().min(1), // e.g. medical_report, receipt, property_irregularity_report
+  description: z.string().optional(),
+  uri: z.string().optional(),
+  sha256: z.string().optional(),
+});
+
+const claimContentSchema = z.discriminatedUnion("action", [
+  z
+    .object({
+      action: z.literal("submit"),
+      provider: z.string().optional(),
+      policy_reference: z.string().min(1),
+      claim_type: z.string().min(1),
+      cause: z.string().optional(),
+      incident_date: z.string().min(1),
+      amount: z.coerce.number().positive(),
+      description: z.string().min(1),
+      evidence: z.array(evidenceSchema).default([]),
+    })
+    .passthrough(),
+  z
+    .object({
+      action: z.literal("status"),
+      provider: z.string().optional(),
+      claim_id: z.string().min(1),
+    })
+    .passthrough(),
+]);
+
+// The JSON Schema subset tool arguments are built from (zodFromJsonSchema in
+// lib/agent-registry.js): every nested schema must itself be an object
+const jsonSchemaNode = z.lazy(() =>
+  z
+    .object({
+      type: z.union([z.string(), z.array(z.string())]).optional(),
+      description: z.string().optional(),
+      enum: z.array(z.union([z.string(), z.number(), z.boolean()])).optional(),
+      items: jsonSchemaNode.optional(),
+      properties: z.record(jsonSchemaNode).optional(),
+      required: z.array(z.string()).optional(),
+    })
+    .passthrough(),
+);
+
+// Capability card a provider publishes on the registry topic (see
+// lib/agent-registry.js). input_schema is the JSON Schema of the request's
+// details; the envelope signature is what vouches for the card.
+const capabilityServiceSchema = z
+  .object({
+    service: z.string().regex(/^[a-z0-9_]+$/, "service names are snake_case"),
+    description: z.string().min(1),
+    input_schema: jsonSchemaNode
+      .refine((schema) => schema.type === "object", "input_schema must describe an object")
+      .default({ type: "object", properties: {} }),
+    pricing: z
+      .object({
+        model: z.string().min(1), // e.g. per_night, percent_of_trip_cost, fixed
+        currency: z.string().default("HBAR"),
+      })
+      .passthrough(),
+  })
+  .passthrough();
+
+const capabilityContentSchema = z
+  .object({
+    agent_id: z.string().min(1),
+    account_id: z.string().min(1),
+    name: z.string().optional(),
+    services: z.array(capabilityServiceSchema).min(1),
+    endpoint_topics: z.array(z.string().min(1)).default([]),
+    expires_at: z.string().datetime({ offset: true }),
+  })
+  .passthrough();
+
+const errorContentSchema = z
+  .object({
+    code: z.string().min(1),
+    message: z.string().min(1),
+    related_id: z.string().optional(),
+  })
+  .passthrough();
+
+const contentSchemas = {
+  request: requestContentSchema,
+  response: responseContentSchema,
+  negotiation: negotiationContentSchema,
+  payment: paymentContentSchema,
+  booking: bookingContentSchema,
+  policy: policyContentSchema,
+  claim: claimContentSchema,
+  capability: capabilityContentSchema,
+  error: errorContentSchema,
+};
+
+const signatureSchema = z.object({
+  algorithm: z.enum(["ECDSA_SECP256K1", "ED25519"]),
+  value: z.string().regex(/^[0-9a-f]+$/i),
+});
+
+const envelopeSchema = z.object({
+  id: z.string().min(1),
+  timestamp: z.string().datetime({ offset: true }),
+  protocol_version: z.string(),
+  message_type: z.enum(MESSAGE_TYPES),
+  sender: senderSchema,
+  content: z.record(z.any()),
+  metadata: z.record(z.any()).default({}),
+  correlation_id: z.string().min(1).optional(),
+  in_reply_to: z.string().min(1).optional(),
+  signature: signatureSchema.optional(),
+});
+
+// 1.0 agents never sent metadata or error messages
+const legacyEnvelopeSchema = envelopeSchema.extend({
+  message_type: z.enum(["request", "response", "negotiation", "payment"]),
+  metadata: z.record(z.any()).optional(),
+});
+
+const envelopeSchemas = {
+  "1.0": legacyEnvelopeSchema,
+  "1.1": envelopeSchema,
+};
+
+function formatIssues(issues) {
+  return issues
+    .map((issue) => `${issue.path.join(".") || "message"}: ${issue.message}`)
+    .join("; ");
+}
+
+// Validate a plain message object and return the normalized copy
+function validateMessage(data) {
+  if (!data || typeof data !== "object") {
+    throw new A2AValidationError("A2A message must be a JSON object");
+  }
+
+  const version = data.protocol_version;
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new A2AValidationError(
+      `Unsupported protocol_version "${version}" (supported: ${SUPPORTED_VERSIONS.join(", ")})`
+    );
+  }
+
+  const envelope = envelopeSchemas[version].safeParse(data);
+  if (!envelope.success) {
+    throw new A2AValidationError(
+      `Invalid A2A envelope: ${formatIssues(envelope.error.issues)}`,
+      envelope.error.issues
+    );
+  }
+
+  const content = contentSchemas[envelope.data.message_type].safeParse(
+    envelope.data.content
+  );
+  if (!content.success) {
+    throw new A2AValidationError(
+      `Invalid ${envelope.data.message_type} content: ${formatIssues(content.error.issues)}`,
+      content.error.issues
+    );
+  }
+
+  return { ...data, ...envelope.data, content: content.data };
+}
+
+// Deterministic JSON (sorted keys, undefined dropped) so signer and verifier
+// hash exactly the same bytes regardless of property order on the wire
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? "null" : canonicalize(item))).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Bytes covered by a message signature: the validated envelope minus the signature
+function signingPayload(data) {
+  const { signature, ...unsigned } = validateMessage(data);
+  return Buffer.from(canonicalize(unsigned));
+}
+
+// Conversation a message belongs to. 1.0 agents either echoed the request id
+// as their own id or put it in content.request_id.
+function correlationIdOf(message) {
+  return message.correlation_id || message.content?.request_id || message.id;
+}
+
+// ------------------- Message Classes -------------------
+function defaultSender() {
+  return {
+    agent_id: process.env.AGENT_ID || "hedera-travel-agent",
+    account_id: process.env.HEDERA_ACCOUNT_ID,
+  };
+}
+
+class A2AMessage {
+  constructor(type, content, sender = defaultSender(), metadata = {}) {
+    this.id = crypto.randomUUID();
+    this.timestamp = new Date().toISOString();
+    this.protocol_version = PROTOCOL_VERSION;
+    this.message_type = type; // see MESSAGE_TYPES
+    this.sender = sender;
+    this.content = content;
+    this.correlation_id = this.id; // a new message starts its own conversation
+    this.metadata = {
+      ...metadata,
+      hedera_network: process.env.HEDERA_NETWORK || "testnet",
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      timestamp: this.timestamp,
+      protocol_version: this.protocol_version,
+      message_type: this.message_type,
+      sender: this.sender,
+      content: this.content,
+      metadata: this.metadata,
+      correlation_id: this.correlation_id,
+      in_reply_to: this.in_reply_to,
+      signature: this.signature,
+    };
+  }
+
+  // Join the conversation of the message being answered
+  replyTo(original) {
+    this.in_reply_to = original.id;
+    this.correlation_id = correlationIdOf(original);
+    return this;
+  }
+
+  // Sign with the sender account's Hedera private key. Call after the
+  // message is fully built - any later change invalidates the signature.
+  sign(privateKey) {
+    const { signature, ...unsigned } = this.toJSON();
+    const algorithm =
+      privateKey.type === "secp256k1" ? "ECDSA_SECP256K1" : "ED25519";
+    this.signature = {
+      algorithm,
+      value: Buffer.from(privateKey.sign(signingPayload(unsigned))).toString("hex"),
+    };
+    return this;
+  }
+
+  // Validated wire format - throws A2AValidationError instead of sending junk
+  serialize() {
+    return JSON.stringify(validateMessage(this.toJSON()));
+  }
+
+  toString() {
+    return JSON.stringify(this.toJSON(), null, 2);
+  }
+
+  static fromJSON(json) {
+    const data = validateMessage(typeof json === "string" ? JSON.parse(json) : json);
+    const msg = new A2AMessage(data.message_type, data.content, data.sender);
+    msg.id = data.id;
+    msg.timestamp = data.timestamp;
+    msg.protocol_version = data.protocol_version;
+    msg.metadata = data.metadata || {};
+    msg.correlation_id = data.correlation_id;
+    msg.in_reply_to = data.in_reply_to;
+    msg.signature = data.signature;
+    return msg;
+  }
+}
+
+// A2A Payment Request (AP2 Integration)
+// Without a transaction_id it asks for payment; with one it reports a settled transfer
+class A2APaymentRequest extends A2AMessage {
+  constructor(amount, currency, recipient, description, sender, settlement = {}) {
+    super(
+      "payment",
+      {
+        amount,
+        currency, // e.g., "HBAR" or token ID "0.0.xxxxx"
+        recipient,
+        description,
+        payment_method: "hedera_token_transfer",
+        ...settlement, // { transaction_id, reference }
+      },
+      sender
+    );
+  }
+}
+
+class A2AErrorMessage extends A2AMessage {
+  constructor(code, message, relatedId, sender) {
+    super("error", { code, message, related_id: relatedId }, sender);
+  }
+}
+
+// Decode raw topic contents (Buffer/Uint8Array/string) into a validated message
+function decodeMessage(contents) {
+  if (contents && !(contents instanceof Uint8Array) && typeof contents === "object") {
+    return A2AMessage.fromJSON(contents);
+  }
+
+  const text =
+    typeof contents === "string" ? contents : Buffer.from(contents).toString();
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new A2AValidationError(`A2A message is not valid JSON: ${err.message}`);
+  }
+
+  return A2AMessage.fromJSON(data);
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  MESSAGE_TYPES,
+  A2AValidationError,
+  A2AMessage,
+  A2APaymentRequest,
+  A2AErrorMessage,
+  validateMessage,
+  decodeMessage,
+  canonicalize,
+  signingPayload,
+  correlationIdOf,
+  capabilityContentSchema,
+};
@@ -0,0 +1,256 @@
+// a2a-security.js - Sender verification for signed A2A messages
+const { EventEmitter } = require("events");
+const { PublicKey } = require("@hashgraph/sdk");
+const { signingPayload } = require("./a2a-protocol");
+const { parsePrivateKey } = require("./keys");
+
+function toPublicKey(key) {
+  return typeof key === "string" ? PublicKey.fromString(key) : key;
+}
+
+// ------------------- Key Resolvers -------------------
+// A key resolver maps an account id to its PublicKey (or null if unknown).
+// Anything with an async resolve(accountId) method can be plugged in.
+
+// Local registry - for agents we hold keys for, and for tests
+class LocalKeyRegistry {
+  constructor(entries = {}) {
+    this.keys = new Map();
+    Object.entries(entries).forEach(([accountId, key]) =>
+      this.register(accountId, key)
+    );
+  }
+
+  register(accountId, key) {
+    if (accountId && key) {
+      this.keys.set(accountId, toPublicKey(key));
+    }
+    return this;
+  }
+
+  async resolve(accountId) {
+    return this.keys.get(accountId) || null;
+  }
+}
+
+// Account / key variables of the agents that can run on this machine
+const LOCAL_ACCOUNT_VARS = [
+  ["HEDERA_ACCOUNT_ID", "HEDERA_PRIVATE_KEY"],
+  ["HOTEL_ACCOUNT_ID", "HOTEL_PRIVATE_KEY"],
+  ["INSURANCE_ACCOUNT_ID", "INSURANCE_PRIVATE_KEY"],
+  ["FLIGHT_ACCOUNT_ID", "FLIGHT_PRIVATE_KEY"],
+  ["CAR_RENTAL_ACCOUNT_ID", "CAR_RENTAL_PRIVATE_KEY"],
+];
+
+// Registry of every local agent whose credentials are in the environment, so
+// agents in separate processes verify each other without a mirror node
+function localKeyRegistryFromEnv(env = process.env) {
+  const registry = new LocalKeyRegistry();
+  LOCAL_ACCOUNT_VARS.forEach(([accountVar, keyVar]) => {
+    const key = parsePrivateKey(env[keyVar]);
+    registry.register(env[accountVar], key?.publicKey);
+  });
+  return registry;
+}
+
+// Looks up account keys from a Hedera mirror node
+class MirrorNodeKeyResolver {
+  constructor(options = {}) {
+    const network = process.env.HEDERA_NETWORK || "testnet";
+    this.baseUrl =
+      options.baseUrl ||
+      process.env.MIRROR_NODE_URL ||
+      `https://${network}.mirrornode.hedera.com`;
+    this.cacheTtlMs = options.cacheTtlMs ?? 5 * 60 * 1000;
+    this.missTtlMs = options.missTtlMs ?? 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 1000;
+    this.cache = new Map(); // account id -> { key: Promise<PublicKey|null>, expiresAt }
+  }
+
+  // Misses are cached as well, and a lookup in flight is shared, so a flood of
+  // messages from made-up account ids costs one mirror node request each
+  async resolve(accountId) {
+    const cached = this.cache.get(accountId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.key;
+    }
+
+    const entry = {
+      key: this.lookup(accountId).catch(() => null),
+      expiresAt: Date.now() + this.cacheTtlMs,
+    };
+    this.cache.delete(accountId);
+    this.cache.set(accountId, entry);
+    if (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    const key = await entry.key;
+    if (!key) entry.expiresAt = Date.now() + this.missTtlMs;
+    return key;
+  }
+
+  async lookup(accountId) {
+    const res = await fetch(`${this.baseUrl}/api/v1/accounts/${accountId}`);
+    if (!res.ok) {
+      return null;
+    }
+
+    const account = await res.json();
+    if (account.key?._type === "ECDSA_SECP256K1") {
+      return PublicKey.fromStringECDSA(account.key.key);
+    }
+    if (account.key?._type === "ED25519") {
+      return PublicKey.fromStringED25519(account.key.key);
+    }
+    // Threshold / key-list accounts cannot sign A2A messages with a single key
+    return null;
+  }
+}
+
+// Tries each resolver in turn - e.g. local registry first, mirror node second
+class ChainedKeyResolver {
+  constructor(resolvers) {
+    this.resolvers = resolvers;
+  }
+
+  async resolve(accountId) {
+    for (const resolver of this.resolvers) {
+      const key = await resolver.resolve(accountId);
+      if (key) return key;
+    }
+    return null;
+  }
+}
+
+// ------------------- Verification -------------------
+// Emits "security_event" for every dropped message so callers can alert on it
+class MessageVerifier extends EventEmitter {
+  constructor(keyResolver) {
+    super();
+    this.keyResolver = keyResolver;
+    this.events = [];
+  }
+
+  reject(type, message, reason) {
+    const event = {
+      type, // 'unsigned', 'unknown_sender', 'forged', 'replayed'
+      reason,
+      message_id: message.id,
+      message_type: message.message_type,
+      claimed_sender: message.sender,
+      detected_at: new Date().toISOString(),
+    };
+    this.events.push(event);
+    if (this.events.length > 100) {
+      this.events.shift();
+    }
+    this.emit("security_event", event);
+    return false;
+  }
+
+  // Returns true only when the signature matches the claimed sender's key
+  async verify(message) {
+    const result = await this.check(message);
+    return result.valid || this.reject(result.type, message, result.reason);
+  }
+
+  // The same checks without raising a security event, for audits of messages
+  // already on the topic: { valid: true } or { valid: false, type, reason }
+  async check(message) {
+    const failed = (type, reason) => ({ valid: false, type, reason });
+    if (!message.signature) {
+      return failed("unsigned", "message carries no signature");
+    }
+
+    let publicKey;
+    try {
+      publicKey = await this.keyResolver.resolve(message.sender.account_id);
+    } catch (err) {
+      return failed("unknown_sender", `key lookup failed: ${err.message}`);
+    }
+    if (!publicKey) {
+      return failed(
+        "unknown_sender",
+        `no public key known for ${message.sender.account_id}`
+      );
+    }
+
+    const data = typeof message.toJSON === "function" ? message.toJSON() : message;
+    // The SDK throws on signatures of the wrong size or encoding; those are
+    // as forged as a well-formed signature that does not match
+    let valid;
+    try {
+      valid = publicKey.verify(
+        signingPayload(data),
+        Buffer.from(message.signature.value, "hex")
+      );
+    } catch (err) {
+      return failed("forged", `unreadable signature: ${err.message}`);
+    }
+    if (!valid) {
+      return failed(
+        "forged",
+        `signature does not match key of ${message.sender.account_id}`
+      );
+    }
+    return { valid: true };
+  }
+}
+
+// ------------------- Replay Protection -------------------
+// A signed message stays valid forever, so anyone can post a copy of it to the
+// topic again. Each receiver keeps the ids it has accepted, and refuses
+// messages signed too long before (or after) their consensus timestamp - a
+// copy re-posted later lands outside the window, so ids only need to be kept
+// for as long as the window lasts. Replaying the topic after a restart is
+// not affected: those messages keep their original consensus timestamps.
+const REPLAY_WINDOW_MS = parseInt(process.env.A2A_REPLAY_WINDOW_MS || "300000", 10);
+
+class ReplayGuard {
+  constructor(windowMs = REPLAY_WINDOW_MS) {
+    this.windowMs = windowMs;
+    this.seen = new Map(); // message id -> consensus time (ms)
+  }
+
+  // { valid: true } (and the id is remembered) or { valid: false, type: "replayed", reason }
+  admit(message, topicMessage) {
+    const failed = (reason) => ({ valid: false, type: "replayed", reason });
+    const consensusAt = topicMessage?.consensusTimestamp
+      ? new Date(topicMessage.consensusTimestamp).getTime()
+      : Date.now();
+    const signedAt = new Date(message.timestamp).getTime();
+    if (!(Math.abs(consensusAt - signedAt) <= this.windowMs)) {
+      return failed(
+        `signed at ${message.timestamp}, more than ${this.windowMs / 1000}s from its consensus time`
+      );
+    }
+    if (this.seen.has(message.id)) {
+      return failed(`message ${message.id} was already accepted`);
+    }
+
+    this.seen.set(message.id, consensusAt);
+    this.seen.forEach((at, id) => {
+      if (at < consensusAt - 2 * this.windowMs) this.seen.delete(id);
+    });
+    return { valid: true };
+  }
+}
+
+function logSecurityEvent(event) {
+  console.warn(
+    `🚨 Security: dropped ${event.message_type} ${event.message_id} claiming ${event.claimed_sender?.account_id} (${event.type}: ${event.reason})`
+  );
+}
+
+module.exports = {
+  LocalKeyRegistry,
+  LOCAL_ACCOUNT_VARS,
+  localKeyRegistryFromEnv,
+  MirrorNodeKeyResolver,
+  ChainedKeyResolver,
+  MessageVerifier,
+  ReplayGuard,
+  REPLAY_WINDOW_MS,
+  logSecurityEvent,
+};
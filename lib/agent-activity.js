@@ -0,0 +1,144 @@
+// agent-activity.js - Live events from the agent while it works on a chat message
+//
+// Every event carries the run_id of the chat message it belongs to:
+//   { type: "run_start" }
+//   { type: "token", delta }                            model output as it is generated
+//   { type: "tool_start", call_id, tool, args }
+//   { type: "tool_end", call_id, tool, output | error }
+//   { type: "a2a_sent", message_type, correlation_id, topic_id, sequence_number }
+//   { type: "a2a_received", message_type, correlation_id, sender, topic_id,
+//     sequence_number, consensus_timestamp }
+//   { type: "card", card }                              structured reply for the UI (see
+//                                                       the cards in lib/travel-tools.js)
+//   { type: "error", message }
+//   { type: "final", content }                          the whole answer, ends the run
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+const { correlationIdOf } = require("./a2a-protocol");
+
+// Tool output in tool_end is cut to this many characters
+const OUTPUT_PREVIEW = 500;
+
+function parseArgs(input) {
+  try {
+    return JSON.parse(input);
+  } catch {
+    return input;
+  }
+}
+
+function preview(output) {
+  const text =
+    typeof output === "string"
+      ? output
+      : typeof output?.content === "string"
+        ? output.content
+        : JSON.stringify(output);
+  return text && text.length > OUTPUT_PREVIEW ? `${text.slice(0, OUTPUT_PREVIEW)}…` : text;
+}
+
+class AgentActivity {
+  constructor() {
+    // The run a tool is working for, so A2A messages it submits can be
+    // traced back to the chat message that caused them
+    this.context = new AsyncLocalStorage();
+    this.runsByCorrelation = new Map(); // correlation id -> run
+  }
+
+  // Runs fn(run) with its events going to emit(event). Returns { output, cards }
+  // or { error }, after final or error has been emitted.
+  async run(emit, fn) {
+    const run = {
+      id: `run-${crypto.randomUUID()}`,
+      correlations: new Set(),
+      cards: [],
+      emit: (event) => emit({ ...event, run_id: run.id }),
+    };
+    run.emit({ type: "run_start" });
+    try {
+      const output = await this.context.run(run, () => fn(run));
+      run.emit({ type: "final", content: output });
+      return { output, cards: run.cards };
+    } catch (err) {
+      console.error(`❌ Agent run ${run.id} failed:`, err.message);
+      run.emit({ type: "error", message: err.message });
+      return { error: err.message };
+    } finally {
+      run.correlations.forEach((id) => this.runsByCorrelation.delete(id));
+    }
+  }
+
+  // A card from a tool, shown with the reply of the run the tool works for
+  present(card) {
+    const run = this.context.getStore();
+    if (!run) return;
+    run.cards.push(card);
+    run.emit({ type: "card", card });
+  }
+
+  // LangChain callbacks that turn model tokens and tool calls into events
+  callbacks(run) {
+    const tools = new Map(); // tool call id -> tool name
+    return {
+      handleLLMNewToken: (token) => {
+        if (token) run.emit({ type: "token", delta: token });
+      },
+      handleToolStart: (tool, input, callId, parentRunId, tags, metadata, runName) => {
+        const name = runName || tool?.name || tool?.id?.at(-1) || "tool";
+        tools.set(callId, name);
+        run.emit({ type: "tool_start", call_id: callId, tool: name, args: parseArgs(input) });
+      },
+      handleToolEnd: (output, callId) => {
+        run.emit({ type: "tool_end", call_id: callId, tool: tools.get(callId), output: preview(output) });
+      },
+      handleToolError: (err, callId) => {
+        run.emit({ type: "tool_end", call_id: callId, tool: tools.get(callId), error: err.message });
+      },
+    };
+  }
+
+  // The transport as the agent's tools see it: what they submit during a run
+  // is reported to that run, and so are the replies
+  observe(transport) {
+    return {
+      submit: async (payload) => {
+        const run = this.context.getStore();
+        const message = run ? JSON.parse(payload) : null;
+        if (run) {
+          // Registered before submitting; a local provider can answer at once
+          const correlationId = correlationIdOf(message);
+          run.correlations.add(correlationId);
+          this.runsByCorrelation.set(correlationId, run);
+        }
+        const receipt = await transport.submit(payload);
+        run?.emit({
+          type: "a2a_sent",
+          message_type: message.message_type,
+          correlation_id: correlationIdOf(message),
+          topic_id: receipt?.topicId || null,
+          sequence_number: receipt?.sequenceNumber || null,
+        });
+        return receipt;
+      },
+    };
+  }
+
+  // A message read from the topic, reported to the run waiting on its conversation
+  received(message, topicMessage) {
+    const run = this.runsByCorrelation.get(correlationIdOf(message));
+    if (!run) return;
+    run.emit({
+      type: "a2a_received",
+      message_type: message.message_type,
+      correlation_id: correlationIdOf(message),
+      sender: message.sender,
+      topic_id: topicMessage?.topicId || null,
+      sequence_number: topicMessage?.sequenceNumber || null,
+      consensus_timestamp: topicMessage?.consensusTimestamp
+        ? new Date(topicMessage.consensusTimestamp).toISOString()
+        : null,
+    });
+  }
+}
+
+module.exports = { AgentActivity };
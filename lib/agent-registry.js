@@ -0,0 +1,279 @@
+// agent-registry.js - Capability cards provider agents publish on the registry topic
+const { EventEmitter } = require("events");
+const { z } = require("zod");
+const { A2AMessage, canonicalize, capabilityContentSchema } = require("./a2a-protocol");
+const { createInboundHandler } = require("./a2a-inbound");
+
+// A card is valid this long; its agent republishes it every half TTL
+const CARD_TTL_MS = parseInt(process.env.AGENT_CARD_TTL_MINUTES || "10", 10) * 60 * 1000;
+
+// Cards go to their own topic when A2A_REGISTRY_TOPIC_ID is set, otherwise
+// they share the A2A topic with everything else
+const registryTopicId = () => process.env.A2A_REGISTRY_TOPIC_ID || process.env.A2A_TOPIC_ID;
+
+// Who the agent is, the services it answers (see capabilities() on each
+// provider agent) and the topics it listens on
+function capabilityCard(agent, { endpointTopics = [], ttlMs = CARD_TTL_MS } = {}) {
+  return {
+    agent_id: agent.agentId,
+    account_id: agent.accountId,
+    name: agent.name,
+    services: agent.capabilities(),
+    endpoint_topics: endpointTopics.filter(Boolean).map(String),
+    expires_at: new Date(Date.now() + ttlMs).toISOString(),
+  };
+}
+
+// Publish the agent's signed card now and keep it fresh while the agent runs
+function advertise(agent, registryTransport, options = {}) {
+  const ttlMs = options.ttlMs ?? CARD_TTL_MS;
+  const publish = async () => {
+    const msg = new A2AMessage("capability", capabilityCard(agent, { ...options, ttlMs }), {
+      agent_id: agent.agentId,
+      account_id: agent.accountId,
+    }).sign(agent.privateKey);
+    try {
+      await registryTransport.submit(msg.serialize());
+    } catch (err) {
+      console.error(`❌ ${agent.name}: capability card not published:`, err.message);
+    }
+  };
+  publish();
+  const timer = setInterval(publish, ttlMs / 2);
+  timer.unref();
+  return { publish, stop: () => clearInterval(timer) };
+}
+
+// ------------------- Card text -------------------
+// Names and descriptions on a card end up in the LLM's tool descriptions, and
+// anyone with a Hedera account can publish a card. They are cut to one short
+// line of plain text before they are stored.
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+function cleanText(value, maxLength = MAX_DESCRIPTION_LENGTH) {
+  if (typeof value !== "string") return value;
+  const text = value
+    .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2060-\u206f\ufeff]/g, " ")
+    .replace(/[`<>{}]/g, "")
+    .replace(/"/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+// Every description in a JSON Schema, cleaned
+function cleanSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(cleanSchema);
+  if (!schema || typeof schema !== "object") return schema;
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, value]) => [
+      key,
+      key === "description" ? cleanText(value) : cleanSchema(value),
+    ]),
+  );
+}
+
+function cleanCard(card) {
+  return {
+    ...card,
+    name: cleanText(card.name, MAX_NAME_LENGTH),
+    services: card.services.map((offered) => ({
+      ...offered,
+      description: cleanText(offered.description),
+      input_schema: cleanSchema(offered.input_schema),
+      pricing: Object.fromEntries(
+        Object.entries(offered.pricing).map(([key, value]) => [
+          cleanText(key, MAX_NAME_LENGTH),
+          cleanText(value, MAX_NAME_LENGTH),
+        ]),
+      ),
+    })),
+  };
+}
+
+// Latest unexpired card of every agent seen on the registry topic. Emits
+// "changed" whenever the set of agents or what they offer changes; version
+// goes up with it so callers can tell when tools built from it are stale.
+// Cards are kept per account: an agent_id is only a label its publisher
+// picks, so two accounts calling themselves the same agent both stay listed
+// and neither can replace the other's card.
+class AgentRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.cards = new Map(); // account_id -> { ...card, published_at }
+    this.version = 0;
+  }
+
+  changed() {
+    this.version += 1;
+    this.emit("changed", this.list());
+  }
+
+  // A verified "capability" message. Agents may only describe themselves.
+  // Cards are ordered by their consensus timestamp (when they were read from
+  // the topic), not by the timestamp their sender wrote into the message.
+  // Cards that do not match the protocol schema are dropped here too, since
+  // tools are generated from what is stored.
+  offer(message, topicMessage) {
+    if (message.message_type !== "capability") return false;
+    const parsed = capabilityContentSchema.safeParse(message.content);
+    if (!parsed.success) {
+      console.warn(
+        `⚠️  Ignored malformed capability card from ${message.sender.account_id}: ${parsed.error.issues[0].message}`,
+      );
+      return false;
+    }
+    const card = cleanCard(parsed.data);
+    if (
+      card.agent_id !== message.sender.agent_id ||
+      card.account_id !== message.sender.account_id
+    ) {
+      console.warn(
+        `⚠️  Ignored capability card for ${card.agent_id} (${card.account_id}) sent by ${message.sender.account_id}`,
+      );
+      return false;
+    }
+    if (Date.parse(card.expires_at) <= Date.now()) return false;
+
+    const publishedAt = new Date(topicMessage?.consensusTimestamp || Date.now()).toISOString();
+    const known = this.cards.get(card.account_id);
+    if (known && known.published_at > publishedAt) return false;
+    const namesake = this.list().find(
+      (other) => other.agent_id === card.agent_id && other.account_id !== card.account_id,
+    );
+    if (namesake && !known) {
+      console.warn(
+        `⚠️  ${card.account_id} also calls itself ${card.agent_id}, already used by ${namesake.account_id}`,
+      );
+    }
+    this.cards.set(card.account_id, { ...card, published_at: publishedAt });
+
+    // Republished cards only move expires_at forward
+    const offering = ({ expires_at, published_at, ...rest }) => canonicalize(rest);
+    if (!known || offering(known) !== offering(card)) {
+      console.log(
+        `📇 Registry: ${card.agent_id} (${card.account_id}) offers ${card.services.map((s) => s.service).join(", ")}`,
+      );
+      this.changed();
+    }
+    return true;
+  }
+
+  prune() {
+    const now = Date.now();
+    const expired = [...this.cards.values()].filter(
+      (card) => Date.parse(card.expires_at) <= now,
+    );
+    expired.forEach((card) => {
+      this.cards.delete(card.account_id);
+      console.log(`⌛ Registry: card of ${card.agent_id} expired`);
+    });
+    if (expired.length > 0) this.changed();
+  }
+
+  // Cards, optionally only those offering service
+  list({ service } = {}) {
+    const now = Date.now();
+    return [...this.cards.values()].filter(
+      (card) =>
+        Date.parse(card.expires_at) > now &&
+        (!service || card.services.some((s) => s.service === service)),
+    );
+  }
+
+  // service name -> { service, description, input_schema, pricing, providers }
+  services() {
+    const services = new Map();
+    this.list().forEach((card) =>
+      card.services.forEach((offered) => {
+        if (!services.has(offered.service)) {
+          services.set(offered.service, { ...offered, providers: [] });
+        }
+        services.get(offered.service).providers.push({
+          agent_id: card.agent_id,
+          account_id: card.account_id,
+          pricing: offered.pricing,
+        });
+      }),
+    );
+    return services;
+  }
+
+  // Replays the cards published within the last TTL, then follows the topic
+  watch(transport, verifier) {
+    this.subscription = transport.subscribe(
+      createInboundHandler({
+        verifier,
+        onMessage: (msg, topicMessage) => this.offer(msg, topicMessage),
+      }),
+      { startTime: new Date(Date.now() - CARD_TTL_MS) },
+    );
+    this.pruneTimer = setInterval(() => this.prune(), 60 * 1000);
+    this.pruneTimer.unref();
+    return this;
+  }
+
+  stop() {
+    this.subscription?.unsubscribe();
+    clearInterval(this.pruneTimer);
+  }
+}
+
+// Enough of JSON Schema for tool arguments: objects, arrays, enums and scalars.
+// Anything it does not understand, including a schema that is not an object,
+// accepts any value.
+function zodFromJsonSchema(schema = {}) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) return z.any();
+  let type;
+  if (
+    Array.isArray(schema.enum) &&
+    schema.enum.length > 0 &&
+    schema.enum.every((value) => typeof value === "string")
+  ) {
+    type = z.enum(schema.enum);
+  } else {
+    switch (schema.type) {
+      case "string":
+        type = z.string();
+        break;
+      case "number":
+        type = z.number();
+        break;
+      case "integer":
+        type = z.number().int();
+        break;
+      case "boolean":
+        type = z.boolean();
+        break;
+      case "array":
+        type = z.array(zodFromJsonSchema(schema.items));
+        break;
+      case "object": {
+        const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+        const properties =
+          schema.properties && typeof schema.properties === "object" ? schema.properties : {};
+        const shape = {};
+        Object.entries(properties).forEach(([key, property]) => {
+          const field = zodFromJsonSchema(property);
+          shape[key] = required.has(key) ? field : field.optional();
+        });
+        type = z.object(shape);
+        break;
+      }
+      default:
+        type = z.any();
+    }
+  }
+  return typeof schema.description === "string" ? type.describe(schema.description) : type;
+}
+
+module.exports = {
+  AgentRegistry,
+  advertise,
+  capabilityCard,
+  cleanText,
+  registryTopicId,
+  zodFromJsonSchema,
+  CARD_TTL_MS,
+};
@@ -0,0 +1,122 @@
+// car-rental-agent.js - Car rental provider agent: quotes, holds and paid rentals
+const { ProviderAgent } = require("./provider-agent");
+const { FleetError, loadFleet } = require("../car-rental-fleet");
+const { paymentPayee, paymentPayer } = require("../payments");
+
+class CarRentalAgent extends ProviderAgent {
+  constructor(accountId, privateKey, transport, options = {}) {
+    super(accountId, privateKey, transport, {
+      name: "Car Rental Agent",
+      agentId: "car-rental-agent-001",
+      responseDelayMs: options.responseDelayMs,
+      storage: options.storage,
+    });
+    this.fleet =
+      options.fleet ||
+      loadFleet(
+        options.store || this.storage.collection("car-rentals"),
+        { holdTtlMs: parseInt(process.env.CAR_RENTAL_HOLD_MINUTES || "15", 10) * 60 * 1000 },
+      );
+    this.ledger = options.ledger || null;
+    this.trustedEscrowAccounts =
+      options.trustedEscrowAccounts || [process.env.ESCROW_ACCOUNT_ID].filter(Boolean);
+  }
+
+  services() {
+    return [
+      {
+        service: "car_rental",
+        description: "Rent a car in a city between two dates; cars can be held, then paid for to confirm.",
+        input_schema: {
+          type: "object",
+          properties: {
+            city: { type: "string", description: "Pick-up city, e.g. Paris" },
+            pick_up_date: { type: "string", description: "YYYY-MM-DD" },
+            drop_off_date: { type: "string", description: "YYYY-MM-DD" },
+            car_class: { type: "string", enum: ["economy", "compact", "suv", "van"] },
+            seats: { type: "integer", description: "Minimum number of seats" },
+          },
+          required: ["city", "pick_up_date", "drop_off_date"],
+        },
+        pricing: {
+          model: "per_day",
+          currency: this.fleet.currency,
+          hold_minutes: this.fleet.holdTtlMs / 60000,
+        },
+        quote: (details) => this.quote(details),
+        fulfil: (message) => this.fulfil(message),
+        summary: (result) =>
+          `${result.options.length} car(s) offered (from ${result.options[0].total_price} HBAR)`,
+      },
+    ];
+  }
+
+  quote(details) {
+    try {
+      return this.fleet.search({
+        city: details.city,
+        pickUpDate: details.pick_up_date,
+        dropOffDate: details.drop_off_date,
+        carClass: details.car_class,
+        seats: details.seats,
+      });
+    } catch (err) {
+      if (!(err instanceof FleetError)) throw err;
+      return { status: "invalid_request", reason: err.message };
+    }
+  }
+
+  // Booking actions on our quotes and rentals, and the settled payments for
+  // them; null for anything else
+  async fulfil(message) {
+    const { content, sender } = message;
+    if (message.message_type === "booking") {
+      if (content.provider ? content.provider !== this.accountId : !this.owns(content)) return null;
+      if (content.action === "hold") return this.fleet.hold(content.quote_id, sender);
+
+      const rental = this.fleet.get(content.booking_reference);
+      if (rental && rental.guest.account_id !== sender.account_id) {
+        return { status: "rejected", reason: "Rental belongs to another account" };
+      }
+      switch (content.action) {
+        case "confirm":
+          return this.settle(content.booking_reference, content.payment_transaction_id, paymentPayer(content, sender));
+        case "cancel": {
+          const result = this.fleet.cancel(content.booking_reference, content.reason);
+          if (result.status !== "cancelled") return result;
+          return { ...result, booking: await this.refundCancellation(this.fleet, result.booking) };
+        }
+        case "status":
+          return this.fleet.status(content.booking_reference);
+      }
+    }
+
+    if (
+      message.message_type === "payment" &&
+      content.transaction_id &&
+      content.recipient === this.accountId &&
+      this.fleet.get(content.reference)
+    ) {
+      if (this.fleet.get(content.reference).guest.account_id !== sender.account_id) {
+        return { status: "rejected", reason: "Rental belongs to another account" };
+      }
+      const payee = paymentPayee(content, this);
+      if (!payee) {
+        return { status: "payment_rejected", reason: `Escrow account ${content.escrow_account} is not trusted` };
+      }
+      return this.settle(content.reference, content.transaction_id, paymentPayer(content, sender), payee);
+    }
+    return null;
+  }
+
+  owns({ quote_id, booking_reference }) {
+    return quote_id ? this.fleet.ownsQuote(quote_id) : Boolean(this.fleet.get(booking_reference));
+  }
+
+  async settle(bookingReference, transactionId, payer, payee = this.accountId) {
+    return this.settleBooking(this.fleet, bookingReference, transactionId, payer, payee);
+  }
+
+}
+
+module.exports = { CarRentalAgent };
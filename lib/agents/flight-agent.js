@@ -0,0 +1,133 @@
+// flight-agent.js - Flight provider agent: schedules, fares, seat holds and paid bookings
+const { ProviderAgent } = require("./provider-agent");
+const { ScheduleError, loadSchedule } = require("../flight-schedule");
+const { FlightReservations } = require("../flight-reservations");
+const { paymentPayee, paymentPayer } = require("../payments");
+
+class FlightAgent extends ProviderAgent {
+  constructor(accountId, privateKey, transport, options = {}) {
+    super(accountId, privateKey, transport, {
+      name: "Flight Agent",
+      agentId: "flight-agent-001",
+      responseDelayMs: options.responseDelayMs,
+      storage: options.storage,
+    });
+    this.schedule = options.schedule || loadSchedule();
+    this.reservations = new FlightReservations(
+      this.schedule,
+      options.store || this.storage.collection("flight-bookings"),
+      { holdTtlMs: parseInt(process.env.FLIGHT_HOLD_MINUTES || "15", 10) * 60 * 1000 },
+    );
+    this.ledger = options.ledger || null; // checks passengers' payments before confirming
+    this.trustedEscrowAccounts =
+      options.trustedEscrowAccounts || [process.env.ESCROW_ACCOUNT_ID].filter(Boolean);
+  }
+
+  services() {
+    return [
+      {
+        service: "flight_booking",
+        description:
+          "Search scheduled flights between two cities, one way or return, with fares and free seats per cabin class; offers can be held, then paid for to confirm.",
+        input_schema: {
+          type: "object",
+          properties: {
+            origin: { type: "string", description: "Departure city or airport code, e.g. London or LHR" },
+            destination: { type: "string", description: "Arrival city or airport code" },
+            departure_date: { type: "string", description: "Outbound date, YYYY-MM-DD" },
+            return_date: { type: "string", description: "Return date for a round trip, YYYY-MM-DD" },
+            passengers: { type: "integer", description: "Number of passengers" },
+            cabin: { type: "string", enum: Object.keys(this.schedule.cabins) },
+          },
+          required: ["origin", "destination", "departure_date"],
+        },
+        pricing: {
+          model: "per_passenger_fare",
+          currency: this.schedule.currency,
+          cabins: Object.keys(this.schedule.cabins).join("/"),
+          free_cancellation_hours: this.schedule.freeCancellationHours,
+        },
+        quote: (details) => this.quote(details),
+        fulfil: (message) => this.fulfil(message),
+        summary: (result) =>
+          `${result.options.length} flight option(s) sent (from ${result.options[0].total_price} HBAR)`,
+      },
+    ];
+  }
+
+  quote(details) {
+    try {
+      const result = this.schedule.search({
+        origin: details.origin,
+        destination: details.destination,
+        departureDate: details.departure_date,
+        returnDate: details.return_date,
+        passengers: details.passengers || 1,
+        cabin: details.cabin,
+      });
+      if (result.status === "available") {
+        result.options = this.reservations.rememberQuotes(result.options.slice(0, 6));
+      }
+      return result;
+    } catch (err) {
+      if (!(err instanceof ScheduleError)) throw err;
+      return { status: "invalid_request", reason: err.message };
+    }
+  }
+
+  // Booking actions on our quotes and bookings, and the settled payments for
+  // them; null for anything else. Only the passenger who holds a booking may act on it.
+  async fulfil(message) {
+    const { content, sender } = message;
+    if (message.message_type === "booking") {
+      if (content.provider ? content.provider !== this.accountId : !this.owns(content)) return null;
+      if (content.action === "hold") return this.reservations.hold(content.quote_id, sender);
+
+      const booking = this.reservations.get(content.booking_reference);
+      if (booking && booking.guest.account_id !== sender.account_id) {
+        return { status: "rejected", reason: "Booking belongs to another account" };
+      }
+      switch (content.action) {
+        case "confirm":
+          return this.settle(content.booking_reference, content.payment_transaction_id, paymentPayer(content, sender));
+        case "cancel": {
+          const result = this.reservations.cancel(content.booking_reference, content.reason);
+          if (result.status !== "cancelled") return result;
+          return { ...result, booking: await this.refundCancellation(this.reservations, result.booking) };
+        }
+        case "status":
+          return this.reservations.status(content.booking_reference);
+      }
+    }
+
+    if (
+      message.message_type === "payment" &&
+      content.transaction_id &&
+      content.recipient === this.accountId &&
+      this.reservations.get(content.reference)
+    ) {
+      if (this.reservations.get(content.reference).guest.account_id !== sender.account_id) {
+        return { status: "rejected", reason: "Booking belongs to another account" };
+      }
+      const payee = paymentPayee(content, this);
+      if (!payee) {
+        return { status: "payment_rejected", reason: `Escrow account ${content.escrow_account} is not trusted` };
+      }
+      return this.settle(content.reference, content.transaction_id, paymentPayer(content, sender), payee);
+    }
+    return null;
+  }
+
+  owns({ quote_id, booking_reference }) {
+    return quote_id
+      ? this.reservations.ownsQuote(quote_id)
+      : Boolean(this.reservations.get(booking_reference));
+  }
+
+  async settle(bookingReference, transactionId, payer, payee = this.accountId) {
+    return this.settleBooking(this.reservations, bookingReference, transactionId, payer, payee);
+  }
+
+}
+
+module.exports = { FlightAgent };
@@ -0,0 +1,263 @@
+// hotel-agent.js - Hotel provider agent answering hotel_booking requests
+const { ProviderAgent } = require("./provider-agent");
+const { InventoryError, loadInventory } = require("../hotel-inventory");
+const { ReservationBook } = require("../hotel-reservations");
+const { NegotiationBook, createStrategy } = require("../negotiation");
+const { paymentPayee, paymentPayer } = require("../payments");
+
+class HotelAgent extends ProviderAgent {
+  constructor(accountId, privateKey, transport, options = {}) {
+    super(accountId, privateKey, transport, {
+      name: "Hotel Agent",
+      agentId: "hotel-agent-001",
+      responseDelayMs: options.responseDelayMs,
+      storage: options.storage,
+    });
+    this.inventory = options.inventory || loadInventory();
+    this.reservations = new ReservationBook(
+      this.inventory,
+      options.store || this.storage.collection("hotel-reservations"),
+      {
+        holdTtlMs: parseInt(process.env.HOTEL_HOLD_MINUTES || "15", 10) * 60 * 1000,
+        ...options.reservations,
+      },
+    );
+    this.ledger = options.ledger || null; // checks guests' payments before confirming
+    // Escrow accounts whose holding transfers count as payment to us
+    this.trustedEscrowAccounts =
+      options.trustedEscrowAccounts || [process.env.ESCROW_ACCOUNT_ID].filter(Boolean);
+    this.negotiations = new NegotiationBook({
+      role: "seller",
+      strategy: options.negotiationStrategy || createStrategy("floor_price"),
+      maxRounds: options.maxNegotiationRounds,
+    });
+
+    // Give lapsed holds back to inventory even when nobody asks about them
+    this.sweepTimer = setInterval(() => {
+      this.reservations
+        .expireHolds()
+        .forEach((r) => console.log(`⌛ Hotel Agent: hold ${r.booking_reference} expired`));
+    }, 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  services() {
+    return [
+      {
+        service: "hotel_booking",
+        description:
+          "Search hotel rooms for a destination and dates; offers can be negotiated, held, paid and confirmed.",
+        input_schema: {
+          type: "object",
+          properties: {
+            destination: { type: "string", description: "City, e.g. Paris" },
+            check_in: { type: "string", description: "Check-in date, YYYY-MM-DD" },
+            check_out: { type: "string", description: "Check-out date, YYYY-MM-DD" },
+            guests: { type: "integer", description: "Number of guests" },
+            budget_per_night: { type: "number", description: "Maximum price per night in HBAR" },
+            room_preferences: {
+              type: "array",
+              items: { type: "string" },
+              description: 'Wished-for room features, e.g. ["balcony", "breakfast"]',
+            },
+          },
+          required: ["destination", "check_in", "check_out"],
+        },
+        pricing: {
+          model: "per_night",
+          currency: "HBAR",
+          negotiable: true,
+          hold_minutes: this.reservations.holdTtlMs / 60000,
+        },
+        quote: (details) => this.quote(details),
+        summary: (result) =>
+          `${result.options.length} offer(s) sent (from ${result.options[0].total_price} HBAR)`,
+      },
+    ];
+  }
+
+  quote(details = {}) {
+    try {
+      const result = this.inventory.search({
+        destination: details.destination,
+        checkIn: details.check_in,
+        checkOut: details.check_out,
+        guests: details.guests || 1,
+        budgetPerNight: details.budget_per_night,
+        roomPreferences: details.room_preferences || [],
+      });
+      if (result.status === "available") {
+        result.options = this.reservations.rememberQuotes(result.options);
+      }
+      return result;
+    } catch (err) {
+      if (!(err instanceof InventoryError)) throw err;
+      return { status: "invalid_request", reason: err.message };
+    }
+  }
+
+  // See ProviderAgent.settleBooking
+  async settle(bookingReference, transactionId, payer, payee = this.accountId) {
+    return this.settleBooking(this.reservations, bookingReference, transactionId, payer, payee);
+  }
+
+
+  // Haggle over one of our quotes; an agreed price is applied to the quote
+  // so holding it books the negotiated total
+  handleNegotiation(message) {
+    const { content, sender } = message;
+    const option = this.reservations.openQuote(content.quote_id);
+    let session = this.negotiations.get(content.negotiation_id);
+    if (session && session.negotiator.account_id !== sender.account_id) {
+      return null;
+    }
+    if (!option) {
+      if (session) session.status = "rejected";
+      return {
+        negotiation_id: content.negotiation_id,
+        quote_id: content.quote_id,
+        action: "reject",
+        round: content.round,
+        reason: `Quote ${content.quote_id} is unknown or has expired - request new offers`,
+      };
+    }
+    if (!session && content.action === "propose") {
+      session = this.negotiations.start(content, {
+        negotiator: sender,
+        listPrice: option.total_price,
+        // Floor comes from the list price, so re-negotiating cannot ratchet it down
+        floorPrice: this.inventory.floorPrice({
+          ...option,
+          total_price: option.list_price ?? option.total_price,
+        }),
+        terms: {
+          hotel_name: option.hotel_name,
+          room_type: option.room_type,
+          check_in: option.check_in,
+          check_out: option.check_out,
+          free_cancellation_hours: this.reservations.freeCancellationHours,
+        },
+      });
+    }
+
+    const reply = this.negotiations.respond(content);
+    if (session?.status === "agreed") {
+      this.reservations.reprice(session.quote_id, session.agreed_price, {
+        negotiation_id: session.negotiation_id,
+        buyer: sender.account_id,
+        list_price: session.list_price,
+        rounds: session.round,
+      });
+    }
+    return reply;
+  }
+
+  // Only the guest who holds a booking may act on it
+  async handleBooking(message) {
+    const { action } = message.content;
+    const guest = message.sender;
+
+    if (action === "hold") {
+      return this.reservations.hold(message.content.quote_id, guest);
+    }
+
+    const existing = this.reservations.get(message.content.booking_reference);
+    if (existing && existing.guest.account_id !== guest.account_id) {
+      return { status: "rejected", reason: "Booking belongs to another account" };
+    }
+
+    switch (action) {
+      case "confirm":
+        return this.settle(
+          message.content.booking_reference,
+          message.content.payment_transaction_id,
+          paymentPayer(message.content, guest),
+        );
+      case "cancel": {
+        const result = this.reservations.cancel(
+          message.content.booking_reference,
+          message.content.reason,
+        );
+        if (result.status !== "cancelled") return result;
+        return { ...result, booking: await this.refundCancellation(this.reservations, result.booking) };
+      }
+      case "status":
+        return this.reservations.status(message.content.booking_reference);
+    }
+  }
+
+  // Booking messages for another provider, or for quotes/bookings we never issued
+  isForSomeoneElse(message) {
+    if (message.message_type === "negotiation") {
+      return !message.content.negotiation_id || !this.reservations.ownsQuote(message.content.quote_id);
+    }
+    if (message.message_type === "payment") {
+      return (
+        message.content.recipient !== this.accountId ||
+        !this.reservations.get(message.content.reference)
+      );
+    }
+    const { provider, quote_id, booking_reference } = message.content;
+    if (provider) return provider !== this.accountId;
+    return quote_id
+      ? !this.reservations.ownsQuote(quote_id)
+      : !this.reservations.get(booking_reference);
+  }
+
+  negotiate(message, content) {
+    return this.send("negotiation", content, message);
+  }
+
+  // hotel_booking requests are answered by ProviderAgent; this is the rest
+  async handleFollowUp(message) {
+    if (message.message_type === "booking" && !this.isForSomeoneElse(message)) {
+      console.log(`📥 Hotel Agent: ${message.content.action} request received`);
+      const result = await this.handleBooking(message);
+      await this.reply(message, result);
+      console.log(
+        `✅ Hotel Agent: ${message.content.action} -> ${result.status}${result.booking ? ` (${result.booking.booking_reference})` : ""}`,
+      );
+    }
+
+    if (message.message_type === "negotiation" && !this.isForSomeoneElse(message)) {
+      const { negotiation_id, action, price } = message.content;
+      console.log(`📥 Hotel Agent: ${action} in ${negotiation_id}${price ? ` at ${price} HBAR` : ""}`);
+      const reply = this.handleNegotiation(message);
+      if (reply) {
+        await this.negotiate(message, reply);
+        console.log(
+          `🤝 Hotel Agent: ${reply.action} in ${negotiation_id}${reply.price ? ` at ${reply.price} HBAR` : ""}`,
+        );
+      }
+    }
+
+    // A settled transfer announced by the guest confirms the booking it pays for
+    if (
+      message.message_type === "payment" &&
+      message.content.transaction_id &&
+      !this.isForSomeoneElse(message)
+    ) {
+      const { reference, transaction_id } = message.content;
+      console.log(`📥 Hotel Agent: payment for ${reference} received`);
+      const existing = this.reservations.get(reference);
+      const payee = paymentPayee(message.content, this);
+      let result;
+      if (existing.guest.account_id !== message.sender.account_id) {
+        result = { status: "rejected", reason: "Booking belongs to another account" };
+      } else if (!payee) {
+        result = { status: "payment_rejected", reason: `Escrow account ${message.content.escrow_account} is not trusted` };
+      } else {
+        result = await this.settle(reference, transaction_id, paymentPayer(message.content, message.sender), payee);
+      }
+      await this.reply(message, result);
+      console.log(`✅ Hotel Agent: payment for ${reference} -> ${result.status}`);
+    }
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    super.stop();
+  }
+}
+
+module.exports = { HotelAgent };
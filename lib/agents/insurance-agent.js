@@ -0,0 +1,409 @@
+// insurance-agent.js - Insurance provider agent: quotes, policies and claims
+const crypto = require("crypto");
+const { A2APaymentRequest, correlationIdOf } = require("../a2a-protocol");
+const { ProviderAgent } = require("./provider-agent");
+const { RatingError, loadRateTable } = require("../insurance-rating");
+const { PolicyBook } = require("../insurance-policies");
+const { ClaimsAdjudicator } = require("../claims");
+const { paymentMemo, paymentPayee, paymentPayer, verifyPayment } = require("../payments");
+
+class InsuranceAgent extends ProviderAgent {
+  constructor(accountId, privateKey, transport, options = {}) {
+    super(accountId, privateKey, transport, {
+      name: "Insurance Agent",
+      agentId: "insurance-agent-001",
+      responseDelayMs: options.responseDelayMs,
+      storage: options.storage,
+    });
+    this.ratingEngine = options.ratingEngine || loadRateTable();
+    this.policies = new PolicyBook(
+      options.policyStore || this.storage.collection("insurance-policies"),
+      {
+        defaultTripDays: this.ratingEngine.rates.default_trip_days,
+        quoteStore: options.quoteStore || this.storage.collection("insurance-quotes"),
+      },
+    );
+    // Quotes as the book refundLatePayment keeps late premiums in
+    this.quoteBook = {
+      get: (quoteId) => this.policies.quote(quoteId),
+      update: (quote, changes) => this.policies.updateQuote(quote, changes),
+    };
+    this.claims = options.claimStore || this.storage.collection("insurance-claims");
+    this.adjudicator = new ClaimsAdjudicator(this.ratingEngine.rates.claims, {
+      llm: options.llm,
+    });
+    this.ledger = options.ledger || null; // verifies premiums, pays out approved claims
+    // Escrow accounts whose holding transfers count as payment to us
+    this.trustedEscrowAccounts =
+      options.trustedEscrowAccounts || [process.env.ESCROW_ACCOUNT_ID].filter(Boolean);
+  }
+
+  services() {
+    const { tiers, add_ons: addOns, currency, minimum_premium } = this.ratingEngine.rates;
+    return [
+      {
+        service: "travel_insurance",
+        description:
+          "Quote travel insurance tiers for a trip, bind a paid quote into a policy and file claims against it.",
+        input_schema: {
+          type: "object",
+          properties: {
+            trip_cost: { type: "number", description: "Total trip cost in HBAR" },
+            destination: { type: "string" },
+            start_date: { type: "string", description: "Departure date, YYYY-MM-DD" },
+            end_date: { type: "string", description: "Return date, YYYY-MM-DD" },
+            traveller_ages: {
+              type: "array",
+              items: { type: "integer" },
+              description: "Age of each traveller",
+            },
+            add_ons: {
+              type: "array",
+              items: { type: "string", enum: Object.keys(addOns) },
+              description: "Optional extra cover",
+            },
+          },
+          required: ["destination"],
+        },
+        pricing: {
+          model: "percent_of_trip_cost",
+          currency,
+          tiers: tiers.map((tier) => tier.name).join("/"),
+          minimum_premium,
+        },
+        quote: (details, message) => this.quote(details, message?.sender),
+        summary: (result) =>
+          `${result.coverage_options.length} tier(s) quoted (${result.risk_class} risk, ${result.trip_days} days)`,
+      },
+    ];
+  }
+
+  // Requests from our capability card carry the fields in details, 1.0
+  // requesters put them next to the service name
+  requestDetails(message) {
+    const { service, details, ...fields } = message.content;
+    return { ...fields, ...details };
+  }
+
+  quote(content, requester = null) {
+    try {
+      const result = this.ratingEngine.quote({
+        tripCost: content.trip_cost || 10,
+        destination: content.destination,
+        startDate: content.start_date,
+        endDate: content.end_date,
+        travellerAges: content.traveller_ages,
+        addOns: content.add_ons,
+      });
+      if (result.status === "available") {
+        result.coverage_options = this.policies.rememberQuotes(
+          result.coverage_options,
+          {
+            destination: content.destination,
+            trip_cost: content.trip_cost || 10,
+            start_date: content.start_date,
+            end_date: content.end_date,
+          },
+          requester?.account_id,
+        );
+      }
+      return result;
+    } catch (err) {
+      if (!(err instanceof RatingError)) throw err;
+      return { status: "invalid_request", reason: err.message };
+    }
+  }
+
+  // Issue a policy once the premium transfer checks out on the ledger; payer
+  // is whoever the holder says made it. A premium for a quote that expired or
+  // was bound by another payment is refunded; the payment that bound it gets
+  // its policy again.
+  async bind(quoteId, transactionId, holder, payee = this.accountId, payer = holder) {
+    const quote = this.policies.quote(quoteId);
+    if (!quote) {
+      return { status: "rejected", reason: `Quote ${quoteId} is unknown - request a new quote` };
+    }
+    if (quote.status === "open") {
+      const check = await verifyPayment(this.ledger, {
+        transactionId,
+        payer: payer.account_id,
+        payee,
+        amount: quote.amount,
+        reference: quoteId,
+      });
+      if (!check.verified) {
+        return { status: "payment_rejected", reason: `Premium not accepted: ${check.reason}` };
+      }
+    }
+    // The quote may have expired or been bound while the payment was checked
+    const current = this.policies.quote(quoteId);
+    if (current.status === "open") {
+      return this.policies.bind(quoteId, holder, { transaction_id: transactionId, payer: payer.account_id });
+    }
+    if (current.payment?.transaction_id === transactionId) {
+      const policy = this.policies.get(current.policy_reference);
+      return policy.holder.account_id === holder.account_id
+        ? { status: "issued", policy }
+        : { status: "rejected", reason: `Quote ${quoteId} is ${current.status}` };
+    }
+    return this.refundLatePayment(
+      this.quoteBook,
+      current,
+      transactionId,
+      payer,
+      payee,
+      `Quote ${quoteId} is ${current.status}`,
+    );
+  }
+
+  async handlePolicy(message) {
+    if (message.content.action === "withdraw") {
+      return this.policies.withdraw(message.content.quote_id, message.sender.account_id, message.content.reason);
+    }
+    if (message.content.action === "bind") {
+      return this.bind(
+        message.content.quote_id,
+        message.content.payment_transaction_id,
+        message.sender,
+        this.accountId,
+        paymentPayer(message.content, message.sender),
+      );
+    }
+
+    const policy = this.policies.get(message.content.policy_reference);
+    if (!policy || policy.holder.account_id !== message.sender.account_id) {
+      return { status: "not_found", reason: `No policy ${message.content.policy_reference}` };
+    }
+    return { status: policy.status, policy };
+  }
+
+  async handleClaim(message) {
+    const { content } = message;
+    if (content.action === "status") {
+      const claim = this.claims.get(content.claim_id);
+      if (!claim || claim.claimant.account_id !== message.sender.account_id) {
+        return { status: "not_found", reason: `No claim ${content.claim_id}` };
+      }
+      return { status: claim.status, claim };
+    }
+
+    const policy = this.policies.get(content.policy_reference);
+    if (!policy || policy.holder.account_id !== message.sender.account_id) {
+      return { status: "rejected", reason: `No policy ${content.policy_reference} held by this account` };
+    }
+
+    const claimId = `CLM-${crypto.randomUUID().substring(0, 8).toUpperCase()}`;
+    let claim = this.claims.set(claimId, {
+      claim_id: claimId,
+      policy_reference: policy.policy_reference,
+      claimant: message.sender,
+      claim_type: content.claim_type,
+      cause: content.cause,
+      incident_date: content.incident_date,
+      amount: content.amount,
+      currency: policy.currency,
+      description: content.description,
+      evidence: content.evidence,
+      status: "submitted",
+      submitted_at: new Date().toISOString(),
+      // Where the adjuster's decision and the payout are sent later
+      request: { id: message.id, correlation_id: correlationIdOf(message) },
+    });
+
+    // Reserved before anything asynchronous, so claims filed together
+    // cannot pay more than the limit between them
+    const ruling = this.adjudicator.applyRules(policy, claim);
+    if (ruling.decision !== "denied") {
+      claim = this.reservePayout(claim, ruling.payable_amount);
+    }
+    const decided = await this.adjudicator.adjudicate(policy, claim, ruling);
+    claim = this.claims.set(claim.claim_id, {
+      ...this.claims.get(claim.claim_id),
+      status: decided.decision,
+      adjudication: { ...decided, decided_at: new Date().toISOString() },
+    });
+    console.log(
+      `⚖️  Insurance Agent: claim ${claim.claim_id} ${decided.decision} (${decided.reviewed_by})`,
+    );
+
+    if (decided.decision === "approved") {
+      claim = await this.payOut(claim, decided.payable_amount);
+    }
+    return { status: claim.status, claim };
+  }
+
+  reservePayout(claim, amount) {
+    this.policies.recordPayout(claim.policy_reference, claim.claim_type, amount);
+    return this.claims.set(claim.claim_id, { ...claim, reserved_amount: amount });
+  }
+
+  releasePayout(claim) {
+    if (claim.reserved_amount) {
+      this.policies.releasePayout(claim.policy_reference, claim.claim_type, claim.reserved_amount);
+    }
+    return this.claims.set(claim.claim_id, { ...claim, reserved_amount: 0 });
+  }
+
+  // Claims waiting for a human adjuster, and those whose payout failed
+  claimsToDecide() {
+    return this.claims.filter(
+      (claim) => claim.status === "referred" || (claim.status === "approved" && claim.payout_status === "failed"),
+    );
+  }
+
+  // A human adjuster's decision on a referred claim; approving pays the
+  // amount the rules computed, and also retries a payout that failed. The
+  // claimant is told in reply to their claim.
+  async decideClaim(claimId, decision, adjuster, reason) {
+    let claim = this.claims.get(claimId);
+    if (!claim || !this.claimsToDecide().some((waiting) => waiting.claim_id === claimId)) {
+      return { status: claim?.status || "not_found", reason: claim ? `Claim ${claimId} is ${claim.status}` : `No claim ${claimId}` };
+    }
+    const { payable_amount: amount, reasons = [] } = claim.adjudication;
+    const adjudication = (changes) => ({
+      ...claim.adjudication,
+      ...changes,
+      reasons: [...reasons, `Adjuster ${adjuster}: ${reason || decision}`],
+      reviewed_by: adjuster,
+      decided_at: new Date().toISOString(),
+    });
+
+    if (decision === "denied") {
+      claim = this.releasePayout(claim);
+      claim = this.claims.set(claimId, {
+        ...claim,
+        status: "denied",
+        adjudication: adjudication({ decision: "denied", payable_amount: 0 }),
+      });
+    } else {
+      if (!claim.reserved_amount) {
+        const policy = this.policies.get(claim.policy_reference);
+        const left = policy.coverage_limits[claim.claim_type] - (policy.paid_out[claim.claim_type] || 0);
+        if (amount > left) {
+          return { status: claim.status, reason: `Only ${left} ${claim.currency} of the limit is left for claim ${claimId}` };
+        }
+        claim = this.reservePayout(claim, amount);
+      }
+      // Marked before the transfer so a second approval cannot pay twice
+      claim = this.claims.set(claimId, {
+        ...claim,
+        status: "approved",
+        payout_status: "paying",
+        adjudication: adjudication({ decision: "approved" }),
+      });
+      claim = await this.payOut(claim, amount);
+    }
+    console.log(`⚖️  Insurance Agent: claim ${claimId} ${claim.status} by ${adjuster}`);
+    if (claim.request) await this.reply(claim.request, { status: claim.status, claim });
+    return { status: claim.status, claim };
+  }
+
+  // HBAR transfer from the insurer's account to the policy holder, announced
+  // on the topic; a failed transfer gives back its reservation. The claim is
+  // paid as soon as the receipt says so: an announcement that cannot be sent
+  // is only noted, since the money has already gone.
+  async payOut(claim, amount) {
+    if (!this.ledger) {
+      return this.claims.set(claim.claim_id, { ...claim, status: "approved", payout_status: "manual" });
+    }
+
+    let transfer;
+    try {
+      transfer = await this.ledger.transferHbar({
+        from: this.accountId,
+        to: claim.claimant.account_id,
+        amount,
+        memo: paymentMemo(claim.claim_id),
+        signingKey: this.privateKey,
+      });
+      if (transfer.status !== "SUCCESS") {
+        throw new Error(`transfer ${transfer.transactionId} failed: ${transfer.status}`);
+      }
+    } catch (err) {
+      console.error(`❌ Insurance Agent: payout for ${claim.claim_id} failed:`, err.message);
+      return this.claims.set(claim.claim_id, {
+        ...this.releasePayout(claim),
+        status: "approved",
+        payout_status: "failed",
+        payout_error: err.message,
+      });
+    }
+    console.log(`💸 Insurance Agent: paid ${amount} HBAR on claim ${claim.claim_id}`);
+    const paid = this.claims.set(claim.claim_id, {
+      ...claim,
+      status: "paid",
+      payout_status: "paid",
+      payout: { amount, transaction_id: transfer.transactionId, paid_at: new Date().toISOString() },
+    });
+
+    try {
+      const paymentMsg = new A2APaymentRequest(
+        amount,
+        claim.currency,
+        claim.claimant.account_id,
+        `Payout for claim ${claim.claim_id}`,
+        { agent_id: this.agentId, account_id: this.accountId },
+        { transaction_id: transfer.transactionId, reference: claim.claim_id },
+      );
+      if (claim.request) paymentMsg.replyTo(claim.request);
+      paymentMsg.sign(this.privateKey);
+      await this.transport.submit(paymentMsg.serialize());
+      return paid;
+    } catch (err) {
+      console.error(`❌ Insurance Agent: payout for ${claim.claim_id} not announced:`, err.message);
+      return this.claims.set(claim.claim_id, { ...paid, payout_announcement_error: err.message });
+    }
+  }
+
+  // Messages naming another provider, or ids we never issued
+  isForSomeoneElse(message) {
+    if (message.message_type === "payment") {
+      return (
+        message.content.recipient !== this.accountId ||
+        !this.policies.ownsQuote(message.content.reference)
+      );
+    }
+    const { provider, quote_id, policy_reference, claim_id } = message.content;
+    if (provider) return provider !== this.accountId;
+    if (quote_id) return !this.policies.ownsQuote(quote_id);
+    if (claim_id) return !this.claims.has(claim_id);
+    return !this.policies.get(policy_reference);
+  }
+
+  // travel_insurance requests are answered by ProviderAgent; this is the rest
+  async handleFollowUp(message) {
+    if (message.message_type === "policy" && !this.isForSomeoneElse(message)) {
+      console.log(`📥 Insurance Agent: policy ${message.content.action} received`);
+      const result = await this.handlePolicy(message);
+      await this.reply(message, result);
+      if (result.status === "issued") {
+        console.log(`✅ Insurance Agent: policy ${result.policy.policy_reference} issued`);
+      }
+    }
+
+    if (message.message_type === "claim" && !this.isForSomeoneElse(message)) {
+      console.log(`📥 Insurance Agent: claim ${message.content.action} received`);
+      await this.reply(message, await this.handleClaim(message));
+    }
+
+    // A settled premium transfer binds the quote it pays for
+    if (
+      message.message_type === "payment" &&
+      message.content.transaction_id &&
+      !this.isForSomeoneElse(message)
+    ) {
+      const { reference, transaction_id } = message.content;
+      console.log(`📥 Insurance Agent: premium for ${reference} received`);
+      const payee = paymentPayee(message.content, this);
+      const result = payee
+        ? await this.bind(reference, transaction_id, message.sender, payee, paymentPayer(message.content, message.sender))
+        : { status: "payment_rejected", reason: `Escrow account ${message.content.escrow_account} is not trusted` };
+      await this.reply(message, result);
+      console.log(
+        `✅ Insurance Agent: premium for ${reference} -> ${result.status}${result.policy ? ` (${result.policy.policy_reference})` : ""}`,
+      );
+    }
+  }
+}
+
+module.exports = { InsuranceAgent };
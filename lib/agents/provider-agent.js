@@ -0,0 +1,324 @@
+// provider-agent.js - Base class for provider agents answering A2A service requests
+const { EventEmitter } = require("events");
+const { A2AMessage } = require("../a2a-protocol");
+const { createInboundHandler } = require("../a2a-inbound");
+const { zodFromJsonSchema } = require("../agent-registry");
+const { createStorage } = require("../storage");
+const { refundMemo, verifyPayment } = require("../payments");
+
+const formatIssues = (issues) =>
+  issues.map((issue) => `${issue.path.join(".") || "details"}: ${issue.message}`).join("; ");
+
+// A provider is its identity plus the services it offers. Each service is
+//   { service, description, input_schema, pricing,
+//     quote(details, message)  -> response content for a matching request,
+//     fulfil(message)          -> optional, response content for a follow-up
+//                                 message (booking, payment, ...) or null when
+//                                 the message is not for this service,
+//     summary(result)          -> optional, log line for a quote }
+// passed as options.services, or returned from services() by a subclass.
+//
+// The base class matches requests to services, validates their details
+// against input_schema, answers after responseDelayMs, turns failures into
+// "error" responses and counts everything in metrics. It emits "handled" for
+// every message from another account and "failed" (err, message).
+// options.storage is where subclasses keep their bookings (createStorage by
+// default, owned by agentId).
+class ProviderAgent extends EventEmitter {
+  constructor(accountId, privateKey, transport, options = {}) {
+    super();
+    this.name = options.name || "Provider Agent";
+    this.agentId = options.agentId;
+    this.accountId = accountId;
+    this.privateKey = privateKey;
+    this.transport = transport;
+    this.serviceList = options.services || [];
+    this.responseDelayMs = options.responseDelayMs ?? 1500;
+    this.storage = options.storage || createStorage({ owner: this.agentId });
+    this.metrics = {
+      messages: 0,
+      requests: 0,
+      responses: 0,
+      errors: 0,
+      last_error: null,
+      services: {}, // service -> { requests, quoted, invalid }
+    };
+  }
+
+  services() {
+    return this.serviceList;
+  }
+
+  findService(name) {
+    return this.services().find((offered) => offered.service === name) || null;
+  }
+
+  // What goes into our capability card (lib/agent-registry.js)
+  capabilities() {
+    return this.services().map(({ service, description, input_schema, pricing }) => ({
+      service,
+      description,
+      input_schema,
+      pricing,
+    }));
+  }
+
+  get sender() {
+    return { agent_id: this.agentId, account_id: this.accountId };
+  }
+
+  serviceMetrics(service) {
+    this.metrics.services[service] ||= { requests: 0, quoted: 0, invalid: 0 };
+    return this.metrics.services[service];
+  }
+
+  // Request fields a quote handler works from; see InsuranceAgent for 1.0
+  // requesters that put them at the top level of the content
+  requestDetails(message) {
+    return message.content.details || {};
+  }
+
+  async handleMessage(message) {
+    if (message.sender.account_id === this.accountId) return;
+    this.metrics.messages += 1;
+    this.emit("handled", message);
+
+    const offered =
+      message.message_type === "request" && this.findService(message.content.service);
+    try {
+      if (offered) {
+        this.handleRequest(offered, message);
+      } else {
+        await this.handleFollowUp(message);
+      }
+    } catch (err) {
+      await this.failed(err, message);
+    }
+  }
+
+  // Answered after responseDelayMs so the subscription is never held up
+  handleRequest(offered, message) {
+    this.metrics.requests += 1;
+    this.serviceMetrics(offered.service).requests += 1;
+    console.log(`📥 ${this.name}: ${offered.service} request received`);
+    setTimeout(
+      () => this.answer(offered, message).catch((err) => this.failed(err, message)),
+      this.responseDelayMs,
+    );
+  }
+
+  async answer(offered, message) {
+    const stats = this.serviceMetrics(offered.service);
+    const details = this.requestDetails(message);
+    const check = zodFromJsonSchema(offered.input_schema).safeParse(details);
+    if (!check.success) {
+      stats.invalid += 1;
+      await this.reply(message, {
+        status: "invalid_request",
+        reason: formatIssues(check.error.issues),
+      });
+      console.log(`⚠️  ${this.name}: invalid ${offered.service} request - ${formatIssues(check.error.issues)}`);
+      return;
+    }
+
+    const result = await offered.quote(details, message);
+    await this.reply(message, result);
+    if (result.status === "available") {
+      stats.quoted += 1;
+      console.log(`✅ ${this.name}: ${offered.summary ? offered.summary(result) : `${offered.service} quoted`}`);
+    } else {
+      console.log(`⚠️  ${this.name}: ${result.status} - ${result.reason}`);
+    }
+  }
+
+  // Anything but a service request: the first service whose fulfil handler
+  // takes the message answers it. Subclasses with richer flows override this.
+  async handleFollowUp(message) {
+    for (const offered of this.services()) {
+      if (!offered.fulfil) continue;
+      const result = await offered.fulfil(message);
+      if (result) {
+        await this.reply(message, result);
+        console.log(`✅ ${this.name}: ${message.message_type} ${message.content.action || ""} -> ${result.status}`);
+        return;
+      }
+    }
+  }
+
+  async failed(err, message) {
+    this.metrics.errors += 1;
+    this.metrics.last_error = { at: new Date().toISOString(), message: err.message };
+    console.error(`❌ ${this.name} failed on ${message.id}:`, err.message);
+    this.emit("failed", err, message);
+    try {
+      await this.reply(message, { status: "error", reason: err.message });
+    } catch (replyErr) {
+      console.error(`❌ ${this.name}: could not report the error:`, replyErr.message);
+    }
+  }
+
+  async send(type, content, inReplyTo) {
+    const msg = new A2AMessage(type, content, this.sender);
+    if (inReplyTo) msg.replyTo(inReplyTo);
+    msg.sign(this.privateKey);
+    await this.transport.submit(msg.serialize());
+    if (type === "response") this.metrics.responses += 1;
+  }
+
+  reply(message, content) {
+    return this.send("response", content, message);
+  }
+
+  // ------------------- Refunds -------------------
+  // Subclasses that take payments keep their ledger in this.ledger; `book`
+  // below is their reservation store (get, update), bookings carry `guest`.
+
+  // HBAR back to `to` from our account. Resolves with the fields to record:
+  // refund_status "refunded" and the transaction, or "failed" and why.
+  async refund(to, amount, reference) {
+    if (!this.ledger) {
+      return { refund_status: "failed", refund_error: "this agent has no ledger to refund over" };
+    }
+    try {
+      const transfer = await this.ledger.transferHbar({
+        from: this.accountId,
+        to,
+        amount,
+        memo: refundMemo(reference),
+        signingKey: this.privateKey,
+      });
+      if (transfer.status !== "SUCCESS") {
+        throw new Error(`transfer ${transfer.transactionId} failed: ${transfer.status}`);
+      }
+      console.log(`💸 ${this.name}: refunded ${amount} HBAR for ${reference} (${transfer.transactionId})`);
+      return {
+        refund_status: "refunded",
+        refund_transaction_id: transfer.transactionId,
+        refunded_at: new Date().toISOString(),
+      };
+    } catch (err) {
+      console.error(`❌ ${this.name}: refund for ${reference} failed:`, err.message);
+      return { refund_status: "failed", refund_error: err.message };
+    }
+  }
+
+  // Pays the refund_due of a cancelled booking back to whoever paid for it; a
+  // failed refund is tried again the next time the guest cancels. Marked
+  // before the transfer so a repeated cancel message cannot pay twice.
+  async refundCancellation(book, booking) {
+    if (!["pending", "failed"].includes(booking.refund_status)) return booking;
+    book.update(booking, { refund_status: "refunding" });
+    const outcome = await this.refund(
+      booking.payment?.payer || booking.guest.account_id,
+      booking.refund_due,
+      booking.booking_reference,
+    );
+    return book.update(book.get(booking.booking_reference), outcome);
+  }
+
+  // A payment for a booking that expired or was cancelled before it arrived
+  // is paid back in full, once, if it really reached our account. Payments
+  // held in escrow are refunded by the escrow when we reject them, and the
+  // payment that confirmed a booking only gets its cancellation refund.
+  // Anything paid for by reference works the same way (insurance quotes
+  // carry quote_id instead of booking_reference).
+  async refundLatePayment(
+    book,
+    booking,
+    transactionId,
+    payer,
+    payee = this.accountId,
+    reason = `Booking is ${booking.status}`,
+  ) {
+    const reference = booking.booking_reference ?? booking.quote_id;
+    const rejected = (reason) => ({ status: "payment_rejected", reason, booking: book.get(reference) });
+    const refundNote = (late) =>
+      late.refund_status === "refunded"
+        ? `; the payment was refunded (transaction ${late.refund_transaction_id})`
+        : `; refunding the payment ${late.refund_status === "failed" ? `failed: ${late.refund_error}` : "is in progress"}`;
+    const known = () => (book.get(reference).late_payments || []).find((late) => late.transaction_id === transactionId);
+
+    if (payee !== this.accountId) return rejected(reason);
+    if (booking.payment?.transaction_id === transactionId) {
+      return rejected(`${reason}; that payment confirmed it and is refunded as its cancellation`);
+    }
+    if (known()) return rejected(`${reason}${refundNote(known())}`);
+    const check = await verifyPayment(this.ledger, {
+      transactionId,
+      payer: payer.account_id,
+      payee,
+      amount: booking.amount,
+      reference,
+    });
+    if (!check.verified) return rejected(`${reason} and the payment was not accepted: ${check.reason}`);
+    if (known()) return rejected(`${reason}${refundNote(known())}`);
+
+    const record = (late) => {
+      const current = book.get(reference);
+      const others = (current.late_payments || []).filter((entry) => entry.transaction_id !== transactionId);
+      book.update(current, { late_payments: [...others, late] });
+      return late;
+    };
+    record({ transaction_id: transactionId, amount: booking.amount, refund_status: "refunding" });
+    const outcome = await this.refund(payer.account_id, booking.amount, reference);
+    return rejected(`${reason}${refundNote(record({ transaction_id: transactionId, amount: booking.amount, ...outcome }))}`);
+  }
+
+  // Confirm a held booking once its payment checks out on the ledger. Money
+  // for a booking that lapsed or was cancelled, before the payment arrived or
+  // while it was checked, goes back, as does a second payment for a booking
+  // already paid; the payment that confirmed it just gets the booking again.
+  // `book` also needs expireHolds() and confirm(reference, payment).
+  async settleBooking(book, reference, transactionId, payer, payee = this.accountId) {
+    book.expireHolds();
+    const booking = book.get(reference);
+    if (!booking) return { status: "not_found", reason: `No booking ${reference}` };
+    if (booking.status === "confirmed" && booking.payment?.transaction_id === transactionId) {
+      return { status: "confirmed", booking };
+    }
+    if (booking.status !== "held") {
+      const reason = booking.status === "confirmed" ? "Booking is already paid" : undefined;
+      return this.refundLatePayment(book, booking, transactionId, payer, payee, reason);
+    }
+
+    const check = await verifyPayment(this.ledger, {
+      transactionId,
+      payer: payer.account_id,
+      payee,
+      amount: booking.amount,
+      reference,
+    });
+    if (!check.verified) {
+      return { status: "payment_rejected", reason: `Payment not accepted: ${check.reason}` };
+    }
+    book.expireHolds();
+    if (book.get(reference).status !== "held") {
+      return this.settleBooking(book, reference, transactionId, payer, payee);
+    }
+    return book.confirm(reference, { transaction_id: transactionId, payer: payer.account_id });
+  }
+
+  // Own subscription to our transport, for agents not routed to by a host
+  // With options.log (an A2AMessageLog) messages replayed after a restart
+  // are only handled again if this agent never answered them
+  listen(verifier, options = {}) {
+    const { log } = options;
+    this.subscription = this.transport.subscribe(
+      createInboundHandler({
+        verifier,
+        onMessage: (msg, topicMessage) => {
+          if (log && !log.record(msg, topicMessage) && log.answered(msg)) return;
+          return this.handleMessage(msg);
+        },
+      }),
+      { startTime: options.startTime || log?.resumeTime() || new Date() },
+    );
+    return this;
+  }
+
+  stop() {
+    this.subscription?.unsubscribe();
+  }
+}
+
+module.exports = { ProviderAgent };
@@ -0,0 +1,237 @@
+// approvals.js - Persistent queue of actions waiting for a human decision
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { DynamicStructuredTool } = require("@langchain/core/tools");
+
+// Approval statuses:
+//   pending   parked until someone approves or rejects it, or expires_at passes
+//   executing approved and running; no second approval or rejection is taken.
+//             An entry left here by a restart may or may not have run
+//   executed  approved and run; result holds what came back
+//   failed    approved but running it threw; error holds why
+//   rejected  turned down by a human
+//   expired   nobody decided in time
+// Every change is appended to the entry's audit trail.
+//
+// Emits "parked" and "decided" with the entry.
+class ApprovalQueue extends EventEmitter {
+  constructor(store, options = {}) {
+    super();
+    this.store = store;
+    this.ttlMs =
+      options.ttlMs ?? parseInt(process.env.APPROVAL_TTL_MINUTES || "60", 10) * 60 * 1000;
+    this.executors = new Map(); // kind -> async (details) => result
+
+    this.sweepTimer = setInterval(() => this.expire(), 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  // Executors are registered at startup, so parked entries survive restarts
+  registerExecutor(kind, execute) {
+    this.executors.set(kind, execute);
+    return this;
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  pending() {
+    this.expire();
+    return this.store.filter((entry) => entry.status === "pending");
+  }
+
+  record(entry, changes, event, by, note) {
+    return this.store.set(entry.id, {
+      ...entry,
+      ...changes,
+      audit: [...entry.audit, { at: new Date().toISOString(), event, by, ...(note && { note }) }],
+    });
+  }
+
+  // kind: executor to run once approved, summary: one line for humans,
+  // details: everything the executor needs, owner: chat session that asked
+  // for it, the only one shown the entry and allowed to decide it
+  park(kind, summary, details, requestedBy, owner = null) {
+    const now = new Date();
+    const entry = this.record(
+      {
+        id: `APR-${crypto.randomUUID().substring(0, 6).toUpperCase()}`,
+        kind,
+        summary,
+        details,
+        status: "pending",
+        requested_by: requestedBy,
+        owner,
+        requested_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + this.ttlMs).toISOString(),
+        audit: [],
+      },
+      {},
+      "parked",
+      requestedBy,
+    );
+    console.log(`⏸️  Approval ${entry.id} needed: ${summary}`);
+    this.emit("parked", entry);
+    return entry;
+  }
+
+  async approve(id, by) {
+    const pending = this.decidable(id);
+    if (pending.error) return pending;
+    // Stored before anything runs, so a second click or tab is refused
+    const entry = this.record(pending, { status: "executing" }, "approved", by);
+
+    const execute = this.executors.get(entry.kind);
+    let decided;
+    if (!execute) {
+      decided = this.record(
+        entry,
+        { status: "failed", error: `No executor for ${entry.kind}` },
+        "failed",
+        by,
+      );
+    } else {
+      try {
+        const result = await execute(entry.details);
+        decided = this.record(
+          entry,
+          { status: "executed", result, decided_at: new Date().toISOString() },
+          "executed",
+          by,
+        );
+      } catch (err) {
+        decided = this.record(
+          entry,
+          { status: "failed", error: err.message, decided_at: new Date().toISOString() },
+          "failed",
+          by,
+          err.message,
+        );
+      }
+    }
+    console.log(`▶️  Approval ${id} ${decided.status} (by ${by})`);
+    this.emit("decided", decided);
+    return decided;
+  }
+
+  reject(id, by, reason) {
+    const entry = this.decidable(id);
+    if (entry.error) return entry;
+
+    const decided = this.record(
+      entry,
+      { status: "rejected", reason, decided_at: new Date().toISOString() },
+      "rejected",
+      by,
+      reason,
+    );
+    console.log(`⛔ Approval ${id} rejected (by ${by})`);
+    this.emit("decided", decided);
+    return decided;
+  }
+
+  // The pending entry, or { error } explaining why it cannot be decided
+  decidable(id) {
+    this.expire();
+    const entry = this.get(id);
+    if (!entry) return { error: `No approval ${id}` };
+    if (entry.status !== "pending") return { error: `Approval ${id} is already ${entry.status}` };
+    return entry;
+  }
+
+  expire(now = Date.now()) {
+    return this.store
+      .filter((entry) => entry.status === "pending" && Date.parse(entry.expires_at) < now)
+      .map((entry) => {
+        const expired = this.record(entry, { status: "expired" }, "expired", "system");
+        console.log(`⌛ Approval ${entry.id} expired`);
+        this.emit("decided", expired);
+        return expired;
+      });
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+// Hedera Agent Kit tools that change state on the network (account, consensus,
+// token and EVM plugins). Not every read-only tool is named *_query_tool
+// (get_exchange_rate_tool, get_pending_airdrop_tool), so writes are listed.
+const WRITE_TOOLS = new Set([
+  "transfer_hbar_tool",
+  "transfer_hbar_with_allowance_tool",
+  "approve_hbar_allowance_tool",
+  "delete_hbar_allowance_tool",
+  "create_account_tool",
+  "update_account_tool",
+  "delete_account_tool",
+  "sign_schedule_transaction_tool",
+  "schedule_delete_tool",
+  "approve_token_allowance_tool",
+  "delete_token_allowance_tool",
+  "create_topic_tool",
+  "update_topic_tool",
+  "delete_topic_tool",
+  "submit_topic_message_tool",
+  "create_fungible_token_tool",
+  "create_non_fungible_token_tool",
+  "mint_fungible_token_tool",
+  "mint_non_fungible_token_tool",
+  "update_token_tool",
+  "associate_token_tool",
+  "dissociate_token_tool",
+  "airdrop_fungible_token_tool",
+  "approve_nft_allowance_tool",
+  "transfer_fungible_token_with_allowance_tool",
+  "transfer_non_fungible_token_with_allowance_tool",
+  "create_erc20_tool",
+  "transfer_erc20_tool",
+  "create_erc721_tool",
+  "mint_erc721_tool",
+  "transfer_erc721_tool",
+]);
+
+// Runs approved kit tool calls with the tools toolsFor(owner) gives the
+// session that parked them, so its spending budget still applies
+function runApprovedToolCalls(approvals, toolsFor) {
+  approvals.registerExecutor("tool_call", async ({ tool, args, owner }) => {
+    const original = toolsFor(owner ?? null).find((candidate) => candidate.name === tool);
+    if (!original) throw new Error(`Tool ${tool} is not available`);
+    return original.invoke(args);
+  });
+}
+
+// Kit tools on WRITE_TOOLS are parked for approval instead of run.
+// precheck(toolName, args) may return a reason to refuse the call outright,
+// owner is the chat session the parked calls belong to. Unless
+// registerExecutor is false, approved calls run the given tools; callers
+// building tools per session use runApprovedToolCalls instead.
+function gateWriteTools(tools, approvals, requestedBy, { precheck, owner, registerExecutor = true } = {}) {
+  if (registerExecutor) runApprovedToolCalls(approvals, () => tools);
+
+  return tools.map((tool) =>
+    !WRITE_TOOLS.has(tool.name)
+      ? tool
+      : new DynamicStructuredTool({
+          name: tool.name,
+          description: `${tool.description}\nRuns only after a human approves it.`,
+          schema: tool.schema,
+          func: async (args) => {
+            const refusal = precheck?.(tool.name, args);
+            if (refusal) return refusal;
+            const entry = approvals.park(
+              "tool_call",
+              `${tool.name} ${JSON.stringify(args)}`,
+              { tool: tool.name, args, owner },
+              requestedBy,
+              owner,
+            );
+            return `This action needs human approval before it runs. Approval id ${entry.id} (expires ${entry.expires_at}).`;
+          },
+        }),
+  );
+}
+
+module.exports = { ApprovalQueue, gateWriteTools, runApprovedToolCalls, WRITE_TOOLS };
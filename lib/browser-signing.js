@@ -0,0 +1,150 @@
+// browser-signing.js - Hand unsigned transactions to the web page and wait for the receipt
+const crypto = require("crypto");
+const {
+  Hbar,
+  Transaction,
+  TransactionId,
+  TransactionReceiptQuery,
+  TransferTransaction,
+} = require("@hashgraph/sdk");
+const { DynamicStructuredTool } = require("@langchain/core/tools");
+const { toTinybars } = require("./ledger");
+
+// Bytes come back from the kit JSON-serialised: a Buffer ({ type, data }) or
+// a Uint8Array ({ "0": .., "1": .. })
+const toBuffer = (bytes) => Buffer.from(bytes.data || Object.values(bytes));
+
+// One per WebSocket session. The page answers each `sign_request` with a
+// `signed` message carrying one of:
+//   signedBytes    base64 transaction signed in the browser; we submit it
+//   transactionId  the page (or its wallet) already submitted it
+//   declined       the user refused to sign, with an optional reason
+class SigningBridge {
+  constructor(send, client, options = {}) {
+    this.send = send; // (payload) => void, to the page
+    this.client = client; // submits signed bytes and fetches receipts
+    this.timeoutMs =
+      options.timeoutMs ?? parseInt(process.env.SIGNING_TIMEOUT_MINUTES || "5", 10) * 60 * 1000;
+    this.pending = new Map(); // request id -> { resolve, timer, expected transaction id }
+  }
+
+  // Resolves with { status, transactionId } once the receipt arrives, or
+  // { status: "DECLINED" | "TIMED_OUT" | "FAILED", reason }. The page is
+  // sent only the frozen bytes and decodes what it shows from them
+  request(tool, bytes) {
+    const id = `SIGN-${crypto.randomUUID().substring(0, 8)}`;
+    // Whatever comes back must be this transaction, not another one
+    const expected = Transaction.fromBytes(bytes).transactionId.toString();
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        this.send({ type: "sign_cancelled", id, reason: "timed out" });
+        resolve({ status: "TIMED_OUT", reason: "the user did not sign in time" });
+      }, this.timeoutMs);
+      this.pending.set(id, { resolve, timer, expected });
+      this.send({
+        type: "sign_request",
+        id,
+        tool,
+        bytes: bytes.toString("base64"),
+      });
+    });
+  }
+
+  // A `signed` message from the page
+  async handle({ id, signedBytes, transactionId, declined, reason }) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+    this.pending.delete(id);
+    clearTimeout(entry.timer);
+
+    if (declined) {
+      entry.resolve({ status: "DECLINED", reason: reason || "the user declined to sign" });
+      return;
+    }
+    try {
+      entry.resolve(await this.settle(entry.expected, { signedBytes, transactionId }));
+    } catch (err) {
+      entry.resolve({ status: "FAILED", reason: err.message });
+    }
+  }
+
+  async settle(expected, { signedBytes, transactionId }) {
+    if (signedBytes) {
+      const tx = Transaction.fromBytes(Buffer.from(signedBytes, "base64"));
+      if (tx.transactionId.toString() !== expected) {
+        throw new Error(`signed transaction ${tx.transactionId} is not ${expected}`);
+      }
+      const response = await tx.execute(this.client);
+      const receipt = await response.getReceipt(this.client);
+      return { status: receipt.status.toString(), transactionId: response.transactionId.toString() };
+    }
+    if (transactionId !== expected) {
+      throw new Error(`submitted transaction ${transactionId} is not ${expected}`);
+    }
+    const receipt = await new TransactionReceiptQuery()
+      .setTransactionId(TransactionId.fromString(transactionId))
+      .execute(this.client);
+    return { status: receipt.status.toString(), transactionId };
+  }
+
+  cancelAll() {
+    this.pending.forEach(({ resolve, timer }) => {
+      clearTimeout(timer);
+      resolve({ status: "FAILED", reason: "the page disconnected" });
+    });
+    this.pending.clear();
+  }
+}
+
+// Kit tools built in RETURN_BYTES mode answer with unsigned bytes; send those
+// to the page and give the LLM the receipt instead
+function signInBrowser(tools, bridge) {
+  return tools.map(
+    (tool) =>
+      new DynamicStructuredTool({
+        name: tool.name,
+        description: tool.description,
+        schema: tool.schema,
+        func: async (args) => {
+          const output = await tool.invoke(args);
+          let result;
+          try {
+            result = JSON.parse(output);
+          } catch {
+            return output;
+          }
+          if (!result?.bytes) return output;
+
+          const outcome = await bridge.request(tool.name, toBuffer(result.bytes));
+          if (outcome.status === "SUCCESS") {
+            return `Signed by the user and executed: transaction ${outcome.transactionId} (status SUCCESS). HashScan: https://hashscan.io/testnet/transaction/${outcome.transactionId}`;
+          }
+          return `Transaction not executed (${outcome.status}): ${outcome.reason || `receipt status ${outcome.status}`}`;
+        },
+      }),
+  );
+}
+
+// Payer (lib/payments.js) for travel payments of a signing session: each
+// transfer is frozen for the user's account and signed in the page
+function browserPayer(client, accountId, bridge) {
+  return {
+    accountId,
+    async transferHbar({ from = accountId, to, amount, memo }) {
+      const tx = new TransferTransaction()
+        .addHbarTransfer(from, Hbar.fromTinybars(-toTinybars(amount)))
+        .addHbarTransfer(to, Hbar.fromTinybars(toTinybars(amount)))
+        .setTransactionMemo(memo || "")
+        .setTransactionId(TransactionId.generate(from))
+        .freezeWith(client);
+      const outcome = await bridge.request("hbar_payment", Buffer.from(tx.toBytes()));
+      if (outcome.status !== "SUCCESS") {
+        throw new Error(`Payment not signed (${outcome.status}): ${outcome.reason || "no reason given"}`);
+      }
+      return { transactionId: outcome.transactionId, status: outcome.status };
+    },
+  };
+}
+
+module.exports = { SigningBridge, signInBrowser, browserPayer };
@@ -0,0 +1,225 @@
+// car-rental-fleet.js - Rental branches, car availability and the quote -> hold -> confirm lifecycle
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_FLEET_FILE = path.join(__dirname, "..", "data", "car-rentals.json");
+
+class FleetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FleetError";
+  }
+}
+
+function parseDate(value, field) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || "").trim());
+  const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  if (!date || date.getUTCDate() !== +match[3]) {
+    throw new FleetError(`${field} must be a date in YYYY-MM-DD format (got "${value}")`);
+  }
+  return date;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Rentals are stored by booking_reference with status held, confirmed,
+// cancelled or expired; held and confirmed rentals take a car off the branch
+// for their dates
+class CarFleet {
+  constructor(data, store, options = {}) {
+    this.currency = data.currency || "HBAR";
+    this.branches = data.branches;
+    this.store = store;
+    this.quotes = new Map(); // quote_id -> { option, expiresAt }, not persisted
+    this.quoteTtlMs = options.quoteTtlMs ?? 15 * 60 * 1000;
+    this.holdTtlMs = options.holdTtlMs ?? 15 * 60 * 1000;
+  }
+
+  branchesIn(city) {
+    const wanted = String(city || "").trim().toLowerCase();
+    return this.branches.filter(
+      (branch) => branch.city.toLowerCase() === wanted || (branch.aliases || []).includes(wanted),
+    );
+  }
+
+  // Cars of this model still free over the whole rental period
+  unitsAvailable(branch, car, pickUp, dropOff) {
+    const taken = this.store.filter(
+      (rental) =>
+        ["held", "confirmed"].includes(rental.status) &&
+        rental.option.branch_id === branch.id &&
+        rental.option.model === car.model &&
+        rental.option.pick_up_date < dropOff &&
+        rental.option.drop_off_date > pickUp,
+    ).length;
+    return car.units - taken;
+  }
+
+  search({ city, pickUpDate, dropOffDate, carClass, seats = 1 }) {
+    this.expireHolds();
+    const branches = this.branchesIn(city);
+    if (branches.length === 0) {
+      throw new FleetError(`No rental branch in "${city}"`);
+    }
+    const days = Math.round(
+      (parseDate(dropOffDate, "drop_off_date") - parseDate(pickUpDate, "pick_up_date")) / DAY_MS,
+    );
+    if (days < 1) {
+      throw new FleetError("drop_off_date must be at least one day after pick_up_date");
+    }
+
+    const options = branches
+      .flatMap((branch) =>
+        branch.fleet
+          .filter((car) => (!carClass || car.car_class === carClass) && car.seats >= seats)
+          .filter((car) => this.unitsAvailable(branch, car, pickUpDate, dropOffDate) > 0)
+          .map((car) => ({
+            branch_id: branch.id,
+            branch_name: branch.name,
+            city: branch.city,
+            car_class: car.car_class,
+            model: car.model,
+            seats: car.seats,
+            pick_up_date: pickUpDate,
+            drop_off_date: dropOffDate,
+            days,
+            daily_rate: car.daily_rate,
+            total_price: round(car.daily_rate * days),
+            currency: this.currency,
+          })),
+      )
+      .sort((a, b) => a.total_price - b.total_price);
+
+    if (options.length === 0) {
+      return {
+        status: "unavailable",
+        reason: `No ${carClass || ""} cars free in ${city} from ${pickUpDate} to ${dropOffDate}`.replace(/\s+/g, " "),
+      };
+    }
+    const expiresAt = Date.now() + this.quoteTtlMs;
+    return {
+      status: "available",
+      options: options.map((option) => {
+        const quoteId = `CQ-${crypto.randomUUID().substring(0, 8)}`;
+        this.quotes.set(quoteId, { option, expiresAt });
+        return { ...option, quote_id: quoteId };
+      }),
+    };
+  }
+
+  ownsQuote(quoteId) {
+    return this.quotes.has(quoteId);
+  }
+
+  get(bookingReference) {
+    return this.store.get(bookingReference);
+  }
+
+  update(rental, changes) {
+    return this.store.set(rental.booking_reference, {
+      ...rental,
+      ...changes,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  hold(quoteId, renter) {
+    this.expireHolds();
+    const quote = this.quotes.get(quoteId);
+    if (!quote || quote.expiresAt < Date.now()) {
+      this.quotes.delete(quoteId);
+      return { status: "rejected", reason: `Quote ${quoteId} is unknown or has expired - request new offers` };
+    }
+    const { option } = quote;
+    const branch = this.branches.find((b) => b.id === option.branch_id);
+    const car = branch.fleet.find((c) => c.model === option.model);
+    if (this.unitsAvailable(branch, car, option.pick_up_date, option.drop_off_date) < 1) {
+      return { status: "rejected", reason: `The ${option.model} has just been rented out for these dates` };
+    }
+    this.quotes.delete(quoteId);
+
+    const now = new Date();
+    const rental = {
+      booking_reference: `CR-${crypto.randomUUID().substring(0, 8).toUpperCase()}`,
+      status: "held",
+      guest: renter,
+      option,
+      amount: option.total_price,
+      currency: option.currency,
+      created_at: now.toISOString(),
+      hold_expires_at: new Date(now.getTime() + this.holdTtlMs).toISOString(),
+    };
+    this.store.set(rental.booking_reference, rental);
+    return { status: "held", booking: rental };
+  }
+
+  confirm(bookingReference, payment) {
+    this.expireHolds();
+    const rental = this.get(bookingReference);
+    if (!rental) {
+      return { status: "not_found", reason: `No rental ${bookingReference}` };
+    }
+    if (rental.status === "confirmed") {
+      return { status: "confirmed", booking: rental };
+    }
+    if (rental.status !== "held") {
+      return { status: "rejected", reason: `Rental is ${rental.status}`, booking: rental };
+    }
+    return {
+      status: "confirmed",
+      booking: this.update(rental, { status: "confirmed", payment, confirmed_at: new Date().toISOString() }),
+    };
+  }
+
+  // Confirmed rentals are refunded in full up to the pick-up date
+  cancel(bookingReference, reason) {
+    this.expireHolds();
+    const rental = this.get(bookingReference);
+    if (!rental) {
+      return { status: "not_found", reason: `No rental ${bookingReference}` };
+    }
+    if (rental.status !== "held" && rental.status !== "confirmed") {
+      return { status: rental.status, booking: rental };
+    }
+    const refundDue =
+      rental.status === "confirmed" && Date.parse(rental.option.pick_up_date) > Date.now()
+        ? rental.amount
+        : 0;
+    return {
+      status: "cancelled",
+      booking: this.update(rental, {
+        status: "cancelled",
+        cancelled_at: new Date().toISOString(),
+        cancellation_reason: reason,
+        refund_due: refundDue,
+        refund_status: refundDue > 0 ? "pending" : "none",
+      }),
+    };
+  }
+
+  status(bookingReference) {
+    this.expireHolds();
+    const rental = this.get(bookingReference);
+    if (!rental) {
+      return { status: "not_found", reason: `No rental ${bookingReference}` };
+    }
+    return { status: rental.status, booking: rental };
+  }
+
+  expireHolds(now = Date.now()) {
+    [...this.quotes].forEach(([quoteId, quote]) => {
+      if (quote.expiresAt < now) this.quotes.delete(quoteId);
+    });
+    return this.store
+      .filter((rental) => rental.status === "held" && Date.parse(rental.hold_expires_at) < now)
+      .map((rental) => this.update(rental, { status: "expired" }));
+  }
+}
+
+function loadFleet(store, options = {}, filePath = process.env.CAR_RENTAL_FLEET_FILE || DEFAULT_FLEET_FILE) {
+  return new CarFleet(JSON.parse(fs.readFileSync(filePath, "utf8")), store, options);
+}
+
+module.exports = { CarFleet, FleetError, loadFleet };
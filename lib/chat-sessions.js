@@ -0,0 +1,139 @@
+// chat-sessions.js - Chat sessions, shared trip rooms and their transcripts, kept across reconnects and restarts
+const crypto = require("crypto");
+const { HumanMessage, AIMessage } = require("@langchain/core/messages");
+
+// How many earlier turns the model sees; the transcript itself keeps everything
+const HISTORY_TURNS = parseInt(process.env.CHAT_HISTORY_TURNS || "20", 10);
+
+// Only a hash of a session token is stored, like a password
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// sessions: { session_id, token_hash?, room_id?, display_name?, created_at, last_seen_at, ...details }
+// rooms: { room_id, name, invite_code, created_by, members: [session_id], created_at }
+// transcripts: { session_id, messages: [{ role: "user" | "agent" | "system", content, author?, at }] }
+// keyed by the session id, or by the room id for a room's shared conversation
+class ChatSessions {
+  constructor(storage) {
+    this.sessions = storage.collection("sessions");
+    this.rooms = storage.collection("rooms");
+    this.transcripts = storage.collection("transcripts");
+  }
+
+  start(details = {}, sessionId = crypto.randomUUID()) {
+    const now = new Date().toISOString();
+    const session = this.sessions.set(sessionId, {
+      session_id: sessionId,
+      created_at: now,
+      last_seen_at: now,
+      ...details,
+    });
+    this.transcripts.set(sessionId, { session_id: sessionId, messages: [] });
+    return session;
+  }
+
+  // A new session with a bearer token for the client to keep; the token is
+  // returned this once and only its hash is stored
+  issue(details = {}) {
+    const token = crypto.randomBytes(32).toString("hex");
+    const session = this.start({ ...details, token_hash: hashToken(token) });
+    return { session, token };
+  }
+
+  // The session a token was issued for, marked as seen again, or null
+  authenticate(token) {
+    if (typeof token !== "string" || !token) return null;
+    const tokenHash = hashToken(token);
+    const [session] = this.sessions.filter((s) => s.token_hash === tokenHash);
+    return session ? this.resume(session.session_id) : null;
+  }
+
+  get(sessionId) {
+    return sessionId ? this.sessions.get(sessionId) : null;
+  }
+
+  // The session, marked as seen again, or null when it does not exist
+  resume(sessionId) {
+    const session = this.get(sessionId);
+    return session ? this.update(sessionId, { last_seen_at: new Date().toISOString() }) : null;
+  }
+
+  update(sessionId, changes) {
+    return this.sessions.set(sessionId, { ...this.sessions.get(sessionId), ...changes });
+  }
+
+  // ------------------- Trip rooms -------------------
+  // A room is one conversation several sessions share: the invite code lets
+  // others join, and everyone in it sees every message and agent reply
+
+  createRoom(sessionId, name) {
+    const roomId = `room-${crypto.randomUUID()}`;
+    const room = this.rooms.set(roomId, {
+      room_id: roomId,
+      name: name || "Trip room",
+      invite_code: crypto.randomBytes(6).toString("hex"),
+      created_by: sessionId,
+      members: [sessionId],
+      created_at: new Date().toISOString(),
+    });
+    this.transcripts.set(roomId, { session_id: roomId, messages: [] });
+    this.update(sessionId, { room_id: roomId });
+    return room;
+  }
+
+  // The room, or an { error } when the invite code is not known
+  joinRoom(sessionId, inviteCode) {
+    const [room] = this.rooms.filter((r) => r.invite_code === inviteCode);
+    if (!room) return { error: "Unknown or expired invite code" };
+    const previous = this.get(sessionId)?.room_id;
+    if (previous && previous !== room.room_id) this.leaveRoom(sessionId);
+    const members = room.members.includes(sessionId) ? room.members : [...room.members, sessionId];
+    this.update(sessionId, { room_id: room.room_id });
+    return this.rooms.set(room.room_id, { ...room, members });
+  }
+
+  leaveRoom(sessionId) {
+    const room = this.roomOf(sessionId);
+    this.update(sessionId, { room_id: null });
+    if (!room) return null;
+    return this.rooms.set(room.room_id, {
+      ...room,
+      members: room.members.filter((member) => member !== sessionId),
+    });
+  }
+
+  roomOf(sessionId) {
+    const roomId = this.get(sessionId)?.room_id;
+    return roomId ? this.rooms.get(roomId) : null;
+  }
+
+  // Where the session's messages go: its room while it is in one, else its own transcript
+  conversationOf(sessionId) {
+    return this.get(sessionId)?.room_id || sessionId;
+  }
+
+  append(sessionId, role, content, details = {}) {
+    const transcript = this.transcripts.get(sessionId) || { session_id: sessionId, messages: [] };
+    const entry = { role, content, ...details, at: new Date().toISOString() };
+    this.transcripts.set(sessionId, { ...transcript, messages: [...transcript.messages, entry] });
+    return entry;
+  }
+
+  transcript(sessionId) {
+    return this.transcripts.get(sessionId)?.messages || [];
+  }
+
+  // The last `turns` exchanges as LangChain chat history; in a room the
+  // agent sees who said what
+  chatHistory(sessionId, turns = HISTORY_TURNS) {
+    return this.transcript(sessionId)
+      .filter((entry) => entry.role === "user" || entry.role === "agent")
+      .slice(-turns * 2)
+      .map((entry) =>
+        entry.role === "user"
+          ? new HumanMessage(entry.author ? `${entry.author}: ${entry.content}` : entry.content)
+          : new AIMessage(entry.content),
+      );
+  }
+}
+
+module.exports = { ChatSessions };
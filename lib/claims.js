@@ -0,0 +1,118 @@
+// claims.js - Rule-based claim adjudication with optional LLM review
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Decisions:
+//   approved  payable_amount is paid out straight away
+//   denied    a hard rule failed (no cover, excluded cause, out of window...)
+//   referred  rules passed but a human adjuster must decide (large amount,
+//             missing paperwork); llm review only adds a recommendation
+class ClaimsAdjudicator {
+  constructor(rules, options = {}) {
+    this.rules = rules;
+    this.llm = options.llm || null;
+  }
+
+  // Hard and soft rule checks, no side effects
+  applyRules(policy, claim) {
+    const denials = [];
+    const referrals = [];
+
+    if (policy.status !== "active") {
+      denials.push(`policy is ${policy.status}`);
+    }
+
+    const limit = policy.coverage_limits?.[claim.claim_type];
+    if (limit === undefined) {
+      denials.push(`${claim.claim_type.replace(/_/g, " ")} is not covered by the ${policy.tier} tier`);
+    }
+
+    const incident = Date.parse(`${claim.incident_date}T00:00:00Z`);
+    const start = Date.parse(`${policy.start_date}T00:00:00Z`);
+    const end = Date.parse(`${policy.end_date}T23:59:59Z`);
+    // Cancellations happen before departure, so only need to follow issuance
+    const windowStart =
+      claim.claim_type === "trip_cancellation" ? Date.parse(policy.issued_at) - DAY_MS : start;
+    if (Number.isNaN(incident) || incident < windowStart || incident > end) {
+      denials.push(`incident date ${claim.incident_date} is outside the cover period ${policy.start_date} to ${policy.end_date}`);
+    } else if ((Date.now() - incident) / DAY_MS > this.rules.filing_deadline_days) {
+      denials.push(`claims must be filed within ${this.rules.filing_deadline_days} days of the incident`);
+    }
+
+    const excludedBy = this.rules.excluded_causes?.[claim.cause];
+    if (excludedBy && policy.exclusions.includes(excludedBy)) {
+      denials.push(`${excludedBy.toLowerCase()} is excluded under this policy`);
+    }
+
+    const provided = (claim.evidence || []).map((item) => item.type);
+    const missing = (this.rules.required_evidence?.[claim.claim_type] || []).filter(
+      (type) => !provided.includes(type)
+    );
+    if (missing.length) {
+      referrals.push(`missing evidence: ${missing.join(", ")}`);
+    }
+
+    const remaining = limit === undefined ? 0 : limit - (policy.paid_out?.[claim.claim_type] || 0);
+    const payable = round(Math.max(0, Math.min(claim.amount, remaining) - (policy.deductible || 0)));
+    if (limit !== undefined && payable <= 0) {
+      denials.push(
+        claim.amount <= policy.deductible
+          ? `claim does not exceed the ${policy.deductible} ${policy.currency} deductible`
+          : `the ${claim.claim_type.replace(/_/g, " ")} limit is exhausted`
+      );
+    }
+    if (payable > this.rules.auto_approve_limit) {
+      referrals.push(`amount above the ${this.rules.auto_approve_limit} ${policy.currency} auto-approval limit`);
+    }
+
+    if (denials.length) {
+      return { decision: "denied", payable_amount: 0, reasons: denials, reviewed_by: "rules" };
+    }
+    if (referrals.length) {
+      return { decision: "referred", payable_amount: payable, reasons: referrals, reviewed_by: "rules" };
+    }
+    return {
+      decision: "approved",
+      payable_amount: payable,
+      reasons: [`within ${claim.claim_type.replace(/_/g, " ")} limit after ${policy.deductible} ${policy.currency} deductible`],
+      reviewed_by: "rules",
+    };
+  }
+
+  // The LLM only advises on a referral; the claim stays referred for a human
+  async review(policy, claim, ruling) {
+    const prompt = `You are assisting an insurance claims adjuster. Recommend whether to approve or deny this travel insurance claim; a human makes the decision.
+Policy: ${JSON.stringify({ tier: policy.tier, destination: policy.destination, start_date: policy.start_date, end_date: policy.end_date, exclusions: policy.exclusions })}
+Claim: ${JSON.stringify({ claim_type: claim.claim_type, cause: claim.cause, incident_date: claim.incident_date, amount: claim.amount, description: claim.description, evidence: claim.evidence })}
+Rule engine referred it because: ${ruling.reasons.join("; ")}. Payable if approved: ${ruling.payable_amount} ${policy.currency}.
+Reply with JSON only: {"decision": "approved" | "denied", "reason": "<one sentence>"}`;
+
+    try {
+      const result = await this.llm.invoke(prompt);
+      const text = typeof result === "string" ? result : result.content;
+      const verdict = JSON.parse(String(text).match(/\{[\s\S]*\}/)[0]);
+      if (verdict.decision !== "approved" && verdict.decision !== "denied") {
+        return ruling;
+      }
+      return {
+        ...ruling,
+        recommendation: verdict.decision,
+        reasons: [...ruling.reasons, `LLM review recommends ${verdict.decision === "approved" ? "approval" : "denial"}: ${verdict.reason}`],
+      };
+    } catch (err) {
+      console.warn(`⚠️  LLM claim review failed, leaving it to the adjuster: ${err.message}`);
+      return ruling;
+    }
+  }
+
+  // ruling: applyRules' result, when the caller needed it first
+  async adjudicate(policy, claim, ruling = this.applyRules(policy, claim)) {
+    if (ruling.decision === "referred" && this.llm) {
+      return this.review(policy, claim, ruling);
+    }
+    return ruling;
+  }
+}
+
+module.exports = { ClaimsAdjudicator };
@@ -0,0 +1,158 @@
+// escrow.js - Holding traveller payments until the provider confirms
+//
+// The escrow account and its key belong to the traveller's server: it alone
+// signs releases and refunds, so providers accepting escrow payments trust it
+// to pay out once they confirm. The timeout must outlast the providers' holds,
+// so by the time an escrow lapses a provider can no longer confirm it.
+const { ACCEPTED_STATUSES, paymentMemo } = require("./payments");
+
+// Escrow statuses, tracked per booking reference / quote id:
+//   funded    traveller paid the escrow account, provider not yet paid
+//   settling  a release or refund is being paid out; nothing else may pay it
+//   released  provider confirmed; escrow paid the provider
+//   refunded  provider rejected, booking cancelled or timed out; escrow paid the traveller back
+class EscrowService {
+  // confirmationOf(escrow): the provider's reply to the payment message
+  // (escrow.correlation_id) as seen on the topic, or null
+  constructor({ ledger, store, escrowAccount, escrowKey, timeoutMs, confirmationOf }) {
+    if (!escrowAccount) {
+      throw new Error("Escrow mode needs ESCROW_ACCOUNT_ID");
+    }
+    this.ledger = ledger;
+    this.store = store;
+    this.escrowAccount = escrowAccount;
+    this.escrowKey = escrowKey; // signs releases and refunds out of the escrow account
+    this.timeoutMs = timeoutMs ?? 30 * 60 * 1000;
+    this.confirmationOf = confirmationOf || null;
+
+    // Refund escrows the provider never confirmed, even when nobody asks about them
+    this.sweepTimer = setInterval(() => this.expire(), 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  get(reference) {
+    return this.store.get(reference);
+  }
+
+  update(escrow, changes) {
+    return this.store.set(escrow.reference, {
+      ...escrow,
+      ...changes,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  // Traveller -> escrow account; the provider verifies this transfer. ledger:
+  // what makes the transfer, when the payer signs it somewhere else
+  async fund({ reference, payer, payee, amount, currency = "HBAR", signingKey, ledger = this.ledger }) {
+    const existing = this.get(reference);
+    if (existing && existing.status !== "refunded") {
+      throw new Error(`${reference} is already ${existing.status} in escrow`);
+    }
+
+    const transfer = await ledger.transferHbar({
+      from: payer,
+      to: this.escrowAccount,
+      amount,
+      memo: paymentMemo(reference),
+      signingKey,
+    });
+    const now = new Date();
+    this.store.set(reference, {
+      reference,
+      status: transfer.status === "SUCCESS" ? "funded" : "failed",
+      payer,
+      payee,
+      amount,
+      currency,
+      escrow_account: this.escrowAccount,
+      funding_transaction_id: transfer.transactionId,
+      funded_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + this.timeoutMs).toISOString(),
+    });
+    console.log(`🔒 Escrow: ${amount} ${currency} held for ${reference}`);
+    return transfer;
+  }
+
+  // Pay out of escrow to `to`; only funded escrows move. The escrow is marked
+  // settling before the transfer, so a release and a refund racing each other
+  // (a late confirmation and the timeout sweep) cannot both pay it out.
+  async settle(reference, to, status, reason) {
+    const found = this.get(reference);
+    if (!found) {
+      return { status: "not_found", reason: `No escrow for ${reference}` };
+    }
+    if (found.status !== "funded") {
+      return { status: found.status, escrow: found };
+    }
+
+    const escrow = this.update(found, { status: "settling", settling_to: status });
+    try {
+      const transfer = await this.ledger.transferHbar({
+        from: this.escrowAccount,
+        to,
+        amount: escrow.amount,
+        memo: `A2A escrow ${status} ${reference}`,
+        signingKey: this.escrowKey,
+      });
+      const updated = this.update(found, {
+        status,
+        reason,
+        settlement_transaction_id: transfer.transactionId,
+        settled_at: new Date().toISOString(),
+      });
+      console.log(`🔓 Escrow: ${reference} ${status} to ${to}`);
+      return { status, escrow: updated };
+    } catch (err) {
+      console.error(`❌ Escrow: ${status} of ${reference} failed:`, err.message);
+      return { status: "funded", reason: err.message, escrow: this.update(found, {}) };
+    }
+  }
+
+  release(reference) {
+    const escrow = this.get(reference);
+    return this.settle(reference, escrow?.payee, "released", "provider confirmed");
+  }
+
+  refund(reference, reason) {
+    const escrow = this.get(reference);
+    return this.settle(reference, escrow?.payer, "refunded", reason);
+  }
+
+  // The payment message whose answer settles the escrow
+  track(reference, correlationId) {
+    const escrow = this.get(reference);
+    return escrow && this.update(escrow, { correlation_id: correlationId });
+  }
+
+  // Refund every escrow whose provider did not confirm in time. A confirmation
+  // that reached the topic after the payer stopped waiting for it still pays
+  // the provider.
+  async expire(now = Date.now()) {
+    const lapsed = this.store.filter(
+      (escrow) => escrow.status === "funded" && Date.parse(escrow.expires_at) < now,
+    );
+    const results = [];
+    for (const escrow of lapsed) {
+      let answer = null;
+      try {
+        answer = escrow.correlation_id && this.confirmationOf ? await this.confirmationOf(escrow) : null;
+      } catch (err) {
+        console.error(`❌ Escrow: could not look up the answer for ${escrow.reference}:`, err.message);
+        continue; // try again on the next sweep rather than refund a confirmed booking
+      }
+      results.push(
+        ACCEPTED_STATUSES.includes(answer?.status)
+          ? await this.release(escrow.reference)
+          : await this.refund(escrow.reference, answer?.reason || "provider did not confirm in time"),
+      );
+    }
+    return results;
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+module.exports = { EscrowService };
@@ -0,0 +1,64 @@
+// fees.js - Network fees each agent has paid for its own transactions
+const { TransactionId } = require("@hashgraph/sdk");
+
+// "0.0.5@1700000000.000000123" -> "0.0.5-1700000000-000000123", the mirror node form
+const mirrorTransactionId = (transactionId) => {
+  const id = TransactionId.fromString(transactionId);
+  const nanos = String(id.validStart.nanos.toNumber()).padStart(9, "0");
+  return `${id.accountId}-${id.validStart.seconds.toString()}-${nanos}`;
+};
+
+// Transports and ledgers call track() for every transaction they submit; the
+// charged fee is looked up on the mirror node when a report is asked for,
+// because it only shows up there a few seconds after consensus
+class FeeMeter {
+  constructor(accountId, options = {}) {
+    const network = process.env.HEDERA_NETWORK || "testnet";
+    this.accountId = accountId;
+    this.baseUrl =
+      options.baseUrl ||
+      process.env.MIRROR_NODE_URL ||
+      `https://${network}.mirrornode.hedera.com`;
+    this.entries = []; // { kind, transactionId, fee (HBAR, once known) }
+  }
+
+  track(kind, transactionId) {
+    this.entries.push({ kind, transactionId, fee: null });
+  }
+
+  async lookUp(entry) {
+    const res = await fetch(
+      `${this.baseUrl}/api/v1/transactions/${mirrorTransactionId(entry.transactionId)}`,
+    );
+    if (!res.ok) return;
+    const { transactions = [] } = await res.json();
+    const paid = transactions.find((tx) => tx.payer_account_id === this.accountId) || transactions[0];
+    if (paid) entry.fee = paid.charged_tx_fee / 1e8;
+  }
+
+  // { account_id, transactions, total_hbar, by_kind: { kind: HBAR }, pending }
+  // where pending counts transactions the mirror node has not shown yet
+  async report() {
+    await Promise.all(
+      this.entries
+        .filter((entry) => entry.fee === null)
+        .map((entry) => this.lookUp(entry).catch(() => {})),
+    );
+
+    const known = this.entries.filter((entry) => entry.fee !== null);
+    const round = (value) => Math.round(value * 1e8) / 1e8;
+    const byKind = {};
+    known.forEach((entry) => {
+      byKind[entry.kind] = round((byKind[entry.kind] || 0) + entry.fee);
+    });
+    return {
+      account_id: this.accountId,
+      transactions: this.entries.length,
+      total_hbar: round(known.reduce((sum, entry) => sum + entry.fee, 0)),
+      by_kind: byKind,
+      pending: this.entries.length - known.length,
+    };
+  }
+}
+
+module.exports = { FeeMeter, mirrorTransactionId };
@@ -0,0 +1,143 @@
+// flight-reservations.js - Quote -> hold -> confirm -> cancel lifecycle for flight seats
+const crypto = require("crypto");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Same statuses as hotel reservations (held, confirmed, cancelled, expired);
+// held and confirmed bookings keep their seats taken on every leg
+class FlightReservations {
+  constructor(schedule, store, options = {}) {
+    this.schedule = schedule;
+    this.store = store;
+    this.quotes = new Map(); // quote_id -> { option, expiresAt }, not persisted
+    this.quoteTtlMs = options.quoteTtlMs ?? 15 * 60 * 1000;
+    this.holdTtlMs = options.holdTtlMs ?? 15 * 60 * 1000;
+
+    // Seats held or sold before a restart stay taken
+    this.store
+      .filter((b) => b.status === "held" || b.status === "confirmed")
+      .forEach((b) => this.schedule.allocate(b.option, 1));
+    this.expireHolds();
+  }
+
+  rememberQuotes(options) {
+    const expiresAt = Date.now() + this.quoteTtlMs;
+    return options.map((option) => {
+      const quoteId = `FQ-${crypto.randomUUID().substring(0, 8)}`;
+      this.quotes.set(quoteId, { option, expiresAt });
+      return { ...option, quote_id: quoteId };
+    });
+  }
+
+  ownsQuote(quoteId) {
+    return this.quotes.has(quoteId);
+  }
+
+  get(bookingReference) {
+    return this.store.get(bookingReference);
+  }
+
+  update(booking, changes) {
+    return this.store.set(booking.booking_reference, {
+      ...booking,
+      ...changes,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  hold(quoteId, passenger) {
+    this.expireHolds();
+    const quote = this.quotes.get(quoteId);
+    if (!quote || quote.expiresAt < Date.now()) {
+      this.quotes.delete(quoteId);
+      return { status: "rejected", reason: `Quote ${quoteId} is unknown or has expired - request new offers` };
+    }
+    if (!this.schedule.allocate(quote.option)) {
+      return { status: "rejected", reason: "Those seats have just been sold - request new offers" };
+    }
+    this.quotes.delete(quoteId);
+
+    const now = new Date();
+    const booking = {
+      booking_reference: `FB-${crypto.randomUUID().substring(0, 8).toUpperCase()}`,
+      status: "held",
+      guest: passenger,
+      option: quote.option,
+      amount: quote.option.total_price,
+      currency: quote.option.currency,
+      created_at: now.toISOString(),
+      hold_expires_at: new Date(now.getTime() + this.holdTtlMs).toISOString(),
+    };
+    this.store.set(booking.booking_reference, booking);
+    return { status: "held", booking };
+  }
+
+  confirm(bookingReference, payment) {
+    this.expireHolds();
+    const booking = this.get(bookingReference);
+    if (!booking) {
+      return { status: "not_found", reason: `No flight booking ${bookingReference}` };
+    }
+    if (booking.status === "confirmed") {
+      return { status: "confirmed", booking };
+    }
+    if (booking.status !== "held") {
+      return { status: "rejected", reason: `Booking is ${booking.status}`, booking };
+    }
+    return {
+      status: "confirmed",
+      booking: this.update(booking, { status: "confirmed", payment, confirmed_at: new Date().toISOString() }),
+    };
+  }
+
+  // Full refund until freeCancellationHours before the first departure, none after
+  cancel(bookingReference, reason) {
+    this.expireHolds();
+    const booking = this.get(bookingReference);
+    if (!booking) {
+      return { status: "not_found", reason: `No flight booking ${bookingReference}` };
+    }
+    if (booking.status !== "held" && booking.status !== "confirmed") {
+      return { status: booking.status, booking };
+    }
+    const hoursToDeparture = (Date.parse(booking.option.legs[0].departure) - Date.now()) / HOUR_MS;
+    const refundDue =
+      booking.status === "confirmed" && hoursToDeparture >= this.schedule.freeCancellationHours
+        ? booking.amount
+        : 0;
+    this.schedule.allocate(booking.option, -1);
+    return {
+      status: "cancelled",
+      booking: this.update(booking, {
+        status: "cancelled",
+        cancelled_at: new Date().toISOString(),
+        cancellation_reason: reason,
+        refund_due: refundDue,
+        refund_status: refundDue > 0 ? "pending" : "none",
+      }),
+    };
+  }
+
+  status(bookingReference) {
+    this.expireHolds();
+    const booking = this.get(bookingReference);
+    if (!booking) {
+      return { status: "not_found", reason: `No flight booking ${bookingReference}` };
+    }
+    return { status: booking.status, booking };
+  }
+
+  expireHolds(now = Date.now()) {
+    [...this.quotes].forEach(([quoteId, quote]) => {
+      if (quote.expiresAt < now) this.quotes.delete(quoteId);
+    });
+    return this.store
+      .filter((b) => b.status === "held" && Date.parse(b.hold_expires_at) < now)
+      .map((booking) => {
+        this.schedule.allocate(booking.option, -1);
+        return this.update(booking, { status: "expired" });
+      });
+  }
+}
+
+module.exports = { FlightReservations };
@@ -0,0 +1,156 @@
+// flight-schedule.js - Airports, scheduled flights, fares and seats by cabin
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_SCHEDULE_FILE = path.join(__dirname, "..", "data", "flights.json");
+
+class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScheduleError";
+  }
+}
+
+function loadSchedule(filePath = process.env.FLIGHT_SCHEDULE_FILE || DEFAULT_SCHEDULE_FILE) {
+  return new FlightSchedule(JSON.parse(fs.readFileSync(filePath, "utf8")));
+}
+
+function parseDate(value, field) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || "").trim());
+  const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  if (!date || date.getUTCDate() !== +match[3]) {
+    throw new ScheduleError(`${field} must be a date in YYYY-MM-DD format (got "${value}")`);
+  }
+  return date;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class FlightSchedule {
+  constructor(data) {
+    this.currency = data.currency || "HBAR";
+    this.airports = data.airports;
+    this.cabins = data.cabins;
+    this.flights = data.flights;
+    this.freeCancellationHours = data.free_cancellation_hours ?? 24;
+    this.seatsTaken = new Map(); // "flight_number:date:cabin" -> seats held or sold
+  }
+
+  // Airport code, city or alias -> airport
+  airport(place) {
+    const wanted = String(place || "").trim().toLowerCase();
+    return (
+      this.airports.find(
+        (airport) =>
+          airport.code.toLowerCase() === wanted ||
+          airport.city.toLowerCase() === wanted ||
+          (airport.aliases || []).includes(wanted),
+      ) || null
+    );
+  }
+
+  // Flights between two airports operating on date (days are ISO weekdays, 1 = Monday)
+  departures(from, to, date) {
+    const weekday = date.getUTCDay() || 7;
+    return this.flights.filter(
+      (flight) => flight.from === from.code && flight.to === to.code && flight.days.includes(weekday),
+    );
+  }
+
+  seatsAvailable(flightNumber, date, cabin) {
+    const flight = this.flights.find((f) => f.flight_number === flightNumber);
+    const seats = flight?.seats?.[cabin] || 0;
+    return seats - (this.seatsTaken.get(`${flightNumber}:${date}:${cabin}`) || 0);
+  }
+
+  // Take (or with a negative count, give back) seats on every leg of an
+  // option; false when a leg has too few seats left, leaving nothing taken
+  allocate({ legs, cabin, passengers }, sign = 1) {
+    const keys = legs.map((leg) => ({
+      flightNumber: leg.flight_number,
+      date: leg.departure.slice(0, 10),
+    }));
+    if (
+      sign > 0 &&
+      keys.some(({ flightNumber, date }) => this.seatsAvailable(flightNumber, date, cabin) < passengers)
+    ) {
+      return false;
+    }
+    keys.forEach(({ flightNumber, date }) => {
+      const key = `${flightNumber}:${date}:${cabin}`;
+      this.seatsTaken.set(key, (this.seatsTaken.get(key) || 0) + sign * passengers);
+    });
+    return true;
+  }
+
+  priceFlight(flight, date, cabin, passengers) {
+    const [hours, minutes] = flight.departs.split(":").map(Number);
+    const departure = new Date(date.getTime() + (hours * 60 + minutes) * 60 * 1000);
+    const farePerPassenger = round(flight.base_fare * this.cabins[cabin].fare_multiplier);
+    return {
+      flight_number: flight.flight_number,
+      airline: flight.airline,
+      origin: flight.from,
+      origin_city: this.airport(flight.from).city,
+      destination: flight.to,
+      destination_city: this.airport(flight.to).city,
+      departure: departure.toISOString(),
+      arrival: new Date(departure.getTime() + flight.duration_minutes * 60 * 1000).toISOString(),
+      duration_minutes: flight.duration_minutes,
+      cabin,
+      cabin_label: this.cabins[cabin].label,
+      seats_available: this.seatsAvailable(flight.flight_number, departure.toISOString().slice(0, 10), cabin),
+      fare_per_passenger: farePerPassenger,
+      total_price: round(farePerPassenger * passengers),
+    };
+  }
+
+  // One option per outbound flight, paired with every return flight when a
+  // return date is given; cheapest first. Flights without enough free seats
+  // in the cabin are left out.
+  search({ origin, destination, departureDate, returnDate, passengers = 1, cabin = "economy" }) {
+    const from = this.airport(origin);
+    const to = this.airport(destination);
+    if (!from) throw new ScheduleError(`No airport known for "${origin}"`);
+    if (!to) throw new ScheduleError(`No airport known for "${destination}"`);
+    if (!this.cabins[cabin]) {
+      throw new ScheduleError(`Unknown cabin "${cabin}" (use ${Object.keys(this.cabins).join(", ")})`);
+    }
+    const outDate = parseDate(departureDate, "departure_date");
+    const backDate = returnDate ? parseDate(returnDate, "return_date") : null;
+    if (backDate && backDate < outDate) {
+      throw new ScheduleError("return_date must not be before departure_date");
+    }
+
+    const bookable = (leg) => leg.seats_available >= passengers;
+    const outbound = this.departures(from, to, outDate)
+      .map((flight) => this.priceFlight(flight, outDate, cabin, passengers))
+      .filter(bookable);
+    const inbound = backDate
+      ? this.departures(to, from, backDate)
+          .map((flight) => this.priceFlight(flight, backDate, cabin, passengers))
+          .filter(bookable)
+      : [null];
+    const options = outbound
+      .flatMap((out) =>
+        inbound.map((back) => ({
+          legs: back ? [out, back] : [out],
+          passengers,
+          cabin,
+          total_price: round(out.total_price + (back ? back.total_price : 0)),
+          currency: this.currency,
+        })),
+      )
+      .sort((a, b) => a.total_price - b.total_price);
+
+    if (options.length === 0) {
+      return {
+        status: "unavailable",
+        reason: `No ${from.city} - ${to.city} flights with ${passengers} free ${this.cabins[cabin].label} seat(s) on ${departureDate}${returnDate ? ` with a return on ${returnDate}` : ""}`,
+      };
+    }
+    return { status: "available", options };
+  }
+}
+
+module.exports = { FlightSchedule, ScheduleError, loadSchedule };
@@ -0,0 +1,338 @@
+// hotel-inventory.js - Hotel properties, room availability and pricing
+const fs = require("fs");
+const path = require("path");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INVENTORY_FILE = path.join(__dirname, "..", "data", "hotels.json");
+
+class InventoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InventoryError";
+  }
+}
+
+// ------------------- Loading -------------------
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted && ch === '"' && line[i + 1] === '"') {
+      cell += '"';
+      i++;
+    } else if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === "," && !quoted) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// One row per room type:
+// property_id,name,city,country,rating,room_code,room_name,capacity,nightly_rate,units,features,seasons[,floor_rate]
+// features are ";"-separated, seasons are "MM-DD:MM-DD:multiplier" joined by ";",
+// floor_rate is the optional lowest nightly rate the hotel negotiates down to
+function parseCsvInventory(text) {
+  const [header, ...rows] = text.split(/\r?\n/).filter((line) => line.trim());
+  const columns = parseCsvLine(header);
+  const properties = new Map();
+
+  rows.forEach((line) => {
+    const row = Object.fromEntries(
+      parseCsvLine(line).map((value, i) => [columns[i], value])
+    );
+    if (!properties.has(row.property_id)) {
+      properties.set(row.property_id, {
+        id: row.property_id,
+        name: row.name,
+        city: row.city,
+        country: row.country,
+        rating: parseFloat(row.rating) || 0,
+        seasons: (row.seasons || "")
+          .split(";")
+          .filter(Boolean)
+          .map((season) => {
+            const [from, to, multiplier] = season.split(":");
+            return { name: `${from}..${to}`, from, to, multiplier: parseFloat(multiplier) };
+          }),
+        room_types: [],
+      });
+    }
+    properties.get(row.property_id).room_types.push({
+      code: row.room_code,
+      name: row.room_name,
+      capacity: parseInt(row.capacity, 10),
+      nightly_rate: parseFloat(row.nightly_rate),
+      units: parseInt(row.units, 10),
+      features: (row.features || "").split(";").filter(Boolean),
+      floor_rate: row.floor_rate ? parseFloat(row.floor_rate) : undefined,
+    });
+  });
+
+  return { currency: "HBAR", properties: [...properties.values()] };
+}
+
+function loadInventory(filePath = process.env.HOTEL_INVENTORY_FILE || DEFAULT_INVENTORY_FILE) {
+  const text = fs.readFileSync(filePath, "utf8");
+  const data =
+    path.extname(filePath).toLowerCase() === ".csv"
+      ? parseCsvInventory(text)
+      : JSON.parse(text);
+  return new HotelInventory(data);
+}
+
+// ------------------- Dates -------------------
+function parseDate(value, field) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || "").trim());
+  const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  if (!date || date.getUTCDate() !== +match[3]) {
+    throw new InventoryError(`${field} must be a date in YYYY-MM-DD format (got "${value}")`);
+  }
+  return date;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Every night of the stay, as YYYY-MM-DD strings
+function stayNights(checkIn, checkOut) {
+  const start = parseDate(checkIn, "check_in");
+  const end = parseDate(checkOut, "check_out");
+  const count = Math.round((end - start) / DAY_MS);
+  if (count < 1) {
+    throw new InventoryError("check_out must be at least one night after check_in");
+  }
+  if (count > 30) {
+    throw new InventoryError("stays longer than 30 nights are not supported");
+  }
+  return Array.from({ length: count }, (_, i) =>
+    formatDate(new Date(start.getTime() + i * DAY_MS))
+  );
+}
+
+function shiftDate(value, days) {
+  return formatDate(new Date(parseDate(value, "date").getTime() + days * DAY_MS));
+}
+
+// Seasons are "MM-DD" ranges and may wrap over new year
+function inSeason(season, date) {
+  const monthDay = date.slice(5);
+  return season.from <= season.to
+    ? monthDay >= season.from && monthDay <= season.to
+    : monthDay >= season.from || monthDay <= season.to;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// ------------------- Inventory -------------------
+class HotelInventory {
+  constructor(data) {
+    this.currency = data.currency || "HBAR";
+    this.properties = data.properties || [];
+    this.allocations = new Map(); // "property|room|date" -> units held or booked
+    this.floorShare = data.floor_share ?? 0.85; // for rooms without a floor_rate
+  }
+
+  cities() {
+    return [...new Set(this.properties.map((p) => p.city))];
+  }
+
+  // "Paris", "paris, france" and "NYC" all resolve to their properties
+  propertiesIn(destination) {
+    const wanted = String(destination || "").trim().toLowerCase();
+    return this.properties.filter((property) =>
+      [property.city, ...(property.aliases || [])].some((name) => {
+        const candidate = name.toLowerCase();
+        return wanted === candidate || wanted.startsWith(`${candidate},`);
+      })
+    );
+  }
+
+  unitsAvailable(property, room, date) {
+    const override = property.availability?.[room.code]?.[date];
+    const allocated = this.allocations.get(`${property.id}|${room.code}|${date}`) || 0;
+    return (override ?? room.units) - allocated;
+  }
+
+  findRoom(propertyId, roomCode) {
+    const property = this.properties.find((p) => p.id === propertyId);
+    const room = property?.room_types.find((r) => r.code === roomCode);
+    return room ? { property, room } : null;
+  }
+
+  // Take (units = 1) or give back (units = -1) one room for every night of a stay.
+  // Returns false without changing anything if a night is sold out.
+  allocate({ property_id, room_code, check_in, check_out }, units = 1) {
+    const found = this.findRoom(property_id, room_code);
+    if (!found) return false;
+
+    const nights = stayNights(check_in, check_out);
+    if (
+      units > 0 &&
+      nights.some((date) => this.unitsAvailable(found.property, found.room, date) < units)
+    ) {
+      return false;
+    }
+    nights.forEach((date) => {
+      const key = `${property_id}|${room_code}|${date}`;
+      const next = (this.allocations.get(key) || 0) + units;
+      if (next > 0) this.allocations.set(key, next);
+      else this.allocations.delete(key);
+    });
+    return true;
+  }
+
+  nightlyRate(property, room, date) {
+    const multiplier = (property.seasons || [])
+      .filter((season) => inSeason(season, date))
+      .reduce((acc, season) => Math.max(acc, season.multiplier), 1);
+    return round(room.nightly_rate * multiplier);
+  }
+
+  // Price a room for the given nights, or null if any night is sold out
+  quoteRoom(property, room, nights) {
+    if (nights.some((date) => this.unitsAvailable(property, room, date) < 1)) {
+      return null;
+    }
+    const rates = nights.map((date) => this.nightlyRate(property, room, date));
+    const totalPrice = round(rates.reduce((sum, rate) => sum + rate, 0));
+    return {
+      property_id: property.id,
+      hotel_name: property.name,
+      city: property.city,
+      rating: property.rating,
+      room_code: room.code,
+      room_type: room.name,
+      capacity: room.capacity,
+      features: room.features || [],
+      check_in: nights[0],
+      check_out: shiftDate(nights[nights.length - 1], 1),
+      price_per_night: round(totalPrice / nights.length),
+      total_nights: nights.length,
+      total_price: totalPrice,
+      currency: this.currency,
+    };
+  }
+
+  // Lowest total the hotel accepts for a quoted stay when negotiating; the
+  // room's floor_rate scales with the same seasonal pricing as its list rate
+  floorPrice(option) {
+    const found = this.findRoom(option.property_id, option.room_code);
+    const share = found?.room.floor_rate
+      ? found.room.floor_rate / found.room.nightly_rate
+      : this.floorShare;
+    return round(option.total_price * Math.min(1, share));
+  }
+
+  // All priced rooms in the destination that fit the party, ignoring budget
+  candidates({ destination, nights, guests }) {
+    return this.propertiesIn(destination).flatMap((property) =>
+      property.room_types
+        .filter((room) => room.capacity >= guests)
+        .map((room) => this.quoteRoom(property, room, nights))
+        .filter(Boolean)
+    );
+  }
+
+  // Returns { status: "available", nights, options } or
+  // { status: "unavailable", reason, alternatives }
+  search({
+    destination,
+    checkIn,
+    checkOut,
+    guests = 1,
+    budgetPerNight,
+    roomPreferences = [],
+    maxResults = 3,
+  }) {
+    const nights = stayNights(checkIn, checkOut);
+    const preferences = roomPreferences.map((p) => p.toLowerCase());
+
+    if (this.propertiesIn(destination).length === 0) {
+      return {
+        status: "unavailable",
+        reason: `No hotels listed in ${destination}`,
+        alternatives: [],
+        served_cities: this.cities(),
+      };
+    }
+
+    const rank = (options) =>
+      options
+        .map((option) => ({
+          ...option,
+          preference_matches: preferences.filter((pref) =>
+            [option.room_type, ...option.features].some((text) =>
+              text.toLowerCase().includes(pref)
+            )
+          ),
+        }))
+        .sort(
+          (a, b) =>
+            b.preference_matches.length - a.preference_matches.length ||
+            a.total_price - b.total_price ||
+            b.rating - a.rating
+        );
+
+    const all = this.candidates({ destination, nights, guests });
+    const withinBudget = all.filter(
+      (option) => !budgetPerNight || option.price_per_night <= budgetPerNight
+    );
+    if (withinBudget.length > 0) {
+      return {
+        status: "available",
+        total_nights: nights.length,
+        options: rank(withinBudget).slice(0, maxResults),
+      };
+    }
+
+    // Nothing fits - offer what comes closest instead of a bare "no"
+    const alternatives = rank(all)
+      .slice(0, maxResults)
+      .map((option) => ({
+        ...option,
+        reason: `over budget (${option.price_per_night} > ${budgetPerNight} ${this.currency}/night)`,
+      }));
+    for (const shift of [-1, 1, -2, 2, -3, 3, 7]) {
+      if (alternatives.length >= maxResults) break;
+      const shifted = nights.map((date) => shiftDate(date, shift));
+      const [best] = rank(
+        this.candidates({ destination, nights: shifted, guests }).filter(
+          (option) => !budgetPerNight || option.price_per_night <= budgetPerNight
+        )
+      );
+      if (best) {
+        alternatives.push({
+          ...best,
+          reason: `available if you shift your dates by ${shift > 0 ? "+" : ""}${shift} day(s)`,
+        });
+      }
+    }
+
+    return {
+      status: "unavailable",
+      reason:
+        all.length === 0
+          ? `No rooms for ${guests} guest(s) in ${destination} on those dates`
+          : `No rooms in ${destination} within ${budgetPerNight} ${this.currency}/night`,
+      alternatives,
+    };
+  }
+}
+
+module.exports = {
+  HotelInventory,
+  InventoryError,
+  loadInventory,
+  stayNights,
+  parseCsvInventory,
+  DEFAULT_INVENTORY_FILE,
+};
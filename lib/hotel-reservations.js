@@ -0,0 +1,185 @@
+// hotel-reservations.js - Quote -> hold -> confirm -> cancel lifecycle for hotel rooms
+const crypto = require("crypto");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Reservation statuses:
+//   held       room taken out of inventory until hold_expires_at
+//   confirmed  paid for; only a cancellation gives the room back
+//   cancelled  released by the guest; refund_due records what is owed back
+//   expired    hold lapsed without confirmation
+class ReservationBook {
+  constructor(inventory, store, options = {}) {
+    this.inventory = inventory;
+    this.store = store;
+    this.quotes = new Map(); // quote_id -> priced option, short-lived and not persisted
+    this.quoteTtlMs = options.quoteTtlMs ?? 15 * 60 * 1000;
+    this.holdTtlMs = options.holdTtlMs ?? 15 * 60 * 1000;
+    this.freeCancellationHours = options.freeCancellationHours ?? 48;
+    this.lateCancellationRefund = options.lateCancellationRefund ?? 0.5;
+
+    // Rebuild allocations for rooms still held or booked before a restart
+    this.store
+      .filter((r) => r.status === "held" || r.status === "confirmed")
+      .forEach((r) => this.inventory.allocate(r.option));
+    this.expireHolds();
+  }
+
+  // Remember priced options so a guest can hold one by quote_id
+  rememberQuotes(options) {
+    const expiresAt = Date.now() + this.quoteTtlMs;
+    return options.map((option) => {
+      const quoteId = `Q-${crypto.randomUUID().substring(0, 8)}`;
+      this.quotes.set(quoteId, { option, expiresAt });
+      return { ...option, quote_id: quoteId };
+    });
+  }
+
+  ownsQuote(quoteId) {
+    return this.quotes.has(quoteId);
+  }
+
+  // Priced option still open for holding, or null
+  openQuote(quoteId) {
+    const quote = this.quotes.get(quoteId);
+    return quote && quote.expiresAt >= Date.now() ? quote.option : null;
+  }
+
+  // Apply a negotiated total to a quote so holding it books the agreed price;
+  // the quote gets a fresh lifetime to be held in
+  reprice(quoteId, totalPrice, negotiation) {
+    const option = this.openQuote(quoteId);
+    if (!option) return null;
+    const repriced = {
+      ...option,
+      list_price: option.list_price ?? option.total_price,
+      total_price: totalPrice,
+      price_per_night: Math.round((totalPrice / option.total_nights) * 100) / 100,
+      negotiation,
+    };
+    this.quotes.set(quoteId, { option: repriced, expiresAt: Date.now() + this.quoteTtlMs });
+    return repriced;
+  }
+
+  get(bookingReference) {
+    return this.store.get(bookingReference);
+  }
+
+  update(reservation, changes) {
+    return this.store.set(reservation.booking_reference, {
+      ...reservation,
+      ...changes,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  hold(quoteId, guest) {
+    const quote = this.quotes.get(quoteId);
+    if (!quote || quote.expiresAt < Date.now()) {
+      this.quotes.delete(quoteId);
+      return { status: "rejected", reason: `Quote ${quoteId} is unknown or has expired - request new offers` };
+    }
+    const negotiatedFor = quote.option.negotiation?.buyer;
+    if (negotiatedFor && negotiatedFor !== guest.account_id) {
+      return { status: "rejected", reason: `Quote ${quoteId} was negotiated by another account` };
+    }
+    if (!this.inventory.allocate(quote.option)) {
+      return { status: "rejected", reason: "That room has just sold out for these dates" };
+    }
+    this.quotes.delete(quoteId);
+
+    const now = new Date();
+    const reservation = {
+      booking_reference: `HB-${crypto.randomUUID().substring(0, 8).toUpperCase()}`,
+      status: "held",
+      guest,
+      option: quote.option,
+      amount: quote.option.total_price,
+      currency: quote.option.currency,
+      created_at: now.toISOString(),
+      hold_expires_at: new Date(now.getTime() + this.holdTtlMs).toISOString(),
+    };
+    this.store.set(reservation.booking_reference, reservation);
+    return { status: "held", booking: reservation };
+  }
+
+  confirm(bookingReference, payment) {
+    this.expireHolds();
+    const reservation = this.get(bookingReference);
+    if (!reservation) {
+      return { status: "not_found", reason: `No booking ${bookingReference}` };
+    }
+    if (reservation.status === "confirmed") {
+      return { status: "confirmed", booking: reservation };
+    }
+    if (reservation.status !== "held") {
+      return { status: "rejected", reason: `Booking is ${reservation.status}`, booking: reservation };
+    }
+    return {
+      status: "confirmed",
+      booking: this.update(reservation, {
+        status: "confirmed",
+        payment,
+        confirmed_at: new Date().toISOString(),
+      }),
+    };
+  }
+
+  // Full refund until freeCancellationHours before check-in, partial after
+  refundFor(reservation) {
+    if (reservation.status !== "confirmed") return 0;
+    const hoursToCheckIn =
+      (Date.parse(`${reservation.option.check_in}T14:00:00Z`) - Date.now()) / HOUR_MS;
+    const share = hoursToCheckIn >= this.freeCancellationHours ? 1 : this.lateCancellationRefund;
+    return Math.round(reservation.amount * share * 100) / 100;
+  }
+
+  cancel(bookingReference, reason) {
+    this.expireHolds();
+    const reservation = this.get(bookingReference);
+    if (!reservation) {
+      return { status: "not_found", reason: `No booking ${bookingReference}` };
+    }
+    if (reservation.status !== "held" && reservation.status !== "confirmed") {
+      return { status: reservation.status, booking: reservation };
+    }
+
+    const refundDue = this.refundFor(reservation);
+    this.inventory.allocate(reservation.option, -1);
+    return {
+      status: "cancelled",
+      booking: this.update(reservation, {
+        status: "cancelled",
+        cancelled_at: new Date().toISOString(),
+        cancellation_reason: reason,
+        refund_due: refundDue,
+        refund_status: refundDue > 0 ? "pending" : "none",
+      }),
+    };
+  }
+
+  status(bookingReference) {
+    this.expireHolds();
+    const reservation = this.get(bookingReference);
+    if (!reservation) {
+      return { status: "not_found", reason: `No booking ${bookingReference}` };
+    }
+    return { status: reservation.status, booking: reservation };
+  }
+
+  // Release rooms whose hold lapsed; returns the reservations that expired
+  expireHolds(now = Date.now()) {
+    [...this.quotes].forEach(([quoteId, quote]) => {
+      if (quote.expiresAt < now) this.quotes.delete(quoteId);
+    });
+
+    return this.store
+      .filter((r) => r.status === "held" && Date.parse(r.hold_expires_at) < now)
+      .map((reservation) => {
+        this.inventory.allocate(reservation.option, -1);
+        return this.update(reservation, { status: "expired" });
+      });
+  }
+}
+
+module.exports = { ReservationBook };
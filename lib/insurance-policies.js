@@ -0,0 +1,142 @@
+// insurance-policies.js - Binding quoted cover into persisted policies
+const crypto = require("crypto");
+const { JsonFileStore } = require("./json-store");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Quote statuses:
+//   open       can be bound until expires_at
+//   bound      paid for and turned into policy_reference
+//   expired    nobody paid in time
+//   withdrawn  closed by whoever asked for it before it was bound
+// Quotes are paid for directly, with no hold in between, so they are kept
+// (quoteStore) like bookings: a premium that arrives for an expired or
+// already bound quote, even after a restart, is known and can be refunded.
+class PolicyBook {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.quotes = options.quoteStore || new JsonFileStore(null); // quote_id -> quote
+    this.quoteTtlMs = options.quoteTtlMs ?? 30 * 60 * 1000;
+    this.defaultTripDays = options.defaultTripDays ?? 7;
+  }
+
+  // trip: the quoted inputs ({ destination, trip_cost, start_date, end_date, ... }),
+  // requestedBy: account that asked for the quotes, the only one that may withdraw them
+  rememberQuotes(options, trip, requestedBy = null) {
+    const expiresAt = new Date(Date.now() + this.quoteTtlMs).toISOString();
+    return options.map((option) => {
+      const quoteId = `IQ-${crypto.randomUUID().substring(0, 8)}`;
+      this.quotes.set(quoteId, {
+        quote_id: quoteId,
+        status: "open",
+        option,
+        trip,
+        amount: option.premium,
+        currency: option.currency,
+        expires_at: expiresAt,
+        requested_by: requestedBy,
+      });
+      return { ...option, quote_id: quoteId };
+    });
+  }
+
+  ownsQuote(quoteId) {
+    return this.quotes.has(quoteId);
+  }
+
+  // The quote with its status brought up to date, or null
+  quote(quoteId) {
+    const quote = this.quotes.get(quoteId);
+    if (quote?.status === "open" && Date.parse(quote.expires_at) < Date.now()) {
+      return this.updateQuote(quote, { status: "expired" });
+    }
+    return quote;
+  }
+
+  updateQuote(quote, changes) {
+    return this.quotes.set(quote.quote_id, { ...quote, ...changes, updated_at: new Date().toISOString() });
+  }
+
+  // Quoted option still open for binding, or null
+  openQuote(quoteId) {
+    const quote = this.quote(quoteId);
+    return quote?.status === "open" ? quote.option : null;
+  }
+
+  // An open quote is closed for good; a bound one is answered with its policy
+  withdraw(quoteId, by, reason) {
+    const quote = this.quote(quoteId);
+    if (!quote || quote.requested_by !== by) {
+      return { status: "not_found", reason: `No quote ${quoteId} requested by ${by}` };
+    }
+    if (quote.status === "bound") {
+      return { status: "issued", policy: this.get(quote.policy_reference) };
+    }
+    if (quote.status === "open") {
+      return { status: "withdrawn", quote: this.updateQuote(quote, { status: "withdrawn", reason }) };
+    }
+    return { status: quote.status, quote };
+  }
+
+  get(policyReference) {
+    return this.store.get(policyReference);
+  }
+
+  bind(quoteId, holder, payment) {
+    const quote = this.quote(quoteId);
+    if (quote?.status !== "open") {
+      return {
+        status: "rejected",
+        reason: `Quote ${quoteId} is ${quote ? quote.status : "unknown"} - request a new quote`,
+      };
+    }
+
+    const { option, trip } = quote;
+    const startDate = trip.start_date || new Date().toISOString().slice(0, 10);
+    const endDate =
+      trip.end_date ||
+      new Date(Date.parse(`${startDate}T00:00:00Z`) + (this.defaultTripDays - 1) * DAY_MS)
+        .toISOString()
+        .slice(0, 10);
+
+    const policy = {
+      policy_reference: `POL-${crypto.randomUUID().substring(0, 8).toUpperCase()}`,
+      quote_id: quoteId,
+      status: "active",
+      holder,
+      tier: option.tier,
+      premium: option.premium,
+      currency: option.currency,
+      deductible: option.deductible,
+      coverage_limits: option.coverage_limits,
+      exclusions: option.exclusions,
+      add_ons: option.add_ons,
+      destination: trip.destination,
+      trip_cost: trip.trip_cost,
+      start_date: startDate,
+      end_date: endDate,
+      payment,
+      paid_out: {}, // cover -> amount paid or reserved on claims
+      issued_at: new Date().toISOString(),
+    };
+    this.store.set(policy.policy_reference, policy);
+    this.updateQuote(quote, { status: "bound", payment, policy_reference: policy.policy_reference });
+    return { status: "issued", policy };
+  }
+
+  // Claims reserve their payable amount here as soon as the rules allow it,
+  // so claims decided in parallel cannot pay more than the cover limit
+  recordPayout(policyReference, cover, amount) {
+    const policy = this.get(policyReference);
+    const paidOut = { ...policy.paid_out, [cover]: round((policy.paid_out[cover] || 0) + amount) };
+    return this.store.set(policyReference, { ...policy, paid_out: paidOut });
+  }
+
+  releasePayout(policyReference, cover, amount) {
+    return this.recordPayout(policyReference, cover, -amount);
+  }
+}
+
+module.exports = { PolicyBook };
@@ -0,0 +1,145 @@
+// insurance-rating.js - Risk-based travel insurance premiums from a rate file
+const fs = require("fs");
+const path = require("path");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RATES_FILE = path.join(__dirname, "..", "data", "insurance-rates.json");
+
+class RatingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RatingError";
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function loadRateTable(filePath = process.env.INSURANCE_RATES_FILE || DEFAULT_RATES_FILE) {
+  return new RatingEngine(JSON.parse(fs.readFileSync(filePath, "utf8")));
+}
+
+function parseDay(value, field) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    throw new RatingError(`${field} must be a date in YYYY-MM-DD format (got "${value}")`);
+  }
+  return Date.parse(`${value}T00:00:00Z`);
+}
+
+class RatingEngine {
+  constructor(rates) {
+    this.rates = rates;
+    this.currency = rates.currency || "HBAR";
+    this.riskOrder = Object.keys(rates.risk_classes);
+  }
+
+  // Highest risk class of any destination term mentioned, e.g. "Cusco, Peru" -> high
+  riskClassFor(destination) {
+    const text = String(destination || "").toLowerCase();
+    const matched = this.rates.destinations
+      .filter((entry) =>
+        entry.match.some((term) =>
+          new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`).test(text)
+        )
+      )
+      .map((entry) => entry.risk);
+    if (matched.length === 0) return this.rates.default_risk;
+    return matched.sort((a, b) => this.riskOrder.indexOf(b) - this.riskOrder.indexOf(a))[0];
+  }
+
+  // Days covered, counting both the departure and the return day
+  tripDays({ startDate, endDate }) {
+    if (!startDate || !endDate) return this.rates.default_trip_days;
+    const days = Math.round((parseDay(endDate, "end_date") - parseDay(startDate, "start_date")) / DAY_MS) + 1;
+    if (days < 1) throw new RatingError("end_date must not be before start_date");
+    if (days > this.rates.max_trip_days) {
+      throw new RatingError(`trips longer than ${this.rates.max_trip_days} days are not covered`);
+    }
+    return days;
+  }
+
+  band(bands, key, value) {
+    return bands.find((band) => value <= band[key]);
+  }
+
+  // input: { tripCost, destination, startDate?, endDate?, travellerAges?, addOns? }
+  quote({ tripCost, destination, startDate, endDate, travellerAges = [30], addOns = [] }) {
+    if (!(tripCost > 0)) {
+      throw new RatingError("trip_cost must be a positive amount");
+    }
+    const ages = travellerAges.length ? travellerAges : [30];
+    const oldest = Math.max(...ages);
+    const ageBands = ages.map((age) => this.band(this.rates.age_bands, "max_age", age));
+    if (ageBands.some((band) => !band)) {
+      throw new RatingError(`travellers older than ${this.rates.age_bands.at(-1).max_age} cannot be covered`);
+    }
+    const unknownAddOn = addOns.find((addOn) => !this.rates.add_ons[addOn]);
+    if (unknownAddOn) {
+      throw new RatingError(
+        `unknown add-on "${unknownAddOn}" (available: ${Object.keys(this.rates.add_ons).join(", ")})`
+      );
+    }
+
+    const days = this.tripDays({ startDate, endDate });
+    const riskClass = this.riskClassFor(destination);
+    const riskFactor = this.rates.risk_classes[riskClass];
+    const durationFactor = this.band(this.rates.duration_bands, "max_days", days).factor;
+    const travellerFactor = ageBands.reduce((sum, band) => sum + band.factor, 0);
+
+    const offered = [];
+    const declined = [];
+    this.rates.tiers.forEach((tier) => {
+      const reasons = [];
+      if (this.riskOrder.indexOf(riskClass) > this.riskOrder.indexOf(tier.max_risk)) {
+        reasons.push(`${riskClass} risk destinations are not covered`);
+      }
+      if (oldest > tier.max_age) {
+        reasons.push(`travellers over ${tier.max_age} are not covered`);
+      }
+      addOns
+        .filter((addOn) => !this.rates.add_ons[addOn].tiers.includes(tier.name))
+        .forEach((addOn) => reasons.push(`${this.rates.add_ons[addOn].label} cover is not available`));
+      if (reasons.length) {
+        declined.push({ tier: tier.name, reasons });
+        return;
+      }
+
+      const addOnFactor = addOns.reduce((acc, addOn) => acc * this.rates.add_ons[addOn].factor, 1);
+      const base = tripCost * tier.trip_cost_rate + tier.per_traveller_day * days * travellerFactor;
+      const premium = Math.max(
+        this.rates.minimum_premium,
+        round(base * riskFactor * durationFactor * addOnFactor)
+      );
+
+      const coverageLimits = Object.fromEntries(
+        Object.entries(tier.coverage_limits).map(([cover, limit]) => [
+          cover,
+          typeof limit === "number" ? limit : round(tripCost * limit.trip_cost_share),
+        ])
+      );
+      const lifted = addOns.map((addOn) => this.rates.add_ons[addOn].removes_exclusion);
+
+      offered.push({
+        tier: tier.name,
+        premium,
+        currency: this.currency,
+        deductible: tier.deductible,
+        coverage_limits: coverageLimits,
+        benefits: [...tier.benefits, ...addOns.map((addOn) => this.rates.add_ons[addOn].label)],
+        exclusions: tier.exclusions.filter((exclusion) => !lifted.includes(exclusion)),
+        add_ons: addOns,
+      });
+    });
+
+    return {
+      status: offered.length ? "available" : "unavailable",
+      reason: offered.length ? undefined : "No tier can cover this trip",
+      risk_class: riskClass,
+      trip_days: days,
+      travellers: ages.length,
+      coverage_options: offered,
+      declined_tiers: declined,
+    };
+  }
+}
+
+module.exports = { RatingEngine, RatingError, loadRateTable, DEFAULT_RATES_FILE };
@@ -0,0 +1,419 @@
+// itinerary.js - Whole trips: flight, hotel and insurance planned together and booked all-or-nothing
+const crypto = require("crypto");
+
+// Trip statuses:
+//   planned            components chosen, nothing held or paid
+//   awaiting_approval  the total is above the auto-pay limit and waits for a human
+//   booking            holds and payments in progress
+//   booked             every component confirmed
+//   failed             a component could not be booked; the others were rolled back
+const COMPONENTS = ["flight", "hotel", "insurance"];
+const BOOKABLE_STATUSES = ["planned", "awaiting_approval", "failed"];
+
+// Provider replies that mean a component went through
+const ACCEPTED_STATUSES = ["confirmed", "issued"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class ItineraryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ItineraryError";
+  }
+}
+
+// store: JsonFileStore of trips, requestService(content): A2A request fanned
+// out to every provider, sendBooking(content) / sendPolicy(content): booking
+// or policy action answered by the provider that issued the quote / booking,
+// payments: PaymentService,
+// escrow: optional EscrowService, remember(id, providerAccount, option):
+// records which provider issued a quote or reference, owner: chat session
+// the trips are planned for; trips of other sessions are not found
+class ItineraryPlanner {
+  constructor({ store, requestService, sendBooking, sendPolicy, payments, escrow, remember, owner = null }) {
+    this.store = store;
+    this.requestService = requestService;
+    this.sendBooking = sendBooking;
+    this.sendPolicy = sendPolicy;
+    this.payments = payments;
+    this.escrow = escrow || null;
+    this.remember = remember || (() => {});
+    this.owner = owner;
+  }
+
+  get(tripId) {
+    const trip = this.store.get(tripId);
+    return trip && (trip.owner ?? null) === this.owner ? trip : null;
+  }
+
+  // Keeps legs, stays, cover and the total in step with the chosen components
+  update(trip, changes) {
+    const next = { ...trip, ...changes, updated_at: new Date().toISOString() };
+    const { flight, hotel, insurance } = next.chosen;
+    return this.store.set(next.trip_id, {
+      ...next,
+      legs: flight ? flight.option.legs : [],
+      stays: hotel
+        ? [
+            {
+              hotel_name: hotel.option.hotel_name,
+              room_type: hotel.option.room_type,
+              check_in: hotel.option.check_in || next.dates.start,
+              check_out: hotel.option.check_out || next.dates.end,
+              nights: hotel.option.total_nights,
+              price: hotel.price,
+            },
+          ]
+        : [],
+      cover: insurance
+        ? {
+            tier: insurance.option.tier,
+            premium: insurance.price,
+            deductible: insurance.option.deductible,
+            coverage_limits: insurance.option.coverage_limits,
+            trip_cost: next.insured_cost,
+          }
+        : null,
+      total_cost: round(COMPONENTS.reduce((sum, c) => sum + (next.chosen[c]?.price || 0), 0)),
+    });
+  }
+
+  // ------------------- Planning -------------------
+
+  // request: { origin, destination, start_date, end_date, travellers, cabin,
+  // budget_per_night, room_preferences, traveller_ages, insurance_tier,
+  // components }. Flights and hotels are requested from every provider at
+  // once; insurance is quoted afterwards, on what the chosen flight and hotel cost.
+  async plan(request) {
+    const wanted = request.components || COMPONENTS;
+    if (wanted.includes("flight") && !request.origin) {
+      throw new ItineraryError("A trip with a flight needs an origin");
+    }
+    const [flight, hotel] = await Promise.all([
+      wanted.includes("flight") ? this.searchFlights(request) : null,
+      wanted.includes("hotel") ? this.searchHotels(request) : null,
+    ]);
+
+    const now = new Date().toISOString();
+    let trip = {
+      trip_id: `TRIP-${crypto.randomUUID().substring(0, 6).toUpperCase()}`,
+      status: "planned",
+      owner: this.owner,
+      origin: request.origin || null,
+      destination: request.destination,
+      dates: { start: request.start_date, end: request.end_date },
+      travellers: request.travellers || 1,
+      request,
+      options: {},
+      chosen: {},
+      unavailable: {},
+      bookings: {},
+      created_at: now,
+    };
+    [["flight", flight], ["hotel", hotel]]
+      .filter(([, found]) => found)
+      .forEach(([component, found]) => {
+        trip.options[component] = found.options;
+        trip.chosen[component] = found.options[0] || null;
+        if (found.options.length === 0) trip.unavailable[component] = found.reason;
+      });
+    if (wanted.includes("insurance")) {
+      trip = await this.quoteInsurance(trip, request.insurance_tier);
+    }
+    return this.update(trip, {});
+  }
+
+  // Replace a component with another of its offers; a new flight or hotel
+  // changes the trip cost, so insurance is quoted again in the same tier
+  async swap(tripId, component, quoteId) {
+    const trip = this.get(tripId);
+    if (!trip) throw new ItineraryError(`Unknown trip ${tripId}`);
+    if (trip.status !== "planned" && trip.status !== "failed") {
+      throw new ItineraryError(`Trip ${tripId} is ${trip.status} and can no longer be changed`);
+    }
+    const offer = (trip.options[component] || []).find((o) => o.quote_id === quoteId);
+    if (!offer) {
+      throw new ItineraryError(`${quoteId} is not one of the ${component} offers for ${tripId}`);
+    }
+    let next = { ...trip, chosen: { ...trip.chosen, [component]: offer } };
+    if (component !== "insurance" && trip.chosen.insurance) {
+      next = await this.quoteInsurance(next, trip.chosen.insurance.option.tier);
+    }
+    return this.update(next, { status: "planned", bookings: {}, failure: null, rollback: [] });
+  }
+
+  async searchFlights(request) {
+    return this.search(
+      {
+        service: "flight_booking",
+        details: {
+          origin: request.origin,
+          destination: request.destination,
+          departure_date: request.start_date,
+          return_date: request.end_date,
+          passengers: request.travellers || 1,
+          cabin: request.cabin,
+        },
+      },
+      "options",
+      (option) => option.total_price,
+      (a, b) => a.price - b.price,
+    );
+  }
+
+  async searchHotels(request) {
+    return this.search(
+      {
+        service: "hotel_booking",
+        details: {
+          destination: request.destination,
+          check_in: request.start_date,
+          check_out: request.end_date,
+          guests: request.travellers || 1,
+          budget_per_night: request.budget_per_night,
+          room_preferences: request.room_preferences,
+        },
+      },
+      "options",
+      (option) => option.total_price,
+      // Best preference match first, as book_hotel lists them
+      (a, b) =>
+        (b.option.preference_matches?.length || 0) - (a.option.preference_matches?.length || 0) ||
+        a.price - b.price,
+    );
+  }
+
+  // Insurance on what the chosen flight and hotel cost, keeping `tier` if an
+  // insurer still offers it, otherwise the cheapest cover
+  async quoteInsurance(trip, tier) {
+    const insuredCost = round((trip.chosen.flight?.price || 0) + (trip.chosen.hotel?.price || 0));
+    const found = await this.search(
+      {
+        service: "travel_insurance",
+        trip_cost: insuredCost,
+        destination: trip.destination,
+        start_date: trip.dates.start,
+        end_date: trip.dates.end,
+        traveller_ages: trip.request.traveller_ages,
+      },
+      "coverage_options",
+      (option) => option.premium,
+      (a, b) => a.price - b.price,
+    );
+    const sameTier = tier && found.options.find((o) => o.option.tier.toLowerCase() === tier.toLowerCase());
+    const unavailable = { ...trip.unavailable };
+    delete unavailable.insurance;
+    if (found.options.length === 0) unavailable.insurance = found.reason;
+    return {
+      ...trip,
+      insured_cost: insuredCost,
+      options: { ...trip.options, insurance: found.options },
+      chosen: { ...trip.chosen, insurance: sameTier || found.options[0] || null },
+      unavailable,
+    };
+  }
+
+  // Offers from every provider that answered, as { quote_id, provider,
+  // provider_account, price, currency, option }, best first; reason says
+  // why there are none
+  async search(content, listField, priceOf, compare) {
+    const responses = await this.requestService(content);
+    const options = responses
+      .filter((r) => r.content.status === "available" && r.content[listField])
+      .flatMap((r) =>
+        r.content[listField]
+          .filter((option) => option.quote_id)
+          .map((option) => ({
+            quote_id: option.quote_id,
+            provider: r.sender.agent_id,
+            provider_account: r.sender.account_id,
+            price: priceOf(option),
+            currency: option.currency || "HBAR",
+            option,
+          })),
+      )
+      .sort(compare);
+    options.forEach((offer) => this.remember(offer.quote_id, offer.provider_account, offer.option));
+    const reason =
+      responses.length === 0
+        ? `no ${content.service.replace(/_/g, " ")} provider answered`
+        : responses.map((r) => `${r.sender.agent_id}: ${r.content.reason || r.content.status}`).join("; ");
+    return { options, reason };
+  }
+
+  // ------------------- Booking -------------------
+
+  // All or nothing: every seat and room is held first and nothing is paid
+  // unless all holds succeed. Components are then paid one by one, insurance
+  // last; if any is not confirmed, everything booked so far is cancelled and
+  // refunded (see rollBack). payer: the user's own account paying, for
+  // sessions that sign their transfers in the browser (PaymentService.pay)
+  async book(tripId, user, payer = null) {
+    let trip = this.get(tripId);
+    if (!trip) throw new ItineraryError(`Unknown trip ${tripId}`);
+    if (!BOOKABLE_STATUSES.includes(trip.status)) {
+      throw new ItineraryError(`Trip ${tripId} is ${trip.status}`);
+    }
+    const chosen = COMPONENTS.filter((c) => trip.chosen[c]);
+    if (chosen.length === 0) {
+      throw new ItineraryError(`Trip ${tripId} has nothing to book`);
+    }
+    trip = this.update(trip, { status: "booking", bookings: {}, failure: null, rollback: [] });
+    console.log(`🧳 Booking trip ${tripId}: ${chosen.join(", ")} for ${trip.total_cost} HBAR`);
+
+    const bookings = {};
+    const holdable = chosen.filter((c) => c !== "insurance");
+    const holds = await Promise.all(
+      holdable.map((c) => this.sendBooking({ action: "hold", quote_id: trip.chosen[c].quote_id })),
+    );
+    holds.forEach((held, i) => {
+      if (held?.content.status !== "held") return;
+      const { booking } = held.content;
+      bookings[holdable[i]] = {
+        reference: booking.booking_reference,
+        status: "held",
+        amount: booking.amount,
+        currency: booking.currency,
+        provider_account: held.sender.account_id,
+      };
+    });
+    const notHeld = holdable.findIndex((c) => !bookings[c]);
+    if (notHeld >= 0) {
+      const reason = holds[notHeld]?.content.reason || holds[notHeld]?.content.status || "no answer";
+      return this.rollBack(trip, bookings, `${holdable[notHeld]} could not be held: ${reason}`);
+    }
+
+    for (const component of chosen) {
+      const offer = trip.chosen[component];
+      const item = bookings[component] || {
+        reference: offer.quote_id,
+        amount: offer.price,
+        currency: offer.currency,
+        provider_account: offer.provider_account,
+      };
+      let paid;
+      try {
+        paid = await this.payments.pay({
+          recipient: item.provider_account,
+          amount: item.amount,
+          currency: item.currency,
+          reference: item.reference,
+          description: `Trip ${tripId} ${component}`,
+          user,
+          ...(payer && { payer }),
+        });
+      } catch (err) {
+        return this.rollBack(trip, bookings, `${component} payment failed: ${err.message}`);
+      }
+      const response = paid.response?.content;
+      if (!ACCEPTED_STATUSES.includes(response?.status)) {
+        bookings[component] = {
+          ...item,
+          status: "paid",
+          transaction_id: paid.transactionId,
+          ...(payer && { payer_account: payer.accountId }),
+        };
+        return this.rollBack(
+          trip,
+          bookings,
+          `${component} not confirmed: ${response?.reason || response?.status || "the provider did not answer"}`,
+        );
+      }
+      if (response.policy) {
+        this.remember(response.policy.policy_reference, item.provider_account);
+      }
+      bookings[component] = {
+        ...item,
+        reference: response.policy?.policy_reference || item.reference,
+        status: response.status,
+        transaction_id: paid.transactionId,
+      };
+      trip = this.update(trip, { bookings: { ...bookings } });
+    }
+
+    console.log(`✅ Trip ${tripId} booked`);
+    return this.update(trip, { status: "booked", bookings, booked_at: new Date().toISOString() });
+  }
+
+  // Cancel every booking made for the trip so far and get the money back:
+  // escrow returns what it still holds, a provider refunds the refund_due of
+  // a confirmed booking and any payment it took without confirming. An
+  // unconfirmed premium's quote is withdrawn first, so the insurer refunds
+  // it instead of binding it later.
+  async rollBack(trip, bookings, reason) {
+    console.log(`↩️  Trip ${trip.trip_id} failed (${reason}), rolling back`);
+    const rollback = [];
+    for (const [component, booking] of Object.entries(bookings)) {
+      const entry = { component, reference: booking.reference, currency: booking.currency };
+      if (component === "insurance") {
+        const response = await this.sendPolicy({
+          action: "withdraw",
+          quote_id: booking.reference,
+          reason: `trip ${trip.trip_id} rolled back`,
+        });
+        entry.status = response?.content.status || "no answer";
+        // Bound after all: the policy stands and keeps its premium
+        if (entry.status === "issued") entry.policy_reference = response.content.policy.policy_reference;
+      } else {
+        const response = await this.sendBooking({
+          action: "cancel",
+          booking_reference: booking.reference,
+          reason: `trip ${trip.trip_id} rolled back`,
+        });
+        entry.status = response?.content.status || "no answer";
+        const cancelled = response?.content.booking;
+        if (cancelled?.refund_due > 0) {
+          Object.assign(entry, refundOutcome(cancelled.refund_due, cancelled));
+        }
+      }
+      bookings[component] = { ...booking, status: entry.status };
+      if (this.escrow?.get(booking.reference)?.status === "funded") {
+        await this.escrow.refund(booking.reference, `trip ${trip.trip_id} rolled back`);
+        entry.escrow = "refunded";
+      } else if (booking.status === "paid") {
+        entry.unconfirmed_payment = booking.transaction_id;
+        if (!entry.refund_status && entry.status !== "issued") {
+          Object.assign(entry, await this.reclaim(component, booking));
+        }
+      }
+      rollback.push(entry);
+    }
+    return this.update(trip, { status: "failed", failure: reason, bookings, rollback });
+  }
+
+  // A payment the provider took without confirming is announced again once
+  // its booking is cancelled or its quote withdrawn, which makes the
+  // provider pay it back
+  async reclaim(component, booking) {
+    const payer = booking.payer_account && { payer_account: booking.payer_account };
+    const response =
+      component === "insurance"
+        ? await this.sendPolicy({
+            action: "bind",
+            quote_id: booking.reference,
+            payment_transaction_id: booking.transaction_id,
+            ...payer,
+          })
+        : await this.sendBooking({
+            action: "confirm",
+            booking_reference: booking.reference,
+            payment_transaction_id: booking.transaction_id,
+            ...payer,
+          });
+    const late = (response?.content.booking?.late_payments || []).find(
+      (payment) => payment.transaction_id === booking.transaction_id,
+    );
+    if (late) return refundOutcome(booking.amount, late);
+    return {
+      refund_due: booking.amount,
+      refund_status: "failed",
+      refund_error: response?.content.reason || "the provider did not answer",
+    };
+  }
+}
+
+function refundOutcome(amount, { refund_status, refund_transaction_id, refund_error }) {
+  return { refund_due: amount, refund_status, refund_transaction_id, refund_error };
+}
+
+module.exports = { ItineraryPlanner, ItineraryError, COMPONENTS };
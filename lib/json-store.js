@@ -0,0 +1,61 @@
+// json-store.js - Small keyed record store persisted as a JSON file
+const fs = require("fs");
+const path = require("path");
+
+const STATE_DIR = process.env.STATE_DIR || path.join(__dirname, "..", ".state");
+
+function statePath(name) {
+  return path.join(STATE_DIR, name);
+}
+
+// Records are kept in memory and flushed to disk on every write; pass a null
+// filePath for a purely in-memory store (tests, throwaway agents)
+class JsonFileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.records = new Map();
+
+    if (filePath && fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      Object.entries(data).forEach(([key, value]) => this.records.set(key, value));
+    }
+  }
+
+  get(key) {
+    return this.records.get(key) || null;
+  }
+
+  has(key) {
+    return this.records.has(key);
+  }
+
+  set(key, value) {
+    this.records.set(key, value);
+    this.flush();
+    return value;
+  }
+
+  delete(key) {
+    this.records.delete(key);
+    this.flush();
+  }
+
+  values() {
+    return [...this.records.values()];
+  }
+
+  filter(predicate) {
+    return this.values().filter(predicate);
+  }
+
+  // Write to a temp file and rename, so a crash never leaves half a file
+  flush() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(this.records), null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+module.exports = { JsonFileStore, STATE_DIR, statePath };
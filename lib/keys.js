@@ -0,0 +1,19 @@
+// keys.js - Private key parsing shared by the agents and setup scripts
+const { PrivateKey } = require("@hashgraph/sdk");
+
+function parsePrivateKey(raw) {
+  if (!raw) return null;
+
+  // Clean up the private key
+  let privateKeyString = raw.trim();
+  privateKeyString = privateKeyString.replace(/^["']|["']$/g, "");
+  privateKeyString = privateKeyString.replace(/^0x/i, "");
+
+  try {
+    return PrivateKey.fromStringECDSA(privateKeyString);
+  } catch (e) {
+    return PrivateKey.fromString(privateKeyString);
+  }
+}
+
+module.exports = { parsePrivateKey };
@@ -0,0 +1,137 @@
+// ledger.js - HBAR transfers on Hedera, with an in-process stand-in for offline runs
+const crypto = require("crypto");
+const { Hbar, TransferTransaction } = require("@hashgraph/sdk");
+const { mirrorTransactionId } = require("./fees");
+
+const toTinybars = (amount) => Math.round(amount * 1e8);
+
+// Transfers are paid for by the client's operator account; feeMeter, when
+// given, is told about every transfer. Transfers are looked up on the mirror
+// node (options.mirrorUrl, MIRROR_NODE_URL or the HEDERA_NETWORK one), which
+// shows them a few seconds after consensus: a lookup waits up to
+// options.mirrorWaitMs for a transaction it cannot find yet.
+class HederaLedger {
+  constructor(client, options = {}) {
+    const network = process.env.HEDERA_NETWORK || "testnet";
+    this.kind = "hedera";
+    this.client = client;
+    this.feeMeter = options.feeMeter || null;
+    this.mirrorUrl =
+      options.mirrorUrl ||
+      process.env.MIRROR_NODE_URL ||
+      `https://${network}.mirrornode.hedera.com`;
+    this.mirrorWaitMs = options.mirrorWaitMs ?? 10000;
+    this.mirrorPollMs = options.mirrorPollMs ?? 1000;
+  }
+
+  // signingKey is needed when `from` is not the client's operator account
+  async transferHbar({ from, to, amount, memo = "", signingKey }) {
+    let tx = new TransferTransaction()
+      .addHbarTransfer(from, Hbar.fromTinybars(-toTinybars(amount)))
+      .addHbarTransfer(to, Hbar.fromTinybars(toTinybars(amount)))
+      .setTransactionMemo(memo)
+      .freezeWith(this.client);
+    if (signingKey) {
+      tx = await tx.sign(signingKey);
+    }
+
+    const response = await tx.execute(this.client);
+    const receipt = await response.getReceipt(this.client);
+    this.feeMeter?.track("transfer", response.transactionId.toString());
+    return {
+      transactionId: response.transactionId.toString(),
+      status: receipt.status.toString(),
+    };
+  }
+
+  // Executed transfer as { transactionId, status, memo, transfers: [{ accountId, amount }] },
+  // amounts in HBAR, or null when the mirror node does not know it. Unlike a
+  // record query this works for transactions of any age.
+  async getTransfer(transactionId) {
+    const url = `${this.mirrorUrl}/api/v1/transactions/${mirrorTransactionId(transactionId)}`;
+    const deadline = Date.now() + this.mirrorWaitMs;
+    for (;;) {
+      const res = await fetch(url);
+      if (res.ok) {
+        const { transactions = [] } = await res.json();
+        // The transaction itself, not a child or scheduled one sharing its id
+        const tx = transactions.find((t) => !t.scheduled && !t.nonce) || transactions[0];
+        if (tx) return mirrorTransfer(transactionId, tx);
+      } else if (res.status !== 404) {
+        throw new Error(`mirror node answered ${res.status}`);
+      }
+      if (Date.now() + this.mirrorPollMs > deadline) return null;
+      await new Promise((resolve) => setTimeout(resolve, this.mirrorPollMs));
+    }
+  }
+}
+
+function mirrorTransfer(transactionId, tx) {
+  const [seconds, nanos = "0"] = tx.consensus_timestamp.split(".");
+  return {
+    transactionId,
+    status: tx.result,
+    memo: Buffer.from(tx.memo_base64 || "", "base64").toString("utf8"),
+    transfers: (tx.transfers || []).map((transfer) => ({
+      accountId: transfer.account,
+      amount: transfer.amount / 1e8,
+    })),
+    consensusTimestamp: new Date(Number(seconds) * 1000 + Math.floor(Number(nanos.padEnd(9, "0")) / 1e6)),
+  };
+}
+
+// Balances start at `initialBalance` for any account; every transfer succeeds
+// unless it would overdraw the payer
+class InMemoryLedger {
+  constructor(options = {}) {
+    this.kind = "memory";
+    this.initialBalance = options.initialBalance ?? 1000;
+    this.balances = new Map();
+    this.transfers = new Map();
+  }
+
+  balanceOf(accountId) {
+    return this.balances.has(accountId)
+      ? this.balances.get(accountId)
+      : toTinybars(this.initialBalance);
+  }
+
+  async transferHbar({ from, to, amount, memo = "" }) {
+    const tinybars = toTinybars(amount);
+    if (!(tinybars > 0)) {
+      throw new Error("Transfer amount must be positive");
+    }
+    if (this.balanceOf(from) < tinybars) {
+      throw new Error(`INSUFFICIENT_PAYER_BALANCE: ${from}`);
+    }
+    this.balances.set(from, this.balanceOf(from) - tinybars);
+    this.balances.set(to, this.balanceOf(to) + tinybars);
+
+    const seconds = Math.floor(Date.now() / 1000);
+    const transactionId = `${from}@${seconds}.${crypto.randomInt(1e9)}`;
+    this.transfers.set(transactionId, {
+      transactionId,
+      status: "SUCCESS",
+      memo,
+      transfers: [
+        { accountId: from, amount: -amount },
+        { accountId: to, amount },
+      ],
+      consensusTimestamp: new Date(),
+    });
+    return { transactionId, status: "SUCCESS" };
+  }
+
+  async getTransfer(transactionId) {
+    return this.transfers.get(transactionId) || null;
+  }
+}
+
+const sharedLedger = new InMemoryLedger();
+
+// LEDGER_MODE: "hedera" (default) or "memory" for offline runs and tests
+function createLedger({ mode = process.env.LEDGER_MODE || "hedera", client, feeMeter }) {
+  return mode === "memory" ? sharedLedger : new HederaLedger(client, { feeMeter });
+}
+
+module.exports = { HederaLedger, InMemoryLedger, sharedLedger, createLedger, toTinybars };
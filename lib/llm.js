@@ -0,0 +1,19 @@
+// llm.js - Chat model shared by the web server, the CLI agent and the provider agents
+// streaming: report tokens to callbacks as they arrive (Ollama always does)
+function createLLM({ streaming = false } = {}) {
+  if (process.env.GROQ_API_KEY) {
+    const { ChatGroq } = require("@langchain/groq");
+    return new ChatGroq({
+      model: "meta-llama/llama-4-scout-17b-16e-instruct",
+      temperature: 0.7,
+      streaming,
+    });
+  }
+  const { ChatOllama } = require("@langchain/ollama");
+  return new ChatOllama({
+    model: "llama3.2",
+    baseUrl: "http://localhost:11434",
+  });
+}
+
+module.exports = { createLLM };
@@ -0,0 +1,255 @@
+// negotiation.js - Counter-offer rounds between a buying and a selling agent
+const crypto = require("crypto");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Move linearly from `from` to `to` as `step` goes from 0 to `steps`
+const concede = (from, to, step, steps) =>
+  round(from + (to - from) * Math.min(1, step / Math.max(1, steps)));
+
+// ------------------- Strategies -------------------
+// A strategy plugin decides each turn from the session:
+//   opening(session)             -> first price (buyers only)
+//   respond(session, theirPrice) -> { action: "accept" }
+//                                 | { action: "counter", price }
+//                                 | { action: "reject", reason }
+// session.round is the number of buyer offers made so far.
+const strategies = new Map();
+
+function registerStrategy(name, factory) {
+  strategies.set(name, factory);
+}
+
+function createStrategy(name, options = {}) {
+  const factory = strategies.get(name);
+  if (!factory) {
+    throw new Error(
+      `Unknown negotiation strategy "${name}" (available: ${[...strategies.keys()].join(", ")})`,
+    );
+  }
+  return factory(options);
+}
+
+// Buyer: open below list, concede towards the budget, walk away above it
+registerStrategy("budget", ({ budget, openingShare = 0.75 }) => {
+  const limit = (session) => Math.min(budget, session.list_price);
+  const opening = (session) => round(limit(session) * openingShare);
+  const target = (session, step) =>
+    concede(opening(session), limit(session), step, session.max_rounds - 1);
+
+  return {
+    opening,
+    respond(session, theirPrice) {
+      if (theirPrice <= target(session, session.round)) {
+        return { action: "accept" };
+      }
+      if (session.round >= session.max_rounds) {
+        return theirPrice <= budget
+          ? { action: "accept" }
+          : { action: "reject", reason: `best offer ${theirPrice} is above the ${budget} budget` };
+      }
+      return { action: "counter", price: target(session, session.round) };
+    },
+  };
+});
+
+// Seller: concede from list price to the floor over the rounds, never below it
+registerStrategy("floor_price", () => {
+  const ask = (session) =>
+    concede(session.list_price, session.floor_price, session.round, session.max_rounds);
+
+  return {
+    respond(session, theirPrice) {
+      if (theirPrice >= ask(session)) {
+        return { action: "accept" };
+      }
+      if (session.round >= session.max_rounds) {
+        return { action: "reject", reason: `${theirPrice} is below our lowest price` };
+      }
+      return { action: "counter", price: ask(session) };
+    },
+  };
+});
+
+// ------------------- Sessions -------------------
+// Negotiation statuses:
+//   open       offers still going back and forth
+//   accepting  buyer accepted a counter-offer, waiting for the seller to confirm
+//   agreed     seller confirmed agreed_price
+//   rejected   one side walked away
+class NegotiationBook {
+  constructor({ role, strategy, maxRounds }) {
+    this.role = role; // "buyer" or "seller"
+    this.strategy = strategy || null; // default for sessions opened without one
+    this.maxRounds =
+      maxRounds ?? parseInt(process.env.NEGOTIATION_MAX_ROUNDS || "4", 10);
+    this.sessions = new Map(); // negotiation_id -> session
+  }
+
+  get(negotiationId) {
+    return this.sessions.get(negotiationId);
+  }
+
+  // Record a move in the session transcript and build the message content for it
+  move(session, action, price, extra = {}) {
+    const entry = { round: session.round, party: this.role, action };
+    if (price !== undefined) entry.price = price;
+    if (extra.reason) entry.reason = extra.reason;
+    session.transcript.push({ ...entry, at: new Date().toISOString() });
+
+    const content = {
+      negotiation_id: session.negotiation_id,
+      quote_id: session.quote_id,
+      action,
+      round: session.round,
+      price,
+      currency: session.currency,
+      ...extra,
+    };
+    if (action === "accept" || action === "reject") {
+      content.transcript = session.transcript;
+    }
+    return content;
+  }
+
+  // Buyer: start haggling over a quote; returns the opening "propose" content
+  open({ quoteId, listPrice, currency = "HBAR", provider, strategy }) {
+    const session = {
+      negotiation_id: `N-${crypto.randomUUID().substring(0, 8)}`,
+      quote_id: quoteId,
+      status: "open",
+      round: 1,
+      max_rounds: this.maxRounds,
+      list_price: listPrice,
+      currency,
+      provider,
+      strategy: strategy || this.strategy,
+      transcript: [],
+    };
+    this.sessions.set(session.negotiation_id, session);
+    return this.move(session, "propose", session.strategy.opening(session), {
+      max_rounds: session.max_rounds,
+      provider,
+    });
+  }
+
+  // Seller: first contact for a negotiation on one of our quotes
+  start(content, { negotiator, listPrice, floorPrice, strategy, terms }) {
+    const session = {
+      negotiation_id: content.negotiation_id,
+      quote_id: content.quote_id,
+      negotiator, // sender of the opening offer; nobody else may continue it
+      status: "open",
+      // Rounds are counted here, never taken from the buyer: a buyer claiming
+      // to be in the last round would otherwise be offered the floor price
+      round: 0,
+      max_rounds: this.maxRounds,
+      list_price: listPrice,
+      floor_price: floorPrice,
+      currency: content.currency || "HBAR",
+      strategy: strategy || this.strategy,
+      terms,
+      transcript: [],
+    };
+    this.sessions.set(session.negotiation_id, session);
+    return session;
+  }
+
+  // The other side's move; returns the content to send back, or null when
+  // there is nothing to answer (the negotiation is over or unknown)
+  respond(content) {
+    const session = this.sessions.get(content.negotiation_id);
+    if (!session || session.status === "agreed" || session.status === "rejected") {
+      return null;
+    }
+    // Every buyer move starts the next round on the seller's side
+    if (this.role === "seller") session.round += 1;
+    const theirs = {
+      round: this.role === "seller" ? session.round : content.round,
+      party: this.role === "buyer" ? "seller" : "buyer",
+    };
+    session.transcript.push({
+      ...theirs,
+      action: content.action,
+      ...(content.price !== undefined && { price: content.price }),
+      ...(content.reason && { reason: content.reason }),
+      at: new Date().toISOString(),
+    });
+
+    if (content.action === "reject") {
+      session.status = "rejected";
+      session.reason = content.reason;
+      return null;
+    }
+    if (this.role === "buyer") {
+      return this.buyerTurn(session, content);
+    }
+    return this.sellerTurn(session, content);
+  }
+
+  buyerTurn(session, content) {
+    // Seller took our last offer (or confirms the ask we accepted); any other
+    // price was never agreed to
+    if (content.action === "accept") {
+      const lastOffer = [...session.transcript].reverse().find((entry) => entry.party === "buyer");
+      if (!lastOffer || lastOffer.price !== content.price) {
+        session.status = "rejected";
+        session.reason = `${content.price} was never offered`;
+        return this.move(session, "reject", undefined, { reason: session.reason });
+      }
+      session.status = "agreed";
+      session.agreed_price = content.price;
+      session.terms = content.terms;
+      return null;
+    }
+
+    const decision = session.strategy.respond(session, content.price);
+    if (decision.action === "accept") {
+      session.status = "accepting";
+      return this.move(session, "accept", content.price);
+    }
+    if (decision.action === "reject") {
+      session.status = "rejected";
+      session.reason = decision.reason;
+      return this.move(session, "reject", undefined, { reason: decision.reason });
+    }
+    session.round += 1;
+    return this.move(session, "counter", decision.price);
+  }
+
+  sellerTurn(session, content) {
+    // Buyer took our last counter-offer
+    const lastAsk = [...session.transcript].reverse().find((entry) => entry.party === "seller");
+    if (content.action === "accept") {
+      if (!lastAsk || lastAsk.price !== content.price) {
+        return this.agreeOrReject(session, null, `${content.price} was never offered`);
+      }
+      return this.agreeOrReject(session, content.price);
+    }
+    if (session.round > session.max_rounds) {
+      return this.agreeOrReject(session, null, `only ${session.max_rounds} rounds allowed`);
+    }
+
+    const decision = session.strategy.respond(session, content.price);
+    if (decision.action === "accept") {
+      return this.agreeOrReject(session, content.price);
+    }
+    if (decision.action === "reject") {
+      return this.agreeOrReject(session, null, decision.reason);
+    }
+    return this.move(session, "counter", decision.price, { terms: session.terms });
+  }
+
+  agreeOrReject(session, price, reason) {
+    if (price === null) {
+      session.status = "rejected";
+      session.reason = reason;
+      return this.move(session, "reject", undefined, { reason });
+    }
+    session.status = "agreed";
+    session.agreed_price = price;
+    return this.move(session, "accept", price, { terms: session.terms });
+  }
+}
+
+module.exports = { NegotiationBook, registerStrategy, createStrategy };
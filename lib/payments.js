@@ -0,0 +1,238 @@
+// payments.js - Settling accepted offers in HBAR and verifying settlements
+const { A2APaymentRequest } = require("./a2a-protocol");
+
+class PaymentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PaymentError";
+  }
+}
+
+// Ties a transfer to the booking / quote it pays for, so one transfer
+// cannot be presented for two different purchases
+const paymentMemo = (reference) => `A2A payment ${reference}`;
+// Money a provider pays back for a booking or quote
+const refundMemo = (reference) => `A2A refund ${reference}`;
+
+// Provider replies that mean the purchase went through
+const ACCEPTED_STATUSES = ["confirmed", "issued"];
+
+// Traveller side: transfer to the provider, wait for the receipt, then
+// announce the transfer on the topic with a signed `payment` message.
+// With an EscrowService the transfer goes to the escrow account instead and
+// is released to the provider once it accepts, refunded if it rejects.
+// With a SpendingPolicy every payment is checked against it first. With a
+// records collection every payment made is kept, with what the provider said.
+// A payment given a `payer` ({ accountId, transferHbar }) is made from that
+// account instead of ours, e.g. by a user signing in the browser; the user
+// approves each such transfer, so the spending policy does not apply.
+class PaymentService {
+  constructor({ ledger, transport, responseCollector, sender, privateKey, escrow, policy, records }) {
+    this.ledger = ledger;
+    this.transport = transport;
+    this.responseCollector = responseCollector || null;
+    this.sender = sender;
+    this.privateKey = privateKey;
+    this.escrow = escrow || null;
+    this.policy = policy || null;
+    this.records = records || null;
+  }
+
+  // Why the spending policy forbids this payment, or null
+  denial({ recipient, amount, user = this.sender.account_id }) {
+    return this.policy?.denial(user, [{ recipient, amount }]) || null;
+  }
+
+  async transfer({ recipient, amount, currency, reference, payer }) {
+    const from = payer?.accountId || this.sender.account_id;
+    const ledger = payer || this.ledger;
+    if (this.escrow) {
+      return this.escrow.fund({
+        reference,
+        payer: from,
+        payee: recipient,
+        amount,
+        currency,
+        signingKey: this.privateKey,
+        ledger,
+      });
+    }
+    return ledger.transferHbar({
+      from,
+      to: recipient,
+      amount,
+      memo: paymentMemo(reference),
+      signingKey: this.privateKey,
+    });
+  }
+
+  // Resolves with { transactionId, message, response, escrow } where response
+  // is the provider's acknowledgement (null when nobody answered or no
+  // collector) and escrow the escrow record in escrow mode. `user` is who the
+  // payment is made for, as far as spending budgets go.
+  async pay({ recipient, amount, currency = "HBAR", reference, description, user, payer }) {
+    if (currency !== "HBAR") {
+      throw new PaymentError(`Only HBAR settlement is supported (got ${currency})`);
+    }
+    // Counted against the limits before the transfer, so payments made at
+    // the same time cannot overrun them together
+    const { denial, reservation } =
+      (!payer &&
+        this.policy?.reserve(user || this.sender.account_id, [{ recipient, amount }], reference)) ||
+      {};
+    if (denial) {
+      throw new PaymentError(`Blocked by spending policy: ${denial}`);
+    }
+
+    let transfer;
+    try {
+      transfer = await this.transfer({ recipient, amount, currency, reference, payer });
+    } catch (err) {
+      this.policy?.release(reservation);
+      throw err;
+    }
+    if (transfer.status !== "SUCCESS") {
+      this.policy?.release(reservation);
+      throw new PaymentError(`Transfer ${transfer.transactionId} failed: ${transfer.status}`);
+    }
+    const record = this.records?.set(transfer.transactionId, {
+      transaction_id: transfer.transactionId,
+      reference,
+      payer: payer?.accountId || this.sender.account_id,
+      recipient,
+      amount,
+      currency,
+      description,
+      escrow: Boolean(this.escrow),
+      paid_at: new Date().toISOString(),
+      provider_status: "awaiting",
+    });
+    const payee = this.escrow ? `escrow ${this.escrow.escrowAccount}` : recipient;
+    console.log(`💸 Paid ${amount} HBAR to ${payee} for ${reference} (${transfer.transactionId})`);
+
+    const message = new A2APaymentRequest(
+      amount,
+      currency,
+      recipient,
+      description || `Payment for ${reference}`,
+      this.sender,
+      {
+        transaction_id: transfer.transactionId,
+        reference,
+        ...(payer && { payer_account: payer.accountId }),
+        ...(this.escrow && {
+          payment_method: "escrow",
+          escrow_account: this.escrow.escrowAccount,
+        }),
+      },
+    ).sign(this.privateKey);
+
+    this.escrow?.track(reference, message.correlation_id);
+    const pending = this.responseCollector
+      ? this.responseCollector.collect(message.correlation_id, { maxResponses: 1 })
+      : Promise.resolve([]);
+    await this.transport.submit(message.serialize());
+    const [response] = await pending;
+
+    let escrow;
+    if (this.escrow && response) {
+      escrow = ACCEPTED_STATUSES.includes(response.content.status)
+        ? await this.escrow.release(reference)
+        : await this.escrow.refund(reference, response.content.reason || response.content.status);
+    }
+
+    if (record) {
+      this.records.set(transfer.transactionId, {
+        ...record,
+        provider_status: response?.content.status || "no answer",
+        provider_reason: response?.content.reason,
+        escrow_status: escrow?.escrow?.status,
+      });
+    }
+
+    return {
+      transactionId: transfer.transactionId,
+      message,
+      response: response || null,
+      escrow: escrow?.escrow || this.escrow?.get(reference) || null,
+    };
+  }
+}
+
+// JSON-friendly outcome of PaymentService.pay, for approval records
+function settlementSummary(paid) {
+  return {
+    transaction_id: paid.transactionId,
+    provider_status: paid.response?.content.status || "no answer",
+    provider_reason: paid.response?.content.reason,
+    escrow_status: paid.escrow?.status,
+  };
+}
+
+// Account a provider should see credited for a payment message: its own, or
+// an escrow account it trusts to pay it out
+function paymentPayee(content, { accountId, trustedEscrowAccounts = [] }) {
+  if (content.payment_method !== "escrow") return accountId;
+  return trustedEscrowAccounts.includes(content.escrow_account) ? content.escrow_account : null;
+}
+
+// Account a payment message says paid: payer_account when the sender had the
+// user it books for pay from their own account, otherwise the sender
+function paymentPayer(content, sender) {
+  return { account_id: content.payer_account || sender.account_id };
+}
+
+// Provider side: the transfer must have succeeded, moved at least `amount`
+// HBAR from `payer` to `payee` and carry the memo for `reference`.
+// Resolves with { verified, reason }.
+async function verifyPayment(ledger, { transactionId, payer, payee, amount, reference }) {
+  if (!ledger) {
+    return { verified: false, reason: "this agent has no ledger to verify payments against" };
+  }
+  if (!transactionId) {
+    return { verified: false, reason: "no payment transaction id given" };
+  }
+
+  let record;
+  try {
+    record = await ledger.getTransfer(transactionId);
+  } catch (err) {
+    return { verified: false, reason: `could not look up ${transactionId}: ${err.message}` };
+  }
+  if (!record) {
+    return { verified: false, reason: `no transfer ${transactionId} found` };
+  }
+
+  // Net HBAR movement per account; the payer's side includes network fees
+  const net = (accountId) =>
+    record.transfers
+      .filter((transfer) => transfer.accountId === accountId)
+      .reduce((sum, transfer) => sum + transfer.amount, 0);
+  const tolerance = 1e-8; // one tinybar
+
+  if (record.status !== "SUCCESS") {
+    return { verified: false, reason: `transfer status is ${record.status}` };
+  }
+  if (record.memo !== paymentMemo(reference)) {
+    return { verified: false, reason: `memo "${record.memo}" does not match ${reference}` };
+  }
+  if (net(payee) + tolerance < amount) {
+    return { verified: false, reason: `${payee} received ${net(payee)} HBAR, expected ${amount}` };
+  }
+  if (-net(payer) + tolerance < amount) {
+    return { verified: false, reason: `transfer was not paid by ${payer}` };
+  }
+  return { verified: true };
+}
+
+module.exports = {
+  ACCEPTED_STATUSES,
+  PaymentError,
+  PaymentService,
+  paymentMemo,
+  paymentPayee,
+  paymentPayer,
+  refundMemo,
+  settlementSummary,
+  verifyPayment,
+};
@@ -0,0 +1,185 @@
+// provider-runtime.js - Run a provider agent as its own process on its own account
+const fs = require("fs");
+const path = require("path");
+const { Client } = require("@hashgraph/sdk");
+const {
+  localKeyRegistryFromEnv,
+  MirrorNodeKeyResolver,
+  ChainedKeyResolver,
+  MessageVerifier,
+  logSecurityEvent,
+} = require("./a2a-security");
+const { advertise, registryTopicId } = require("./agent-registry");
+const { createTransport } = require("./transport");
+const { createLedger } = require("./ledger");
+const { FeeMeter } = require("./fees");
+const { parsePrivateKey } = require("./keys");
+const { A2AMessageLog } = require("./a2a-log");
+const { STATE_DIR, statePath } = require("./json-store");
+
+const HEALTH_INTERVAL_MS = parseInt(process.env.AGENT_HEALTH_INTERVAL_SECONDS || "10", 10) * 1000;
+
+const FEE_REPORT_INTERVAL_MS = 60 * 1000;
+
+const healthPath = (name) => statePath(`health-${name}.json`);
+
+// Every provider's last heartbeat, whether or not it is still running
+function readHealthReports() {
+  if (!fs.existsSync(STATE_DIR)) return [];
+  return fs
+    .readdirSync(STATE_DIR)
+    .filter((file) => /^health-.+\.json$/.test(file))
+    .map((file) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(STATE_DIR, file), "utf8"));
+      } catch {
+        return null; // written by a process that crashed mid-write
+      }
+    })
+    .filter(Boolean);
+}
+
+// Client, transports and ledger operated by (and paid for from) one account;
+// registry is where the agent publishes its capability card
+function providerConnection({ accountId, privateKey, topicId }) {
+  const client = Client.forTestnet().setOperator(accountId, privateKey);
+  const fees = new FeeMeter(accountId);
+  return {
+    key: privateKey,
+    client,
+    transport: createTransport({ client, topicId, feeMeter: fees }),
+    registry: createTransport({ client, topicId: registryTopicId() || topicId, feeMeter: fees }),
+    ledger: createLedger({ client, feeMeter: fees }),
+    fees,
+  };
+}
+
+// Heartbeat file the supervisor reads: pid, message counts, the last error
+// and, with a FeeMeter, the fees paid so far (refreshed once a minute)
+class HealthReporter {
+  constructor(name, details, fees) {
+    this.filePath = healthPath(name);
+    this.state = {
+      name,
+      pid: process.pid,
+      status: "starting",
+      started_at: new Date().toISOString(),
+      messages_handled: 0,
+      errors: 0,
+      last_error: null,
+      ...details,
+    };
+    this.timer = setInterval(() => this.write(), HEALTH_INTERVAL_MS);
+    this.timer.unref();
+    if (fees) {
+      this.feeTimer = setInterval(
+        () => fees.report().then((report) => this.update({ fees: report }), () => {}),
+        FEE_REPORT_INTERVAL_MS,
+      );
+      this.feeTimer.unref();
+    }
+  }
+
+  update(changes) {
+    Object.assign(this.state, changes);
+  }
+
+  handled() {
+    this.state.messages_handled += 1;
+  }
+
+  failed(err) {
+    this.state.errors += 1;
+    this.state.last_error = { at: new Date().toISOString(), message: err.message };
+  }
+
+  write() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(
+      this.filePath,
+      JSON.stringify({ ...this.state, updated_at: new Date().toISOString() }, null, 2),
+    );
+  }
+
+  stop(status = "stopped") {
+    clearInterval(this.timer);
+    clearInterval(this.feeTimer);
+    this.update({ status });
+    this.write();
+  }
+}
+
+// name: process / health file name, accountEnv / keyEnv: where its
+// credentials live, createAgent(connection): builds the agent on them
+async function runProviderAgent({ name, accountEnv, keyEnv, createAgent }) {
+  const accountId = process.env[accountEnv];
+  const privateKey = parsePrivateKey(process.env[keyEnv]);
+  if (!accountId || !privateKey) {
+    console.error(`❌ ${accountEnv} and ${keyEnv} must be set to run the ${name} agent`);
+    process.exit(1);
+  }
+
+  const connection = providerConnection({
+    accountId,
+    privateKey,
+    topicId: process.env.A2A_TOPIC_ID,
+  });
+  const agent = createAgent(connection);
+  const health = new HealthReporter(
+    name,
+    {
+      agent_id: agent.agentId,
+      account_id: accountId,
+      transport: connection.transport.kind,
+      services: agent.capabilities().map((offered) => offered.service),
+      metrics: agent.metrics, // live object, written with every heartbeat
+    },
+    connection.fees,
+  );
+
+  // Keys of the agents configured on this machine, then the mirror node
+  const verifier = new MessageVerifier(
+    new ChainedKeyResolver([
+      localKeyRegistryFromEnv().register(accountId, privateKey.publicKey),
+      new MirrorNodeKeyResolver(),
+    ]),
+  );
+  verifier.on("security_event", logSecurityEvent);
+
+  agent.on("handled", () => health.handled());
+  agent.on("failed", (err) => health.failed(err));
+  // Requests that arrived while the agent was down are answered on start
+  const log = new A2AMessageLog(agent.storage.collection("a2a_messages"), [accountId]);
+  agent.listen(verifier, { log });
+  const card = advertise(agent, connection.registry, {
+    endpointTopics: [connection.transport.topicId],
+  });
+  health.update({ status: "running" });
+  health.write();
+  console.log(`✅ ${name} agent ${agent.agentId} running as ${accountId} (pid ${process.pid})`);
+
+  const shutdown = () => {
+    console.log(`\n🛑 Stopping ${name} agent...`);
+    card.stop();
+    agent.stop();
+    health.stop();
+    agent.storage.close();
+    connection.transport.close();
+    connection.registry.close();
+    connection.client.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  return { agent, connection, health };
+}
+
+module.exports = {
+  runProviderAgent,
+  providerConnection,
+  HealthReporter,
+  healthPath,
+  readHealthReports,
+  HEALTH_INTERVAL_MS,
+};
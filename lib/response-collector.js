@@ -0,0 +1,76 @@
+// response-collector.js - Gathers A2A responses per correlation id
+const { correlationIdOf } = require("./a2a-protocol");
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.A2A_RESPONSE_TIMEOUT_MS || "10000", 10);
+const DEFAULT_WINDOW_MS = parseInt(process.env.A2A_COLLECTION_WINDOW_MS || "2000", 10);
+
+// A request can be answered by several providers. collect() waits up to
+// timeoutMs for the first reply, then keeps the window open for windowMs so
+// slower providers still make it in, and resolves with every reply received.
+// With `from` set only that account's replies are taken; anyone else answering
+// on the topic is ignored.
+class ResponseCollector {
+  constructor(options = {}) {
+    this.defaults = {
+      timeoutMs: options.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+      windowMs: options.windowMs ?? DEFAULT_WINDOW_MS,
+      maxResponses: options.maxResponses ?? Infinity,
+    };
+    this.pending = new Map();
+  }
+
+  // Register interest before publishing the request so no reply is missed
+  collect(correlationId, options = {}) {
+    const { timeoutMs, windowMs, maxResponses, from = null } = { ...this.defaults, ...options };
+
+    return new Promise((resolve) => {
+      const entry = {
+        responses: [],
+        seen: new Set(),
+        maxResponses,
+        windowMs,
+        from,
+        windowTimer: null,
+        finish: () => {
+          clearTimeout(entry.timeoutTimer);
+          clearTimeout(entry.windowTimer);
+          this.pending.delete(correlationId);
+          resolve(entry.responses);
+        },
+      };
+      entry.timeoutTimer = setTimeout(entry.finish, timeoutMs);
+      this.pending.set(correlationId, entry);
+    });
+  }
+
+  has(correlationId) {
+    return this.pending.has(correlationId);
+  }
+
+  // Returns true when the message answered a pending request
+  offer(message) {
+    const entry = this.pending.get(correlationIdOf(message));
+    // 1.0 providers all reuse the request id, so dedupe per sender
+    const key = `${message.sender.account_id}:${message.id}`;
+    if (!entry || entry.seen.has(key) || (entry.from && message.sender.account_id !== entry.from)) {
+      return false;
+    }
+
+    entry.seen.add(key);
+    entry.responses.push(message);
+
+    if (entry.responses.length >= entry.maxResponses) {
+      entry.finish();
+    } else if (!entry.windowTimer) {
+      clearTimeout(entry.timeoutTimer);
+      entry.windowTimer = setTimeout(entry.finish, entry.windowMs);
+    }
+    return true;
+  }
+
+  cancelAll() {
+    [...this.pending.values()].forEach((entry) => entry.finish());
+  }
+}
+
+module.exports = { ResponseCollector };
@@ -0,0 +1,210 @@
+// spending-policy.js - Limits checked before any transfer of value is executed
+const crypto = require("crypto");
+const { DynamicStructuredTool } = require("@langchain/core/tools");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 1e8) / 1e8;
+
+const limitFromEnv = (value) => (value ? parseFloat(value) : null);
+
+const listFromEnv = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// "0.0.1234:50,*:20" -> { "0.0.1234": 50, "*": 20 }
+const budgetsFromEnv = (value) =>
+  Object.fromEntries(
+    listFromEnv(value).map((entry) => {
+      const at = entry.lastIndexOf(":");
+      return [entry.substring(0, at), parseFloat(entry.substring(at + 1))];
+    }),
+  );
+
+// What each value-moving Hedera Agent Kit tool spends, as
+// [{ recipient, amount (HBAR), token? }]. Token movements are checked against
+// the recipient allow-list only; the caps and budgets are in HBAR.
+const VALUE_MOVING_TOOLS = {
+  transfer_hbar_tool: ({ transfers }) =>
+    transfers.map((t) => ({ recipient: t.accountId, amount: t.amount })),
+  transfer_hbar_with_allowance_tool: ({ transfers }) =>
+    transfers.map((t) => ({ recipient: t.accountId, amount: t.amount })),
+  approve_hbar_allowance_tool: ({ spenderAccountId, amount }) => [
+    { recipient: spenderAccountId, amount },
+  ],
+  // A new account is funded with initialBalance; it has no id to allow-list yet
+  create_account_tool: ({ initialBalance }) => [
+    { recipient: null, amount: initialBalance || 0 },
+  ],
+  delete_account_tool: ({ transferAccountId }) => [
+    { recipient: transferAccountId || null, amount: 0 },
+  ],
+  airdrop_fungible_token_tool: ({ tokenId, recipients }) =>
+    recipients.map((r) => ({ recipient: r.accountId, amount: 0, token: tokenId })),
+  transfer_fungible_token_with_allowance_tool: ({ tokenId, transfers }) =>
+    transfers.map((t) => ({ recipient: t.accountId, amount: 0, token: tokenId })),
+  transfer_non_fungible_token_with_allowance_tool: ({ tokenId, recipients }) =>
+    recipients.map((r) => ({ recipient: r.recipientId, amount: 0, token: tokenId })),
+  approve_token_allowance_tool: ({ spenderAccountId }) => [
+    { recipient: spenderAccountId, amount: 0 },
+  ],
+  approve_nft_allowance_tool: ({ spenderAccountId }) => [
+    { recipient: spenderAccountId, amount: 0 },
+  ],
+};
+
+// Limits (all optional; a null limit is not enforced):
+//   maxPerTransaction  HBAR a single transaction may move
+//   dailyLimit         HBAR all users together may move in any 24 hours
+//   userBudgets        { user: HBAR } each user may spend in total; "*" is the
+//                      budget for users without their own entry
+//   allowedRecipients  accounts value may go to; empty or "*" allows any
+// Every executed spend is kept in the store, so limits survive restarts.
+class SpendingPolicy {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.maxPerTransaction =
+      options.maxPerTransaction ?? limitFromEnv(process.env.SPEND_MAX_PER_TRANSACTION);
+    this.dailyLimit = options.dailyLimit ?? limitFromEnv(process.env.SPEND_DAILY_LIMIT);
+    this.userBudgets = options.userBudgets ?? budgetsFromEnv(process.env.SPEND_USER_BUDGETS);
+    this.allowedRecipients = new Set(
+      options.allowedRecipients ?? listFromEnv(process.env.SPEND_ALLOWED_RECIPIENTS),
+    );
+  }
+
+  // Add accounts to the allow-list (e.g. the registered provider agents)
+  allowRecipients(...accountIds) {
+    accountIds.filter(Boolean).forEach((accountId) => this.allowedRecipients.add(accountId));
+    return this;
+  }
+
+  recipientAllowed(accountId) {
+    return (
+      this.allowedRecipients.size === 0 ||
+      this.allowedRecipients.has("*") ||
+      !accountId ||
+      this.allowedRecipients.has(accountId)
+    );
+  }
+
+  // True only for accounts named on the allow-list. An empty list or "*"
+  // lets us pay anyone, but does not make anyone a known counterparty.
+  listed(accountId) {
+    return Boolean(accountId) && this.allowedRecipients.has(accountId);
+  }
+
+  budgetFor(user) {
+    return this.userBudgets[user] ?? this.userBudgets["*"] ?? null;
+  }
+
+  spentToday(now = Date.now()) {
+    return round(
+      this.store
+        .filter((spend) => Date.parse(spend.at) > now - DAY_MS)
+        .reduce((sum, spend) => sum + spend.amount, 0),
+    );
+  }
+
+  spentBy(user) {
+    return round(
+      this.store
+        .filter((spend) => spend.user === user)
+        .reduce((sum, spend) => sum + spend.amount, 0),
+    );
+  }
+
+  // Why `user` may not make these spends, or null when every limit allows it
+  denial(user, spends) {
+    const blocked = spends.find((spend) => !this.recipientAllowed(spend.recipient));
+    if (blocked) {
+      return `${blocked.recipient} is not an allowed recipient`;
+    }
+
+    const amount = round(spends.reduce((sum, spend) => sum + spend.amount, 0));
+    if (amount === 0) return null;
+    if (this.maxPerTransaction !== null && amount > this.maxPerTransaction) {
+      return `${amount} HBAR is above the ${this.maxPerTransaction} HBAR per-transaction limit`;
+    }
+    if (this.dailyLimit !== null && this.spentToday() + amount > this.dailyLimit) {
+      return `${amount} HBAR would exceed the ${this.dailyLimit} HBAR daily limit (${this.spentToday()} HBAR spent in the last 24 hours)`;
+    }
+    const budget = this.budgetFor(user);
+    if (budget !== null && this.spentBy(user) + amount > budget) {
+      return `${amount} HBAR would exceed the ${budget} HBAR budget for ${user} (${this.spentBy(user)} HBAR spent)`;
+    }
+    return null;
+  }
+
+  // Check the limits and count the spends against them in one step, before
+  // the action runs, so two actions running at once cannot both fit under a
+  // limit only one of them fits. Returns { denial } when a limit is in the
+  // way, else { reservation } to release if the action then fails.
+  reserve(user, spends, reference) {
+    const denial = this.denial(user, spends);
+    if (denial) return { denial };
+    return { reservation: this.record(user, spends, reference) };
+  }
+
+  // Give back what a failed action had reserved
+  release(reservation) {
+    if (reservation) this.store.delete(reservation.id);
+  }
+
+  // Count spends that went through against the limits
+  record(user, spends, reference) {
+    const amount = round(spends.reduce((sum, spend) => sum + spend.amount, 0));
+    if (amount === 0) return null;
+    const id = `SP-${crypto.randomUUID().substring(0, 8)}`;
+    return this.store.set(id, {
+      id,
+      user,
+      amount,
+      recipients: spends.map((spend) => spend.recipient),
+      reference,
+      at: new Date().toISOString(),
+    });
+  }
+}
+
+const blockedMessage = (denial) =>
+  `Blocked by spending policy: ${denial}. Do not retry this action; tell the user why it was blocked.`;
+
+// Wraps the value-moving kit tools so their spend is reserved under the policy
+// before they run and given back if they throw; a blocked call returns the
+// reason to the LLM
+function enforceSpendingPolicy(tools, policy, user) {
+  return tools.map((tool) => {
+    const spendsOf = VALUE_MOVING_TOOLS[tool.name];
+    if (!spendsOf) return tool;
+
+    return new DynamicStructuredTool({
+      name: tool.name,
+      description: tool.description,
+      schema: tool.schema,
+      func: async (args) => {
+        const { denial, reservation } = policy.reserve(user, spendsOf(args), tool.name);
+        if (denial) {
+          console.log(`🚫 Spending policy blocked ${tool.name}: ${denial}`);
+          return blockedMessage(denial);
+        }
+        try {
+          return await tool.invoke(args);
+        } catch (err) {
+          policy.release(reservation);
+          throw err;
+        }
+      },
+    });
+  });
+}
+
+// Denial for a kit tool call before it is queued, or null
+function toolCallDenial(policy, user, toolName, args) {
+  const spendsOf = VALUE_MOVING_TOOLS[toolName];
+  const denial = spendsOf && policy.denial(user, spendsOf(args));
+  return denial ? blockedMessage(denial) : null;
+}
+
+module.exports = { SpendingPolicy, enforceSpendingPolicy, toolCallDenial, VALUE_MOVING_TOOLS };
@@ -0,0 +1,53 @@
+// storage/index.js - Pick where an agent keeps its state
+//
+// Every backend hands out named collections with the JsonFileStore surface:
+//   get(key), has(key), set(key, value), delete(key), values(), filter(predicate)
+// so anything written against a JsonFileStore runs on any of them. The main
+// agent keeps sessions, transcripts, a2a_messages, bookings, policies,
+// payments, references, itineraries, escrow, approvals and spending; provider
+// agents keep their reservations, policies, insurance quotes and claims.
+const { JsonFileStore, statePath } = require("../json-store");
+const { SqliteStore, openDatabase, closeDatabase } = require("./sqlite-store");
+
+class Storage {
+  constructor(kind, openCollection, close = () => {}) {
+    this.kind = kind;
+    this.openCollection = openCollection;
+    this.collections = new Map();
+    this.closeBackend = close;
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, this.openCollection(name));
+    }
+    return this.collections.get(name);
+  }
+
+  close() {
+    this.collections.clear();
+    this.closeBackend();
+  }
+}
+
+// STORAGE_BACKEND: "json" (default, <collection>-<owner>.json files in
+// STATE_DIR, the layout the agents have always used), "sqlite" (one
+// <owner>.sqlite database in STATE_DIR) or "memory" (nothing survives the
+// process). owner is the agent the state belongs to, e.g. main-agent.
+function createStorage({ kind = process.env.STORAGE_BACKEND || "json", owner = "main-agent" } = {}) {
+  switch (kind) {
+    case "json":
+      return new Storage(kind, (name) => new JsonFileStore(statePath(`${name}-${owner}.json`)));
+    case "memory":
+      return new Storage(kind, () => new JsonFileStore(null));
+    case "sqlite": {
+      const filePath = statePath(`${owner}.sqlite`);
+      const db = openDatabase(filePath);
+      return new Storage(kind, (name) => new SqliteStore(db, name), () => closeDatabase(filePath));
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${kind}" (use json, sqlite or memory)`);
+  }
+}
+
+module.exports = { createStorage, Storage, SqliteStore };
@@ -0,0 +1,77 @@
+// sqlite-store.js - JsonFileStore surface on top of one SQLite table per collection
+const fs = require("fs");
+const path = require("path");
+
+// One connection per database file, shared by every collection in it
+const databases = new Map();
+
+function openDatabase(filePath) {
+  if (!databases.has(filePath)) {
+    let DatabaseSync;
+    try {
+      ({ DatabaseSync } = require("node:sqlite"));
+    } catch {
+      throw new Error(
+        `STORAGE_BACKEND=sqlite needs the built-in node:sqlite module (Node 22.13 or later, running ${process.version})`,
+      );
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new DatabaseSync(filePath);
+    db.exec("PRAGMA journal_mode = WAL");
+    databases.set(filePath, db);
+  }
+  return databases.get(filePath);
+}
+
+function closeDatabase(filePath) {
+  databases.get(filePath)?.close();
+  databases.delete(filePath);
+}
+
+// Records are stored as JSON text under their key and come back in the order
+// they were first written, like JsonFileStore
+class SqliteStore {
+  constructor(db, table) {
+    if (!/^[a-z][a-z0-9_-]*$/.test(table)) {
+      throw new Error(`Invalid collection name "${table}"`);
+    }
+    this.db = db;
+    db.exec(`CREATE TABLE IF NOT EXISTS "${table}" (key TEXT PRIMARY KEY, value TEXT NOT NULL)`);
+    this.statements = {
+      get: db.prepare(`SELECT value FROM "${table}" WHERE key = ?`),
+      set: db.prepare(
+        `INSERT INTO "${table}" (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+      ),
+      delete: db.prepare(`DELETE FROM "${table}" WHERE key = ?`),
+      all: db.prepare(`SELECT value FROM "${table}" ORDER BY rowid`),
+    };
+  }
+
+  get(key) {
+    const row = this.statements.get.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  has(key) {
+    return Boolean(this.statements.get.get(key));
+  }
+
+  set(key, value) {
+    this.statements.set.run(key, JSON.stringify(value));
+    return value;
+  }
+
+  delete(key) {
+    this.statements.delete.run(key);
+  }
+
+  values() {
+    return this.statements.all.all().map((row) => JSON.parse(row.value));
+  }
+
+  filter(predicate) {
+    return this.values().filter(predicate);
+  }
+}
+
+module.exports = { SqliteStore, openDatabase, closeDatabase };
@@ -0,0 +1,29 @@
+// subscription-manager.js - Single A2A topic subscription per process
+class SubscriptionManager {
+    constructor() {
+        this.subscription = null;
+    }
+
+    subscribe(transport, onMessage, options = {}) {
+        if (this.subscription) {
+            console.log("Already subscribed to the topic.");
+            return;
+        }
+
+        console.log("Subscribing to the topic...");
+        this.subscription = transport.subscribe(onMessage, {
+            startTime: options.startTime || new Date(),
+        });
+        console.log(`Subscribed to the topic (${transport.kind} transport).`);
+    }
+
+    unsubscribe() {
+        if (this.subscription) {
+            this.subscription.unsubscribe();
+            this.subscription = null;
+            console.log("Unsubscribed from the topic.");
+        }
+    }
+}
+
+module.exports = { SubscriptionManager };
@@ -0,0 +1,67 @@
+// topic-history.js - Read back what has been published on an A2A topic
+//
+// Every source pages through a topic like the mirror node's
+// GET /api/v1/topics/{topicId}/messages: read({ limit }) returns the latest
+// `limit` messages as { topicId, sequenceNumber, consensusTimestamp, contents,
+// payer }, oldest first.
+
+// A real topic, through a Hedera mirror node
+class MirrorNodeTopicHistory {
+  constructor(topicId, options = {}) {
+    const network = process.env.HEDERA_NETWORK || "testnet";
+    this.topicId = topicId;
+    this.baseUrl =
+      options.baseUrl ||
+      process.env.MIRROR_NODE_URL ||
+      `https://${network}.mirrornode.hedera.com`;
+    this.pageSize = options.pageSize ?? 100;
+  }
+
+  async read({ limit = 500 } = {}) {
+    const messages = [];
+    let next = `/api/v1/topics/${this.topicId}/messages?order=desc&limit=${Math.min(limit, this.pageSize)}`;
+    while (next && messages.length < limit) {
+      const res = await fetch(`${this.baseUrl}${next}`);
+      if (!res.ok) {
+        throw new Error(`Mirror node answered ${res.status} for topic ${this.topicId}`);
+      }
+      const page = await res.json();
+      page.messages.forEach((message) =>
+        messages.push({
+          topicId: message.topic_id,
+          sequenceNumber: message.sequence_number,
+          // "seconds.nanoseconds"
+          consensusTimestamp: new Date(parseFloat(message.consensus_timestamp) * 1000),
+          contents: Buffer.from(message.message, "base64"),
+          payer: message.payer_account_id,
+        }),
+      );
+      next = page.links?.next;
+    }
+    return messages.slice(0, limit).reverse();
+  }
+}
+
+// Local stand-in: the memory or file transport keeps its own history
+class LocalTopicHistory {
+  constructor(transport) {
+    this.topicId = transport.topicId;
+    this.transport = transport;
+  }
+
+  async read({ limit = 500 } = {}) {
+    return this.transport
+      .history()
+      .slice(-limit)
+      .map((message) => ({ ...message, payer: null }));
+  }
+}
+
+// The history of the topic a transport publishes to
+function topicHistory(transport, options = {}) {
+  return transport.kind === "hcs"
+    ? new MirrorNodeTopicHistory(transport.topicId.toString(), options)
+    : new LocalTopicHistory(transport);
+}
+
+module.exports = { MirrorNodeTopicHistory, LocalTopicHistory, topicHistory };
@@ -0,0 +1,114 @@
+// file-transport.js - Local-file stand-in for an HCS topic shared across processes
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Each message is one appended JSON line. Order in the file is consensus
+// order: sequence numbers are line positions and timestamps are forced to
+// increase, so every process reading the file derives identical metadata.
+class FileTransport {
+  constructor(topicId, filePath, options = {}) {
+    this.kind = "file";
+    this.topicId = topicId;
+    this.filePath = filePath;
+    this.pollIntervalMs = options.pollIntervalMs ?? 250;
+    this.subscriptions = new Set();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const messages = [];
+    let lastTime = 0;
+    fs.readFileSync(this.filePath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .forEach((line) => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          return; // torn write from a crashed process
+        }
+        lastTime = Math.max(entry.written_at, lastTime + 1);
+        messages.push({
+          nonce: entry.nonce,
+          topicId: this.topicId,
+          contents: Buffer.from(entry.contents, "base64"),
+          sequenceNumber: messages.length + 1,
+          consensusTimestamp: new Date(lastTime),
+        });
+      });
+    return messages;
+  }
+
+  async submit(payload) {
+    const nonce = crypto.randomUUID();
+    // A single small append is atomic, so concurrent writers never interleave
+    fs.appendFileSync(
+      this.filePath,
+      JSON.stringify({
+        nonce,
+        written_at: Date.now(),
+        contents: Buffer.from(payload).toString("base64"),
+      }) + "\n"
+    );
+
+    const message = this.readAll().find((m) => m.nonce === nonce);
+    return {
+      topicId: this.topicId,
+      sequenceNumber: message.sequenceNumber,
+      transactionId: `file-${nonce}`,
+      consensusTimestamp: message.consensusTimestamp,
+    };
+  }
+
+  subscribe(onMessage, { startTime = new Date() } = {}) {
+    let delivered = 0;
+    let lastSize = -1;
+
+    const poll = () => {
+      const size = fs.existsSync(this.filePath)
+        ? fs.statSync(this.filePath).size
+        : 0;
+      if (size === lastSize) return;
+      lastSize = size;
+
+      this.readAll()
+        .slice(delivered)
+        .forEach((message) => {
+          delivered = message.sequenceNumber;
+          if (message.consensusTimestamp < startTime) return;
+          const { nonce, ...topicMessage } = message;
+          Promise.resolve()
+            .then(() => onMessage(topicMessage))
+            .catch((err) =>
+              console.error("❌ File subscriber error:", err.message)
+            );
+        });
+    };
+
+    poll();
+    const timer = setInterval(poll, this.pollIntervalMs);
+    const subscription = {
+      unsubscribe: () => {
+        clearInterval(timer);
+        this.subscriptions.delete(subscription);
+      },
+    };
+    this.subscriptions.add(subscription);
+    return subscription;
+  }
+
+  // Everything written so far, for the topic explorer
+  history() {
+    return this.readAll().map(({ nonce, ...topicMessage }) => topicMessage);
+  }
+
+  close() {
+    [...this.subscriptions].forEach((subscription) => subscription.unsubscribe());
+  }
+}
+
+module.exports = { FileTransport };
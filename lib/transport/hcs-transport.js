@@ -0,0 +1,74 @@
+// hcs-transport.js - A2A transport backed by a Hedera Consensus Service topic
+const {
+  TopicMessageSubmitTransaction,
+  TopicMessageQuery,
+} = require("@hashgraph/sdk");
+
+// Messages are submitted by (and paid for from) the client's operator account;
+// feeMeter, when given, is told about every submission
+class HcsTransport {
+  constructor(client, topicId, options = {}) {
+    this.kind = "hcs";
+    this.client = client;
+    this.topicId = topicId;
+    this.feeMeter = options.feeMeter || null;
+    this.handlerErrors = 0; // messages whose handler failed
+  }
+
+  async submit(payload) {
+    const submitTx = await new TopicMessageSubmitTransaction()
+      .setTopicId(this.topicId)
+      .setMessage(payload)
+      .execute(this.client);
+    const receipt = await submitTx.getReceipt(this.client);
+    this.feeMeter?.track("message", submitTx.transactionId.toString());
+
+    return {
+      topicId: this.topicId.toString(),
+      sequenceNumber: Number(receipt.topicSequenceNumber),
+      transactionId: submitTx.transactionId.toString(),
+      consensusTimestamp: null, // only known once the message is read back
+    };
+  }
+
+  // startTime: Date from which to replay; defaults to "now"
+  subscribe(onMessage, { startTime = new Date(), onError } = {}) {
+    const handle = new TopicMessageQuery()
+      .setTopicId(this.topicId)
+      .setStartTime(startTime)
+      .subscribe(
+        this.client,
+        (message, error) => {
+          if (onError) onError(error);
+          else console.error("❌ HCS subscription error:", error.message);
+        },
+        // The SDK drops whatever the listener returns, so a rejected handler
+        // would be an unhandled rejection and end the process
+        (message) => {
+          const sequenceNumber = Number(message.sequenceNumber);
+          Promise.resolve()
+            .then(() =>
+              onMessage({
+                topicId: this.topicId.toString(),
+                contents: Buffer.from(message.contents),
+                sequenceNumber,
+                consensusTimestamp: message.consensusTimestamp.toDate(),
+              })
+            )
+            .catch((err) => {
+              this.handlerErrors += 1;
+              console.error(
+                `❌ HCS subscriber error (seq ${sequenceNumber}):`,
+                err.message
+              );
+            });
+        }
+      );
+
+    return { unsubscribe: () => handle.unsubscribe() };
+  }
+
+  close() {}
+}
+
+module.exports = { HcsTransport };
@@ -0,0 +1,51 @@
+// transport/index.js - Pick the A2A transport for this process
+//
+// Every transport exposes the same surface:
+//   submit(payload)                      -> { topicId, sequenceNumber, transactionId, consensusTimestamp }
+//   subscribe(onMessage, { startTime })  -> { unsubscribe() }
+//   close()
+// and delivers { topicId, contents, sequenceNumber, consensusTimestamp } to subscribers.
+// The local stand-ins also return those for everything so far from history();
+// an HCS topic's history is read from the mirror node (lib/topic-history.js).
+const path = require("path");
+const { STATE_DIR } = require("../json-store");
+const { HcsTransport } = require("./hcs-transport");
+const { InMemoryTransport, InMemoryTopicBus, sharedBus } = require("./memory-transport");
+const { FileTransport } = require("./file-transport");
+
+// A2A_TRANSPORT: "hcs" (default), "memory" (single process) or "file"
+// (several local processes sharing A2A_TRANSPORT_FILE). feeMeter only applies
+// to hcs, the one transport that costs anything.
+function createTransport({
+  kind = process.env.A2A_TRANSPORT || "hcs",
+  client,
+  topicId,
+  feeMeter,
+}) {
+  switch (kind) {
+    case "hcs":
+      if (!client || !topicId) {
+        throw new Error("HCS transport needs a Hedera client and A2A_TOPIC_ID");
+      }
+      return new HcsTransport(client, topicId, { feeMeter });
+    case "memory":
+      return new InMemoryTransport(topicId || "local");
+    case "file":
+      return new FileTransport(
+        topicId || "local",
+        process.env.A2A_TRANSPORT_FILE ||
+          path.join(STATE_DIR, `a2a-topic-${topicId || "local"}.jsonl`)
+      );
+    default:
+      throw new Error(`Unknown A2A_TRANSPORT "${kind}" (use hcs, memory or file)`);
+  }
+}
+
+module.exports = {
+  createTransport,
+  HcsTransport,
+  InMemoryTransport,
+  InMemoryTopicBus,
+  sharedBus,
+  FileTransport,
+};
@@ -0,0 +1,114 @@
+// memory-transport.js - In-process stand-in for an HCS topic
+const crypto = require("crypto");
+
+// Topics live on a bus so several agents in one process (or one test) can
+// share them. Messages get HCS-like sequence numbers and strictly increasing
+// consensus timestamps, and are delivered asynchronously in order.
+class InMemoryTopicBus {
+  constructor() {
+    this.topics = new Map();
+  }
+
+  topic(topicId) {
+    if (!this.topics.has(topicId)) {
+      this.topics.set(topicId, { messages: [], subscribers: new Set() });
+    }
+    return this.topics.get(topicId);
+  }
+
+  publish(topicId, payload) {
+    const topic = this.topic(topicId);
+    const last = topic.messages[topic.messages.length - 1];
+    const now = Date.now();
+    const message = {
+      topicId,
+      contents: Buffer.from(payload),
+      sequenceNumber: topic.messages.length + 1,
+      consensusTimestamp: new Date(
+        last ? Math.max(now, last.consensusTimestamp.getTime() + 1) : now
+      ),
+    };
+    topic.messages.push(message);
+    topic.subscribers.forEach((subscriber) => subscriber.enqueue(message));
+    return message;
+  }
+
+  subscribe(topicId, onMessage, startTime) {
+    const topic = this.topic(topicId);
+    const queue = [];
+    let draining = false;
+    let active = true;
+
+    const subscriber = {
+      enqueue(message) {
+        if (!active || message.consensusTimestamp < startTime) return;
+        queue.push(message);
+        if (!draining) {
+          draining = true;
+          setImmediate(drain);
+        }
+      },
+    };
+
+    // Dispatched in sequence order without awaiting the handler, like the
+    // SDK's mirror node stream
+    function drain() {
+      while (active && queue.length > 0) {
+        const message = queue.shift();
+        Promise.resolve()
+          .then(() => onMessage(message))
+          .catch((err) =>
+            console.error("❌ In-memory subscriber error:", err.message)
+          );
+      }
+      draining = false;
+    }
+
+    topic.messages.forEach((message) => subscriber.enqueue(message));
+    topic.subscribers.add(subscriber);
+
+    return {
+      unsubscribe() {
+        active = false;
+        topic.subscribers.delete(subscriber);
+      },
+    };
+  }
+
+  history(topicId) {
+    return [...this.topic(topicId).messages];
+  }
+}
+
+const sharedBus = new InMemoryTopicBus();
+
+class InMemoryTransport {
+  constructor(topicId, bus = sharedBus) {
+    this.kind = "memory";
+    this.topicId = topicId;
+    this.bus = bus;
+  }
+
+  async submit(payload) {
+    const message = this.bus.publish(this.topicId, payload);
+    return {
+      topicId: this.topicId,
+      sequenceNumber: message.sequenceNumber,
+      transactionId: `local-${crypto.randomUUID()}`,
+      consensusTimestamp: message.consensusTimestamp,
+    };
+  }
+
+  subscribe(onMessage, { startTime = new Date() } = {}) {
+    return this.bus.subscribe(this.topicId, onMessage, startTime);
+  }
+
+  // Everything published so far, for the topic explorer
+  history() {
+    return this.bus.history(this.topicId);
+  }
+
+  close() {}
+}
+
+module.exports = { InMemoryTopicBus, InMemoryTransport, sharedBus };
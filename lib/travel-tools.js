@@ -0,0 +1,1335 @@
+// travel-tools.js - LangChain tools the travel agent uses to reach provider agents
+const { DynamicStructuredTool } = require("@langchain/core/tools");
+const { z } = require("zod");
+const { A2AMessage } = require("./a2a-protocol");
+const { PaymentService, settlementSummary } = require("./payments");
+const { NegotiationBook, createStrategy } = require("./negotiation");
+const { ItineraryPlanner, ItineraryError } = require("./itinerary");
+const { createStorage } = require("./storage");
+
+// A2A services these tools talk to; discovered agents offering anything else
+// get generated tools (lib/discovery-tools.js)
+const TRAVEL_TOOL_SERVICES = ["hotel_booking", "flight_booking", "travel_insurance"];
+
+// transport: A2A transport, responseCollector: ResponseCollector fed by the
+// topic subscription, sender: { agent_id, account_id }, privateKey: signer,
+// ledger: where the traveller's HBAR payments are made, escrow: optional
+// EscrowService holding payments until providers confirm, negotiationStrategy:
+// name of the buyer strategy plugin used to haggle within the user's budget,
+// approvals: optional ApprovalQueue that parks payments above autoPayThreshold,
+// spendingPolicy: optional SpendingPolicy every payment must pass,
+// payerFor(sessionId): the payer (lib/browser-signing.js browserPayer) of a
+// session that signs with its own account, null while the agent pays,
+// storage: where payments made and planned trips are kept (in memory by default),
+// present: called with a structured card (offers, quotes, bookings, trips) for
+// the web UI alongside the text a tool returns.
+//
+// Returns toolsFor(owner, sessionId = owner): the tools session `sessionId`
+// uses in the conversation `owner` (a chat session, or the trip room it is in). Quotes,
+// offers, negotiations, bookings, trips and the chosen flight belong to the
+// conversation, so everyone in a room works on the same itinerary while two
+// travellers chatting apart never see or pay for each other's offers.
+// Spending budgets, approvals and the paying account stay with the session.
+function createTravelTools(options) {
+  const {
+    transport,
+    responseCollector,
+    sender,
+    privateKey,
+    ledger,
+    escrow,
+    approvals,
+    spendingPolicy,
+    storage = createStorage({ kind: "memory" }),
+  } = options;
+  const payments = new PaymentService({
+    ledger,
+    transport,
+    responseCollector,
+    sender,
+    privateKey,
+    escrow,
+    policy: spendingPolicy,
+    records: storage.collection("payments"),
+  });
+
+  const conversations = new Map(); // owner -> what its members share
+  const conversationFor = (owner) => {
+    if (!conversations.has(owner)) {
+      conversations.set(owner, {
+        // Offer behind each quote_id (hotel rooms and insurance tiers), for
+        // negotiating and paying once the quote is accepted
+        quoted: new Map(),
+        negotiations: new NegotiationBook({ role: "buyer" }),
+        // Flight booking most recently held or confirmed with book_flight; its
+        // fare is the trip cost insurance is quoted on unless the user says otherwise
+        chosenFlight: null,
+      });
+    }
+    return conversations.get(owner);
+  };
+  const sessions = new Map(); // "owner sessionId" -> { tools, itineraries }
+  const sessionFor = (owner, sessionId = owner) => {
+    const key = `${owner} ${sessionId}`;
+    if (!sessions.has(key)) {
+      sessions.set(
+        key,
+        sessionTools({ ...options, storage, payments, shared: conversationFor(owner) }, owner, sessionId),
+      );
+    }
+    return sessions.get(key);
+  };
+
+  // Approved payments run the same settlement as auto-paid ones
+  approvals?.registerExecutor("payment", async (payment) =>
+    settlementSummary(await payments.pay(payment)),
+  );
+
+  // An approved trip is booked exactly as if it had been under the limit
+  approvals?.registerExecutor("itinerary", async ({ trip_id, user, owner, conversation }) => {
+    const trip = await sessionFor(conversation ?? owner, owner).itineraries.book(trip_id, user);
+    return { trip_id, status: trip.status, total_cost: trip.total_cost, failure: trip.failure };
+  });
+
+  return (owner, sessionId) => sessionFor(owner, sessionId).tools;
+}
+
+function sessionTools(
+  {
+    transport,
+    responseCollector,
+    sender,
+    privateKey,
+    escrow,
+    negotiationStrategy = process.env.NEGOTIATION_STRATEGY || "budget",
+    approvals,
+    spendingPolicy,
+    autoPayThreshold = parseFloat(process.env.AUTO_PAYMENT_THRESHOLD || "10"),
+    storage,
+    present = () => {},
+    payments,
+    payerFor = () => null,
+    shared,
+  },
+  owner,
+  sessionId = owner,
+) {
+  // Which provider account issued each quote_id / owns each booking_reference,
+  // and the conversation it was issued to. Kept in storage, so a conversation
+  // can still act on its bookings after a restart and no other one can.
+  const references = storage.collection("references");
+  const providers = {
+    has: (id) => references.get(id)?.owner === owner,
+    get: (id) => (providers.has(id) ? references.get(id).provider_account : undefined),
+    set: (id, providerAccount) => {
+      if (references.has(id) && !providers.has(id)) return;
+      references.set(id, { provider_account: providerAccount, owner });
+    },
+  };
+  const { quoted, negotiations } = shared;
+  // Whose spending budget payments count against: the session, since every
+  // session pays from the same account
+  const user = sessionId ?? sender.account_id;
+
+  // A session signing with its own account pays from it, and the user signs
+  // every transfer; approvals and the spending policy are for our account
+  const payer = () => payerFor(sessionId);
+  const payerAccount = () => (payer() ? { payer_account: payer().accountId } : {});
+
+  // Pay the provider and wait for it to act on the payment message; larger
+  // amounts are parked until a human approves them. Payments the spending
+  // policy forbids are refused before they are parked.
+  async function payProvider(details) {
+    if (payer()) {
+      try {
+        return await payments.pay({ ...details, user, payer: payer() });
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+    const payment = { ...details, user };
+    const denial = payments.denial(payment);
+    if (denial) {
+      return { error: `Blocked by spending policy: ${denial}` };
+    }
+    if (approvals && payment.amount > autoPayThreshold) {
+      return {
+        parked: approvals.park(
+          "payment",
+          `Pay ${payment.amount} ${payment.currency} to ${payment.recipient} for ${payment.reference}`,
+          payment,
+          sender.account_id,
+          sessionId,
+        ),
+      };
+    }
+    try {
+      return await payments.pay(payment);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  const awaitingApproval = ({ parked }) =>
+    `The ${parked.details.amount} ${parked.details.currency} payment is above the ${autoPayThreshold} HBAR auto-pay limit and needs human approval (approval id ${parked.id}, expires ${parked.expires_at}). It is paid as soon as it is approved.`;
+
+  // Publish a signed message and wait for the providers that answer
+  async function send(type, content, collectOptions) {
+    const msg = new A2AMessage(type, content, sender).sign(privateKey);
+    const pending = responseCollector.collect(msg.correlation_id, collectOptions);
+    await transport.submit(msg.serialize());
+    return pending;
+  }
+
+  // Publish a signed message nobody needs to answer
+  async function publish(type, content) {
+    const msg = new A2AMessage(type, content, sender).sign(privateKey);
+    await transport.submit(msg.serialize());
+  }
+
+  const requestService = (content) => send("request", content);
+
+  // Booking, policy and claim actions are answered by exactly one provider:
+  // the one that issued the reference, whoever else replies
+  async function sendToProvider(type, content) {
+    const id =
+      content.quote_id ||
+      content.booking_reference ||
+      content.policy_reference ||
+      content.claim_id;
+    if (!providers.has(id)) {
+      return { content: { status: "unknown", reason: `${id} was not issued in this chat session` } };
+    }
+    const provider = providers.get(id);
+    const [response] = await send(type, { ...content, provider }, { maxResponses: 1, from: provider });
+    const issued =
+      response?.content.booking?.booking_reference ||
+      response?.content.policy?.policy_reference ||
+      response?.content.claim?.claim_id;
+    if (issued) {
+      providers.set(issued, response.sender.account_id);
+    }
+    return response;
+  }
+
+  const sendBooking = (content) => sendToProvider("booking", content);
+
+  const itineraries = new ItineraryPlanner({
+    store: storage.collection("itineraries"),
+    owner,
+    requestService,
+    sendBooking,
+    sendPolicy: (content) => sendToProvider("policy", content),
+    payments,
+    escrow,
+    remember: (id, providerAccount, option) => {
+      providers.set(id, providerAccount);
+      if (option) quoted.set(id, option);
+    },
+  });
+
+  // " Escrow: ..." suffix for replies about a reference paid through escrow
+  function describeEscrow(reference) {
+    const held = escrow?.get(reference);
+    if (!held) return "";
+    const detail = {
+      funded: `holding ${held.amount} ${held.currency} until the provider confirms (refunded after ${held.expires_at})`,
+      settling: `paying out ${held.amount} ${held.currency} (${held.settling_to === "released" ? "to the provider" : "back to you"})`,
+      released: `${held.amount} ${held.currency} released to ${held.payee} (transaction ${held.settlement_transaction_id})`,
+      refunded: `${held.amount} ${held.currency} refunded to you (transaction ${held.settlement_transaction_id}) - ${held.reason}`,
+    }[held.status];
+    return ` Escrow: ${detail || held.status}.`;
+  }
+
+  const describeBooking = ({ booking }) =>
+    booking.option.legs
+      ? `${booking.booking_reference}: ${describeFlight(booking.option)}, ${booking.amount} ${booking.currency}`
+      : `${booking.booking_reference}: ${booking.option.hotel_name} - ${booking.option.room_type}, ${booking.option.check_in} to ${booking.option.check_out}, ${booking.amount} ${booking.currency}`;
+
+  const tools = [
+    new DynamicStructuredTool({
+      name: "book_hotel",
+      description:
+        "Book a hotel via A2A in two steps: first search with destination and dates to get offers, then call again with the chosen quoteId to hold that room",
+      schema: z.object({
+        quoteId: z
+          .string()
+          .optional()
+          .describe("quote_id of an offer to hold; omit to search for offers"),
+        destination: z.string().optional().describe("City, e.g. Paris"),
+        checkIn: z.string().optional().describe("Check-in date, YYYY-MM-DD"),
+        checkOut: z.string().optional().describe("Check-out date, YYYY-MM-DD"),
+        guests: z.number().int().positive().default(1),
+        budgetPerNight: z
+          .number()
+          .positive()
+          .optional()
+          .describe("Maximum price per night in HBAR"),
+        roomPreferences: z
+          .array(z.string())
+          .optional()
+          .describe('Wished-for room features, e.g. ["balcony", "breakfast"]'),
+      }),
+      func: async ({
+        quoteId,
+        destination,
+        checkIn,
+        checkOut,
+        guests,
+        budgetPerNight,
+        roomPreferences,
+      }) => {
+        if (quoteId) {
+          const response = await sendBooking({ action: "hold", quote_id: quoteId });
+          if (!response) {
+            return "Hold request sent, but no hotel agent answered.";
+          }
+          if (response.content.status !== "held") {
+            return `Could not hold ${quoteId}: ${response.content.reason || response.content.status}`;
+          }
+          const { booking } = response.content;
+          present(bookingCard(booking));
+          return `Room held! ${describeBooking(response.content)}. Pay and confirm with confirm_hotel_booking before ${booking.hold_expires_at}, or the hold lapses.`;
+        }
+        if (!destination || !checkIn || !checkOut) {
+          return "To search for hotels I need a destination, check-in and check-out date.";
+        }
+
+        // Every hotel provider that answers within the collection window
+        const responses = await requestService({
+          service: "hotel_booking",
+          details: {
+            destination,
+            check_in: checkIn,
+            check_out: checkOut,
+            guests,
+            budget_per_night: budgetPerNight,
+            room_preferences: roomPreferences,
+          },
+        });
+        if (responses.length === 0) {
+          return "Hotel booking request sent, but no response received yet.";
+        }
+
+        const describe = (option) =>
+          `${option.hotel_name || option.provider} - ${option.room_type} (sleeps ${option.capacity || "?"}) for ${option.total_nights} nights at ${option.total_price} ${option.currency} total (${option.price_per_night} ${option.currency}/night)`;
+
+        const offers = responses
+          .filter((r) => r.content.status === "available" && r.content.options)
+          .flatMap((r) =>
+            r.content.options.map((option) => ({
+              ...option,
+              provider: r.sender.agent_id,
+              provider_account: r.sender.account_id,
+            })),
+          )
+          .sort(
+            (a, b) =>
+              (b.preference_matches?.length || 0) -
+                (a.preference_matches?.length || 0) ||
+              a.total_price - b.total_price,
+          );
+        if (offers.length > 0) {
+          offers
+            .filter((option) => option.quote_id)
+            .forEach((option) => {
+              providers.set(option.quote_id, option.provider_account);
+              quoted.set(option.quote_id, option);
+            });
+          present(hotelOptionsCard(offers));
+          const lines = offers.map(
+            (option) =>
+              `- ${describe(option)}${option.preference_matches?.length ? ` [matches: ${option.preference_matches.join(", ")}]` : ""}. Quote ID: ${option.quote_id || "N/A"}`,
+          );
+          return `Hotel availability confirmed! ${offers.length} offer(s) from ${responses.length} provider(s), best match first:\n${lines.join("\n")}\nCall book_hotel with a quoteId to hold one, or negotiate_hotel_price to haggle first.`;
+        }
+
+        // No provider could satisfy the request - pass on why, and what they suggest
+        const problems = responses.map(
+          (r) => `${r.sender.agent_id}: ${r.content.reason || r.content.status}`,
+        );
+        const alternatives = responses.flatMap((r) => r.content.alternatives || []);
+        const served = [
+          ...new Set(responses.flatMap((r) => r.content.served_cities || [])),
+        ];
+        return [
+          `No matching rooms. ${problems.join("; ")}.`,
+          ...alternatives.map(
+            (option) => `- Alternative: ${describe(option)}, ${option.check_in} to ${option.check_out} (${option.reason})`,
+          ),
+          served.length ? `Cities served: ${served.join(", ")}.` : "",
+        ]
+          .filter(Boolean)
+          .join("\n");
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "book_flight",
+      description:
+        "Book a flight via A2A in two steps: first search with origin, destination and dates to get offers, then call again with the chosen quoteId to hold the seats and pay for them",
+      schema: z.object({
+        quoteId: z
+          .string()
+          .optional()
+          .describe("quote_id of a flight offer to book; omit to search for offers"),
+        origin: z.string().optional().describe("Departure city or airport code, e.g. London"),
+        destination: z.string().optional().describe("Arrival city or airport code, e.g. Paris"),
+        departureDate: z.string().optional().describe("Outbound date, YYYY-MM-DD"),
+        returnDate: z.string().optional().describe("Return date for a round trip, YYYY-MM-DD"),
+        passengers: z.number().int().positive().default(1),
+        cabin: z.enum(["economy", "premium_economy", "business"]).default("economy"),
+      }),
+      func: async ({ quoteId, origin, destination, departureDate, returnDate, passengers, cabin }) => {
+        if (quoteId) {
+          const held = await sendBooking({ action: "hold", quote_id: quoteId });
+          if (!held) {
+            return "Hold request sent, but no flight agent answered.";
+          }
+          if (held.content.status !== "held") {
+            return `Could not hold ${quoteId}: ${held.content.reason || held.content.status}`;
+          }
+          const { booking } = held.content;
+          shared.chosenFlight = booking;
+          present(bookingCard(booking));
+
+          const paid = await payProvider({
+            recipient: held.sender.account_id,
+            amount: booking.amount,
+            currency: booking.currency,
+            reference: booking.booking_reference,
+            description: `Flight booking ${booking.booking_reference}`,
+          });
+          if (paid.parked) {
+            return `Seats held: ${describeBooking(held.content)}. ${awaitingApproval(paid)} The hold lapses at ${booking.hold_expires_at}.`;
+          }
+          if (paid.error) {
+            return `Seats held (${describeBooking(held.content)}) but payment failed: ${paid.error}. The hold lapses at ${booking.hold_expires_at}.`;
+          }
+          if (paid.response?.content.status !== "confirmed") {
+            return `Paid ${booking.amount} ${booking.currency} (transaction ${paid.transactionId}), but the flight is not confirmed: ${paid.response?.content.reason || "the flight agent has not answered"}.${describeEscrow(booking.booking_reference)}`;
+          }
+          shared.chosenFlight = paid.response.content.booking;
+          present(bookingCard(shared.chosenFlight, { escrow: escrow?.get(booking.booking_reference)?.status }));
+          return `Flight booked! ${describeBooking(paid.response.content)}. Payment transaction: ${paid.transactionId}.${describeEscrow(booking.booking_reference)} Travel insurance quotes will now use ${booking.amount} ${booking.currency} as the trip cost.`;
+        }
+        if (!origin || !destination || !departureDate) {
+          return "To search for flights I need an origin, a destination and a departure date.";
+        }
+
+        const responses = await requestService({
+          service: "flight_booking",
+          details: {
+            origin,
+            destination,
+            departure_date: departureDate,
+            return_date: returnDate,
+            passengers,
+            cabin,
+          },
+        });
+        if (responses.length === 0) {
+          return "Flight search sent, but no flight agent answered.";
+        }
+        const offers = responses
+          .filter((r) => r.content.status === "available" && r.content.options)
+          .flatMap((r) =>
+            r.content.options.map((option) => ({
+              ...option,
+              provider: r.sender.agent_id,
+              provider_account: r.sender.account_id,
+            })),
+          )
+          .sort((a, b) => a.total_price - b.total_price);
+        if (offers.length === 0) {
+          const problems = responses.map(
+            (r) => `${r.sender.agent_id}: ${r.content.reason || r.content.status}`,
+          );
+          return `No flights found. ${problems.join("; ")}.`;
+        }
+        offers.forEach((option) => {
+          providers.set(option.quote_id, option.provider_account);
+          quoted.set(option.quote_id, option);
+        });
+        present(flightOptionsCard(offers));
+        const lines = offers.map(
+          (option) =>
+            `- ${describeFlight(option)}: ${option.total_price} ${option.currency} for ${option.passengers} passenger(s). Quote ID: ${option.quote_id}`,
+        );
+        return `${offers.length} flight option(s), cheapest first:\n${lines.join("\n")}\nCall book_flight with a quoteId to book one.`;
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "get_travel_insurance",
+      description:
+        "Request travel insurance quotes (Basic/Standard/Premium tiers) via A2A and wait for insurer responses. After book_flight, the trip cost, destination and dates default to the booked flight.",
+      schema: z.object({
+        tripCost: z
+          .number()
+          .optional()
+          .describe("Total trip cost in HBAR; defaults to the fare of the flight booked with book_flight"),
+        destination: z.string().optional(),
+        startDate: z.string().optional().describe("Departure date, YYYY-MM-DD"),
+        endDate: z.string().optional().describe("Return date, YYYY-MM-DD"),
+        travellerAges: z
+          .array(z.number().int().nonnegative())
+          .optional()
+          .describe("Age of each traveller"),
+        addOns: z
+          .array(z.enum(["adventure_sports", "pre_existing_conditions"]))
+          .optional()
+          .describe("Optional extra cover"),
+      }),
+      func: async ({
+        tripCost,
+        destination,
+        startDate,
+        endDate,
+        travellerAges,
+        addOns,
+      }) => {
+        const legs = shared.chosenFlight?.option.legs || [];
+        const tripCostSource = tripCost === undefined && shared.chosenFlight
+          ? ` (trip cost from flight booking ${shared.chosenFlight.booking_reference})`
+          : "";
+        tripCost ??= shared.chosenFlight?.amount;
+        destination ??= legs[0]?.destination_city;
+        startDate ??= legs[0]?.departure.slice(0, 10);
+        endDate ??= legs[1]?.departure.slice(0, 10);
+        if (tripCost === undefined || !destination) {
+          return "To quote travel insurance I need the trip cost and destination - or book a flight first and I will use its fare and destination.";
+        }
+
+        // Every insurer that answers within the collection window
+        const responses = await requestService({
+          service: "travel_insurance",
+          trip_cost: tripCost,
+          destination,
+          start_date: startDate,
+          end_date: endDate,
+          traveller_ages: travellerAges,
+          add_ons: addOns,
+        });
+        if (responses.length === 0) {
+          return "Insurance request sent, but no response received yet.";
+        }
+
+        const quotes = responses
+          .filter(
+            (r) => r.content.status === "available" && r.content.coverage_options,
+          )
+          .flatMap((r) =>
+            r.content.coverage_options.map((option) => ({
+              ...option,
+              provider: r.sender.agent_id,
+              risk_class: r.content.risk_class,
+              trip_days: r.content.trip_days,
+              provider_account: r.sender.account_id,
+            })),
+          )
+          .sort((a, b) => a.premium - b.premium);
+        quotes
+          .filter((option) => option.quote_id)
+          .forEach((option) => {
+            providers.set(option.quote_id, option.provider_account);
+            quoted.set(option.quote_id, option);
+          });
+        if (quotes.length === 0) {
+          const problems = responses.map(
+            (r) => `${r.sender.agent_id}: ${r.content.reason || r.content.status}`,
+          );
+          return `No insurance cover available. ${problems.join("; ")}.`;
+        }
+
+        const lines = quotes.map((option) => {
+          const limits = Object.entries(option.coverage_limits || {})
+            .map(([cover, limit]) => `${cover.replace(/_/g, " ")} up to ${limit}`)
+            .join(", ");
+          return [
+            `- ${option.provider}: ${option.tier}: ${option.premium} ${option.currency}`,
+            option.deductible !== undefined ? `, deductible ${option.deductible} ${option.currency}` : "",
+            `. Covers ${option.benefits.join(", ")}`,
+            limits ? ` (${limits})` : "",
+            option.exclusions?.length ? `. Excludes ${option.exclusions.join(", ")}` : "",
+            `. Quote ID: ${option.quote_id || "N/A"}`,
+          ].join("");
+        });
+        const declined = responses.flatMap((r) =>
+          (r.content.declined_tiers || []).map(
+            (d) => `${d.tier} not offered: ${d.reasons.join(", ")}`,
+          ),
+        );
+        const { risk_class, trip_days } = quotes[0];
+        present(insuranceQuotesCard(quotes, { tripCost, destination, riskClass: risk_class, tripDays: trip_days, declined }));
+        return [
+          `Travel insurance quotes received from ${responses.length} provider(s)${risk_class ? ` (${risk_class} risk destination, ${trip_days} days)` : ""} for a ${tripCost} HBAR trip${tripCostSource}:`,
+          ...lines,
+          ...declined,
+        ].join("\n");
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "plan_trip",
+      description:
+        "Plan a whole trip in one go: asks every flight, hotel and insurance provider in parallel and assembles one itinerary (legs, stays, cover and total cost in HBAR) with the best offer for each. Insurance is quoted on the real flight and hotel cost. Nothing is held or paid until book_trip.",
+      schema: z.object({
+        destination: z.string().describe("City, e.g. Paris"),
+        startDate: z.string().describe("Outbound / check-in date, YYYY-MM-DD"),
+        endDate: z.string().describe("Return / check-out date, YYYY-MM-DD"),
+        origin: z.string().optional().describe("Departure city; needed when the trip includes a flight"),
+        travellers: z.number().int().positive().default(1),
+        cabin: z.enum(["economy", "premium_economy", "business"]).default("economy"),
+        budgetPerNight: z.number().positive().optional().describe("Maximum hotel price per night in HBAR"),
+        roomPreferences: z.array(z.string()).optional(),
+        travellerAges: z.array(z.number().int().nonnegative()).optional(),
+        insuranceTier: z.string().optional().describe("Preferred cover tier, e.g. Standard"),
+        components: z
+          .array(z.enum(["flight", "hotel", "insurance"]))
+          .optional()
+          .describe("Parts of the trip to plan; all three by default, without flight when no origin is given"),
+      }),
+      func: async (args) => {
+        const components =
+          args.components || ["flight", "hotel", "insurance"].filter((c) => c !== "flight" || args.origin);
+        try {
+          const trip = await itineraries.plan({
+            origin: args.origin,
+            destination: args.destination,
+            start_date: args.startDate,
+            end_date: args.endDate,
+            travellers: args.travellers,
+            cabin: args.cabin,
+            budget_per_night: args.budgetPerNight,
+            room_preferences: args.roomPreferences,
+            traveller_ages: args.travellerAges,
+            insurance_tier: args.insuranceTier,
+            components,
+          });
+          present(tripCard(trip));
+          return `${describeTrip(trip, { alternatives: true })}\nSwap any part with swap_trip_component, or book everything with book_trip.`;
+        } catch (err) {
+          if (!(err instanceof ItineraryError)) throw err;
+          return err.message;
+        }
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "swap_trip_component",
+      description:
+        "Replace the flight, hotel or insurance of a planned trip with one of its alternative offers. Swapping the flight or hotel re-quotes insurance on the new trip cost.",
+      schema: z.object({
+        tripId: z.string(),
+        component: z.enum(["flight", "hotel", "insurance"]),
+        quoteId: z.string().describe("quote_id of one of the trip's alternatives"),
+      }),
+      func: async ({ tripId, component, quoteId }) => {
+        try {
+          const trip = await itineraries.swap(tripId, component, quoteId);
+          present(tripCard(trip));
+          return describeTrip(trip, { alternatives: true });
+        } catch (err) {
+          if (!(err instanceof ItineraryError)) throw err;
+          return err.message;
+        }
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "book_trip",
+      description:
+        "Accept a planned trip and book all of it atomically: holds every seat and room first, then pays each part; if any part fails, everything already booked is cancelled and refunded",
+      schema: z.object({
+        tripId: z.string(),
+      }),
+      func: async ({ tripId }) => {
+        const trip = itineraries.get(tripId);
+        if (!trip) {
+          return `Unknown trip ${tripId} - plan one with plan_trip first.`;
+        }
+        if (trip.status === "booked" || trip.status === "booking") {
+          return describeTrip(trip);
+        }
+        if (trip.status === "awaiting_approval" && approvals?.get(trip.approval_id)?.status === "pending") {
+          return `Trip ${tripId} is waiting for approval ${trip.approval_id}.`;
+        }
+        const transfers = Object.values(trip.chosen)
+          .filter(Boolean)
+          .map((offer) => ({ recipient: offer.provider_account, amount: offer.price }));
+        const denial = payer() ? null : spendingPolicy?.denial(user, transfers);
+        if (denial) {
+          return `Trip not booked - blocked by spending policy: ${denial}`;
+        }
+        if (approvals && !payer() && trip.total_cost > autoPayThreshold) {
+          const parked = approvals.park(
+            "itinerary",
+            `Book trip ${tripId} to ${trip.destination} for ${trip.total_cost} HBAR`,
+            { trip_id: tripId, user, owner: sessionId, conversation: owner },
+            sender.account_id,
+            sessionId,
+          );
+          itineraries.update(trip, { status: "awaiting_approval", approval_id: parked.id });
+          return `The ${trip.total_cost} HBAR trip is above the ${autoPayThreshold} HBAR auto-pay limit and needs human approval (approval id ${parked.id}, expires ${parked.expires_at}). It is booked as soon as it is approved.`;
+        }
+        try {
+          const booked = await itineraries.book(tripId, user, payer());
+          present(tripCard(booked));
+          return describeTrip(booked);
+        } catch (err) {
+          if (!(err instanceof ItineraryError)) throw err;
+          return err.message;
+        }
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "get_trip",
+      description: "Show a planned or booked trip: legs, stays, cover, total cost and booking status",
+      schema: z.object({
+        tripId: z.string(),
+      }),
+      func: async ({ tripId }) => {
+        const trip = itineraries.get(tripId);
+        if (!trip) {
+          return `Unknown trip ${tripId}.`;
+        }
+        present(tripCard(trip));
+        return describeTrip(trip);
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "negotiate_hotel_price",
+      description:
+        "Haggle with the hotel agent over the total price of an offer, never going above the user's budget. Afterwards hold the offer with book_hotel to book it at the agreed price.",
+      schema: z.object({
+        quoteId: z.string(),
+        budget: z.number().positive().describe("Most the user will pay in total, in HBAR"),
+      }),
+      func: async ({ quoteId, budget }) => {
+        const offer = quoted.get(quoteId);
+        if (!offer?.total_price) {
+          return `Unknown hotel offer ${quoteId} - search with book_hotel first.`;
+        }
+
+        let content = negotiations.open({
+          quoteId,
+          listPrice: offer.total_price,
+          currency: offer.currency,
+          provider: offer.provider_account,
+          strategy: createStrategy(negotiationStrategy, { budget }),
+        });
+        const session = negotiations.get(content.negotiation_id);
+        // Every round is a signed negotiation message on the topic
+        while (content) {
+          if (content.action === "reject") {
+            await publish("negotiation", content);
+            break;
+          }
+          const [reply] = await send("negotiation", content, {
+            maxResponses: 1,
+            from: offer.provider_account,
+          });
+          if (!reply) {
+            session.status = "rejected";
+            session.reason = "the hotel agent stopped answering";
+            break;
+          }
+          content = negotiations.respond(reply.content);
+        }
+
+        const rounds = session.transcript
+          .map((entry) => `${entry.party} ${entry.action}${entry.price !== undefined ? ` ${entry.price}` : ""}`)
+          .join(" -> ");
+        if (session.status !== "agreed") {
+          return `No deal on ${quoteId} (asking ${offer.total_price} ${offer.currency}, budget ${budget}): ${session.reason}. Rounds: ${rounds}.`;
+        }
+        quoted.set(quoteId, { ...offer, total_price: session.agreed_price });
+        return `Deal! ${offer.hotel_name} - ${offer.room_type} for ${session.agreed_price} ${offer.currency} instead of ${offer.total_price} (${rounds}). Call book_hotel with quoteId ${quoteId} to hold it at this price.`;
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "confirm_hotel_booking",
+      description:
+        "Pay for a held hotel booking in HBAR and confirm it. The hotel agent checks the transfer before confirming.",
+      schema: z.object({
+        bookingReference: z.string(),
+        paymentTransactionId: z
+          .string()
+          .optional()
+          .describe("Only if the booking was already paid outside this chat"),
+      }),
+      func: async ({ bookingReference, paymentTransactionId }) => {
+        let response;
+        if (paymentTransactionId) {
+          response = await sendBooking({
+            action: "confirm",
+            booking_reference: bookingReference,
+            payment_transaction_id: paymentTransactionId,
+            ...payerAccount(),
+          });
+        } else {
+          // Pay exactly what the hotel says is owed on the hold
+          const current = await sendBooking({
+            action: "status",
+            booking_reference: bookingReference,
+          });
+          if (!current) {
+            return "Status request sent, but no provider agent answered.";
+          }
+          if (current.content.status !== "held") {
+            return `Booking ${bookingReference} cannot be paid: ${current.content.reason || `it is ${current.content.status}`}`;
+          }
+          const { booking } = current.content;
+          const paid = await payProvider({
+            recipient: current.sender.account_id,
+            amount: booking.amount,
+            currency: booking.currency,
+            reference: bookingReference,
+            description: `Hotel booking ${bookingReference}`,
+          });
+          if (paid.parked) {
+            return awaitingApproval(paid);
+          }
+          if (paid.error) {
+            return `Payment failed, booking not confirmed: ${paid.error}`;
+          }
+          if (!paid.response) {
+            return `Paid ${booking.amount} ${booking.currency} (transaction ${paid.transactionId}), but the hotel agent has not confirmed yet.${describeEscrow(bookingReference)}`;
+          }
+          response = paid.response;
+        }
+        if (!response) {
+          return "Confirmation sent, but no hotel agent answered.";
+        }
+        if (response.content.status !== "confirmed") {
+          return `Booking not confirmed: ${response.content.reason || response.content.status}.${describeEscrow(bookingReference)}`;
+        }
+        present(bookingCard(response.content.booking, { escrow: escrow?.get(bookingReference)?.status }));
+        return `Booking confirmed! ${describeBooking(response.content)}. Payment transaction: ${response.content.booking.payment.transaction_id}.${describeEscrow(bookingReference)}`;
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "cancel_hotel_booking",
+      description: "Cancel a held or confirmed hotel or flight booking",
+      schema: z.object({
+        bookingReference: z.string(),
+        reason: z.string().optional(),
+      }),
+      func: async ({ bookingReference, reason }) => {
+        const response = await sendBooking({
+          action: "cancel",
+          booking_reference: bookingReference,
+          reason,
+        });
+        if (!response) {
+          return "Cancellation sent, but no provider agent answered.";
+        }
+        if (response.content.status !== "cancelled") {
+          return `Booking not cancelled: ${response.content.reason || `it is ${response.content.status}`}`;
+        }
+        const { booking } = response.content;
+        if (shared.chosenFlight?.booking_reference === booking.booking_reference) {
+          shared.chosenFlight = null;
+        }
+        // Money still in escrow goes straight back; released money is refunded by the hotel
+        if (escrow?.get(bookingReference)?.status === "funded") {
+          await escrow.refund(bookingReference, "booking cancelled");
+          present(bookingCard(booking, { escrow: escrow.get(bookingReference).status }));
+          return `Booking ${booking.booking_reference} cancelled.${describeEscrow(bookingReference)}`;
+        }
+        present(bookingCard(booking));
+        return `Booking ${booking.booking_reference} cancelled.${describeRefund(booking)}`;
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "get_booking_status",
+      description: "Look up the current status of a hotel or flight booking",
+      schema: z.object({
+        bookingReference: z.string(),
+      }),
+      func: async ({ bookingReference }) => {
+        const response = await sendBooking({
+          action: "status",
+          booking_reference: bookingReference,
+        });
+        if (!response) {
+          return "Status request sent, but no hotel agent answered.";
+        }
+        if (!response.content.booking) {
+          return `Booking status: ${response.content.reason || response.content.status}`;
+        }
+        const { booking } = response.content;
+        const details = {
+          held: `hold expires ${booking.hold_expires_at}`,
+          confirmed: `paid with ${booking.payment?.transaction_id}`,
+          cancelled: describeRefund(booking).trim() || "nothing to refund",
+          expired: "hold lapsed without payment",
+        }[booking.status];
+        present(bookingCard(booking, { escrow: escrow?.get(bookingReference)?.status }));
+        return `Booking ${describeBooking(response.content)} is ${booking.status}${details ? ` - ${details}` : ""}.`;
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "get_escrow_status",
+      description:
+        "Show whether the payment for a hotel booking reference or insurance quote id is held in escrow, released to the provider or refunded",
+      schema: z.object({
+        reference: z.string().describe("Booking reference or insurance quote id"),
+      }),
+      func: async ({ reference }) => {
+        if (!escrow) {
+          return "Escrow is not enabled - payments go directly to providers.";
+        }
+        if (!providers.has(reference)) {
+          return `No escrow payment for ${reference}.`;
+        }
+        await escrow.expire();
+        return describeEscrow(reference).trim() || `No escrow payment for ${reference}.`;
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "bind_travel_insurance",
+      description:
+        "Buy a quoted travel insurance tier: pays the premium in HBAR and binds the quote into a policy",
+      schema: z.object({
+        quoteId: z.string(),
+        paymentTransactionId: z
+          .string()
+          .optional()
+          .describe("Only if the premium was already paid outside this chat"),
+      }),
+      func: async ({ quoteId, paymentTransactionId }) => {
+        let response;
+        const quote = quoted.get(quoteId);
+        if (paymentTransactionId) {
+          response = await sendToProvider("policy", {
+            action: "bind",
+            quote_id: quoteId,
+            payment_transaction_id: paymentTransactionId,
+            ...payerAccount(),
+          });
+        } else if (!quote) {
+          return `Unknown quote ${quoteId} - request insurance quotes first.`;
+        } else {
+          const paid = await payProvider({
+            recipient: quote.provider_account,
+            amount: quote.premium,
+            currency: quote.currency,
+            reference: quoteId,
+            description: `${quote.tier} travel insurance premium`,
+          });
+          if (paid.parked) {
+            return awaitingApproval(paid);
+          }
+          if (paid.error) {
+            return `Premium payment failed, no policy issued: ${paid.error}`;
+          }
+          if (!paid.response) {
+            return `Paid ${quote.premium} ${quote.currency} (transaction ${paid.transactionId}), but the insurer has not issued the policy yet.${describeEscrow(quoteId)}`;
+          }
+          response = paid.response;
+        }
+        if (!response) {
+          return "Policy request sent, but no insurance agent answered.";
+        }
+        if (response.content.status !== "issued") {
+          return `Policy not issued: ${response.content.reason || response.content.status}.${describeEscrow(quoteId)}`;
+        }
+        const { policy } = response.content;
+        quoted.delete(quoteId);
+        providers.set(policy.policy_reference, response.sender.account_id);
+        present(policyCard(policy, { escrow: escrow?.get(quoteId)?.status }));
+        return `Policy issued! ${policy.policy_reference}: ${policy.tier} cover for ${policy.destination}, ${policy.start_date} to ${policy.end_date}, deductible ${policy.deductible} ${policy.currency}. Premium transaction: ${policy.payment.transaction_id}.${describeEscrow(quoteId)}`;
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "file_insurance_claim",
+      description:
+        "File a claim against a travel insurance policy with supporting evidence; the insurer adjudicates and pays approved claims in HBAR",
+      schema: z.object({
+        policyReference: z.string(),
+        claimType: z.enum([
+          "trip_cancellation",
+          "medical_emergency",
+          "medical_evacuation",
+          "baggage",
+          "travel_delay",
+        ]),
+        cause: z
+          .string()
+          .optional()
+          .describe("What caused the loss, e.g. illness, adventure_sports, airline_strike"),
+        incidentDate: z.string().describe("YYYY-MM-DD"),
+        amount: z.number().positive().describe("Amount claimed in HBAR"),
+        description: z.string(),
+        evidence: z
+          .array(
+            z.object({
+              type: z
+                .string()
+                .describe("e.g. receipt, medical_report, cancellation_notice, property_irregularity_report"),
+              description: z.string().optional(),
+              uri: z.string().optional(),
+            }),
+          )
+          .default([]),
+      }),
+      func: async ({
+        policyReference,
+        claimType,
+        cause,
+        incidentDate,
+        amount,
+        description,
+        evidence,
+      }) => {
+        const response = await sendToProvider("claim", {
+          action: "submit",
+          policy_reference: policyReference,
+          claim_type: claimType,
+          cause,
+          incident_date: incidentDate,
+          amount,
+          description,
+          evidence,
+        });
+        if (!response) {
+          return "Claim sent, but no insurance agent answered.";
+        }
+        if (!response.content.claim) {
+          return `Claim not accepted: ${response.content.reason || response.content.status}`;
+        }
+        return describeClaim(response.content.claim);
+      },
+    }),
+    new DynamicStructuredTool({
+      name: "get_claim_status",
+      description: "Track an insurance claim by its claim id",
+      schema: z.object({
+        claimId: z.string(),
+      }),
+      func: async ({ claimId }) => {
+        const response = await sendToProvider("claim", {
+          action: "status",
+          claim_id: claimId,
+        });
+        if (!response) {
+          return "Status request sent, but no insurance agent answered.";
+        }
+        if (!response.content.claim) {
+          return `Claim status: ${response.content.reason || response.content.status}`;
+        }
+        return describeClaim(response.content.claim);
+      },
+    }),
+  ];
+  return { tools, itineraries };
+}
+
+// "HA101 London (LHR) 2026-11-10 08:15 -> Paris (CDG) 09:30, Economy; return ..."
+function describeFlight(option) {
+  const time = (iso) => iso.slice(11, 16);
+  const legs = option.legs.map(
+    (leg) =>
+      `${leg.flight_number} ${leg.origin_city} (${leg.origin}) ${leg.departure.slice(0, 10)} ${time(leg.departure)} -> ${leg.destination_city} (${leg.destination}) ${time(leg.arrival)}`,
+  );
+  return `${legs.join("; return ")}, ${option.legs[0].cabin_label || option.cabin}`;
+}
+
+// " Refunded 4 HBAR (transaction ...)." for a cancelled booking, "" when nothing was due
+function describeRefund(booking) {
+  if (!(booking.refund_due > 0)) return "";
+  const amount = `${booking.refund_due} ${booking.currency}`;
+  return {
+    refunded: ` Refunded ${amount} (transaction ${booking.refund_transaction_id}).`,
+    refunding: ` Refund of ${amount} in progress.`,
+    failed: ` The ${amount} refund failed (${booking.refund_error}); cancelling again retries it.`,
+  }[booking.refund_status] || ` Refund due: ${amount}.`;
+}
+
+// Trip summary, one line per component; with alternatives, the other offers
+// that can be swapped in
+function describeTrip(trip, { alternatives = false } = {}) {
+  const describe = {
+    flight: (offer) => describeFlight(offer.option),
+    hotel: (offer) =>
+      `${offer.option.hotel_name || offer.provider} - ${offer.option.room_type}, ${offer.option.total_nights} nights`,
+    insurance: (offer) =>
+      `${offer.option.tier} cover from ${offer.provider}${offer.option.deductible !== undefined ? `, deductible ${offer.option.deductible} ${offer.currency}` : ""}`,
+  };
+  const label = { flight: "Flight", hotel: "Stay", insurance: "Cover" };
+  const lines = [
+    `Trip ${trip.trip_id}${trip.origin ? ` from ${trip.origin}` : ""} to ${trip.destination}, ${trip.dates.start} to ${trip.dates.end}, ${trip.travellers} traveller(s) - ${trip.status.replace(/_/g, " ")}`,
+  ];
+  Object.keys(describe).forEach((component) => {
+    const offer = trip.chosen[component];
+    const booking = trip.bookings?.[component];
+    if (offer) {
+      lines.push(
+        `${label[component]}: ${describe[component](offer)} - ${offer.price} ${offer.currency}${booking ? ` [${booking.status}: ${booking.reference}]` : ` (quote ${offer.quote_id})`}`,
+      );
+    } else if (trip.unavailable?.[component]) {
+      lines.push(`${label[component]}: none available - ${trip.unavailable[component]}`);
+    }
+    if (alternatives && offer) {
+      trip.options[component]
+        .filter((other) => other.quote_id !== offer.quote_id)
+        .slice(0, 3)
+        .forEach((other) =>
+          lines.push(`  alternative: ${describe[component](other)} - ${other.price} ${other.currency} (quote ${other.quote_id})`),
+        );
+    }
+  });
+  if (trip.cover) {
+    lines.push(`Insured trip cost: ${trip.cover.trip_cost} HBAR`);
+  }
+  lines.push(`Total: ${trip.total_cost} HBAR`);
+  if (trip.failure) {
+    const refund = (r) => {
+      const amount = `${r.refund_due} ${r.currency || "HBAR"}`;
+      return {
+        refunded: `refunded ${amount} (transaction ${r.refund_transaction_id})`,
+        refunding: `refund of ${amount} in progress`,
+        failed: `refund of ${amount} failed: ${r.refund_error}`,
+      }[r.refund_status] || `refund due ${amount}`;
+    };
+    const undone = (trip.rollback || []).map(
+      (r) =>
+        [
+          [r.component, r.reference, r.status].filter(Boolean).join(" "),
+          r.unconfirmed_payment && `unconfirmed payment ${r.unconfirmed_payment}`,
+          r.refund_due && refund(r),
+          r.escrow && `escrow ${r.escrow}`,
+        ]
+          .filter(Boolean)
+          .join(", "),
+    );
+    lines.push(`Booking failed: ${trip.failure}.${undone.length ? ` Rolled back: ${undone.join("; ")}.` : " Nothing was held or paid."}`);
+  }
+  return lines.join("\n");
+}
+
+function describeClaim(claim) {
+  const reasons = claim.adjudication?.reasons?.join("; ");
+  const outcome = {
+    paid: `paid ${claim.payout?.amount} ${claim.currency} (transaction ${claim.payout?.transaction_id})`,
+    approved: `approved for ${claim.adjudication?.payable_amount} ${claim.currency}, payout ${claim.payout_status || "pending"}`,
+    denied: "denied",
+    referred: "referred to a human claims adjuster, who decides it and any payout",
+    submitted: "awaiting adjudication",
+  }[claim.status];
+  return `Claim ${claim.claim_id} on ${claim.policy_reference} (${claim.claim_type.replace(/_/g, " ")}, ${claim.amount} ${claim.currency}): ${outcome || claim.status}${reasons ? ` - ${reasons}` : ""}.`;
+}
+
+// ------------------- Cards -------------------
+// What the web UI renders next to a tool's text reply. Buttons carry the
+// command they send back over the socket, which CARD_COMMANDS maps onto a tool call.
+
+const button = (label, command) => ({ label, command });
+
+function hotelOptionsCard(offers) {
+  return {
+    kind: "hotel_options",
+    options: offers.map((option) => ({
+      quote_id: option.quote_id,
+      provider: option.provider,
+      hotel_name: option.hotel_name || option.provider,
+      room_type: option.room_type,
+      capacity: option.capacity,
+      nights: option.total_nights,
+      price_per_night: option.price_per_night,
+      total_price: option.total_price,
+      currency: option.currency,
+      preference_matches: option.preference_matches || [],
+      actions: option.quote_id ? [button("Select", { command: "hold_hotel", quote_id: option.quote_id })] : [],
+    })),
+  };
+}
+
+function flightOptionsCard(offers) {
+  return {
+    kind: "flight_options",
+    options: offers.map((option) => ({
+      quote_id: option.quote_id,
+      provider: option.provider,
+      summary: describeFlight(option),
+      cabin: option.legs[0].cabin_label || option.cabin,
+      passengers: option.passengers,
+      total_price: option.total_price,
+      currency: option.currency,
+      actions: [button("Select", { command: "book_flight", quote_id: option.quote_id })],
+    })),
+  };
+}
+
+// Tiers side by side, cheapest first
+function insuranceQuotesCard(quotes, { tripCost, destination, riskClass, tripDays, declined }) {
+  return {
+    kind: "insurance_quotes",
+    trip_cost: tripCost,
+    destination,
+    risk_class: riskClass,
+    trip_days: tripDays,
+    tiers: quotes.map((option) => ({
+      quote_id: option.quote_id,
+      provider: option.provider,
+      tier: option.tier,
+      premium: option.premium,
+      currency: option.currency,
+      deductible: option.deductible,
+      benefits: option.benefits,
+      coverage_limits: option.coverage_limits || {},
+      exclusions: option.exclusions || [],
+      actions: option.quote_id ? [button("Select", { command: "bind_insurance", quote_id: option.quote_id })] : [],
+    })),
+    declined,
+  };
+}
+
+// Held bookings can be cancelled, held hotel rooms also paid
+function bookingCard(booking, { escrow } = {}) {
+  const flight = Boolean(booking.option.legs);
+  const reference = booking.booking_reference;
+  const actions = [];
+  if (booking.status === "held" && !flight) {
+    actions.push(button("Pay", { command: "pay_booking", booking_reference: reference }));
+  }
+  if (["held", "confirmed"].includes(booking.status)) {
+    actions.push(button("Cancel", { command: "cancel_booking", booking_reference: reference }));
+  }
+  return {
+    kind: "booking",
+    service: flight ? "flight" : "hotel",
+    booking_reference: reference,
+    status: booking.status,
+    title: flight ? describeFlight(booking.option) : booking.option.hotel_name,
+    room_type: booking.option.room_type,
+    dates: flight ? null : { check_in: booking.option.check_in, check_out: booking.option.check_out },
+    nights: booking.option.total_nights,
+    price_per_night: booking.option.price_per_night,
+    amount: booking.amount,
+    currency: booking.currency,
+    hold_expires_at: booking.status === "held" ? booking.hold_expires_at : null,
+    transaction_id: booking.payment?.transaction_id || null,
+    refund_due: booking.refund_due || null,
+    refund_status: booking.refund_due ? booking.refund_status : null,
+    refund_transaction_id: booking.refund_transaction_id || null,
+    escrow: escrow || null,
+    actions,
+  };
+}
+
+function policyCard(policy, { escrow } = {}) {
+  return {
+    kind: "policy",
+    policy_reference: policy.policy_reference,
+    status: policy.status,
+    tier: policy.tier,
+    destination: policy.destination,
+    dates: { start: policy.start_date, end: policy.end_date },
+    deductible: policy.deductible,
+    premium: policy.premium,
+    currency: policy.currency,
+    transaction_id: policy.payment?.transaction_id || null,
+    escrow: escrow || null,
+    actions: [],
+  };
+}
+
+// A planned trip offers its alternatives and Book; a booked one shows what was booked
+function tripCard(trip) {
+  const planned = trip.status === "planned" || trip.status === "failed";
+  const components = ["flight", "hotel", "insurance"]
+    .filter((component) => trip.chosen[component] || trip.unavailable?.[component])
+    .map((component) => {
+      const offer = trip.chosen[component];
+      const booking = trip.bookings?.[component];
+      const summary = (option) =>
+        ({
+          flight: () => describeFlight(option),
+          hotel: () => `${option.hotel_name} - ${option.room_type}, ${option.total_nights} nights`,
+          insurance: () => `${option.tier} cover`,
+        })[component]();
+      return {
+        component,
+        unavailable: offer ? null : trip.unavailable[component],
+        quote_id: offer?.quote_id,
+        provider: offer?.provider,
+        summary: offer ? summary(offer.option) : null,
+        price: offer?.price,
+        currency: offer?.currency,
+        booking: booking ? { reference: booking.reference, status: booking.status, transaction_id: booking.transaction_id || null } : null,
+        alternatives: planned && offer
+          ? trip.options[component]
+              .filter((other) => other.quote_id !== offer.quote_id)
+              .slice(0, 3)
+              .map((other) => ({
+                quote_id: other.quote_id,
+                provider: other.provider,
+                summary: summary(other.option),
+                price: other.price,
+                currency: other.currency,
+                actions: [
+                  button("Select", {
+                    command: "swap_trip_component",
+                    trip_id: trip.trip_id,
+                    component,
+                    quote_id: other.quote_id,
+                  }),
+                ],
+              }))
+          : [],
+      };
+    });
+  return {
+    kind: "trip",
+    trip_id: trip.trip_id,
+    status: trip.status,
+    origin: trip.origin,
+    destination: trip.destination,
+    dates: trip.dates,
+    travellers: trip.travellers,
+    components,
+    total_cost: trip.total_cost,
+    failure: trip.failure || null,
+    actions: planned ? [button("Book trip", { command: "book_trip", trip_id: trip.trip_id })] : [],
+  };
+}
+
+// Card buttons: command -> the tool it runs (without the model), its
+// arguments, and how the click reads in the transcript
+const CARD_COMMANDS = {
+  hold_hotel: {
+    tool: "book_hotel",
+    args: ({ quote_id }) => ({ quoteId: quote_id }),
+    describe: ({ quote_id }) => `Select hotel offer ${quote_id}`,
+  },
+  book_flight: {
+    tool: "book_flight",
+    args: ({ quote_id }) => ({ quoteId: quote_id }),
+    describe: ({ quote_id }) => `Select flight offer ${quote_id}`,
+  },
+  bind_insurance: {
+    tool: "bind_travel_insurance",
+    args: ({ quote_id }) => ({ quoteId: quote_id }),
+    describe: ({ quote_id }) => `Select insurance quote ${quote_id}`,
+  },
+  pay_booking: {
+    tool: "confirm_hotel_booking",
+    args: ({ booking_reference }) => ({ bookingReference: booking_reference }),
+    describe: ({ booking_reference }) => `Pay booking ${booking_reference}`,
+  },
+  cancel_booking: {
+    tool: "cancel_hotel_booking",
+    args: ({ booking_reference }) => ({ bookingReference: booking_reference }),
+    describe: ({ booking_reference }) => `Cancel booking ${booking_reference}`,
+  },
+  swap_trip_component: {
+    tool: "swap_trip_component",
+    args: ({ trip_id, component, quote_id }) => ({ tripId: trip_id, component, quoteId: quote_id }),
+    describe: ({ trip_id, component, quote_id }) => `Use ${quote_id} as the ${component} of trip ${trip_id}`,
+  },
+  book_trip: {
+    tool: "book_trip",
+    args: ({ trip_id }) => ({ tripId: trip_id }),
+    describe: ({ trip_id }) => `Book trip ${trip_id}`,
+  },
+};
+
+module.exports = { createTravelTools, TRAVEL_TOOL_SERVICES, CARD_COMMANDS };
@@ -4,63 +4,790 @@ document.addEventListener("DOMContentLoaded", () => {
   const sendButton = document.getElementById("send-button");
   const statusLight = document.getElementById("status-light");
   const statusText = document.getElementById("status-text");
+  const accountInput = document.getElementById("account-input");
+  const keyInput = document.getElementById("key-input");
+  const signingButton = document.getElementById("signing-button");
+  const nameInput = document.getElementById("name-input");
+  const inviteInput = document.getElementById("invite-input");
+  const joinRoomButton = document.getElementById("join-room-button");
+  const createRoomButton = document.getElementById("create-room-button");
+  const leaveRoomButton = document.getElementById("leave-room-button");
+  const roomInfo = document.getElementById("room-info");
 
-  // Establish WebSocket connection with our server.js
-  // Use wss:// if your server is on HTTPS
-  const ws = new WebSocket(`ws://${window.location.host}`);
+  // The server's own copy of the SDK (see index.js), loaded on the first
+  // signature request to decode it and, with a pasted key, to sign it
+  const HEDERA_SDK_URL = "/vendor/hashgraph-sdk.js";
+  let hederaSdk = null;
+  let signingMode = "autonomous";
+  let signingKey = null; // kept in memory only, never sent to the server
+
+  // The session token from session_started is kept in the browser, so a
+  // reload or a reconnect picks up the same conversation
+  const SESSION_KEY = "hedera-agent-session";
+  let sessionId = null;
+  // An invite link (?room=<code>) joins that trip room once connected
+  let pendingInvite = new URLSearchParams(window.location.search).get("room");
+  let reconnectDelay = 1000;
+  let ws;
 
   function setStatus(status, text) {
     statusLight.className = status;
     statusText.textContent = text;
   }
 
-  ws.onopen = () => {
+  // Use wss:// when the page itself is served over HTTPS
+  function connect() {
+    const scheme = window.location.protocol === "https:" ? "wss" : "ws";
+    const token = localStorage.getItem(SESSION_KEY);
+    ws = new WebSocket(
+      `${scheme}://${window.location.host}/${token ? `?session=${encodeURIComponent(token)}` : ""}`
+    );
+    ws.onopen = onOpen;
+    ws.onmessage = onMessage;
+    ws.onclose = onClose;
+    ws.onerror = (error) => console.error("WebSocket error:", error);
+  }
+
+  function onOpen() {
     console.log("WebSocket connected");
     setStatus("connected", "Connected");
-  };
+    reconnectDelay = 1000;
+    messageInput.disabled = false;
+    sendButton.disabled = false;
+  }
 
-  ws.onmessage = (event) => {
+  function onMessage(event) {
     try {
       const message = JSON.parse(event.data);
-      addMessage(message.sender, message.content);
+      if (message.type === "session_started") {
+        localStorage.setItem(SESSION_KEY, message.token);
+        sessionId = message.session_id;
+        if (message.replaced) {
+          showConversation(null, []);
+          addMessage("system", "Your previous session has ended - this is a new one.");
+        }
+        joinInvitedRoom();
+        return;
+      }
+      if (message.type === "session_resumed") {
+        sessionId = message.session_id;
+        showConversation(message.room, message.messages);
+        joinInvitedRoom();
+        return;
+      }
+      if (message.type === "room") {
+        showConversation(message.room, message.messages);
+        return;
+      }
+      if (message.run_id) {
+        renderRunEvent(message);
+        return;
+      }
+      if (message.type === "approval") {
+        renderApproval(message.approval);
+        return;
+      }
+      if (message.type === "session") {
+        setSigningMode(message);
+        return;
+      }
+      if (message.type === "sign_request") {
+        renderSignRequest(message);
+        return;
+      }
+      if (message.type === "sign_cancelled") {
+        finishSignRequest(message.id, `Cancelled: ${message.reason}`);
+        return;
+      }
+      addMessage(
+        message.sender,
+        message.content,
+        message.session_id !== sessionId ? message.author : undefined
+      );
     } catch (e) {
       console.error("Received non-JSON message:", event.data);
       addMessage("system", event.data);
     }
-  };
+  }
 
-  ws.onclose = () => {
+  // Keep trying, backing off up to 30s; the server restores the session on reconnect
+  function onClose() {
     console.log("WebSocket disconnected");
-    setStatus("disconnected", "Disconnected");
+    setStatus("disconnected", `Disconnected - reconnecting in ${reconnectDelay / 1000}s`);
     messageInput.disabled = true;
     sendButton.disabled = true;
-  };
+    // Browser signing belongs to the socket; it has to be switched on again
+    if (signingMode === "return_bytes") setSigningMode({ mode: "autonomous" });
+    setTimeout(connect, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, 30000);
+  }
 
-  ws.onerror = (error) => {
-    console.error("WebSocket error:", error);
-    addMessage("error", "A connection error occurred.");
-  };
+  connect();
 
-  function addMessage(sender, content) {
+  // author is set on messages from other members of a trip room
+  function addMessage(sender, content, author) {
     const messageDiv = document.createElement("div");
-    messageDiv.classList.add("message", `${sender}-message`);
-    messageDiv.textContent = content.trim();
+    const fromMember = sender === "user" && author;
+    messageDiv.classList.add("message", `${fromMember ? "member" : sender}-message`);
+    if (fromMember) {
+      const name = document.createElement("span");
+      name.classList.add("message-author");
+      name.textContent = author;
+      messageDiv.appendChild(name);
+    }
+    appendText(messageDiv, content.trim());
     chatBox.appendChild(messageDiv);
 
     // Auto-scroll to the bottom
     chatBox.scrollTop = chatBox.scrollHeight;
   }
 
+  // ------------------- Sessions and trip rooms -------------------
+  // Redraw the chat from a transcript: the session's own, or the room's.
+  // Signing cards stay; the server resends the conversation's pending approvals.
+  function showConversation(room, messages) {
+    const cards = [...chatBox.querySelectorAll(".approval-card:not([data-approval-id])")];
+    chatBox.replaceChildren();
+    messages.forEach((entry) => {
+      (entry.cards || []).forEach((card) => chatBox.appendChild(renderCard(card)));
+      addMessage(
+        entry.role,
+        entry.content,
+        entry.session_id && entry.session_id !== sessionId ? entry.author : undefined
+      );
+    });
+    chatBox.append(...cards);
+
+    const inRoom = Boolean(room);
+    roomInfo.hidden = !inRoom;
+    leaveRoomButton.hidden = !inRoom;
+    joinRoomButton.hidden = inRoom;
+    createRoomButton.hidden = inRoom;
+    inviteInput.hidden = inRoom;
+    if (inRoom) {
+      roomInfo.textContent = `${room.name} - invite code ${room.invite_code} - ${room.members.join(", ")}`;
+      roomInfo.title = `${window.location.origin}${window.location.pathname}?room=${room.invite_code}`;
+    }
+  }
+
+  function joinInvitedRoom() {
+    if (!pendingInvite) return;
+    ws.send(
+      JSON.stringify({
+        type: "join_room",
+        invite_code: pendingInvite,
+        display_name: nameInput.value.trim() || undefined,
+      })
+    );
+    pendingInvite = null;
+    window.history.replaceState(null, "", window.location.pathname);
+  }
+
+  createRoomButton.addEventListener("click", () => {
+    ws.send(
+      JSON.stringify({ type: "create_room", display_name: nameInput.value.trim() || undefined })
+    );
+  });
+
+  joinRoomButton.addEventListener("click", () => {
+    const inviteCode = inviteInput.value.trim();
+    if (!inviteCode) {
+      addMessage("error", "Enter the invite code you were given.");
+      return;
+    }
+    ws.send(
+      JSON.stringify({
+        type: "join_room",
+        invite_code: inviteCode,
+        display_name: nameInput.value.trim() || undefined,
+      })
+    );
+    inviteInput.value = "";
+  });
+
+  leaveRoomButton.addEventListener("click", () => {
+    ws.send(JSON.stringify({ type: "leave_room" }));
+  });
+
+  // ------------------- Agent activity -------------------
+  // Each chat message starts a run: a timeline of tool calls and A2A messages,
+  // and the answer typed out token by token until the final event
+  const runs = new Map(); // run id -> { timeline, steps, answer }
+
+  function timelineItem(run, icon, text, detail) {
+    const item = document.createElement("li");
+    item.classList.add("activity-item");
+    item.textContent = `${icon} ${text}`;
+    if (detail) {
+      const small = document.createElement("div");
+      small.classList.add("activity-detail");
+      small.textContent = detail;
+      item.appendChild(small);
+    }
+    run.steps.appendChild(item);
+    run.timeline.querySelector("summary").textContent = `Working... (${run.steps.children.length} steps)`;
+    chatBox.scrollTop = chatBox.scrollHeight;
+    return item;
+  }
+
+  const describeArgs = (args) =>
+    typeof args === "string" ? args : JSON.stringify(args || {});
+  const seqLabel = (event) =>
+    event.sequence_number ? ` - ${event.topic_id} #${event.sequence_number}` : "";
+
+  function renderRunEvent(event) {
+    let run = runs.get(event.run_id);
+    if (!run) {
+      const timeline = document.createElement("details");
+      timeline.classList.add("message", "activity-timeline");
+      timeline.open = true; // folded away once the answer is in
+      const summary = document.createElement("summary");
+      summary.textContent = "Working...";
+      const steps = document.createElement("ol");
+      timeline.append(summary, steps);
+      const cards = document.createElement("div");
+      cards.classList.add("run-cards");
+      const answer = document.createElement("div");
+      answer.classList.add("message", "agent-message", "typing");
+      chatBox.append(timeline, cards, answer);
+      run = { timeline, steps, cards, answer };
+      runs.set(event.run_id, run);
+    }
+
+    switch (event.type) {
+      case "token":
+        run.answer.textContent += event.delta;
+        break;
+      case "tool_start": {
+        // Text written before a tool call was the model thinking aloud
+        run.answer.textContent = "";
+        const item = timelineItem(run, "🔧", event.tool, describeArgs(event.args));
+        item.dataset.callId = event.call_id;
+        item.classList.add("running");
+        break;
+      }
+      case "tool_end": {
+        const item = run.steps.querySelector(`[data-call-id="${event.call_id}"]`);
+        if (item) {
+          item.classList.remove("running");
+          item.classList.add(event.error ? "failed" : "done");
+          const result = document.createElement("div");
+          result.classList.add("activity-detail");
+          result.textContent = event.error ? `Failed: ${event.error}` : event.output;
+          item.appendChild(result);
+        }
+        break;
+      }
+      case "a2a_sent":
+        timelineItem(run, "📤", `${event.message_type} sent${seqLabel(event)}`, event.correlation_id);
+        break;
+      case "a2a_received":
+        timelineItem(
+          run,
+          "📥",
+          `${event.message_type} from ${event.sender?.agent_id || event.sender?.account_id}${seqLabel(event)}`,
+          event.consensus_timestamp && new Date(event.consensus_timestamp).toLocaleTimeString()
+        );
+        break;
+      case "card":
+        run.cards.appendChild(renderCard(event.card));
+        break;
+      case "final":
+        run.answer.textContent = "";
+        appendText(run.answer, String(event.content ?? "").trim());
+        finishRun(event.run_id, run, "Done");
+        break;
+      case "error":
+        run.answer.className = "message error-message";
+        run.answer.textContent = `The agent could not finish: ${event.message}`;
+        finishRun(event.run_id, run, "Failed");
+        break;
+    }
+    chatBox.scrollTop = chatBox.scrollHeight;
+  }
+
+  function finishRun(runId, run, outcome) {
+    run.answer.classList.remove("typing");
+    const steps = run.steps.children.length;
+    if (steps === 0) {
+      run.timeline.remove();
+    } else {
+      run.timeline.open = false;
+      run.timeline.querySelector("summary").textContent = `${outcome} - ${steps} steps`;
+    }
+    runs.delete(runId);
+  }
+
+  // ------------------- Booking and quote cards -------------------
+  // Structured replies from the travel tools (cards in lib/travel-tools.js).
+  // Their buttons send { type: "command", ... } and the server runs the tool.
+  const TRANSACTION_ID = /(\d+\.\d+\.\d+@\d+\.\d+)/;
+  const hashscanUrl = (transactionId) =>
+    `https://hashscan.io/testnet/transaction/${transactionId}`;
+
+  function hashscanLink(transactionId) {
+    const link = document.createElement("a");
+    link.href = hashscanUrl(transactionId);
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = transactionId;
+    return link;
+  }
+
+  // Text with every transaction id turned into a HashScan link
+  function appendText(element, text) {
+    text.split(TRANSACTION_ID).forEach((part, i) => {
+      element.append(i % 2 === 1 ? hashscanLink(part) : document.createTextNode(part));
+    });
+  }
+
+  function el(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined && text !== null) element.textContent = text;
+    return element;
+  }
+
+  const money = (amount, currency = "HBAR") =>
+    amount === undefined || amount === null ? "-" : `${amount} ${currency}`;
+
+  function actionButtons(card, actions = []) {
+    const row = el("div", "approval-actions");
+    actions.forEach((action) => {
+      const button = el("button", "card-action", action.label);
+      if (action.label === "Cancel") button.classList.add("approval-reject");
+      button.addEventListener("click", () => {
+        card.querySelectorAll("button").forEach((b) => (b.disabled = true));
+        ws.send(JSON.stringify({ type: "command", ...action.command }));
+      });
+      row.appendChild(button);
+    });
+    return row;
+  }
+
+  // label: value rows; a value can be a node (e.g. a HashScan link)
+  function facts(rows) {
+    const list = el("dl", "card-facts");
+    rows
+      .filter(([, value]) => value !== undefined && value !== null && value !== "")
+      .forEach(([label, value]) => {
+        list.append(el("dt", null, label));
+        const dd = el("dd");
+        dd.append(value instanceof Node ? value : String(value));
+        list.appendChild(dd);
+      });
+    return list;
+  }
+
+  const transactionFact = (transactionId) =>
+    transactionId ? hashscanLink(transactionId) : null;
+
+  function renderOption(card, title, rows, reference, actions) {
+    const option = el("div", "card-option");
+    option.append(el("div", "card-option-title", title), facts([...rows, ["Reference", reference]]));
+    option.appendChild(actionButtons(card, actions));
+    return option;
+  }
+
+  const cardRenderers = {
+    hotel_options: (card, data) => {
+      card.appendChild(el("div", "approval-title", `${data.options.length} hotel offer(s)`));
+      data.options.forEach((option) =>
+        card.appendChild(
+          renderOption(
+            card,
+            `${option.hotel_name} - ${option.room_type}`,
+            [
+              ["Sleeps", option.capacity],
+              ["Nightly rate", money(option.price_per_night, option.currency)],
+              ["Nights", option.nights],
+              ["Total", money(option.total_price, option.currency)],
+              ["Matches", option.preference_matches.join(", ")],
+            ],
+            option.quote_id,
+            option.actions
+          )
+        )
+      );
+    },
+    flight_options: (card, data) => {
+      card.appendChild(el("div", "approval-title", `${data.options.length} flight option(s)`));
+      data.options.forEach((option) =>
+        card.appendChild(
+          renderOption(
+            card,
+            option.summary,
+            [
+              ["Cabin", option.cabin],
+              ["Passengers", option.passengers],
+              ["Total", money(option.total_price, option.currency)],
+            ],
+            option.quote_id,
+            option.actions
+          )
+        )
+      );
+    },
+    // One column per tier
+    insurance_quotes: (card, data) => {
+      card.appendChild(
+        el(
+          "div",
+          "approval-title",
+          `Insurance for a ${data.trip_cost} HBAR trip to ${data.destination}${data.risk_class ? ` (${data.risk_class} risk, ${data.trip_days} days)` : ""}`
+        )
+      );
+      const table = el("table", "tier-table");
+      const row = (label, cell) => {
+        const tr = el("tr");
+        tr.appendChild(el("th", null, label));
+        data.tiers.forEach((tier) => {
+          const td = el("td");
+          td.append(cell(tier));
+          tr.appendChild(td);
+        });
+        table.appendChild(tr);
+      };
+      row("", (tier) => `${tier.tier} (${tier.provider})`);
+      row("Premium", (tier) => money(tier.premium, tier.currency));
+      row("Deductible", (tier) => money(tier.deductible, tier.currency));
+      row("Covers", (tier) => tier.benefits.join(", "));
+      row("Limits", (tier) =>
+        Object.entries(tier.coverage_limits)
+          .map(([cover, limit]) => `${cover.replace(/_/g, " ")}: ${limit}`)
+          .join(", ") || "-"
+      );
+      row("Excludes", (tier) => tier.exclusions.join(", ") || "-");
+      row("Reference", (tier) => tier.quote_id || "-");
+      row("", (tier) => actionButtons(card, tier.actions));
+      card.appendChild(table);
+      (data.declined || []).forEach((line) => card.appendChild(el("div", "approval-meta", line)));
+    },
+    booking: (card, data) => {
+      card.appendChild(
+        el("div", "approval-title", `${data.service === "flight" ? "Flight" : "Hotel"} booking ${data.booking_reference}: ${data.status}`)
+      );
+      card.appendChild(el("div", null, data.title));
+      card.appendChild(
+        facts([
+          ["Room", data.room_type],
+          ["Dates", data.dates && `${data.dates.check_in} to ${data.dates.check_out}`],
+          ["Nightly rate", data.price_per_night && money(data.price_per_night, data.currency)],
+          ["Nights", data.nights],
+          ["Total", money(data.amount, data.currency)],
+          ["Hold expires", data.hold_expires_at && new Date(data.hold_expires_at).toLocaleString()],
+          ["Payment", transactionFact(data.transaction_id)],
+          [
+            data.refund_status === "refunded" ? "Refunded" : "Refund due",
+            data.refund_due &&
+              `${money(data.refund_due, data.currency)}${data.refund_status && data.refund_status !== "refunded" ? ` (${data.refund_status})` : ""}`,
+          ],
+          ["Refund", transactionFact(data.refund_transaction_id)],
+          ["Escrow", data.escrow],
+        ])
+      );
+      card.appendChild(actionButtons(card, data.actions));
+    },
+    policy: (card, data) => {
+      card.appendChild(el("div", "approval-title", `Policy ${data.policy_reference}: ${data.status}`));
+      card.appendChild(
+        facts([
+          ["Cover", data.tier],
+          ["Destination", data.destination],
+          ["Dates", `${data.dates.start} to ${data.dates.end}`],
+          ["Premium", money(data.premium, data.currency)],
+          ["Deductible", money(data.deductible, data.currency)],
+          ["Payment", transactionFact(data.transaction_id)],
+          ["Escrow", data.escrow],
+        ])
+      );
+    },
+    trip: (card, data) => {
+      card.appendChild(
+        el(
+          "div",
+          "approval-title",
+          `Trip ${data.trip_id}${data.origin ? ` from ${data.origin}` : ""} to ${data.destination}: ${data.status.replace(/_/g, " ")}`
+        )
+      );
+      card.appendChild(
+        el("div", "approval-meta", `${data.dates.start} to ${data.dates.end}, ${data.travellers} traveller(s)`)
+      );
+      data.components.forEach((part) => {
+        if (!part.summary) {
+          card.appendChild(el("div", "card-option", `${part.component}: none available - ${part.unavailable}`));
+          return;
+        }
+        const option = renderOption(
+          card,
+          `${part.component}: ${part.summary}`,
+          [
+            ["Price", money(part.price, part.currency)],
+            ["Booking", part.booking && `${part.booking.reference} (${part.booking.status})`],
+            ["Payment", transactionFact(part.booking?.transaction_id)],
+          ],
+          part.quote_id,
+          []
+        );
+        part.alternatives.forEach((other) =>
+          option.appendChild(
+            renderOption(
+              card,
+              `Instead: ${other.summary}`,
+              [["Price", money(other.price, other.currency)]],
+              other.quote_id,
+              other.actions
+            )
+          )
+        );
+        card.appendChild(option);
+      });
+      card.appendChild(facts([["Total", money(data.total_cost)], ["Failed", data.failure]]));
+      card.appendChild(actionButtons(card, data.actions));
+    },
+  };
+
+  function renderCard(data) {
+    const card = el("div", `message result-card ${data.kind} ${data.status || ""}`);
+    const render = cardRenderers[data.kind];
+    if (render) {
+      render(card, data);
+    } else {
+      card.textContent = JSON.stringify(data);
+    }
+    return card;
+  }
+
+  // One card per approval id, updated in place when it is decided
+  function renderApproval(approval) {
+    let card = chatBox.querySelector(`[data-approval-id="${approval.id}"]`);
+    const isNew = !card;
+    if (isNew) {
+      card = document.createElement("div");
+      card.classList.add("message", "approval-card");
+      card.dataset.approvalId = approval.id;
+    }
+    card.className = `message approval-card ${approval.status}`;
+    card.replaceChildren();
+
+    const title = document.createElement("div");
+    title.classList.add("approval-title");
+    title.textContent =
+      approval.status === "pending"
+        ? `Approval needed (${approval.id})`
+        : `${approval.id}: ${approval.status}`;
+
+    const summary = document.createElement("div");
+    summary.textContent = approval.summary;
+
+    const meta = document.createElement("div");
+    meta.classList.add("approval-meta");
+    meta.textContent =
+      approval.status === "pending"
+        ? `Requested by ${approval.requested_by} - expires ${new Date(approval.expires_at).toLocaleTimeString()}`
+        : approval.error ||
+          approval.reason ||
+          (typeof approval.result === "string"
+            ? approval.result
+            : JSON.stringify(approval.result || {}));
+
+    card.append(title, summary, meta);
+
+    // In a trip room, only the member who asked for it can decide
+    if (approval.status === "pending" && approval.owner !== sessionId) {
+      card.appendChild(el("div", "approval-meta", "Waiting for the member who asked for it to decide."));
+    } else if (approval.status === "pending") {
+      const actions = document.createElement("div");
+      actions.classList.add("approval-actions");
+      ["approve", "reject"].forEach((decision) => {
+        const button = document.createElement("button");
+        button.textContent = decision === "approve" ? "Approve" : "Reject";
+        button.classList.add(`approval-${decision}`);
+        button.addEventListener("click", () => {
+          actions.querySelectorAll("button").forEach((b) => (b.disabled = true));
+          ws.send(
+            JSON.stringify({ type: "approval_decision", id: approval.id, decision })
+          );
+        });
+        actions.appendChild(button);
+      });
+      card.appendChild(actions);
+    }
+
+    if (isNew) {
+      chatBox.appendChild(card);
+      chatBox.scrollTop = chatBox.scrollHeight;
+    }
+  }
+
+  // ------------------- Browser signing -------------------
+  // A wallet adapter can be provided as window.hederaWallet:
+  //   { accountId, signTransaction(bytes) -> signed bytes }
+  //   or { accountId, executeTransaction(bytes) -> transaction id }
+  // Without one, transactions are signed with the key pasted above.
+  const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+  const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+  function setSigningMode({ mode, accountId }) {
+    signingMode = mode;
+    const inBrowser = mode === "return_bytes";
+    accountInput.disabled = inBrowser;
+    keyInput.disabled = inBrowser;
+    signingButton.textContent = inBrowser ? "Use agent account" : "Sign with my account";
+    if (inBrowser) {
+      accountInput.value = accountId;
+      keyInput.value = "";
+    } else {
+      signingKey = null;
+    }
+  }
+
+  signingButton.addEventListener("click", () => {
+    if (signingMode === "return_bytes") {
+      ws.send(JSON.stringify({ type: "session", mode: "autonomous" }));
+      return;
+    }
+    const wallet = window.hederaWallet;
+    signingKey = keyInput.value.trim() || null;
+    const accountId = accountInput.value.trim() || wallet?.accountId;
+    if (!accountId || (!signingKey && !wallet)) {
+      addMessage("error", "Enter your account and private key, or connect a wallet.");
+      return;
+    }
+    ws.send(JSON.stringify({ type: "session", mode: "return_bytes", accountId }));
+  });
+
+  // The UMD bundle puts the SDK on window.sdk
+  function loadHederaSdk() {
+    hederaSdk ||= new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = HEDERA_SDK_URL;
+      script.onload = () => resolve(window.sdk);
+      script.onerror = () => {
+        hederaSdk = null;
+        reject(new Error("could not load the Hedera SDK"));
+      };
+      document.head.appendChild(script);
+    });
+    return hederaSdk;
+  }
+
+  // What the frozen bytes really do, line by line, whatever the agent said
+  async function describeTransaction(bytes) {
+    const { Transaction } = await loadHederaSdk();
+    const tx = Transaction.fromBytes(bytes);
+    const lines = [`${tx.constructor.name} ${tx.transactionId}`];
+    for (const [account, amount] of tx.hbarTransfers || []) {
+      lines.push(`${account}: ${amount}`);
+    }
+    for (const [token, transfers] of tx.tokenTransfers || []) {
+      for (const [account, amount] of transfers) {
+        lines.push(`${account}: ${amount} of token ${token}`);
+      }
+    }
+    lines.push(`Max fee: ${tx.maxTransactionFee}`);
+    if (tx.transactionMemo) lines.push(`Memo: ${tx.transactionMemo}`);
+    return lines;
+  }
+
+  async function signTransaction(request) {
+    const bytes = fromBase64(request.bytes);
+    const wallet = window.hederaWallet;
+    if (!signingKey && wallet?.executeTransaction) {
+      return { transactionId: String(await wallet.executeTransaction(bytes)) };
+    }
+    if (!signingKey && wallet?.signTransaction) {
+      return { signedBytes: toBase64(await wallet.signTransaction(bytes)) };
+    }
+
+    const { PrivateKey, Transaction } = await loadHederaSdk();
+    let key;
+    try {
+      key = PrivateKey.fromStringECDSA(signingKey.replace(/^0x/i, ""));
+    } catch {
+      key = PrivateKey.fromString(signingKey);
+    }
+    const signed = await Transaction.fromBytes(bytes).sign(key);
+    return { signedBytes: toBase64(signed.toBytes()) };
+  }
+
+  function finishSignRequest(id, outcome) {
+    const card = chatBox.querySelector(`[data-sign-id="${id}"]`);
+    if (!card) return;
+    card.querySelector(".approval-actions")?.remove();
+    card.querySelector(".approval-meta").textContent = outcome;
+  }
+
+  // Same card layout as approvals, answered with a `signed` message
+  function renderSignRequest(request) {
+    const card = document.createElement("div");
+    card.classList.add("message", "approval-card", "sign-card");
+    card.dataset.signId = request.id;
+
+    const title = document.createElement("div");
+    title.classList.add("approval-title");
+    title.textContent = `Signature needed: ${request.tool}`;
+
+    const summary = document.createElement("div");
+    summary.classList.add("sign-details");
+    summary.textContent = "Decoding the transaction...";
+
+    const meta = document.createElement("div");
+    meta.classList.add("approval-meta");
+    meta.textContent = `Signing as ${accountInput.value}`;
+
+    const actions = document.createElement("div");
+    actions.classList.add("approval-actions");
+    const sign = document.createElement("button");
+    sign.textContent = "Sign";
+    sign.classList.add("approval-approve");
+    const decline = document.createElement("button");
+    decline.textContent = "Decline";
+    decline.classList.add("approval-reject");
+    actions.append(sign, decline);
+
+    // Nothing is signed until the bytes have been decoded and shown
+    sign.disabled = true;
+    describeTransaction(fromBase64(request.bytes))
+      .then((lines) => {
+        summary.textContent = lines.join("\n");
+        sign.disabled = false;
+      })
+      .catch((err) => {
+        summary.textContent = `Could not decode the transaction: ${err.message}`;
+      });
+
+    sign.addEventListener("click", async () => {
+      actions.querySelectorAll("button").forEach((b) => (b.disabled = true));
+      try {
+        const signed = await signTransaction(request);
+        ws.send(JSON.stringify({ type: "signed", id: request.id, ...signed }));
+        finishSignRequest(request.id, "Signed - waiting for the receipt");
+      } catch (err) {
+        ws.send(
+          JSON.stringify({ type: "signed", id: request.id, declined: true, reason: `signing failed: ${err.message}` })
+        );
+        finishSignRequest(request.id, `Signing failed: ${err.message}`);
+      }
+    });
+    decline.addEventListener("click", () => {
+      ws.send(JSON.stringify({ type: "signed", id: request.id, declined: true }));
+      finishSignRequest(request.id, "Declined");
+    });
+
+    card.append(title, summary, meta, actions);
+    chatBox.appendChild(card);
+    chatBox.scrollTop = chatBox.scrollHeight;
+  }
+
   function sendMessage() {
     const content = messageInput.value.trim();
     if (content) {
       // Send the user's message to the server
       ws.send(JSON.stringify({ type: "input", content: content }));
 
-      // We add the user's message to the chat immediately
-      // The server will echo it back, but we can also just show it now.
-      // Our server.js logic filters out the "You: " prompt,
-      // but we'll add the user message here for a snappier UI.
+      // Shown right away; the server only sends it on to the other
+      // sockets of this session or trip room
       addMessage("user", content);
 
       messageInput.value = "";
@@ -0,0 +1,162 @@
+document.addEventListener("DOMContentLoaded", () => {
+  const topicSelect = document.getElementById("topic-select");
+  const topicInput = document.getElementById("topic-input");
+  const limitInput = document.getElementById("limit-input");
+  const flaggedOnly = document.getElementById("flagged-only");
+  const loadButton = document.getElementById("load-button");
+  const summary = document.getElementById("explorer-summary");
+  const box = document.getElementById("explorer-box");
+
+  let audit = null;
+
+  function el(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined && text !== null) element.textContent = text;
+    return element;
+  }
+
+  const time = (iso) => new Date(iso).toLocaleString();
+  const senderLabel = (sender) =>
+    sender ? `${sender.agent_id} (${sender.account_id})` : "-";
+
+  // What each status means, shown next to flagged messages
+  const STATUS_LABELS = {
+    verified: "✅ verified",
+    malformed: "🚫 failed validation",
+    unsigned: "🚨 unsigned",
+    unknown_sender: "⚠️ sender key unknown",
+    forged: "🚨 signature mismatch",
+  };
+
+  async function loadTopics() {
+    const res = await fetch("/api/topics");
+    const topics = await res.json();
+    topics.forEach(({ topic_id, label }) => {
+      const option = el("option", null, `${label} - ${topic_id}`);
+      option.value = topic_id;
+      topicSelect.appendChild(option);
+    });
+  }
+
+  async function loadAudit() {
+    const topicId = topicInput.value.trim() || topicSelect.value;
+    if (!topicId) return;
+    summary.textContent = `Reading ${topicId}...`;
+    box.replaceChildren();
+    loadButton.disabled = true;
+    try {
+      const res = await fetch(
+        `/api/topics/${encodeURIComponent(topicId)}/audit?limit=${encodeURIComponent(limitInput.value)}`
+      );
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || res.statusText);
+      audit = body;
+      render();
+    } catch (err) {
+      audit = null;
+      summary.textContent = `Could not read ${topicId}: ${err.message}`;
+    } finally {
+      loadButton.disabled = false;
+    }
+  }
+
+  function render() {
+    box.replaceChildren();
+    summary.replaceChildren(
+      `${audit.total} message(s) on ${audit.topic_id} in ${audit.conversations.length} conversation(s), ${audit.flagged} flagged - `,
+      topicLink(audit.topic_id)
+    );
+
+    const conversations = flaggedOnly.checked
+      ? audit.conversations.filter((c) => c.flagged > 0)
+      : audit.conversations;
+    conversations.forEach((conversation) => box.appendChild(renderConversation(conversation)));
+
+    // Messages that are not A2A messages at all belong to no conversation
+    if (audit.malformed.length > 0) {
+      box.appendChild(
+        renderConversation({
+          correlation_id: "Undecodable messages",
+          started_at: audit.malformed[0].consensus_timestamp,
+          participants: [],
+          message_types: [],
+          flagged: audit.malformed.length,
+          messages: audit.malformed,
+        })
+      );
+    }
+    if (box.children.length === 0) {
+      box.appendChild(el("div", "message system-message", "Nothing to show."));
+    }
+  }
+
+  function topicLink(topicId) {
+    const link = el("a", null, "view on HashScan");
+    link.href = `https://hashscan.io/testnet/topic/${topicId}`;
+    link.target = "_blank";
+    link.rel = "noopener";
+    return link;
+  }
+
+  // One collapsible block per correlation id, flagged ones open
+  function renderConversation(conversation) {
+    const block = el("details", `message conversation${conversation.flagged ? " flagged" : ""}`);
+    block.open = conversation.flagged > 0;
+    block.appendChild(
+      el(
+        "summary",
+        null,
+        [
+          conversation.correlation_id,
+          conversation.message_types.join(", "),
+          conversation.participants.join(", "),
+          `${conversation.messages.length} message(s)`,
+          time(conversation.started_at),
+          conversation.flagged ? `⚠️ ${conversation.flagged} flagged` : "",
+        ]
+          .filter(Boolean)
+          .join(" · ")
+      )
+    );
+
+    const table = el("table", "tier-table audit-table");
+    const head = el("tr");
+    ["Seq", "Consensus time", "Sender", "Type", "Check", "Message"].forEach((label) =>
+      head.appendChild(el("th", null, label))
+    );
+    table.appendChild(head);
+    conversation.messages.forEach((message) => {
+      const row = el("tr", message.status === "verified" ? "" : "flagged");
+      row.append(
+        el("td", null, message.sequence_number),
+        el("td", null, time(message.consensus_timestamp)),
+        el("td", null, senderLabel(message.sender)),
+        el("td", null, message.message_type || "-"),
+        el("td", null, STATUS_LABELS[message.status] || message.status)
+      );
+      const detail = el("td");
+      if (message.problem) detail.appendChild(el("div", "audit-problem", message.problem));
+      if (message.in_reply_to) detail.appendChild(el("div", "approval-meta", `in reply to ${message.in_reply_to}`));
+      const payload = el("details");
+      payload.append(
+        el("summary", null, message.id || "raw contents"),
+        el("pre", null, message.raw ?? JSON.stringify(message.content, null, 2))
+      );
+      detail.appendChild(payload);
+      row.appendChild(detail);
+      table.appendChild(row);
+    });
+    block.appendChild(table);
+    return block;
+  }
+
+  loadButton.addEventListener("click", loadAudit);
+  flaggedOnly.addEventListener("change", () => audit && render());
+  topicSelect.addEventListener("change", () => {
+    topicInput.value = "";
+    loadAudit();
+  });
+
+  loadTopics().then(loadAudit);
+});
@@ -0,0 +1,159 @@
+// supervisor.js - Start, stop and check the provider agent processes
+//   node supervisor.js start [agent...]    start in the background, logs in .state/logs
+//   node supervisor.js stop [agent...]
+//   node supervisor.js restart [agent...]
+//   node supervisor.js status
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { statePath } = require("./lib/json-store");
+const { healthPath, HEALTH_INTERVAL_MS } = require("./lib/provider-runtime");
+
+// Without agent names, commands act on every agent whose account is configured
+const AGENTS = {
+  hotel: { script: "agents/hotel.js", accountEnv: "HOTEL_ACCOUNT_ID" },
+  insurance: { script: "agents/insurance.js", accountEnv: "INSURANCE_ACCOUNT_ID" },
+  flight: { script: "agents/flight.js", accountEnv: "FLIGHT_ACCOUNT_ID" },
+  "car-rental": { script: "agents/car-rental.js", accountEnv: "CAR_RENTAL_ACCOUNT_ID" },
+};
+
+const pidPath = (name) => statePath(`pids/${name}.pid`);
+const logPath = (name) => statePath(`logs/${name}.log`);
+
+function readPid(name) {
+  try {
+    return parseInt(fs.readFileSync(pidPath(name), "utf8"), 10);
+  } catch {
+    return null;
+  }
+}
+
+function isRunning(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function readHealth(name) {
+  try {
+    return JSON.parse(fs.readFileSync(healthPath(name), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function start(name) {
+  const pid = readPid(name);
+  if (isRunning(pid)) {
+    console.log(`   ${name}: already running (pid ${pid})`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(logPath(name)), { recursive: true });
+  fs.mkdirSync(path.dirname(pidPath(name)), { recursive: true });
+  const log = fs.openSync(logPath(name), "a");
+  const child = spawn(process.execPath, [path.join(__dirname, AGENTS[name].script)], {
+    cwd: __dirname,
+    detached: true,
+    stdio: ["ignore", log, log],
+  });
+  child.unref();
+  fs.writeFileSync(pidPath(name), String(child.pid));
+  console.log(`🚀 ${name}: started (pid ${child.pid}, log ${logPath(name)})`);
+}
+
+async function stop(name) {
+  const pid = readPid(name);
+  if (!isRunning(pid)) {
+    console.log(`   ${name}: not running`);
+    fs.rmSync(pidPath(name), { force: true });
+    return;
+  }
+  process.kill(pid, "SIGTERM");
+  // Give it a few seconds to unsubscribe and write its last heartbeat
+  for (let i = 0; i < 50 && isRunning(pid); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  if (isRunning(pid)) {
+    process.kill(pid, "SIGKILL");
+  }
+  fs.rmSync(pidPath(name), { force: true });
+  console.log(`🛑 ${name}: stopped (pid ${pid})`);
+}
+
+// healthy: running with a recent heartbeat, stale: running but silent,
+// stopped: no process
+function status(name) {
+  const pid = readPid(name);
+  const health = readHealth(name);
+  const running = isRunning(pid);
+  const age = health ? Date.now() - Date.parse(health.updated_at) : null;
+  const state = !running
+    ? "stopped"
+    : age !== null && age <= 3 * HEALTH_INTERVAL_MS
+      ? "healthy"
+      : "stale";
+
+  const icon = { healthy: "🟢", stale: "🟡", stopped: "🔴" }[state];
+  console.log(`${icon} ${name}: ${state}${running ? ` (pid ${pid})` : ""}`);
+  if (health) {
+    console.log(`   agent ${health.agent_id} as ${health.account_id} over ${health.transport}`);
+    console.log(
+      `   ${health.messages_handled} message(s) handled, ${health.errors} error(s), last heartbeat ${health.updated_at}`
+    );
+    if (health.last_error) {
+      console.log(`   last error at ${health.last_error.at}: ${health.last_error.message}`);
+    }
+    Object.entries(health.metrics?.services || {}).forEach(([service, counts]) =>
+      console.log(
+        `   ${service}: ${counts.requests} request(s), ${counts.quoted} quoted, ${counts.invalid} invalid`,
+      ),
+    );
+    if (health.fees) {
+      console.log(`   fees paid: ${health.fees.total_hbar} HBAR over ${health.fees.transactions} transaction(s)`);
+    }
+  }
+  return state;
+}
+
+async function main() {
+  const [command = "status", ...names] = process.argv.slice(2);
+  const unknown = names.filter((name) => !AGENTS[name]);
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown agent(s): ${unknown.join(", ")} (known: ${Object.keys(AGENTS).join(", ")})`);
+    process.exit(1);
+  }
+  const targets =
+    names.length > 0
+      ? names
+      : Object.keys(AGENTS).filter((name) => process.env[AGENTS[name].accountEnv]);
+
+  switch (command) {
+    case "start":
+      targets.forEach(start);
+      break;
+    case "stop":
+      for (const name of targets) await stop(name);
+      break;
+    case "restart":
+      for (const name of targets) await stop(name);
+      targets.forEach(start);
+      break;
+    case "status": {
+      const states = targets.map(status);
+      // Non-zero exit when something is down, for scripts and health checks
+      process.exitCode = states.every((state) => state === "healthy") ? 0 : 1;
+      break;
+    }
+    default:
+      console.error(`❌ Unknown command "${command}" (use start, stop, restart or status)`);
+      process.exit(1);
+  }
+}
+
+main();
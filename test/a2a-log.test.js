@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { A2AMessage } = require("../lib/a2a-protocol");
+const { A2AMessageLog } = require("../lib/a2a-log");
+const { agentIdentity, memoryCollection } = require("./helpers");
+
+const us = agentIdentity("main-agent", "0.0.100");
+const hotel = agentIdentity("hotel-agent", "0.0.300");
+const other = agentIdentity("other-traveller", "0.0.400");
+
+// Messages as read back from the topic, one sequence number each
+function topic() {
+  let sequenceNumber = 0;
+  return (type, content, agent, inReplyTo) => {
+    const message = new A2AMessage(type, content, agent.sender);
+    if (inReplyTo) message.replyTo(inReplyTo);
+    sequenceNumber += 1;
+    return [message, { topicId: "0.0.4242", sequenceNumber, consensusTimestamp: new Date() }];
+  };
+}
+
+test("keeps our conversations and leaves other agents' traffic out", () => {
+  const log = new A2AMessageLog(memoryCollection("a2a_messages"), [us.sender.account_id]);
+  const message = topic();
+
+  const ours = message("request", { query: "Rooms in Porto?" }, us);
+  const answer = message("response", { options: [] }, hotel, ours[0]);
+  const theirs = message("request", { query: "Rooms in Lisbon?" }, other);
+  const theirAnswer = message("response", { options: [] }, hotel, theirs[0]);
+  [ours, answer, theirs, theirAnswer].forEach((args) => assert.equal(log.record(...args), true));
+
+  assert.deepEqual(log.entries().map((entry) => entry.id), [ours[0].id, answer[0].id]);
+  assert.equal(log.record(...ours), false);
+});
+
+test("logs a request once one of our accounts answers it", () => {
+  const log = new A2AMessageLog(memoryCollection("a2a_messages"), [hotel.sender.account_id]);
+  const message = topic();
+
+  const request = message("request", { query: "Rooms in Porto?" }, other);
+  assert.equal(log.record(...request), true);
+  assert.equal(log.entries().length, 0);
+
+  const reply = message("response", { options: [] }, hotel, request[0]);
+  log.record(...reply);
+  const payment = message("payment", { amount: 5 }, other, request[0]);
+  log.record(...payment);
+
+  assert.deepEqual(log.entries().map((entry) => entry.id), [request[0].id, reply[0].id, payment[0].id]);
+  assert.ok(log.answered(request[0]));
+  // Replayed after a restart: already answered
+  const restarted = new A2AMessageLog(log.store, [hotel.sender.account_id]);
+  assert.equal(restarted.record(...request), false);
+  assert.ok(restarted.answered(request[0]));
+});
+
+test("drops entries older than the replay window", () => {
+  const store = memoryCollection("a2a_messages");
+  const log = new A2AMessageLog(store, [us.sender.account_id]);
+  const message = topic();
+  const old = message("request", { query: "Rooms in Porto?" }, us);
+  log.record(...old);
+  store.set(log.entries()[0].key, {
+    ...log.entries()[0],
+    logged_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+  });
+  const recent = message("request", { query: "Rooms in Lisbon?" }, us);
+  log.record(...recent);
+
+  log.prune(Date.now() + 60 * 1000);
+  assert.deepEqual(log.entries().map((entry) => entry.id), [recent[0].id]);
+  assert.deepEqual(log.awaitingResponse().map((entry) => entry.id), [recent[0].id]);
+  assert.equal(log.involves(old[0]), false);
+});
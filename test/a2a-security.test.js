@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PrivateKey } = require("@hashgraph/sdk");
+const { A2AMessage } = require("../lib/a2a-protocol");
+const {
+  LocalKeyRegistry,
+  MessageVerifier,
+  MirrorNodeKeyResolver,
+  ReplayGuard,
+} = require("../lib/a2a-security");
+const { createInboundHandler } = require("../lib/a2a-inbound");
+
+const sender = { agent_id: "hotel-agent-001", account_id: "0.0.1001" };
+
+function signedRequest(key) {
+  const msg = new A2AMessage("request", { service: "hotel_booking" }, sender);
+  msg.sign(key);
+  return msg;
+}
+
+for (const [name, generate] of [
+  ["ED25519", () => PrivateKey.generateED25519()],
+  ["ECDSA", () => PrivateKey.generateECDSA()],
+]) {
+  test(`${name}: a well-formed signature from the sender's key verifies`, async () => {
+    const key = generate();
+    const verifier = new MessageVerifier(new LocalKeyRegistry({ "0.0.1001": key.publicKey }));
+    assert.deepEqual(await verifier.check(signedRequest(key)), { valid: true });
+  });
+
+  test(`${name}: truncated and non-hex signatures are forged, not thrown`, async () => {
+    const key = generate();
+    const verifier = new MessageVerifier(new LocalKeyRegistry({ "0.0.1001": key.publicKey }));
+    for (const value of ["ab", "zz-not-hex", "", signedRequest(key).signature.value.slice(0, 40)]) {
+      const msg = signedRequest(key);
+      msg.signature = { ...msg.signature, value };
+      const result = await verifier.check(msg);
+      assert.equal(result.valid, false);
+      assert.equal(result.type, "forged");
+      assert.equal(await verifier.verify(msg), false);
+    }
+  });
+}
+
+test("unsigned and unknown senders are told apart", async () => {
+  const verifier = new MessageVerifier(new LocalKeyRegistry());
+  assert.equal((await verifier.check(new A2AMessage("request", { service: "x" }, sender))).type, "unsigned");
+  assert.equal((await verifier.check(signedRequest(PrivateKey.generateED25519()))).type, "unknown_sender");
+});
+
+test("mirror node misses are cached and concurrent lookups shared", async (t) => {
+  let requests = 0;
+  t.mock.method(global, "fetch", async () => {
+    requests += 1;
+    return { ok: false, status: 404 };
+  });
+  const resolver = new MirrorNodeKeyResolver({ baseUrl: "http://mirror.test" });
+  const keys = await Promise.all([resolver.resolve("0.0.9"), resolver.resolve("0.0.9")]);
+  assert.deepEqual(keys, [null, null]);
+  assert.equal(await resolver.resolve("0.0.9"), null);
+  assert.equal(requests, 1);
+});
+
+test("mirror node cache stays bounded", async (t) => {
+  t.mock.method(global, "fetch", async () => ({ ok: false, status: 404 }));
+  const resolver = new MirrorNodeKeyResolver({ baseUrl: "http://mirror.test", maxEntries: 3 });
+  for (let i = 0; i < 10; i++) await resolver.resolve(`0.0.${i}`);
+  assert.equal(resolver.cache.size, 3);
+});
+
+test("replay guard accepts a message once, within the signing window", () => {
+  const guard = new ReplayGuard(60 * 1000);
+  const msg = signedRequest(PrivateKey.generateED25519());
+  const at = new Date(msg.timestamp);
+  assert.equal(guard.admit(msg, { consensusTimestamp: at }).valid, true);
+  assert.equal(guard.admit(msg, { consensusTimestamp: at }).type, "replayed");
+  // A copy re-posted an hour later, after its id has been forgotten
+  const later = new ReplayGuard(60 * 1000);
+  assert.equal(later.admit(msg, { consensusTimestamp: new Date(at.getTime() + 3600 * 1000) }).type, "replayed");
+});
+
+test("inbound handler drops re-posted copies and reports them", async () => {
+  const key = PrivateKey.generateED25519();
+  const verifier = new MessageVerifier(new LocalKeyRegistry({ "0.0.1001": key.publicKey }));
+  const events = [];
+  verifier.on("security_event", (event) => events.push(event.type));
+  const delivered = [];
+  const handler = createInboundHandler({ verifier, onMessage: (msg) => delivered.push(msg.id) });
+
+  const msg = signedRequest(key);
+  const topicMessage = { contents: Buffer.from(msg.serialize()), sequenceNumber: 1, consensusTimestamp: new Date() };
+  await handler(topicMessage);
+  await handler({ ...topicMessage, sequenceNumber: 2 });
+  const forged = signedRequest(key);
+  forged.signature = { ...forged.signature, value: "ab" };
+  await handler({ contents: Buffer.from(JSON.stringify(forged.toJSON())), sequenceNumber: 3, consensusTimestamp: new Date() });
+
+  assert.deepEqual(delivered, [msg.id]);
+  assert.deepEqual(events, ["replayed", "forged"]);
+});
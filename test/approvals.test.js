@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { z } = require("zod");
+const { DynamicStructuredTool } = require("@langchain/core/tools");
+const kit = require("hedera-agent-kit");
+const { ApprovalQueue, gateWriteTools, runApprovedToolCalls, WRITE_TOOLS } = require("../lib/approvals");
+const { memoryCollection } = require("./helpers");
+
+const fakeTool = (name, run = async () => `${name} ran`) =>
+  new DynamicStructuredTool({ name, description: name, schema: z.object({}).passthrough(), func: run });
+
+function approvalQueue(t) {
+  t.mock.method(console, "log", () => {});
+  const approvals = new ApprovalQueue(memoryCollection("approvals"));
+  t.after(() => approvals.stop());
+  return approvals;
+}
+
+test("every state-changing kit tool is on the write list", () => {
+  const reads = ["get_exchange_rate_tool", "get_pending_airdrop_tool"];
+  Object.entries(kit)
+    .filter(([name, plugin]) => name.endsWith("Plugin") && typeof plugin?.tools === "function")
+    .flatMap(([, plugin]) => plugin.tools({}).map((tool) => tool.method))
+    .filter((name) => !name.endsWith("_query_tool") && !reads.includes(name))
+    .forEach((name) => assert.ok(WRITE_TOOLS.has(name), `${name} is not gated`));
+});
+
+test("read-only tools run straight away and write tools are parked", async (t) => {
+  const approvals = approvalQueue(t);
+  const tools = gateWriteTools(
+    ["get_exchange_rate_tool", "get_pending_airdrop_tool", "get_account_query_tool", "transfer_hbar_tool"].map((name) =>
+      fakeTool(name),
+    ),
+    approvals,
+    "0.0.100",
+    { owner: "session-a" },
+  );
+  const run = (name) => tools.find((tool) => tool.name === name).invoke({});
+
+  assert.equal(await run("get_exchange_rate_tool"), "get_exchange_rate_tool ran");
+  assert.equal(await run("get_pending_airdrop_tool"), "get_pending_airdrop_tool ran");
+  assert.equal(await run("get_account_query_tool"), "get_account_query_tool ran");
+  assert.match(await run("transfer_hbar_tool"), /needs human approval/);
+
+  const [parked] = approvals.pending();
+  assert.equal(parked.owner, "session-a");
+  assert.equal((await approvals.approve(parked.id, "test")).result, "transfer_hbar_tool ran");
+});
+
+test("approved calls run with the tools of the session that parked them", async (t) => {
+  const approvals = approvalQueue(t);
+  const toolsFor = (owner) => [fakeTool("transfer_hbar_tool", async () => `paid for ${owner}`)];
+  runApprovedToolCalls(approvals, toolsFor);
+  const parkFor = (owner) =>
+    gateWriteTools(toolsFor(owner), approvals, "0.0.100", { owner, registerExecutor: false })[0].invoke({});
+
+  await parkFor("session-a");
+  await parkFor("session-b");
+  const [first, second] = approvals.pending();
+  assert.equal((await approvals.approve(second.id, "test")).result, "paid for session-b");
+  assert.equal((await approvals.approve(first.id, "test")).result, "paid for session-a");
+});
+
+test("an approval runs once however often it is approved, and cannot be rejected while running", async (t) => {
+  const approvals = approvalQueue(t);
+  let runs = 0;
+  let finish;
+  approvals.registerExecutor("payment", () => {
+    runs += 1;
+    return new Promise((resolve) => (finish = resolve));
+  });
+  const { id } = approvals.park("payment", "Pay 50 HBAR", {}, "0.0.100");
+
+  const first = approvals.approve(id, "tab-1");
+  assert.match((await approvals.approve(id, "tab-2")).error, /already executing/);
+  assert.match(approvals.reject(id, "tab-2", "changed my mind").error, /already executing/);
+  finish("paid");
+
+  assert.equal((await first).status, "executed");
+  assert.equal(runs, 1);
+  assert.deepEqual(
+    approvals.get(id).audit.map((step) => step.event),
+    ["parked", "approved", "executed"],
+  );
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EscrowService } = require("../lib/escrow");
+const { InMemoryLedger } = require("../lib/ledger");
+const { memoryCollection } = require("./helpers");
+
+function lapsedEscrow(t, confirmationOf) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const ledger = new InMemoryLedger();
+  const escrow = new EscrowService({
+    ledger,
+    store: memoryCollection("escrow"),
+    escrowAccount: "0.0.900",
+    timeoutMs: 0,
+    confirmationOf,
+  });
+  t.after(() => escrow.stop());
+  return { ledger, escrow };
+}
+
+async function fundAndExpire(escrow) {
+  await escrow.fund({ reference: "HB-1", payer: "0.0.100", payee: "0.0.300", amount: 4 });
+  escrow.track("HB-1", "corr-1");
+  await escrow.expire(Date.now() + 1);
+  return escrow.get("HB-1");
+}
+
+test("a lapsed escrow the provider confirmed late is released, not refunded", async (t) => {
+  const asked = [];
+  const { ledger, escrow } = lapsedEscrow(t, (held) => {
+    asked.push(held.correlation_id);
+    return { status: "confirmed" };
+  });
+  const held = await fundAndExpire(escrow);
+  assert.deepEqual(asked, ["corr-1"]);
+  assert.equal(held.status, "released");
+  assert.equal(ledger.balanceOf("0.0.300"), ledger.balanceOf("0.0.100") + 8e8);
+});
+
+test("a lapsed escrow without a confirmation is refunded", async (t) => {
+  const { ledger, escrow } = lapsedEscrow(t, () => null);
+  const held = await fundAndExpire(escrow);
+  assert.equal(held.status, "refunded");
+  assert.equal(held.reason, "provider did not confirm in time");
+  assert.equal(ledger.balanceOf("0.0.100"), ledger.balanceOf("0.0.300"));
+});
+
+test("a lapsed escrow stays funded while the provider's answer cannot be looked up", async (t) => {
+  const { escrow } = lapsedEscrow(t, async () => {
+    throw new Error("mirror node unavailable");
+  });
+  assert.equal((await fundAndExpire(escrow)).status, "funded");
+});
+
+test("a release and a refund at the same time pay the escrow out once", async (t) => {
+  const { ledger, escrow } = lapsedEscrow(t, () => null);
+  await escrow.fund({ reference: "HB-1", payer: "0.0.100", payee: "0.0.300", amount: 4 });
+
+  const [released, refunded] = await Promise.all([escrow.release("HB-1"), escrow.refund("HB-1", "booking cancelled")]);
+  assert.equal(released.status, "released");
+  assert.equal(refunded.status, "settling");
+  assert.equal(ledger.transfers.size, 2); // funding and release
+  assert.equal(escrow.get("HB-1").status, "released");
+  assert.equal((await escrow.refund("HB-1", "booking cancelled")).status, "released");
+});
+
+test("an escrow whose payout fails is funded again and can be settled later", async (t) => {
+  const { ledger, escrow } = lapsedEscrow(t, () => null);
+  await escrow.fund({ reference: "HB-1", payer: "0.0.100", payee: "0.0.300", amount: 4 });
+  const transferHbar = ledger.transferHbar.bind(ledger);
+  const failing = t.mock.method(ledger, "transferHbar", async () => {
+    throw new Error("BUSY");
+  });
+
+  assert.equal((await escrow.release("HB-1")).status, "funded");
+  assert.equal(escrow.get("HB-1").status, "funded");
+  failing.mock.mockImplementation(transferHbar);
+  assert.equal((await escrow.release("HB-1")).status, "released");
+});
@@ -0,0 +1,109 @@
+// Shared set-up for the offline tests: agents with their own keys on one
+// in-memory topic, and a way to wait for asynchronous delivery
+const { PrivateKey } = require("@hashgraph/sdk");
+const { A2AMessage } = require("../lib/a2a-protocol");
+const { LocalKeyRegistry, MessageVerifier } = require("../lib/a2a-security");
+const { InMemoryTopicBus, InMemoryTransport } = require("../lib/transport/memory-transport");
+const { createStorage } = require("../lib/storage");
+const { InMemoryLedger } = require("../lib/ledger");
+const { ResponseCollector } = require("../lib/response-collector");
+const { createInboundHandler } = require("../lib/a2a-inbound");
+const { createTravelTools } = require("../lib/travel-tools");
+const { HotelAgent } = require("../lib/agents/hotel-agent");
+const { FlightAgent } = require("../lib/agents/flight-agent");
+const { InsuranceAgent } = require("../lib/agents/insurance-agent");
+
+function agentIdentity(agentId, accountId) {
+  return { sender: { agent_id: agentId, account_id: accountId }, key: PrivateKey.generateED25519() };
+}
+
+// A topic of its own for every test, and a verifier that knows the given agents
+function topicFor(...agents) {
+  const transport = new InMemoryTransport("0.0.4242", new InMemoryTopicBus());
+  const keys = new LocalKeyRegistry();
+  agents.forEach(({ sender, key }) => keys.register(sender.account_id, key.publicKey));
+  return { transport, verifier: new MessageVerifier(keys) };
+}
+
+// Signs and posts a message as `agent`
+async function post(transport, agent, type, content, inReplyTo) {
+  const msg = new A2AMessage(type, content, agent.sender);
+  if (inReplyTo) msg.replyTo(inReplyTo);
+  msg.sign(agent.key);
+  await transport.submit(msg.serialize());
+  return msg;
+}
+
+const memoryCollection = (name) => createStorage({ kind: "memory" }).collection(name);
+
+// Resolves once check() is truthy, or fails after `ms`
+async function until(check, ms = 2000) {
+  const deadline = Date.now() + ms;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error("timed out waiting for the topic");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+// Lets everything already on the topic be delivered
+const settle = () => new Promise((resolve) => setTimeout(resolve, 30));
+
+const traveller = agentIdentity("main-agent", "0.0.100");
+const PROVIDERS = {
+  hotel: { Agent: HotelAgent, identity: agentIdentity("hotel-agent-001", "0.0.300") },
+  insurance: { Agent: InsuranceAgent, identity: agentIdentity("insurance-agent-001", "0.0.400") },
+  flight: { Agent: FlightAgent, identity: agentIdentity("flight-agent-001", "0.0.500") },
+};
+
+// The travel agent's tools and provider agents on one in-memory topic and
+// ledger. providers: { hotel, insurance, flight } -> options for that agent;
+// everything else is passed to createTravelTools.
+function travelDesk(t, { providers = { hotel: {} }, ...toolOptions } = {}) {
+  t.mock.method(console, "log", () => {});
+  const identities = Object.keys(providers).map((name) => PROVIDERS[name].identity);
+  const { transport, verifier } = topicFor(traveller, ...identities);
+  const ledger = new InMemoryLedger();
+  const agents = Object.fromEntries(
+    Object.entries(providers).map(([name, options]) => {
+      const { Agent, identity } = PROVIDERS[name];
+      const agent = new Agent(
+        identity.sender.account_id,
+        identity.key,
+        new InMemoryTransport(transport.topicId, transport.bus),
+        { responseDelayMs: 0, ledger, storage: createStorage({ kind: "memory" }), ...options },
+      ).listen(verifier);
+      return [name, agent];
+    }),
+  );
+
+  const responseCollector = new ResponseCollector({ timeoutMs: 1000, windowMs: 50 });
+  const subscription = transport.subscribe(
+    createInboundHandler({
+      verifier,
+      onMessage: (msg) => {
+        if (msg.sender.account_id !== traveller.sender.account_id) responseCollector.offer(msg);
+      },
+    }),
+  );
+  t.after(() => {
+    Object.values(agents).forEach((agent) => agent.stop());
+    subscription.unsubscribe();
+    responseCollector.cancelAll();
+  });
+
+  const toolsFor = createTravelTools({
+    transport,
+    responseCollector,
+    sender: traveller.sender,
+    privateKey: traveller.key,
+    ledger,
+    ...toolOptions,
+  });
+  // tool(conversation, name, session): a tool a session uses in a conversation
+  // (its own by default, or a trip room)
+  const tool = (owner, name, session = owner) =>
+    toolsFor(owner, session).find((candidate) => candidate.name === name);
+  return { toolsFor, tool, ledger, agents, traveller };
+}
+
+module.exports = { agentIdentity, topicFor, post, memoryCollection, until, settle, travelDesk };
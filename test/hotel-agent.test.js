@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createStorage } = require("../lib/storage");
+const { InMemoryLedger } = require("../lib/ledger");
+const { HotelAgent } = require("../lib/agents/hotel-agent");
+const { agentIdentity, topicFor, travelDesk } = require("./helpers");
+
+const search = { destination: "Paris", checkIn: "2026-12-01", checkOut: "2026-12-03" };
+
+async function holdRoom(tool) {
+  const [, quoteId] = (await tool("session-a", "book_hotel").invoke(search)).match(/Quote ID: (\S+)/);
+  const held = await tool("session-a", "book_hotel").invoke({ quoteId });
+  const [, bookingReference] = held.match(/Room held! (\S+):/);
+  return bookingReference;
+}
+
+test("cancelling a paid booking refunds the guest over the ledger, once", async (t) => {
+  const { tool, ledger, agents, traveller } = travelDesk(t);
+  const balance = () => ledger.balanceOf(traveller.sender.account_id);
+  const before = balance();
+  const bookingReference = await holdRoom(tool);
+  assert.match(await tool("session-a", "confirm_hotel_booking").invoke({ bookingReference }), /^Booking confirmed!/);
+  assert.ok(balance() < before);
+
+  const cancelled = await tool("session-a", "cancel_hotel_booking").invoke({ bookingReference });
+  assert.match(cancelled, /cancelled\. Refunded \S+ HBAR \(transaction \S+\)\./);
+  assert.equal(balance(), before);
+  const booking = agents.hotel.reservations.get(bookingReference);
+  assert.equal(booking.refund_status, "refunded");
+  assert.equal((await ledger.getTransfer(booking.refund_transaction_id)).memo, `A2A refund ${bookingReference}`);
+
+  await tool("session-a", "cancel_hotel_booking").invoke({ bookingReference });
+  assert.equal(balance(), before);
+});
+
+test("a payment that arrives after the hold lapsed is paid back, once", async (t) => {
+  const { tool, ledger, agents, traveller } = travelDesk(t, { providers: { hotel: { reservations: { holdTtlMs: 50 } } } });
+  const balance = () => ledger.balanceOf(traveller.sender.account_id);
+  const bookingReference = await holdRoom(tool);
+  const { amount } = agents.hotel.reservations.get(bookingReference);
+  await new Promise((resolve) => setTimeout(resolve, 80));
+
+  // Paid outside the chat and announced afterwards
+  const before = balance();
+  const { transactionId } = await ledger.transferHbar({
+    from: traveller.sender.account_id,
+    to: agents.hotel.accountId,
+    amount,
+    memo: `A2A payment ${bookingReference}`,
+  });
+  const confirm = () =>
+    tool("session-a", "confirm_hotel_booking").invoke({ bookingReference, paymentTransactionId: transactionId });
+
+  assert.match(await confirm(), /^Booking not confirmed: Booking is expired; the payment was refunded \(transaction \S+\)/);
+  assert.equal(balance(), before);
+  assert.match(await confirm(), /the payment was refunded/);
+  assert.equal(balance(), before);
+  assert.equal(agents.hotel.reservations.get(bookingReference).late_payments.length, 1);
+});
+
+// A hotel agent on its own, with one room held for the guest and paid for
+// with each call to pay()
+function heldRoom(t) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const guest = agentIdentity("main-agent", "0.0.100");
+  const hotel = agentIdentity("hotel-agent-001", "0.0.300");
+  const { transport } = topicFor(guest, hotel);
+  const ledger = new InMemoryLedger();
+  const agent = new HotelAgent(hotel.sender.account_id, hotel.key, transport, {
+    ledger,
+    storage: createStorage({ kind: "memory" }),
+  });
+  t.after(() => agent.stop());
+  const [option] = agent.quote({ destination: "Paris", check_in: "2026-12-01", check_out: "2026-12-03" }).options;
+  const { booking } = agent.reservations.hold(option.quote_id, guest.sender);
+  const pay = () =>
+    ledger.transferHbar({
+      from: guest.sender.account_id,
+      to: hotel.sender.account_id,
+      amount: booking.amount,
+      memo: `A2A payment ${booking.booking_reference}`,
+    });
+  const balance = () => ledger.balanceOf(guest.sender.account_id);
+  return { agent, ledger, booking, guest: guest.sender, pay, balance };
+}
+
+test("a payment checked while the hold lapses is paid back, not kept", async (t) => {
+  const { agent, ledger, booking, guest, pay, balance } = heldRoom(t);
+  const before = balance();
+  const { transactionId } = await pay();
+  const getTransfer = ledger.getTransfer.bind(ledger);
+  t.mock.method(ledger, "getTransfer", async (id) => {
+    const held = agent.reservations.get(booking.booking_reference);
+    agent.reservations.update(held, { hold_expires_at: new Date(0).toISOString() });
+    return getTransfer(id);
+  });
+
+  const result = await agent.settle(booking.booking_reference, transactionId, guest);
+  assert.equal(result.status, "payment_rejected");
+  assert.match(result.reason, /^Booking is expired; the payment was refunded/);
+  assert.equal(balance(), before);
+});
+
+test("a second payment for a confirmed booking is paid back", async (t) => {
+  const { agent, booking, guest, pay, balance } = heldRoom(t);
+  const first = await pay();
+  assert.equal((await agent.settle(booking.booking_reference, first.transactionId, guest)).status, "confirmed");
+  const paid = balance();
+
+  const second = await pay();
+  const result = await agent.settle(booking.booking_reference, second.transactionId, guest);
+  assert.equal(result.status, "payment_rejected");
+  assert.match(result.reason, /^Booking is already paid; the payment was refunded/);
+  assert.equal(balance(), paid);
+
+  // The payment that confirmed it is answered with the booking again
+  const again = await agent.settle(booking.booking_reference, first.transactionId, guest);
+  assert.equal(again.status, "confirmed");
+  assert.equal(again.booking.payment.transaction_id, first.transactionId);
+});
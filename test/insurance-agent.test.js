@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createStorage } = require("../lib/storage");
+const { InMemoryLedger } = require("../lib/ledger");
+const { InsuranceAgent } = require("../lib/agents/insurance-agent");
+const { agentIdentity, topicFor } = require("./helpers");
+
+const traveller = agentIdentity("main-agent", "0.0.100");
+const insurer = agentIdentity("insurance-agent-001", "0.0.400");
+
+function insuranceDesk(t, { storage = createStorage({ kind: "memory" }), ledger = new InMemoryLedger() } = {}) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const { transport } = topicFor(traveller, insurer);
+  const agent = new InsuranceAgent(insurer.sender.account_id, insurer.key, transport, { storage, ledger });
+  t.after(() => agent.stop());
+  return { agent, ledger, storage };
+}
+
+const quoteFor = (agent) =>
+  agent.quote(
+    { trip_cost: 400, destination: "Paris", start_date: "2026-12-01", end_date: "2026-12-03" },
+    traveller.sender,
+  ).coverage_options[0];
+
+const payPremium = (ledger, { quote_id, premium }) =>
+  ledger.transferHbar({
+    from: traveller.sender.account_id,
+    to: insurer.sender.account_id,
+    amount: premium,
+    memo: `A2A payment ${quote_id}`,
+  });
+
+test("a premium for a quote that expired before a restart is refunded, once", async (t) => {
+  const { agent, ledger, storage } = insuranceDesk(t);
+  const option = quoteFor(agent);
+  agent.policies.updateQuote(agent.policies.quote(option.quote_id), { expires_at: new Date(0).toISOString() });
+  const balance = () => ledger.balanceOf(traveller.sender.account_id);
+  const before = balance();
+  const { transactionId } = await payPremium(ledger, option);
+
+  const { agent: restarted } = insuranceDesk(t, { storage, ledger });
+  const bind = () => restarted.bind(option.quote_id, transactionId, traveller.sender);
+  const result = await bind();
+  assert.equal(result.status, "payment_rejected");
+  assert.match(result.reason, /^Quote \S+ is expired; the payment was refunded/);
+  assert.equal(balance(), before);
+  assert.match((await bind()).reason, /the payment was refunded/);
+  assert.equal(balance(), before);
+});
+
+test("a second premium for a bound quote is refunded and the first keeps its policy", async (t) => {
+  const { agent, ledger } = insuranceDesk(t);
+  const option = quoteFor(agent);
+  const balance = () => ledger.balanceOf(traveller.sender.account_id);
+  const first = await payPremium(ledger, option);
+  const second = await payPremium(ledger, option);
+  const afterPaying = balance();
+
+  const [bound, late] = await Promise.all([
+    agent.bind(option.quote_id, first.transactionId, traveller.sender),
+    agent.bind(option.quote_id, second.transactionId, traveller.sender),
+  ]);
+  assert.equal(bound.status, "issued");
+  assert.equal(late.status, "payment_rejected");
+  assert.match(late.reason, /^Quote \S+ is bound; the payment was refunded/);
+  assert.equal(balance(), afterPaying + Math.round(option.premium * 1e8));
+
+  const again = await agent.bind(option.quote_id, first.transactionId, traveller.sender);
+  assert.equal(again.status, "issued");
+  assert.equal(again.policy.policy_reference, bound.policy.policy_reference);
+});
+
+test("only the account that asked for a quote can withdraw it", async (t) => {
+  const { agent } = insuranceDesk(t);
+  const option = quoteFor(agent);
+  const withdraw = (sender) =>
+    agent.handlePolicy({ sender, content: { action: "withdraw", quote_id: option.quote_id } });
+
+  assert.equal((await withdraw(insurer.sender)).status, "not_found");
+  assert.equal(agent.policies.quote(option.quote_id).status, "open");
+  assert.equal((await withdraw(traveller.sender)).status, "withdrawn");
+  assert.equal(agent.policies.openQuote(option.quote_id), null);
+});
@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createStorage } = require("../lib/storage");
+const { InMemoryLedger } = require("../lib/ledger");
+const { InsuranceAgent } = require("../lib/agents/insurance-agent");
+const { agentIdentity, topicFor } = require("./helpers");
+
+const traveller = agentIdentity("main-agent", "0.0.100");
+const insurer = agentIdentity("insurance-agent-001", "0.0.400");
+const today = new Date().toISOString().slice(0, 10);
+
+// An insurer holding one active policy with 100 HBAR of baggage cover
+function insuranceDesk(t, { llm, ledger = new InMemoryLedger() } = {}) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+  const { transport } = topicFor(traveller, insurer);
+  const agent = new InsuranceAgent(insurer.sender.account_id, insurer.key, transport, {
+    storage: createStorage({ kind: "memory" }),
+    ledger,
+    llm,
+  });
+  t.after(() => agent.stop());
+  agent.policies.store.set("POL-1", {
+    policy_reference: "POL-1",
+    status: "active",
+    tier: "Standard",
+    holder: traveller.sender,
+    destination: "Paris",
+    start_date: today,
+    end_date: today,
+    issued_at: new Date().toISOString(),
+    coverage_limits: { baggage: 100 },
+    exclusions: [],
+    deductible: 5,
+    currency: "HBAR",
+    paid_out: {},
+  });
+  const file = (amount, id = "MSG-1") =>
+    agent.handleClaim({
+      id,
+      sender: traveller.sender,
+      content: {
+        action: "file",
+        policy_reference: "POL-1",
+        claim_type: "baggage",
+        cause: "lost_luggage",
+        incident_date: today,
+        amount,
+        evidence: [{ type: "property_irregularity_report" }, { type: "receipt" }],
+      },
+    });
+  const paidOut = () => agent.policies.get("POL-1").paid_out.baggage || 0;
+  return { agent, ledger, file, paidOut };
+}
+
+const approvingLlm = { invoke: async () => '{"decision": "approved", "reason": "looks genuine"}' };
+
+test("a claim above the auto-approval limit waits for a human, whatever the LLM says", async (t) => {
+  const { agent, ledger, file, paidOut } = insuranceDesk(t, { llm: approvingLlm });
+  const before = ledger.balanceOf(traveller.sender.account_id);
+
+  const { claim } = await file(80);
+  assert.equal(claim.status, "referred");
+  assert.equal(claim.adjudication.recommendation, "approved");
+  assert.equal(ledger.balanceOf(traveller.sender.account_id), before);
+  assert.equal(paidOut(), 75);
+
+  const decided = await agent.decideClaim(claim.claim_id, "approved", "adjuster", "receipts checked");
+  assert.equal(decided.status, "paid");
+  assert.equal(ledger.balanceOf(traveller.sender.account_id), before + 75e8);
+  assert.equal(paidOut(), 75);
+  assert.equal((await agent.decideClaim(claim.claim_id, "approved", "adjuster")).status, "paid");
+  assert.equal(ledger.balanceOf(traveller.sender.account_id), before + 75e8);
+});
+
+test("a denied referral gives its reservation back", async (t) => {
+  const { agent, file, paidOut } = insuranceDesk(t);
+  const { claim } = await file(80);
+  assert.equal(paidOut(), 75);
+  const decided = await agent.decideClaim(claim.claim_id, "denied", "adjuster", "bag was found");
+  assert.equal(decided.status, "denied");
+  assert.equal(paidOut(), 0);
+});
+
+test("claims filed together cannot pay more than the limit", async (t) => {
+  let answer;
+  const slowLlm = { invoke: () => new Promise((resolve) => (answer = resolve)) };
+  const { file, paidOut } = insuranceDesk(t, { llm: slowLlm });
+
+  const first = file(80, "MSG-1");
+  const second = file(80, "MSG-2");
+  answer('{"decision": "approved", "reason": "fine"}');
+  const claims = await Promise.all([first, second]);
+  assert.deepEqual(
+    claims.map(({ claim }) => claim.adjudication.payable_amount),
+    [75, 20],
+  );
+  assert.equal(paidOut(), 95);
+});
+
+test("a failed payout releases its reservation", async (t) => {
+  const ledger = new InMemoryLedger();
+  t.mock.method(ledger, "transferHbar", async () => {
+    throw new Error("insufficient balance");
+  });
+  const { file, paidOut } = insuranceDesk(t, { ledger });
+  const { claim } = await file(30);
+  assert.equal(claim.status, "approved");
+  assert.equal(claim.payout_status, "failed");
+  assert.equal(paidOut(), 0);
+});
+
+test("a payout whose announcement fails is still paid, once", async (t) => {
+  const { agent, ledger, file, paidOut } = insuranceDesk(t);
+  t.mock.method(agent.transport, "submit", async () => {
+    throw new Error("topic unavailable");
+  });
+  const before = ledger.balanceOf(traveller.sender.account_id);
+
+  const { claim } = await file(30);
+  assert.equal(claim.status, "paid");
+  assert.equal(claim.payout_announcement_error, "topic unavailable");
+  assert.equal(paidOut(), 25);
+  assert.deepEqual(agent.claimsToDecide(), []);
+  assert.equal((await agent.decideClaim(claim.claim_id, "approved", "adjuster")).status, "paid");
+  assert.equal(ledger.balanceOf(traveller.sender.account_id), before + 25e8);
+});
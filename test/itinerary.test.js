@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { InMemoryLedger } = require("../lib/ledger");
+const { travelDesk } = require("./helpers");
+
+const trip = {
+  origin: "London",
+  destination: "Paris",
+  startDate: "2026-12-01",
+  endDate: "2026-12-03",
+};
+
+async function planAndBook(tool, components) {
+  const planned = await tool("session-a", "plan_trip").invoke({ ...trip, components });
+  const [, tripId] = planned.match(/^Trip (\S+)/);
+  return tool("session-a", "book_trip").invoke({ tripId });
+}
+
+test("a rolled back trip refunds what the providers already received", async (t) => {
+  const { tool, ledger, agents, traveller } = travelDesk(t, {
+    // The insurer checks premiums on a ledger that never sees them
+    providers: { flight: {}, hotel: {}, insurance: { ledger: new InMemoryLedger() } },
+    autoPayThreshold: 100000,
+  });
+  const balance = () => ledger.balanceOf(traveller.sender.account_id);
+  const before = balance();
+
+  const reply = await planAndBook(tool, ["flight", "hotel", "insurance"]);
+  assert.match(reply, /Booking failed: insurance not confirmed/);
+  assert.match(reply, /flight \S+ cancelled, refunded \S+ HBAR \(transaction \S+\)/);
+  assert.match(reply, /hotel \S+ cancelled, refunded \S+ HBAR \(transaction \S+\)/);
+
+  // Only the premium the insurer could never see is still out
+  assert.match(reply, /insurance \S+ withdrawn, unconfirmed payment \S+, refund of \S+ HBAR failed: .* not accepted/);
+  const [, premium] = reply.match(/Cover: .* - (\S+) HBAR/);
+  assert.equal(balance(), before - Math.round(Number(premium) * 1e8));
+  for (const booking of [...agents.flight.reservations.store.values(), ...agents.hotel.reservations.store.values()]) {
+    assert.equal(booking.refund_status, "refunded");
+  }
+});
+
+test("a payment the provider took without confirming is refunded on rollback", async (t) => {
+  const { tool, ledger, agents, traveller } = travelDesk(t, {
+    providers: { flight: {}, hotel: {} },
+    autoPayThreshold: 100000,
+  });
+  // Holds lapse before the payment reaches the airline
+  agents.flight.reservations.holdTtlMs = 1;
+  const balance = () => ledger.balanceOf(traveller.sender.account_id);
+  const before = balance();
+
+  const reply = await planAndBook(tool, ["flight", "hotel"]);
+  assert.match(reply, /Booking failed: flight not confirmed/);
+  assert.match(reply, /flight \S+ expired, unconfirmed payment \S+, refunded \S+ HBAR \(transaction \S+\)/);
+  assert.equal(balance(), before);
+});
+
+test("a premium the insurer took without issuing a policy is refunded on rollback", async (t) => {
+  const { tool, ledger, agents, traveller } = travelDesk(t, {
+    providers: { flight: {}, hotel: {}, insurance: {} },
+    autoPayThreshold: 100000,
+  });
+  // The premium arrives, but the insurer never gets round to binding it
+  const { insurance } = agents;
+  const handleFollowUp = insurance.handleFollowUp.bind(insurance);
+  t.mock.method(insurance, "handleFollowUp", async (message) => {
+    if (message.message_type !== "payment") return handleFollowUp(message);
+  });
+  const balance = () => ledger.balanceOf(traveller.sender.account_id);
+  const before = balance();
+
+  const reply = await planAndBook(tool, ["flight", "hotel", "insurance"]);
+  assert.match(reply, /Booking failed: insurance not confirmed/);
+  assert.match(reply, /insurance \S+ withdrawn, unconfirmed payment \S+, refunded \S+ HBAR \(transaction \S+\)/);
+  assert.equal(balance(), before);
+
+  // Announcing the premium again neither binds the quote nor pays twice
+  const [quote] = insurance.policies.quotes.filter((q) => q.status === "withdrawn");
+  const again = await insurance.bind(quote.quote_id, quote.late_payments[0].transaction_id, traveller.sender);
+  assert.equal(again.status, "payment_rejected");
+  assert.equal(balance(), before);
+});
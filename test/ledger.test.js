@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { HederaLedger } = require("../lib/ledger");
+
+const mirrorTransaction = {
+  consensus_timestamp: "1700000005.123456789",
+  memo_base64: Buffer.from("A2A payment HB-1").toString("base64"),
+  name: "CRYPTOTRANSFER",
+  result: "SUCCESS",
+  scheduled: false,
+  nonce: 0,
+  transaction_id: "0.0.100-1700000000-000000123",
+  transfers: [
+    { account: "0.0.100", amount: -500012345 },
+    { account: "0.0.300", amount: 500000000 },
+    { account: "0.0.3", amount: 12345 },
+  ],
+};
+
+const ledger = () =>
+  new HederaLedger(null, { mirrorUrl: "https://mirror.test", mirrorWaitMs: 50, mirrorPollMs: 5 });
+
+test("transfers are read from the mirror node", async (t) => {
+  const urls = [];
+  t.mock.method(global, "fetch", async (url) => {
+    urls.push(url);
+    return { ok: true, status: 200, json: async () => ({ transactions: [mirrorTransaction] }) };
+  });
+
+  const transfer = await ledger().getTransfer("0.0.100@1700000000.000000123");
+  assert.deepEqual(urls, ["https://mirror.test/api/v1/transactions/0.0.100-1700000000-000000123"]);
+  assert.equal(transfer.transactionId, "0.0.100@1700000000.000000123");
+  assert.equal(transfer.status, "SUCCESS");
+  assert.equal(transfer.memo, "A2A payment HB-1");
+  assert.deepEqual(transfer.transfers, [
+    { accountId: "0.0.100", amount: -5.00012345 },
+    { accountId: "0.0.300", amount: 5 },
+    { accountId: "0.0.3", amount: 0.00012345 },
+  ]);
+  assert.equal(transfer.consensusTimestamp.getTime(), 1700000005123);
+});
+
+test("a transfer the mirror node has not shown yet is waited for, then given up on", async (t) => {
+  let calls = 0;
+  t.mock.method(global, "fetch", async () => {
+    calls += 1;
+    return calls < 3
+      ? { ok: false, status: 404 }
+      : { ok: true, status: 200, json: async () => ({ transactions: [mirrorTransaction] }) };
+  });
+  assert.equal((await ledger().getTransfer("0.0.100@1700000000.000000123")).status, "SUCCESS");
+  assert.equal(calls, 3);
+
+  t.mock.method(global, "fetch", async () => ({ ok: false, status: 404 }));
+  assert.equal(await ledger().getTransfer("0.0.100@1700000000.000000123"), null);
+
+  t.mock.method(global, "fetch", async () => ({ ok: false, status: 500 }));
+  await assert.rejects(ledger().getTransfer("0.0.100@1700000000.000000123"), /mirror node answered 500/);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { NegotiationBook, createStrategy } = require("../lib/negotiation");
+
+const buyerSender = { agent_id: "main-agent", account_id: "0.0.100" };
+
+function seller(maxRounds = 4) {
+  return new NegotiationBook({ role: "seller", strategy: createStrategy("floor_price"), maxRounds });
+}
+
+function offer(book, content) {
+  const { negotiation_id } = content;
+  if (!book.get(negotiation_id)) {
+    book.start(content, { negotiator: buyerSender, listPrice: 100, floorPrice: 70 });
+  }
+  return book.respond(content);
+}
+
+const proposal = (round, price, extra = {}) => ({
+  negotiation_id: "N-1",
+  quote_id: "Q-1",
+  action: round === 1 ? "propose" : "counter",
+  round,
+  price,
+  currency: "HBAR",
+  ...extra,
+});
+
+test("the seller concedes by its own round count, not the buyer's", async () => {
+  const book = seller();
+  // Claims to be in the last round of a one-round negotiation
+  const reply = offer(book, { ...proposal(1, 70), round: 4, max_rounds: 1 });
+  assert.equal(reply.action, "counter");
+  assert.equal(reply.round, 1);
+  assert.equal(reply.price, 92.5);
+  assert.equal(book.get("N-1").max_rounds, 4);
+});
+
+test("the seller ends the negotiation after its own maximum of rounds", async () => {
+  const book = seller(3);
+  const asks = [];
+  for (const round of [1, 1, 1]) {
+    asks.push(offer(book, proposal(round, 60)));
+  }
+  assert.deepEqual(asks.map((reply) => reply.action), ["counter", "counter", "reject"]);
+  assert.equal(book.get("N-1").status, "rejected");
+  assert.equal(offer(book, proposal(1, 99)), null);
+});
+
+test("a buyer within budget and a seller above its floor reach an agreement", async () => {
+  const buyer = new NegotiationBook({ role: "buyer", maxRounds: 4 });
+  const book = seller();
+  let content = buyer.open({
+    quoteId: "Q-1",
+    listPrice: 100,
+    provider: "0.0.200",
+    strategy: createStrategy("budget", { budget: 90 }),
+  });
+  for (let turn = 0; content && turn < 10; turn++) {
+    const answer = offer(book, content);
+    content = answer && buyer.respond(answer);
+  }
+  const [buyerSide] = [...buyer.sessions.values()];
+  assert.equal(buyerSide.status, "agreed");
+  assert.ok(buyerSide.agreed_price <= 90 && buyerSide.agreed_price >= 70);
+  assert.equal(book.get(buyerSide.negotiation_id).agreed_price, buyerSide.agreed_price);
+});
+
+test("the buyer refuses an accept at a price it never offered", async () => {
+  const buyer = new NegotiationBook({ role: "buyer", maxRounds: 4 });
+  const opening = buyer.open({
+    quoteId: "Q-1",
+    listPrice: 100,
+    provider: "0.0.200",
+    strategy: createStrategy("budget", { budget: 90 }),
+  });
+  const accept = (price) => ({ ...opening, action: "accept", price });
+
+  const reply = buyer.respond(accept(opening.price + 10));
+  assert.equal(reply.action, "reject");
+  assert.match(reply.reason, /never offered/);
+  const session = buyer.get(opening.negotiation_id);
+  assert.equal(session.status, "rejected");
+  assert.equal(session.agreed_price, undefined);
+  assert.equal(buyer.respond(accept(opening.price)), null);
+
+  const honest = new NegotiationBook({ role: "buyer", maxRounds: 4 });
+  const offered = honest.open({
+    quoteId: "Q-2",
+    listPrice: 100,
+    provider: "0.0.200",
+    strategy: createStrategy("budget", { budget: 90 }),
+  });
+  assert.equal(honest.respond({ ...offered, action: "accept" }), null);
+  assert.equal(honest.get(offered.negotiation_id).agreed_price, offered.price);
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { A2AMessage } = require("../lib/a2a-protocol");
+const { ResponseCollector } = require("../lib/response-collector");
+
+const reply = (request, accountId, content) =>
+  new A2AMessage("response", content, { agent_id: `agent-${accountId}`, account_id: accountId }).replyTo(request);
+
+test("collects every reply within the window", async () => {
+  const collector = new ResponseCollector({ timeoutMs: 200, windowMs: 20 });
+  const request = new A2AMessage("request", { service: "hotel_booking" });
+  const pending = collector.collect(request.correlation_id);
+  assert.equal(collector.offer(reply(request, "0.0.300", { n: 1 })), true);
+  assert.equal(collector.offer(reply(request, "0.0.400", { n: 2 })), true);
+  assert.deepEqual((await pending).map((msg) => msg.content.n), [1, 2]);
+});
+
+test("takes only the expected sender's reply when one is named", async () => {
+  const collector = new ResponseCollector({ timeoutMs: 200, windowMs: 20 });
+  const request = new A2AMessage("booking", { action: "confirm", booking_reference: "HB-1" });
+  const pending = collector.collect(request.correlation_id, { maxResponses: 1, from: "0.0.300" });
+
+  assert.equal(collector.offer(reply(request, "0.0.400", { status: "cancelled" })), false);
+  assert.equal(collector.offer(reply(request, "0.0.300", { status: "confirmed" })), true);
+  const [response] = await pending;
+  assert.equal(response.sender.account_id, "0.0.300");
+  assert.equal(response.content.status, "confirmed");
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { z } = require("zod");
+const { DynamicStructuredTool } = require("@langchain/core/tools");
+const { SpendingPolicy, enforceSpendingPolicy } = require("../lib/spending-policy");
+const { PaymentService } = require("../lib/payments");
+const { InMemoryLedger } = require("../lib/ledger");
+const { InMemoryTransport, InMemoryTopicBus } = require("../lib/transport/memory-transport");
+const { agentIdentity, memoryCollection, settle } = require("./helpers");
+
+const provider = "0.0.300";
+
+// A kit transfer tool that takes a while, and fails when told to
+function slowTransfer(calls) {
+  return new DynamicStructuredTool({
+    name: "transfer_hbar_tool",
+    description: "Transfer HBAR",
+    schema: z.object({
+      transfers: z.array(z.object({ accountId: z.string(), amount: z.number() })),
+      fail: z.boolean().optional(),
+    }),
+    func: async ({ transfers, fail }) => {
+      calls.push(transfers);
+      await settle();
+      if (fail) throw new Error("INSUFFICIENT_PAYER_BALANCE");
+      return "Transferred";
+    },
+  });
+}
+
+test("kit transfers running at once cannot overrun a budget together", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const policy = new SpendingPolicy(memoryCollection("spending"), { userBudgets: { "*": 10 } });
+  const calls = [];
+  const [transfer] = enforceSpendingPolicy([slowTransfer(calls)], policy, "0.0.100");
+  const args = { transfers: [{ accountId: provider, amount: 8 }] };
+
+  const results = await Promise.all([transfer.invoke(args), transfer.invoke(args)]);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(results.map((result) => result.startsWith("Blocked by spending policy")), [false, true]);
+  assert.equal(policy.spentBy("0.0.100"), 8);
+});
+
+test("a kit transfer that fails gives its reservation back", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const policy = new SpendingPolicy(memoryCollection("spending"), { userBudgets: { "*": 10 } });
+  const [transfer] = enforceSpendingPolicy([slowTransfer([])], policy, "0.0.100");
+
+  await assert.rejects(
+    transfer.invoke({ transfers: [{ accountId: provider, amount: 8 }], fail: true }),
+    /INSUFFICIENT_PAYER_BALANCE/,
+  );
+  assert.equal(policy.spentBy("0.0.100"), 0);
+  assert.equal(await transfer.invoke({ transfers: [{ accountId: provider, amount: 8 }] }), "Transferred");
+});
+
+// Payments of 8 HBAR for session-a under a 10 HBAR budget
+function payer(ledger) {
+  const traveller = agentIdentity("main-agent", "0.0.100");
+  const policy = new SpendingPolicy(memoryCollection("spending"), { userBudgets: { "*": 10 } });
+  const payments = new PaymentService({
+    ledger,
+    transport: new InMemoryTransport("0.0.4242", new InMemoryTopicBus()),
+    sender: traveller.sender,
+    privateKey: traveller.key,
+    policy,
+  });
+  const pay = (reference) => payments.pay({ recipient: provider, amount: 8, reference, user: "session-a" });
+  return { policy, pay };
+}
+
+test("payments made at the same time cannot overrun a budget together", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const ledger = new InMemoryLedger();
+  const { policy, pay } = payer(ledger);
+
+  const [first, second] = await Promise.allSettled([pay("HB-1"), pay("HB-2")]);
+  assert.equal(first.status, "fulfilled");
+  assert.equal(second.status, "rejected");
+  assert.match(second.reason.message, /budget for session-a/);
+  assert.equal(ledger.transfers.size, 1);
+  assert.equal(policy.spentBy("session-a"), 8);
+});
+
+test("a payment whose transfer fails is not counted", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const ledger = new InMemoryLedger();
+  t.mock.method(ledger, "transferHbar", async () => {
+    throw new Error("INSUFFICIENT_PAYER_BALANCE");
+  });
+  const { policy, pay } = payer(ledger);
+  await assert.rejects(pay("HB-1"), /INSUFFICIENT_PAYER_BALANCE/);
+  assert.equal(policy.spentBy("session-a"), 0);
+});
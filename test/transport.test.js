@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { TopicMessageQuery, TopicId } = require("@hashgraph/sdk");
+const { InMemoryTopicBus, InMemoryTransport } = require("../lib/transport/memory-transport");
+const { FileTransport } = require("../lib/transport/file-transport");
+const { HcsTransport } = require("../lib/transport/hcs-transport");
+const { until, settle } = require("./helpers");
+
+test("memory transport numbers messages and delivers them in order", async () => {
+  const bus = new InMemoryTopicBus();
+  const sender = new InMemoryTransport("0.0.1", bus);
+  const receiver = new InMemoryTransport("0.0.1", bus);
+  const seen = [];
+  const subscription = receiver.subscribe((m) => seen.push(m), { startTime: new Date(0) });
+
+  const receipts = [];
+  for (const text of ["one", "two", "three"]) receipts.push(await sender.submit(text));
+  await until(() => seen.length === 3);
+  subscription.unsubscribe();
+
+  assert.deepEqual(receipts.map((r) => r.sequenceNumber), [1, 2, 3]);
+  assert.deepEqual(seen.map((m) => m.contents.toString()), ["one", "two", "three"]);
+  assert.ok(seen[1].consensusTimestamp > seen[0].consensusTimestamp);
+  assert.equal(receiver.history().length, 3);
+});
+
+test("memory transport only replays messages from the start time on", async () => {
+  const transport = new InMemoryTransport("0.0.1", new InMemoryTopicBus());
+  await transport.submit("before");
+  const startTime = new Date(Date.now() + 5);
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  await transport.submit("after");
+  const seen = [];
+  transport.subscribe((m) => seen.push(m.contents.toString()), { startTime });
+  await settle();
+  assert.deepEqual(seen, ["after"]);
+});
+
+test("file transport shares one topic between two instances", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "a2a-topic-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "topic.jsonl");
+  const a = new FileTransport("0.0.2", file, { pollIntervalMs: 5 });
+  const b = new FileTransport("0.0.2", file, { pollIntervalMs: 5 });
+  const seen = [];
+  b.subscribe((m) => seen.push(m), { startTime: new Date(0) });
+  t.after(() => b.close());
+
+  await a.submit("hello");
+  await a.submit("again");
+  await until(() => seen.length === 2);
+  assert.deepEqual(seen.map((m) => [m.sequenceNumber, m.contents.toString()]), [[1, "hello"], [2, "again"]]);
+  assert.deepEqual(b.history().map((m) => m.contents.toString()), ["hello", "again"]);
+});
+
+for (const [name, makeTransport] of [
+  ["memory", () => new InMemoryTransport("0.0.3", new InMemoryTopicBus())],
+  ["file", (dir) => new FileTransport("0.0.3", path.join(dir, "topic.jsonl"), { pollIntervalMs: 5 })],
+]) {
+  test(`${name} transport keeps delivering after a handler fails`, async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "a2a-topic-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, "error", () => {});
+    const transport = makeTransport(dir);
+    const seen = [];
+    const subscription = transport.subscribe(
+      async (m) => {
+        seen.push(m.sequenceNumber);
+        if (m.sequenceNumber === 1) throw new Error("bad message");
+      },
+      { startTime: new Date(0) },
+    );
+    t.after(() => subscription.unsubscribe());
+    await transport.submit("first");
+    await transport.submit("second");
+    await until(() => seen.length === 2);
+  });
+}
+
+test("HCS transport catches a failing handler instead of rejecting unhandled", async (t) => {
+  let listener;
+  t.mock.method(TopicMessageQuery.prototype, "subscribe", function (client, onError, onMessage) {
+    listener = onMessage;
+    return { unsubscribe() {} };
+  });
+  const errors = [];
+  t.mock.method(console, "error", (...args) => errors.push(args.join(" ")));
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on("unhandledRejection", onUnhandled);
+  t.after(() => process.off("unhandledRejection", onUnhandled));
+
+  const transport = new HcsTransport(null, TopicId.fromString("0.0.5"));
+  const seen = [];
+  transport.subscribe(async (m) => {
+    seen.push(m);
+    throw new Error("verifier blew up");
+  });
+  listener({
+    contents: Buffer.from("{}"),
+    sequenceNumber: 7,
+    consensusTimestamp: { toDate: () => new Date() },
+  });
+  await settle();
+
+  assert.equal(seen[0].sequenceNumber, 7);
+  assert.equal(seen[0].topicId, "0.0.5");
+  assert.equal(transport.handlerErrors, 1);
+  assert.match(errors[0], /seq 7.*verifier blew up/);
+  assert.deepEqual(unhandled, []);
+});
@@ -0,0 +1,188 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ApprovalQueue } = require("../lib/approvals");
+const { SpendingPolicy } = require("../lib/spending-policy");
+const { A2AMessage } = require("../lib/a2a-protocol");
+const { travelDesk, memoryCollection } = require("./helpers");
+
+const quoteIdsIn = (reply) => [...reply.matchAll(/Quote ID: (\S+)/g)].map(([, quoteId]) => quoteId);
+
+test("each session gets its own tools", (t) => {
+  const { toolsFor } = travelDesk(t);
+  assert.equal(toolsFor("session-a"), toolsFor("session-a"));
+  assert.notEqual(toolsFor("session-a"), toolsFor("session-b"));
+});
+
+test("offers found in one session are unknown to another", async (t) => {
+  const { tool } = travelDesk(t);
+  const search = await tool("session-a", "book_hotel").invoke({
+    destination: "Paris",
+    checkIn: "2026-12-01",
+    checkOut: "2026-12-03",
+  });
+  const [quoteId] = quoteIdsIn(search);
+  assert.ok(quoteId, search);
+
+  const elsewhere = await tool("session-b", "negotiate_hotel_price").invoke({ quoteId, budget: 1 });
+  assert.match(elsewhere, /^Unknown hotel offer/);
+
+  const own = await tool("session-a", "negotiate_hotel_price").invoke({ quoteId, budget: 1 });
+  assert.doesNotMatch(own, /^Unknown hotel offer/);
+});
+
+test("bookings and trips can only be acted on by the session that made them", async (t) => {
+  const { tool } = travelDesk(t);
+  const [quoteId] = quoteIdsIn(
+    await tool("session-a", "book_hotel").invoke({ destination: "Paris", checkIn: "2026-12-01", checkOut: "2026-12-03" }),
+  );
+  const held = await tool("session-a", "book_hotel").invoke({ quoteId });
+  const [, bookingReference] = held.match(/Room held! (\S+):/);
+
+  assert.match(
+    await tool("session-b", "book_hotel").invoke({ quoteId }),
+    /was not issued in this chat session/,
+  );
+  assert.match(
+    await tool("session-b", "cancel_hotel_booking").invoke({ bookingReference }),
+    /^Booking not cancelled: .* was not issued in this chat session/,
+  );
+  assert.match(
+    await tool("session-b", "get_booking_status").invoke({ bookingReference }),
+    /was not issued in this chat session/,
+  );
+  assert.match(await tool("session-a", "get_booking_status").invoke({ bookingReference }), /is held/);
+
+  const planned = await tool("session-a", "plan_trip").invoke({
+    destination: "Paris",
+    startDate: "2026-12-01",
+    endDate: "2026-12-03",
+    components: ["hotel"],
+  });
+  const [, tripId] = planned.match(/^Trip (\S+)/);
+  assert.match(await tool("session-b", "get_trip").invoke({ tripId }), /^Unknown trip/);
+  assert.match(await tool("session-b", "book_trip").invoke({ tripId }), /^Unknown trip/);
+  assert.match(await tool("session-a", "get_trip").invoke({ tripId }), /- planned/);
+});
+
+test("members of a trip room share its offers, bookings and trips but keep their own budgets", async (t) => {
+  const spendingPolicy = new SpendingPolicy(memoryCollection("spending"), { userBudgets: { "*": 6 } });
+  const { tool } = travelDesk(t, { spendingPolicy });
+  const [quoteId] = quoteIdsIn(
+    await tool("room-1", "book_hotel", "session-a").invoke({ destination: "Paris", checkIn: "2026-12-01", checkOut: "2026-12-03" }),
+  );
+  const held = await tool("room-1", "book_hotel", "session-b").invoke({ quoteId });
+  const [, bookingReference] = held.match(/Room held! (\S+):/);
+  assert.match(
+    await tool("room-1", "confirm_hotel_booking", "session-a").invoke({ bookingReference }),
+    /^Booking confirmed!/,
+  );
+  assert.ok(spendingPolicy.spentBy("session-a") > 0);
+  assert.equal(spendingPolicy.spentBy("session-b"), 0);
+  assert.match(await tool("room-1", "get_booking_status", "session-b").invoke({ bookingReference }), /confirmed/);
+  assert.match(
+    await tool("session-b", "get_booking_status").invoke({ bookingReference }),
+    /was not issued in this chat session/,
+  );
+
+  const planned = await tool("room-1", "plan_trip", "session-a").invoke({
+    destination: "Paris",
+    startDate: "2026-12-01",
+    endDate: "2026-12-03",
+    components: ["hotel"],
+  });
+  const [, tripId] = planned.match(/^Trip (\S+)/);
+  assert.match(await tool("room-1", "get_trip", "session-b").invoke({ tripId }), /- planned/);
+  assert.match(await tool("room-2", "get_trip", "session-b").invoke({ tripId }), /^Unknown trip/);
+
+});
+
+test("only the provider that issued a reference answers for it", async (t) => {
+  const { tool, agents } = travelDesk(t, { providers: { hotel: {}, flight: {} } });
+  const [quoteId] = quoteIdsIn(
+    await tool("session-a", "book_hotel").invoke({ destination: "Paris", checkIn: "2026-12-01", checkOut: "2026-12-03" }),
+  );
+  const [, bookingReference] = (await tool("session-a", "book_hotel").invoke({ quoteId })).match(/Room held! (\S+):/);
+
+  // The hotel agent is gone; another agent on the topic, known and correctly
+  // signed, answers in its place
+  agents.hotel.stop();
+  const { flight } = agents;
+  const impostor = flight.transport.subscribe(async ({ contents }) => {
+    const msg = JSON.parse(contents.toString());
+    if (msg.content.action !== "status") return;
+    const forged = new A2AMessage("response", { status: "not_found", reason: "No such booking" }, {
+      agent_id: flight.agentId,
+      account_id: flight.accountId,
+    });
+    forged.replyTo(msg);
+    await flight.transport.submit(forged.sign(flight.privateKey).serialize());
+  }, { startTime: new Date(0) });
+  t.after(() => impostor.unsubscribe());
+
+  assert.equal(
+    await tool("session-a", "get_booking_status").invoke({ bookingReference }),
+    "Status request sent, but no hotel agent answered.",
+  );
+});
+
+test("payments waiting for approval belong to the session that asked for them", async (t) => {
+  const approvals = new ApprovalQueue(memoryCollection("approvals"));
+  t.after(() => approvals.stop());
+  const { tool } = travelDesk(t, { approvals, autoPayThreshold: 0 });
+  const [quoteId] = quoteIdsIn(
+    await tool("session-a", "book_hotel").invoke({ destination: "Paris", checkIn: "2026-12-01", checkOut: "2026-12-03" }),
+  );
+  const [, bookingReference] = (await tool("session-a", "book_hotel").invoke({ quoteId })).match(/Room held! (\S+):/);
+
+  assert.match(await tool("session-a", "confirm_hotel_booking").invoke({ bookingReference }), /needs human approval/);
+  const [parked] = approvals.pending();
+  assert.equal(parked.owner, "session-a");
+  assert.equal(parked.details.reference, bookingReference);
+});
+
+test("spending budgets are kept per session", async (t) => {
+  const spendingPolicy = new SpendingPolicy(memoryCollection("spending"), { userBudgets: { "*": 6 } });
+  const { tool } = travelDesk(t, { spendingPolicy });
+  const holdAndPay = async (owner) => {
+    const [quoteId] = quoteIdsIn(
+      await tool(owner, "book_hotel").invoke({ destination: "Paris", checkIn: "2026-12-01", checkOut: "2026-12-03" }),
+    );
+    const [, bookingReference] = (await tool(owner, "book_hotel").invoke({ quoteId })).match(/Room held! (\S+):/);
+    return tool(owner, "confirm_hotel_booking").invoke({ bookingReference });
+  };
+
+  assert.match(await holdAndPay("session-a"), /^Booking confirmed!/);
+  assert.match(await holdAndPay("session-a"), /budget for session-a/);
+  assert.match(await holdAndPay("session-b"), /^Booking confirmed!/);
+  assert.equal(spendingPolicy.spentBy("session-b"), spendingPolicy.spentBy("session-a"));
+});
+
+test("a session signing with its own account pays and is refunded from that account", async (t) => {
+  const approvals = new ApprovalQueue(memoryCollection("approvals"));
+  t.after(() => approvals.stop());
+  let ledger;
+  const payer = {
+    accountId: "0.0.777",
+    transferHbar: (transfer) => ledger.transferHbar({ ...transfer, from: "0.0.777" }),
+  };
+  const desk = travelDesk(t, {
+    approvals,
+    autoPayThreshold: 0,
+    payerFor: (owner) => (owner === "session-a" ? payer : null),
+  });
+  ({ ledger } = desk);
+  const agentBalance = ledger.balanceOf(desk.traveller.sender.account_id);
+  const before = ledger.balanceOf("0.0.777");
+
+  const [quoteId] = quoteIdsIn(
+    await desk.tool("session-a", "book_hotel").invoke({ destination: "Paris", checkIn: "2026-12-01", checkOut: "2026-12-03" }),
+  );
+  const [, bookingReference] = (await desk.tool("session-a", "book_hotel").invoke({ quoteId })).match(/Room held! (\S+):/);
+  assert.match(await desk.tool("session-a", "confirm_hotel_booking").invoke({ bookingReference }), /^Booking confirmed!/);
+  assert.equal(approvals.pending().length, 0);
+  assert.ok(ledger.balanceOf("0.0.777") < before);
+
+  assert.match(await desk.tool("session-a", "cancel_hotel_booking").invoke({ bookingReference }), /refund/i);
+  assert.equal(ledger.balanceOf("0.0.777"), before);
+  assert.equal(ledger.balanceOf(desk.traveller.sender.account_id), agentBalance);
+});